@@ -20,9 +20,36 @@ let             ifIndexMap = {}; // keyed by interface name
 let             nextIfIndex = 1; // unique value in ifIndexMap
 let             ipv6RouteMap = {};
 let             nextIpv6RouteIndex = 1;
+let             ipAddressMap = {};         // keyed by interface and address
+let             bIpAddressMapPrimed = false; // ipAddressMap enumerated yet?
+let             inetCidrRouteMap = {};     // keyed by route, with first seen
+let             socketProcessesPending = null; // scan of process sockets
+let             storageIndexMap = {};      // keyed by mount point
+let             nextStorageIndex = 31;     // after the memory storage indexes
+let             deviceIndexMap = {};       // keyed by device type and name
+let             nextDeviceIndex = 1;       // unique value in deviceIndexMap
+let             cpuLoadSamples = [];       // last minute of /proc/stat samples
+let             cpuLoadTimer = null;       // periodic /proc/stat sampler
+let             fsIndexMap = {};           // keyed by mount point
+let             nextFsIndex = 1;           // unique value in fsIndexMap
+let             installedIndexMap = {};    // keyed by installed package name
+let             nextInstalledIndex = 1;    // unique value in installedIndexMap
+let             installedSoftware = null;  // cached installed software
+let             installedSoftwarePending = null; // update of that cache
+let             diskIOIndexMap = {};       // keyed by block device name
+let             nextDiskIOIndex = 1;       // unique value in diskIOIndexMap
+let             diskIOLoads = {};          // keyed by block device name
+let             diskIOTimer = null;        // periodic /proc/diskstats sampler
+let             physicalIndexMap = {};     // keyed by physical entity
+let             nextPhysicalIndex = 1;     // unique value in physicalIndexMap
+let             bPhysicalIndexMapPrimed = false; // entities enumerated yet?
+let             physicalLastChange = 0;    // sysUpTime of last entity change
+let             vlanCreationTimes = {};    // keyed by VLAN ID
+let             bVlansPrimed = false;      // VLANs enumerated yet?
 const           fsp = require("fs").promises;
 const           COUNTER_WRAP_AT = 0x100000000; // wrap Counter types at 32 bits
 const           GAUGE_MAX = 0xffffffff;        // clamp Guage at 32 bit max int
+const           INTEGER32_MAX = 0x7fffffff;    // clamp Integer32 at its max
 
 class SnmpLinuxLib
 {
@@ -51,6 +78,17 @@ class SnmpLinuxLib
     this.cache.sysName = sysName;
     this.cache.sysLocation = sysLocation;
     this.cache.sysServices = sysServices;
+
+    // Default thresholds, the same as net-snmp's, for UCD-SNMP-MIB errors
+    this.cache.laConfig = [ 12, 12, 12 ];
+    this.cache.memMinimumSwap = 16000;
+
+    // By default, as in net-snmp, no disks are monitored by dskTable
+    this.cache.disks = [];
+    this.cache.includeAllDisks = null;
+
+    // By default, BRIDGE-MIB describes the first bridge, by name
+    this.cache.bridge = null;
   }
 
   /*
@@ -89,6 +127,58 @@ class SnmpLinuxLib
     this.cache.sysServices = sysServices;
   }
 
+  /*
+   * Set the 1, 5, and 15 minute load averages above which laErrorFlag
+   * indicates an error. As in net-snmp, the 5 and 15 minute thresholds
+   * default to the 1 minute one, and a threshold of 0 disables the check.
+   */
+  setLaConfig(max1, max5 = max1, max15 = max1)
+  {
+    this.cache.laConfig = [ max1, max5, max15 ];
+  }
+
+  /*
+   * Set the amount of available swap space, in kB, below which
+   * memSwapError indicates an error
+   */
+  setMemMinimumSwap(memMinimumSwap)
+  {
+    this.cache.memMinimumSwap = memMinimumSwap;
+  }
+
+  /*
+   * Set the disks to be monitored by dskTable, like net-snmp's `disk`
+   * directive. Each is a map with member `path`, a path on the disk's file
+   * system, and either `minimum`, the free space in kB, or `minPercent`,
+   * the free space as a percentage of the disk's size, below which
+   * dskErrorFlag indicates an error. If neither is given, the minimum is
+   * 100000 kB, as in net-snmp.
+   */
+  setDisks(disks)
+  {
+    this.cache.disks = disks;
+  }
+
+  /*
+   * Additionally monitor, in dskTable, all local disk file systems not
+   * given to setDisks(), like net-snmp's `includeAllDisks` directive, with
+   * the specified minimum free space as a percentage of each disk's size;
+   * or, if null, monitor only the disks given to setDisks()
+   */
+  setIncludeAllDisks(minPercent)
+  {
+    this.cache.includeAllDisks = minPercent;
+  }
+
+  /*
+   * Set the name of the Linux bridge, e.g., "br0", to be described by
+   * BRIDGE-MIB; or, if null, describe the first bridge, by name
+   */
+  setBridge(bridge)
+  {
+    this.cache.bridge = bridge;
+  }
+
 
   /**
    * Waiting on init() to complete allows parsing the PCI ID database only
@@ -101,6 +191,13 @@ class SnmpLinuxLib
     {
       pciIds = await require("./parsePciIds")(this.pciIdPath);
     }
+
+    // Begin sampling processor usage, so that a minute's average processor
+    // load is available for hrProcessorLoad
+    startCpuLoadSampler();
+
+    // Likewise, begin sampling block device usage, for diskIOLA1, etc.
+    startDiskIOSampler();
   }
 
   /*
@@ -712,2808 +809,12293 @@ class SnmpLinuxLib
   }
 
 
-  /*
-   * **********************************************************************
-   * the Address Translation group
-   *
-   * DEPRECATED AND NOT IMPLEMENTED HERE.
-   *
-   * Implementation of the Address Translation group is mandatory for all
-   * systems. Note however that this group is deprecated by MIB-II. That is,
-   * it is being included solely for compatibility with MIB-I nodes, and will
-   * most likely be excluded from MIB-III nodes. From MIB-II and onwards, each
-   * network protocol group contains its own address translation tables.
-   *
-   * The Address Translation group contains one table which is the union
-   * across all interfaces of the translation tables for converting a
-   * NetworkAddress (e.g., an IP address) into a subnetwork-specific address.
-   * For lack of a better term, this document refers to such a
-   * subnetwork-specific address as a `physical' address.
-   *
-   * Examples of such translation tables are: for broadcast media where ARP is
-   * in use, the translation table is equivalent to the ARP cache; or, on an
-   * X.25 network where non-algorithmic translation to X.121 addresses is
-   * required, the translation table contains the NetworkAddress to X.121
-   * address equivalences.
-   * **********************************************************************
-   */
-
-  // async getAtTable() {}
-  // async getAtEntry() {}
-  // async getAtIfIndex() {}
-  // async getAtPhysAddress() {}
-  // async getAtNetAddress() {}
-
-
-
   /*
    * *********************************************************************
-   * the IP group
+   * the Interfaces group extensions (IF-MIB)
    *
-   * Implementation of the IP group is mandatory for all systems.
+   * The ifXTable augments ifTable with additional objects, most notably
+   * the 64-bit "high capacity" counters which do not wrap on fast
+   * interfaces.
    * *********************************************************************
    */
 
-  /*
-   * The indication of whether this entity is acting as an IP gateway in
-   * respect to the forwarding of datagrams received by, but not addressed to,
-   * this entity. IP gateways forward datagrams. IP hosts do not (except those
-   * source-routed via the host).
-   *
-   * Note that for some managed nodes, this object may take on only a subset
-   * of the values possible. Accordingly, it is appropriate for an agent to
-   * return a `badValue' response if a management station attempts to change
-   * this object to an inappropriate value.
-   */
-  async getIpForwarding()
-  {
-    return Promise.resolve()
-      .then(() => fsp.readFile("/proc/sys/net/ipv4/ip_forward"))
-      .then(v => +v.toString().trim()) // file: 1=forwarding, 0=not-forwarding
-      .then(v => v ? 1 : 2);           // ret:  1=forwarding, 2=not-forwarding
-  }
-
-  /*
-   * The default value inserted into the Time-To-Live field of the IP header
-   * of datagrams originated at this entity, whenever a TTL value is not
-   * supplied by the transport layer protocol.
+  /**
+   * A list of interface entries. The number of entries is given by the value
+   * of ifNumber. This table contains additional objects for the interface
+   * table.
    */
-  async getIpDefaultTTL()
+  async getIfXTable()
   {
     return Promise.resolve()
-      .then(() => fsp.readFile("/proc/sys/net/ipv4/ip_default_ttl"))
-      .then(v => +v.toString().trim());
+      .then(() => addIfIndexes())
+      .then((ifNames) =>
+        {
+          return Promise.all(
+            ifNames.map((ifName) =>
+              this.getIfXEntry(ifName, ifIndexMap[ifName])));
+        });
   }
 
-  /*
-   * The total number of input datagrams received from interfaces, including
-   * those received in error.
+  /**
+   * An entry containing additional management information applicable to a
+   * particular interface.
    */
-  async getIpInReceives()
+  async getIfXEntry(ifName, index)
   {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Ip.InReceives % COUNTER_WRAP_AT);
-  }
+    // Read one of this interface's statistics counters, as a string
+    let             readStatistic = async (name) =>
+    {
+      return Promise.resolve()
+        .then(() =>
+          fsp.readFile(`/sys/class/net/${ifName}/statistics/${name}`))
+        .then(v => v.toString().trim());
+    };
 
-  /*
-   * The number of input datagrams discarded due to errors in their IP
-   * headers, including bad checksums, version number mismatch, other format
-   * errors, time-to-live exceeded, errors discovered in processing their IP
-   * options, etc.
-   */
-  async getIpInHdrErrors()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Ip.InHdrErrors % COUNTER_WRAP_AT);
-  }
+    /*
+     * The ifXTable augments ifTable, so each entry needs the index of its
+     * corresponding ifTable entry.
+     */
+    let             ifIndex             = async () =>
+    {
+      // Have we already identified this interface index?
+      if (ifName in ifIndexMap)
+      {
+        // Yup. We can return it immediately.
+        return ifIndexMap[ifName];
+      }
 
-  /*
-   * The number of input datagrams discarded because the IP address in their
-   * IP header's destination field was not a valid address to be received at
-   * this entity. This count includes invalid addresses (e.g., 0.0.0.0) and
-   * addresses of unsupported Classes (e.g., Class E). For entities which are
-   * not IP Gateways and therefore do not forward datagrams, this counter
-   * includes datagrams discarded because the destination address was not a
-   * local address.
-   */
-  async getIpInAddrErrors()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Ip.InAddrErrors % COUNTER_WRAP_AT);
-  }
+      // We need to enumerate all interfaces and get this one's index.
+      return Promise.resolve()
+        .then(() => addIfIndexes())
+        .then(() =>
+          {
+            // It'd better be there now
+            if (! (ifName in ifIndexMap))
+            {
+              throw new Error(`Interface ${ifName} does not exist`);
+            }
 
-  /*
-   * The number of input datagrams for which this entity was not their final
-   * IP destination, as a result of which an attempt was made to find a route
-   * to forward them to that final destination. In entities which do not act
-   * as IP Gateways, this counter will include only those packets which were
-   * Source-Routed via this entity, and the Source- Route option processing
-   * was successful.
-   */
-  async getIpForwDatagrams()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Ip.ForwDatagrams % COUNTER_WRAP_AT);
-  }
+            return ifIndexMap[ifName];
+          });
+    };
 
-  /*
-   * The number of locally-addressed datagrams received successfully but
-   * discarded because of an unknown or unsupported protocol.
-   */
-  async getIpInUnknownProtos()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Ip.InUnknownProtos % COUNTER_WRAP_AT);
-  }
+    /*
+     * The textual name of the interface. The value of this object should be
+     * the name of the interface as assigned by the local device and should
+     * be suitable for use in commands entered at the device's `console'.
+     */
+    let             ifName_             = async () =>
+    {
+      return ifName;
+    };
 
-  /*
-   * The number of input IP datagrams for which no problems were encountered
-   * to prevent their continued processing, but which were discarded (e.g.,
-   * for lack of buffer space). Note that this counter does not include any
-   * datagrams discarded while awaiting re-assembly.
-   */
-  async getIpInDiscards()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Ip.InDiscards % COUNTER_WRAP_AT);
-  }
+    /*
+     * The number of packets, delivered by this sub-layer to a higher
+     * (sub-)layer, which were addressed to a multicast address at this
+     * sub-layer.
+     */
+    let             ifInMulticastPkts   = async () =>
+    {
+      return Promise.resolve()
+        .then(() => readStatistic("multicast"))
+        .then(v => +v % COUNTER_WRAP_AT);
+    };
 
-  /*
-   * The total number of input datagrams successfully delivered to IP
-   * user-protocols (including ICMP).
-   */
-  async getIpInDelivers()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Ip.InDelivers % COUNTER_WRAP_AT);
-  }
+    /*
+     * The number of packets, delivered by this sub-layer to a higher
+     * (sub-)layer, which were addressed to a broadcast address at this
+     * sub-layer.
+     */
+    let             ifInBroadcastPkts   = async () =>
+    {
+      return 0; // Linux does not count received broadcasts separately
+    };
 
-  /*
-   * The total number of IP datagrams which local IP user-protocols (including
-   * ICMP) supplied to IP in requests for transmission. Note that this counter
-   * does not include any datagrams counted in ipForwDatagrams.
-   */
-  async getIpOutRequests()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Ip.OutRequests % COUNTER_WRAP_AT);
-  }
+    /*
+     * The total number of packets that higher-level protocols requested be
+     * transmitted, and which were addressed to a multicast address at this
+     * sub-layer, including those that were discarded or not sent.
+     */
+    let             ifOutMulticastPkts  = async () =>
+    {
+      return 0; // Linux does not count transmitted multicasts
+    };
 
-  /*
-   * The number of output IP datagrams for which no problem was encountered to
-   * prevent their transmission to their destination, but which were discarded
-   * (e.g., for lack of buffer space). Note that this counter would include
-   * datagrams counted in ipForwDatagrams if any such packets met this
-   * (discretionary) discard criterion.
-   */
-  async getIpOutDiscards()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Ip.OutDiscards % COUNTER_WRAP_AT);
-  }
+    /*
+     * The total number of packets that higher-level protocols requested be
+     * transmitted, and which were addressed to a broadcast address at this
+     * sub-layer, including those that were discarded or not sent.
+     */
+    let             ifOutBroadcastPkts  = async () =>
+    {
+      return 0; // Linux does not count transmitted broadcasts
+    };
 
-  /*
-   * The number of IP datagrams discarded because no route could be found to
-   * transmit them to their destination. Note that this counter includes any
-   * packets counted in ipForwDatagrams which meet this `no-route' criterion.
-   * Note that this includes any datagarms which a host cannot route because
-   * all of its default gateways are down.
+    /*
+     * The total number of octets received on the interface, including
+     * framing characters. This object is a 64-bit version of ifInOctets.
+     */
+    let             ifHCInOctets        = async () =>
+    {
+      return Promise.resolve()
+        .then(() => readStatistic("rx_bytes"))
+        .then(v => toCounter64(v));
+    };
+
+    /*
+     * The number of packets, delivered by this sub-layer to a higher
+     * (sub-)layer, which were not addressed to a multicast or broadcast
+     * address at this sub-layer. This object is a 64-bit version of
+     * ifInUcastPkts.
+     */
+    let             ifHCInUcastPkts     = async () =>
+    {
+      return Promise.all(
+        [
+          readStatistic("rx_packets"),
+          readStatistic("multicast")
+        ])
+        .then(
+          (results) =>
+          {
+            let             rx_packets = BigInt(results.shift());
+            let             multicast  = BigInt(results.shift());
+
+            return toCounter64(rx_packets - multicast);
+          });
+    };
+
+    /*
+     * The number of packets, delivered by this sub-layer to a higher
+     * (sub-)layer, which were addressed to a multicast address at this
+     * sub-layer. This object is a 64-bit version of ifInMulticastPkts.
+     */
+    let             ifHCInMulticastPkts = async () =>
+    {
+      return Promise.resolve()
+        .then(() => readStatistic("multicast"))
+        .then(v => toCounter64(v));
+    };
+
+    /*
+     * The number of packets, delivered by this sub-layer to a higher
+     * (sub-)layer, which were addressed to a broadcast address at this
+     * sub-layer. This object is a 64-bit version of ifInBroadcastPkts.
+     */
+    let             ifHCInBroadcastPkts = async () =>
+    {
+      return toCounter64(0); // not counted separately by Linux
+    };
+
+    /*
+     * The total number of octets transmitted out of the interface, including
+     * framing characters. This object is a 64-bit version of ifOutOctets.
+     */
+    let             ifHCOutOctets       = async () =>
+    {
+      return Promise.resolve()
+        .then(() => readStatistic("tx_bytes"))
+        .then(v => toCounter64(v));
+    };
+
+    /*
+     * The total number of packets that higher-level protocols requested be
+     * transmitted, and which were not addressed to a multicast or broadcast
+     * address at this sub-layer, including those that were discarded or not
+     * sent. This object is a 64-bit version of ifOutUcastPkts.
+     */
+    let             ifHCOutUcastPkts    = async () =>
+    {
+      return Promise.resolve()
+        .then(() => readStatistic("tx_packets"))
+        .then(v => toCounter64(v));
+    };
+
+    /*
+     * The total number of packets that higher-level protocols requested be
+     * transmitted, and which were addressed to a multicast address at this
+     * sub-layer, including those that were discarded or not sent. This
+     * object is a 64-bit version of ifOutMulticastPkts.
+     */
+    let             ifHCOutMulticastPkts = async () =>
+    {
+      return toCounter64(0); // not counted by Linux
+    };
+
+    /*
+     * The total number of packets that higher-level protocols requested be
+     * transmitted, and which were addressed to a broadcast address at this
+     * sub-layer, including those that were discarded or not sent. This
+     * object is a 64-bit version of ifOutBroadcastPkts.
+     */
+    let             ifHCOutBroadcastPkts = async () =>
+    {
+      return toCounter64(0); // not counted by Linux
+    };
+
+    /*
+     * Indicates whether linkUp/linkDown traps should be generated for this
+     * interface.
+     */
+    let             ifLinkUpDownTrapEnable = async () =>
+    {
+      return 2;                 // 1=enabled 2=disabled. We send no traps.
+    };
+
+    /*
+     * An estimate of the interface's current bandwidth in units of 1,000,000
+     * bits per second. For interfaces which do not vary in bandwidth or for
+     * those where no accurate estimation can be made, this object should
+     * contain the nominal bandwidth. For a sub-layer which has no concept of
+     * bandwidth, this object should be zero.
+     */
+    let             ifHighSpeed         = async () =>
+    {
+      let             speed;
+
+      // The kernel reports the speed in Mb/s, which is what we want
+      return Promise.resolve()
+        .then(() => fsp.readFile(`/sys/class/net/${ifName}/speed`))
+        .then(v => speed = +v.toString().trim())
+        .catch((e) => speed = 0) // in case it's not available
+        .then(() => Math.min(speed < 0 ? 0 : speed, GAUGE_MAX));
+    };
+
+    /*
+     * This object has a value of false(2) if this interface only accepts
+     * packets/frames that are addressed to this station. This object has a
+     * value of true(1) when the station accepts all packets/frames
+     * transmitted on the media.
+     */
+    let             ifPromiscuousMode   = async () =>
+    {
+      const           IFF_PROMISC = 0x100;
+
+      return Promise.resolve()
+        .then(() => fsp.readFile(`/sys/class/net/${ifName}/flags`))
+        .then(v => parseInt(v.toString().trim(), 16))
+        .then(v => (v & IFF_PROMISC) ? 1 : 2); // 1=true 2=false
+    };
+
+    /*
+     * This object has the value 'true(1)' if the interface sublayer has a
+     * physical connector and the value 'false(2)' otherwise.
+     */
+    let             ifConnectorPresent  = async () =>
+    {
+      // Only interfaces backed by a physical device have a `device` link
+      return Promise.resolve()
+        .then(() => fsp.access(`/sys/class/net/${ifName}/device`))
+        .then(() => 1)          // 1=true
+        .catch((e) => 2);       // 2=false
+    };
+
+    /*
+     * This object is an 'alias' name for the interface as specified by a
+     * network manager, and provides a non-volatile 'handle' for the
+     * interface.
+     */
+    let             ifAlias             = async () =>
+    {
+      // The alias is set with `ip link set <ifName> alias <alias>`
+      return Promise.resolve()
+        .then(() => fsp.readFile(`/sys/class/net/${ifName}/ifalias`))
+        .then(v => v.toString().trim())
+        .catch((e) => "");
+    };
+
+    /*
+     * The value of sysUpTime on the most recent occasion at which any one or
+     * more of this interface's counters suffered a discontinuity. If no such
+     * discontinuities have occurred since the last re-initialization of the
+     * local management subsystem, then this object contains a zero value.
+     */
+    let             ifCounterDiscontinuityTime = async () =>
+    {
+      return 0; // Assume counters have been continuous since startup
+    };
+
+
+    return Promise.all(
+      [
+        ifIndex(),
+        ifName_(),
+        ifInMulticastPkts(),
+        ifInBroadcastPkts(),
+        ifOutMulticastPkts(),
+        ifOutBroadcastPkts(),
+        ifHCInOctets(),
+        ifHCInUcastPkts(),
+        ifHCInMulticastPkts(),
+        ifHCInBroadcastPkts(),
+        ifHCOutOctets(),
+        ifHCOutUcastPkts(),
+        ifHCOutMulticastPkts(),
+        ifHCOutBroadcastPkts(),
+        ifLinkUpDownTrapEnable(),
+        ifHighSpeed(),
+        ifPromiscuousMode(),
+        ifConnectorPresent(),
+        ifAlias(),
+        ifCounterDiscontinuityTime()
+      ])
+      .then((results) =>
+        {
+          let result =
+            {
+              ifIndex                    : results.shift(),
+              ifName                     : results.shift(),
+              ifInMulticastPkts          : results.shift(),
+              ifInBroadcastPkts          : results.shift(),
+              ifOutMulticastPkts         : results.shift(),
+              ifOutBroadcastPkts         : results.shift(),
+              ifHCInOctets               : results.shift(),
+              ifHCInUcastPkts            : results.shift(),
+              ifHCInMulticastPkts        : results.shift(),
+              ifHCInBroadcastPkts        : results.shift(),
+              ifHCOutOctets              : results.shift(),
+              ifHCOutUcastPkts           : results.shift(),
+              ifHCOutMulticastPkts       : results.shift(),
+              ifHCOutBroadcastPkts       : results.shift(),
+              ifLinkUpDownTrapEnable     : results.shift(),
+              ifHighSpeed                : results.shift(),
+              ifPromiscuousMode          : results.shift(),
+              ifConnectorPresent         : results.shift(),
+              ifAlias                    : results.shift(),
+              ifCounterDiscontinuityTime : results.shift()
+            };
+
+          return result;
+        });
+  }
+
+  /**
+   * Get the relationships between the interfaces' sub-layers, e.g., that a
+   * VLAN interface, eth0.100, runs on top of its parent, eth0, or a bridge
+   * on top of its ports. They are the `lower_*` links in each interface's
+   * /sys/class/net directory.
+   *
+   * @return {Array}
+   *   An array of maps, one for each relationship, sorted by its indexes,
+   *   each containing the following members:
+   *
+   *   ifStackHigherLayer
+   *     The ifIndex of the higher sub-layer, or 0 for the relationship of
+   *     an interface that has no other interface on top of it
+   *
+   *   ifStackLowerLayer
+   *     The ifIndex of the lower sub-layer, or 0 for the relationship of
+   *     an interface that runs on top of no other interface
+   *
+   *   ifStackStatus
+   *     Always 1 (active)
    */
-  async getIpOutNoRoutes()
+  async getIfStackTable()
   {
+    let             ifNames;
+
     return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Ip.OutNoRoutes % COUNTER_WRAP_AT);
+      .then(() => addIfIndexes())
+      .then(
+        (names) =>
+        {
+          ifNames = names;
+
+          return Promise.allSettled(
+            ifNames.map((ifName) => fsp.readdir(`/sys/class/net/${ifName}`)));
+        })
+      .then(
+        (results) =>
+        {
+          let             stack = [];
+          let             bHasHigher = {};
+          let             bHasLower = {};
+
+          ifNames.forEach(
+            (ifName, i) =>
+            {
+              // Ignore interfaces removed since being listed
+              if (results[i].status != "fulfilled")
+              {
+                return;
+              }
+
+              results[i].value
+                .filter((entry) => entry.startsWith("lower_"))
+                .map((entry) => entry.slice("lower_".length))
+                .filter((lower) => lower in ifIndexMap)
+                .forEach(
+                  (lower) =>
+                  {
+                    stack.push([ ifIndexMap[ifName], ifIndexMap[lower] ]);
+                    bHasLower[ifName] = true;
+                    bHasHigher[lower] = true;
+                  });
+            });
+
+          // Every interface is also at the top and the bottom of the stack
+          ifNames.forEach(
+            (ifName, i) =>
+            {
+              if (results[i].status != "fulfilled")
+              {
+                return;
+              }
+
+              if (! bHasHigher[ifName])
+              {
+                stack.push([ 0, ifIndexMap[ifName] ]);
+              }
+
+              if (! bHasLower[ifName])
+              {
+                stack.push([ ifIndexMap[ifName], 0 ]);
+              }
+            });
+
+          return stack
+            .sort((a, b) => (a[0] - b[0]) || (a[1] - b[1]))
+            .map(
+              ([ higher, lower ]) =>
+              {
+                return (
+                  {
+                    ifStackHigherLayer : higher,
+                    ifStackLowerLayer  : lower,
+                    ifStackStatus      : 1 // active
+                  });
+              });
+        });
   }
 
+
   /*
-   * The maximum number of seconds which received fragments are held while
-   * they are awaiting reassembly at this entity.
+   * *********************************************************************
+   * the Ethernet-like interface statistics (EtherLike-MIB)
+   * *********************************************************************
    */
-  async getIpReasmTimeout()
+
+  /**
+   * Get the Ethernet-specific statistics of each Ethernet-like interface.
+   * The kernel does not count SQE test errors, deferred transmissions, or
+   * symbol errors, so those are always zero.
+   *
+   * The kernel's `collisions` statistic is also not used. It is the total
+   * number of collisions, whereas dot3StatsSingleCollisionFrames and
+   * dot3StatsMultipleCollisionFrames count the frames that were
+   * transmitted after exactly one, and after more than one, collision. A
+   * frame that needed several attempts adds several to the total, so the
+   * number of frames in either column can't be derived from it.
+   *
+   * @return {Array}
+   *   An array of maps, one for each interface whose hardware type is
+   *   Ethernet, each containing the following members:
+   *
+   *   dot3StatsIndex
+   *     The interface's ifIndex
+   *
+   *   dot3StatsAlignmentErrors
+   *     The number of frames received that were not an integral number of
+   *     octets in length and did not pass the FCS check
+   *
+   *   dot3StatsFCSErrors
+   *     The number of frames received that did not pass the FCS check
+   *
+   *   dot3StatsSingleCollisionFrames
+   *     Always 0, as described above
+   *
+   *   dot3StatsMultipleCollisionFrames
+   *     Always 0, as described above
+   *
+   *   dot3StatsSQETestErrors
+   *     Always 0
+   *
+   *   dot3StatsDeferredTransmissions
+   *     Always 0
+   *
+   *   dot3StatsLateCollisions
+   *     The number of collisions detected later than one slotTime into the
+   *     transmission of a frame
+   *
+   *   dot3StatsExcessiveCollisions
+   *     The number of frames whose transmission was aborted, which is
+   *     typically due to excessive collisions
+   *
+   *   dot3StatsInternalMacTransmitErrors
+   *     The number of frames not transmitted due to a transmit FIFO error
+   *
+   *   dot3StatsCarrierSenseErrors
+   *     The number of frames not transmitted due to loss of carrier
+   *
+   *   dot3StatsFrameTooLongs
+   *     The number of frames received with an invalid length
+   *
+   *   dot3StatsInternalMacReceiveErrors
+   *     The number of frames not received due to a receive FIFO error
+   *
+   *   dot3StatsEtherChipSet
+   *     The chipset that realizes the interface. Always "0.0" (unknown).
+   *
+   *   dot3StatsSymbolErrors
+   *     Always 0
+   *
+   *   dot3StatsDuplexStatus
+   *     The current duplex mode: 1=unknown 2=halfDuplex 3=fullDuplex
+   *
+   *   dot3StatsRateControlAbility
+   *     Always 2 (false)
+   *
+   *   dot3StatsRateControlStatus
+   *     Always 1 (rateControlOff)
+   */
+  async getDot3StatsTable()
   {
     return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Ip.ReasmTimeout);
+      .then(() => getEthernetStats())
+      .then(
+        (interfaces) =>
+        {
+          return interfaces.map(
+            (iface) =>
+            {
+              const           stats = iface.stats;
+              const           duplexStatus =
+                {
+                  half : 2,             // halfDuplex
+                  full : 3              // fullDuplex
+                }[iface.duplex] || 1;   // unknown
+
+              return (
+                {
+                  dot3StatsIndex                     : iface.ifIndex,
+                  dot3StatsAlignmentErrors           : stats.rx_frame_errors,
+                  dot3StatsFCSErrors                 : stats.rx_crc_errors,
+                  dot3StatsSingleCollisionFrames     : 0,
+                  dot3StatsMultipleCollisionFrames   : 0,
+                  dot3StatsSQETestErrors             : 0,
+                  dot3StatsDeferredTransmissions     : 0,
+                  dot3StatsLateCollisions            : stats.tx_window_errors,
+                  dot3StatsExcessiveCollisions       : stats.tx_aborted_errors,
+                  dot3StatsInternalMacTransmitErrors : stats.tx_fifo_errors,
+                  dot3StatsCarrierSenseErrors        : stats.tx_carrier_errors,
+                  dot3StatsFrameTooLongs             : stats.rx_length_errors,
+                  dot3StatsInternalMacReceiveErrors  : stats.rx_fifo_errors,
+                  dot3StatsEtherChipSet              : "0.0",
+                  dot3StatsSymbolErrors              : 0,
+                  dot3StatsDuplexStatus              : duplexStatus,
+                  dot3StatsRateControlAbility        : 2, // false
+                  dot3StatsRateControlStatus         : 1  // rateControlOff
+                });
+            });
+        });
   }
 
+
   /*
-   * The number of IP fragments received which needed to be reassembled at
-   * this entity.
+   * *********************************************************************
+   * the Bridge MIB (BRIDGE-MIB)
+   *
+   * BRIDGE-MIB describes a single bridge. If the host has more than one
+   * Linux bridge, the one given to setBridge() is described; otherwise,
+   * the first by name. Without any bridge, the scalars are zero and the
+   * tables are empty.
+   * *********************************************************************
    */
-  async getIpReasmReqds()
+
+  /* The MAC address used by the bridge */
+  async getDot1dBaseBridgeAddress()
   {
     return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Ip.ReasmReqds % COUNTER_WRAP_AT);
+      .then(() => getBridge(this.cache.bridge))
+      .then((bridge) => bridge ? bridge.address : Buffer.alloc(6));
   }
 
-  /*
-   * The number of IP datagrams successfully re- assembled.
-   */
-  async getIpReasmOKs()
+  /* The number of ports controlled by the bridge */
+  async getDot1dBaseNumPorts()
   {
     return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Ip.ReasmOKs % COUNTER_WRAP_AT);
+      .then(() => getBridge(this.cache.bridge))
+      .then((bridge) => bridge ? bridge.ports.length : 0);
   }
 
-  /*
-   * The number of failures detected by the IP re- assembly algorithm (for
-   * whatever reason: timed out, errors, etc). Note that this is not
-   * necessarily a count of discarded IP fragments since some algorithms
-   * (notably the algorithm in RFC 815) can lose track of the number of
-   * fragments by combining them as they are received.
+  /* The type of bridging performed. Always 2 (transparent-only). */
+  async getDot1dBaseType()
+  {
+    return 2;
+  }
+
+  /**
+   * Get the ports of the bridge
+   *
+   * @return {Array}
+   *   An array of maps, one for each port, each containing the following
+   *   members:
+   *
+   *   dot1dBasePort
+   *     The port number, as assigned by the kernel
+   *
+   *   dot1dBasePortIfIndex
+   *     The ifIndex of the port's interface
+   *
+   *   dot1dBasePortCircuit
+   *     Always "0.0", as each port has its own interface
+   *
+   *   dot1dBasePortDelayExceededDiscards
+   *     Always 0
+   *
+   *   dot1dBasePortMtuExceededDiscards
+   *     Always 0
    */
-  async getIpReasmFails()
+  async getDot1dBasePortTable()
   {
     return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Ip.ReasmFails % COUNTER_WRAP_AT);
+      .then(() => getBridge(this.cache.bridge))
+      .then(
+        (bridge) =>
+        {
+          return (bridge ? bridge.ports : []).map(
+            (port) =>
+            {
+              return (
+                {
+                  dot1dBasePort                      : port.portNo,
+                  dot1dBasePortIfIndex               : port.ifIndex,
+                  dot1dBasePortCircuit               : "0.0",
+                  dot1dBasePortDelayExceededDiscards : 0,
+                  dot1dBasePortMtuExceededDiscards   : 0
+                });
+            });
+        });
   }
 
-  /*
-   * The number of IP datagrams that have been successfully fragmented at this
-   * entity.
-   */
-  async getIpFragOKs()
+  /* The version of the Spanning Tree Protocol. Always 3 (ieee8021d). */
+  async getDot1dStpProtocolSpecification()
+  {
+    return 3;
+  }
+
+  /* The priority portion of the bridge ID */
+  async getDot1dStpPriority()
   {
     return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Ip.FragOKs % COUNTER_WRAP_AT);
+      .then(() => getBridge(this.cache.bridge))
+      .then((bridge) => bridge ? bridge.priority : 0);
   }
 
   /*
-   * The number of IP datagrams that have been discarded because they needed
-   * to be fragmented at this entity but could not be, e.g., because their
-   * Don't Fragment flag was set.
+   * The time since a topology change was last detected. Always 0, as the
+   * kernel does not report it.
    */
-  async getIpFragFails()
+  async getDot1dStpTimeSinceTopologyChange()
   {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Ip.FragFails % COUNTER_WRAP_AT);
+    return 0;
   }
 
   /*
-   * The number of IP datagram fragments that have been generated as a result
-   * of fragmentation at this entity.
+   * The number of topology changes detected. Always 0, as the kernel does
+   * not count them.
    */
-  async getIpFragCreates()
+  async getDot1dStpTopChanges()
   {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Ip.FragCreates % COUNTER_WRAP_AT);
+    return 0;
+  }
+
+  /* The bridge ID of the root of the spanning tree */
+  async getDot1dStpDesignatedRoot()
+  {
+    return Promise.resolve()
+      .then(() => getBridge(this.cache.bridge))
+      .then((bridge) => bridge ? bridge.rootId : Buffer.alloc(8));
+  }
+
+  /* The cost of the path to the root */
+  async getDot1dStpRootCost()
+  {
+    return Promise.resolve()
+      .then(() => getBridge(this.cache.bridge))
+      .then((bridge) => bridge ? bridge.rootPathCost : 0);
+  }
+
+  /* The port number of the port on the path to the root, or 0 if root */
+  async getDot1dStpRootPort()
+  {
+    return Promise.resolve()
+      .then(() => getBridge(this.cache.bridge))
+      .then((bridge) => bridge ? bridge.rootPort : 0);
+  }
+
+  /* The maximum age of received STP information, in centi-seconds */
+  async getDot1dStpMaxAge()
+  {
+    return Promise.resolve()
+      .then(() => getBridge(this.cache.bridge))
+      .then((bridge) => bridge ? bridge.maxAge : 0);
   }
 
+  /* The time between transmitted configuration BPDUs, in centi-seconds */
+  async getDot1dStpHelloTime()
+  {
+    return Promise.resolve()
+      .then(() => getBridge(this.cache.bridge))
+      .then((bridge) => bridge ? bridge.helloTime : 0);
+  }
 
   /*
-   * **********************************************************************
-   * the IP address table
-   *
-   * The IP address table contains this entity's IP addressing information.
-   * **********************************************************************
+   * The minimum time between transmitted configuration BPDUs, in
+   * centi-seconds. Always 100, the kernel's fixed hold time of one second.
    */
+  async getDot1dStpHoldTime()
+  {
+    return 100;
+  }
+
+  /* The time spent in each of the listening and learning states */
+  async getDot1dStpForwardDelay()
+  {
+    return Promise.resolve()
+      .then(() => getBridge(this.cache.bridge))
+      .then((bridge) => bridge ? bridge.forwardDelay : 0);
+  }
 
   /*
-   * The table of addressing information relevant to this entity's IP
-   * addresses.
+   * The maximum age used when this bridge is the root. The kernel reports
+   * only the value in use, which is this one once it is the root.
    */
-  async getIpAddrTable()
+  async getDot1dStpBridgeMaxAge()
   {
-    const           addressInfo = await getAddressInfo();
-    const           byIpAddr = addressInfo.byIpAddr;
+    return this.getDot1dStpMaxAge();
+  }
+
+  /* The hello time used when this bridge is the root */
+  async getDot1dStpBridgeHelloTime()
+  {
+    return this.getDot1dStpHelloTime();
+  }
+
+  /* The forward delay used when this bridge is the root */
+  async getDot1dStpBridgeForwardDelay()
+  {
+    return this.getDot1dStpForwardDelay();
+  }
+
+  /**
+   * Get the Spanning Tree Protocol state of each port of the bridge
+   *
+   * @return {Array}
+   *   An array of maps, one for each port, each containing the following
+   *   members:
+   *
+   *   dot1dStpPort
+   *     The port number, as assigned by the kernel
+   *
+   *   dot1dStpPortPriority
+   *     The priority portion of the port ID
+   *
+   *   dot1dStpPortState
+   *     The port's state: 1=disabled 2=blocking 3=listening 4=learning
+   *     5=forwarding
+   *
+   *   dot1dStpPortEnable
+   *     1=enabled 2=disabled
+   *
+   *   dot1dStpPortPathCost
+   *     The port's path cost, clamped to 65535
+   *
+   *   dot1dStpPortDesignatedRoot
+   *     The bridge ID of the root, as recorded by the designated bridge of
+   *     the port's segment
+   *
+   *   dot1dStpPortDesignatedCost
+   *     The path cost of the designated port of the port's segment
+   *
+   *   dot1dStpPortDesignatedBridge
+   *     The bridge ID of the designated bridge of the port's segment
+   *
+   *   dot1dStpPortDesignatedPort
+   *     The port ID of the designated port of the port's segment
+   *
+   *   dot1dStpPortForwardTransitions
+   *     Always 0, as the kernel does not count them
+   *
+   *   dot1dStpPortPathCost32
+   *     The port's path cost
+   */
+  async getDot1dStpPortTable()
+  {
+    // Map the kernel's port states to those of dot1dStpPortState
+    const           stateMap =
+      [
+        1,                      // BR_STATE_DISABLED   -> disabled
+        3,                      // BR_STATE_LISTENING  -> listening
+        4,                      // BR_STATE_LEARNING   -> learning
+        5,                      // BR_STATE_FORWARDING -> forwarding
+        2                       // BR_STATE_BLOCKING   -> blocking
+      ];
 
     return Promise.resolve()
+      .then(() => getBridge(this.cache.bridge))
       .then(
-        () =>
+        (bridge) =>
         {
-          let             ipAddr;
-          let             promises = [];
-
-          // Call `getIpAddrEntry` for each IPv4 address, binding the
-          // just-retrieved addressInfo so that `getIpAddrEntry` need
-          // not re-retrieve it.
-          for (ipAddr in byIpAddr.IPv4)
-          {
-            promises.push(this.getIpAddrEntry.bind(addressInfo)(ipAddr));
-          }
+          return (bridge ? bridge.ports : []).map(
+            (port) =>
+            {
+              const           state = stateMap[port.state] || 1;
 
-          return Promise.all(promises);
+              return (
+                {
+                  dot1dStpPort                   : port.portNo,
+                  dot1dStpPortPriority           : port.portId >> 8,
+                  dot1dStpPortState              : state,
+                  dot1dStpPortEnable             : state == 1 ? 2 : 1,
+                  dot1dStpPortPathCost           :
+                    Math.min(Math.max(port.pathCost, 1), 65535),
+                  dot1dStpPortDesignatedRoot     : port.designatedRoot,
+                  dot1dStpPortDesignatedCost     : port.designatedCost,
+                  dot1dStpPortDesignatedBridge   : port.designatedBridge,
+                  dot1dStpPortDesignatedPort     :
+                    Buffer.from(
+                      [ port.designatedPort >> 8, port.designatedPort & 0xff ]),
+                  dot1dStpPortForwardTransitions : 0,
+                  dot1dStpPortPathCost32         :
+                    Math.min(Math.max(port.pathCost, 1), 200000000)
+                });
+            });
         });
   }
 
   /*
-   * The addressing information for one of this entity's IP addresses.
+   * The number of forwarding database entries discarded for lack of space.
+   * Always 0, as the kernel does not count them.
    */
-  async getIpAddrEntry(ipAddr)
+  async getDot1dTpLearnedEntryDiscards()
   {
-    let             entry;
-    let             addressInfo;
+    return 0;
+  }
 
-    // If we were called externally, `this` will be our class. If we
-    // were called from `getIpAddrTable`, above, `this` will be the
-    // already-ascertained address information. If the address info is
-    // already available, we save ourselves a library call for each
-    // entry.
-    if (this instanceof SnmpLinuxLib)
-    {
-      addressInfo = await getAddressInfo();
-    }
-    else
-    {
-      addressInfo = this; // already have addressInfo from getIpAddrTable
-    }
+  /* The timeout, in seconds, for aging out learned forwarding entries */
+  async getDot1dTpAgingTime()
+  {
+    return Promise.resolve()
+      .then(() => getBridge(this.cache.bridge))
+      .then((bridge) => bridge ? Math.floor(bridge.ageingTime / 100) : 0);
+  }
 
-    // Get the information about this address
-    entry = addressInfo.byIpAddr.IPv4[ipAddr];
+  /**
+   * Get the bridge's forwarding database
+   *
+   * @return {Array}
+   *   An array of maps, one for each MAC address in the bridge's
+   *   forwarding database, each containing the following members:
+   *
+   *   dot1dTpFdbAddress
+   *     The MAC address
+   *
+   *   dot1dTpFdbPort
+   *     The number of the port on which the address was seen
+   *
+   *   dot1dTpFdbStatus
+   *     3=learned, or 4=self for the addresses of the bridge's own ports
+   */
+  async getDot1dTpFdbTable()
+  {
+    return Promise.resolve()
+      .then(() => getBridge(this.cache.bridge))
+      .then((bridge) => bridge ? getBridgeFdb(bridge.name) : [])
+      .then(
+        (entries) =>
+        {
+          return entries.map(
+            (entry) =>
+            {
+              return (
+                {
+                  dot1dTpFdbAddress : entry.address,
+                  dot1dTpFdbPort    : entry.portNo,
+                  dot1dTpFdbStatus  : entry.bLocal ? 4 : 3 // self : learned
+                });
+            });
+        });
+  }
 
-    /*
-     * The IP address to which this entry's addressing information pertains.
-     */
-    let             ipAdEntAddr = async () =>
-    {
-      return ipAddr;
-    };
 
-    /*
-     * The index value which uniquely identifies the interface to which this
-     * entry is applicable. The interface identified by a particular value of
-     * this index is the same interface as identified by the same value of
-     * ifIndex.
-     */
-    let             ipAdEntIfIndex = async () =>
-    {
-      return Promise.resolve()
-        .then(() => addIfIndexes())
-        .then(() =>
-          {
-            // It'd better be there now
-            if (! (entry.interface in ifIndexMap))
-            {
-              throw new Error(`Interface ${entry.interface} does not exist`);
-            }
+  /*
+   * *********************************************************************
+   * the VLAN bridge MIB (Q-BRIDGE-MIB)
+   *
+   * The VLANs are those of the host's 802.1Q VLAN interfaces, e.g.,
+   * eth0.100, as listed in /proc/net/vlan/config. The ports of this MIB,
+   * both in its port lists and as the dot1dBasePort index of its
+   * statistics tables, are those of the bridge described by BRIDGE-MIB,
+   * numbered as in dot1dBasePortTable. A VLAN interface is on the port
+   * that is the interface itself, if it is a port of the bridge, or else
+   * its parent, e.g., eth0. VLAN interfaces on neither are in no port list
+   * and have no statistics entry; they are still described by
+   * ifStackTable, and by `getVlanInterfaces`.
+   * *********************************************************************
+   */
 
-            return ifIndexMap[entry.interface];
-          });
-    };
+  /* The version of IEEE 802.1Q supported. Always 1 (version1). */
+  async getDot1qVlanVersionNumber()
+  {
+    return 1;
+  }
 
-    /*
-     * The subnet mask associated with the IP address of this entry. The value
-     * of the mask is an IP address with all the network bits set to 1 and all
-     * the hosts bits set to 0.
-     */
-    let             ipAdEntNetMask = async () =>
-    {
-      return entry.netmask;
-    };
+  /* The maximum VLAN ID supported */
+  async getDot1qMaxVlanId()
+  {
+    return 4094;
+  }
 
-    /*
-     * The value of the least-significant bit in the IP broadcast address used
-     * for sending datagrams on the (logical) interface associated with the IP
-     * address of this entry. For example, when the Internet standard all-ones
-     * broadcast address is used, the value will be 1. This value applies to
-     * both the subnet and network broadcasts addresses used by the entity on
-     * this (logical) interface.
-     */
-    let             ipAdEntBcastAddr = async () =>
-    {
-      let             i;
-      let             octet;
-      let             bits = [];
-      let             cidr = entry.cidr;
-      let             [ ip, netmask ] = cidr.split("/");
+  /* The maximum number of VLANs supported */
+  async getDot1qMaxSupportedVlans()
+  {
+    return 4094;
+  }
 
-      // Split the IP address apart at dots
-      ip = ip.split(".");
+  /* The number of VLANs currently configured */
+  async getDot1qNumVlans()
+  {
+    return Promise.resolve()
+      .then(() => getVlans(this.cache.startTime, this.cache.bridge))
+      .then((vlans) => vlans.length);
+  }
 
-      // For each component of the IP address...
-      ip.forEach(
-        (octet) =>
+  /**
+   * Get the VLANs currently configured
+   *
+   * @return {Array}
+   *   An array of maps, one for each VLAN, each containing the following
+   *   members:
+   *
+   *   dot1qVlanTimeMark
+   *     Always 0, so that every VLAN is reported
+   *
+   *   dot1qVlanIndex
+   *     The VLAN ID
+   *
+   *   dot1qVlanFdbId
+   *     Always 0, as VLAN interfaces have no filtering database
+   *
+   *   dot1qVlanCurrentEgressPorts
+   *     The port list of the bridge ports of this VLAN's interfaces
+   *
+   *   dot1qVlanCurrentUntaggedPorts
+   *     An empty port list, as VLAN interfaces transmit only tagged frames
+   *
+   *   dot1qVlanStatus
+   *     Always 1 (other), as VLAN interfaces do not persist across reboots
+   *
+   *   dot1qVlanCreationTime
+   *     The value of sysUpTime when the VLAN was first seen, or 0 if it
+   *     already existed when VLANs were first enumerated
+   */
+  async getDot1qVlanCurrentTable()
+  {
+    return Promise.resolve()
+      .then(() => getVlans(this.cache.startTime, this.cache.bridge))
+      .then(
+        (vlans) =>
         {
-          // convert it to binary, left-pad with zeros, take
-          // right-most 8 characters
-          bits.push(("00000000" + (+octet).toString(2)).substr(-8));
+          return vlans.map(
+            (vlan) =>
+            {
+              return (
+                {
+                  dot1qVlanTimeMark             : 0,
+                  dot1qVlanIndex                : vlan.vlanId,
+                  dot1qVlanFdbId                : 0,
+                  dot1qVlanCurrentEgressPorts   :
+                    makePortList(
+                      vlan.interfaces
+                        .map((iface) => iface.port)
+                        .filter((port) => port)),
+                  dot1qVlanCurrentUntaggedPorts : makePortList([]),
+                  dot1qVlanStatus               : 1, // other
+                  dot1qVlanCreationTime         : vlan.creationTime
+                });
+            });
         });
+  }
 
-      // Get a single cohesive bitstring
-      bits = bits.join("");
+  /**
+   * Get the configuration of each VLAN
+   *
+   * @return {Array}
+   *   An array of maps, one for each VLAN, each containing the following
+   *   members:
+   *
+   *   dot1qVlanIndex
+   *     The VLAN ID
+   *
+   *   dot1qVlanStaticName
+   *     The names of this VLAN's interfaces, separated by commas
+   *
+   *   dot1qVlanStaticEgressPorts
+   *     The port list of the bridge ports of this VLAN's interfaces
+   *
+   *   dot1qVlanForbiddenEgressPorts
+   *     An empty port list
+   *
+   *   dot1qVlanStaticUntaggedPorts
+   *     An empty port list
+   *
+   *   dot1qVlanStaticRowStatus
+   *     Always 1 (active)
+   */
+  async getDot1qVlanStaticTable()
+  {
+    return Promise.resolve()
+      .then(() => getVlans(this.cache.startTime, this.cache.bridge))
+      .then(
+        (vlans) =>
+        {
+          return vlans.map(
+            (vlan) =>
+            {
+              return (
+                {
+                  dot1qVlanIndex                : vlan.vlanId,
+                  dot1qVlanStaticName           :
+                    truncateOctets(
+                      vlan.interfaces.map((iface) => iface.name).join(","),
+                      32),
+                  dot1qVlanStaticEgressPorts    :
+                    makePortList(
+                      vlan.interfaces
+                        .map((iface) => iface.port)
+                        .filter((port) => port)),
+                  dot1qVlanForbiddenEgressPorts : makePortList([]),
+                  dot1qVlanStaticUntaggedPorts  : makePortList([]),
+                  dot1qVlanStaticRowStatus      : 1 // active
+                });
+            });
+        });
+  }
 
-      // Make our life easy by separating it into one character per
-      // array element
-      bits = bits.split("");
+  /**
+   * Get the traffic statistics of each VLAN interface on a bridge port
+   *
+   * @return {Array}
+   *   An array of maps, one for each VLAN interface on a bridge port, each
+   *   containing the following members:
+   *
+   *   dot1dBasePort
+   *     The number of the interface's bridge port
+   *
+   *   dot1qVlanIndex
+   *     The interface's VLAN ID
+   *
+   *   dot1qTpVlanPortInFrames
+   *     The number of frames received on the interface
+   *
+   *   dot1qTpVlanPortOutFrames
+   *     The number of frames transmitted on the interface
+   *
+   *   dot1qTpVlanPortInDiscards
+   *     Always 0, as the kernel does not count them per VLAN
+   *
+   *   dot1qTpVlanPortInOverflowFrames
+   *     The number of times dot1qTpVlanPortInFrames has wrapped
+   *
+   *   dot1qTpVlanPortOutOverflowFrames
+   *     The number of times dot1qTpVlanPortOutFrames has wrapped
+   *
+   *   dot1qTpVlanPortInOverflowDiscards
+   *     Always 0
+   */
+  async getDot1qPortVlanStatisticsTable()
+  {
+    return Promise.resolve()
+      .then(
+        () => getVlanInterfaces(this.cache.startTime, this.cache.bridge))
+      .then(
+        (interfaces) =>
+        {
+          return interfaces
+            .filter((iface) => iface.port)
+            .map(
+              (iface) =>
+              {
+                return (
+                  {
+                    dot1dBasePort                     : iface.port,
+                    dot1qVlanIndex                    : iface.vlanId,
+                    dot1qTpVlanPortInFrames           :
+                      iface.inFrames % COUNTER_WRAP_AT,
+                    dot1qTpVlanPortOutFrames          :
+                      iface.outFrames % COUNTER_WRAP_AT,
+                    dot1qTpVlanPortInDiscards         : 0,
+                    dot1qTpVlanPortInOverflowFrames   :
+                      Math.floor(iface.inFrames / COUNTER_WRAP_AT),
+                    dot1qTpVlanPortOutOverflowFrames  :
+                      Math.floor(iface.outFrames / COUNTER_WRAP_AT),
+                    dot1qTpVlanPortInOverflowDiscards : 0
+                  });
+              });
+        });
+  }
 
-      // Set the netmask-indicated bits to 1
-      for (i = netmask; i < 32; i++)
-      {
-        bits[i] = "1";
-      }
-
-      // Rejoin the bits into a cohesive string
-      bits = bits.join("");
-
-      // Split the bits apart at 8-bit boundaries. Convert each set of
-      // 8 bits to an integer.
-      ip = [];
-      for (i = 0; i < 32; i += 8)
-      {
-        octet = bits.substr(i, 8);
-        octet = parseInt(octet, 2);
-        ip.push(octet);
-      }
-
-      // This object is defined to return only the low-order bit.
-      // What is the point of accessing only the low-order bit of the
-      // broadcast address???
-      return ip[3] & 0x01;
-
-
-/*
-      // Turn it back into IP address string format
-      return ip.join(".");
-*/
-    };
-
-    /*
-     * The size of the largest IP datagram which this entity can re-assemble
-     * from incoming IP fragmented datagrams received on this interface.
-     */
-    let             ipAdEntReasmMaxSize = async () =>
-    {
-      return 65535;             // TODO: how do we determine this?
-    };
-
-    return Promise.all(
-      [
-        ipAdEntAddr(),
-        ipAdEntIfIndex(),
-        ipAdEntNetMask(),
-        ipAdEntBcastAddr(),
-        ipAdEntReasmMaxSize()
-      ])
-      .then((results) =>
+  /**
+   * Get the traffic statistics of each VLAN interface on a bridge port, as
+   * 64-bit counters
+   *
+   * @return {Array}
+   *   An array of maps, one for each VLAN interface on a bridge port, each
+   *   containing the following members:
+   *
+   *   dot1dBasePort
+   *     The number of the interface's bridge port
+   *
+   *   dot1qVlanIndex
+   *     The interface's VLAN ID
+   *
+   *   dot1qTpVlanPortHCInFrames
+   *     The number of frames received on the interface
+   *
+   *   dot1qTpVlanPortHCOutFrames
+   *     The number of frames transmitted on the interface
+   *
+   *   dot1qTpVlanPortHCInDiscards
+   *     Always 0, as the kernel does not count them per VLAN
+   */
+  async getDot1qPortVlanHCStatisticsTable()
+  {
+    return Promise.resolve()
+      .then(
+        () => getVlanInterfaces(this.cache.startTime, this.cache.bridge))
+      .then(
+        (interfaces) =>
         {
-          let result =
-            {
-              ipAdEntAddr         : results.shift(),
-              ipAdEntIfIndex      : results.shift(),
-              ipAdEntNetMask      : results.shift(),
-              ipAdEntBcastAddr    : results.shift(),
-              ipAdEntReasmMaxSize : results.shift()
-            };
-
-          return result;
+          return interfaces
+            .filter((iface) => iface.port)
+            .map(
+              (iface) =>
+              {
+                return (
+                  {
+                    dot1dBasePort               : iface.port,
+                    dot1qVlanIndex              : iface.vlanId,
+                    dot1qTpVlanPortHCInFrames   : toCounter64(iface.inFrames),
+                    dot1qTpVlanPortHCOutFrames  : toCounter64(iface.outFrames),
+                    dot1qTpVlanPortHCInDiscards : toCounter64(0)
+                  });
+              });
         });
   }
 
-  /*
-   * **********************************************************************
-   * the IP routing table
-   *
-   * The IP routing table contains an entry for each route
-   * presently known to this entity.
-   * **********************************************************************
-   */
-
-  /*
-   * This entity's IP Routing table. Each element of the returned
-   * array contains the following members:
-   *
-   * destination (maps to ipRouteDest)
-   *   The destination IP address of this route. An entry with a value of
-   *   0.0.0.0 is considered a default route. Multiple routes to a single
-   *   destination can appear in the table, but access to such multiple
-   *   entries is dependent on the table- access mechanisms defined by the
-   *   network management protocol in use.
-   *
-   * interface
-   *   The name which uniquely identifies the local interface through which
-   *   the next hop of this route should be reached.
+  /**
+   * Get the VLAN ID and parent of each VLAN interface. (This is not part
+   * of any MIB; ifStackTable relates the interfaces to their parents, but
+   * no object gives the VLAN ID of an interface not on a bridge port.)
    *
-   * interfaceIndex (maps to ipRouteIfIndex)
-   *   The index value which uniquely identifies the local interface through
-   *   which the next hop of this route should be reached. The interface
-   *   identified by a particular value of this index is the same interface as
-   *   identified by the same value of ifIndex.
+   * @return {Array}
+   *   An array of maps, one for each VLAN interface, sorted by ifIndex,
+   *   each containing the following members:
    *
-   * metric (maps to ipRouteMetric1)
-   *   The primary routing metric for this route. The semantics of this metric
-   *   are determined by the routing-protocol specified in the route's
-   *   ipRouteProto value. If this metric is not used, its value should be set
-   *   to -1.
+   *   ifIndex
+   *     The interface's ifIndex
    *
-   * gateway (maps to ipRouteNextHop)
-   *   The IP address of the next hop of this route. (In the case of a route
-   *   bound to an interface which is realized via a broadcast media, the
-   *   value of this field is the agent's IP address on that interface.)
+   *   name
+   *     The interface's name, e.g., "eth0.100"
    *
-   * flags
-   *   Bit fields with the meanings shown in `IpRouteTable_FLAGS`
+   *   vlanId
+   *     The interface's VLAN ID
    *
-   * mask
-   *   Indicate the mask to be logical-ANDed with the destination address
-   *   before being compared to the value in the destination field. For those
-   *   systems that do not support arbitrary subnet masks, an agent constructs
-   *   the value of the mask by determining whether the value of the
-   *   correspondent destination field belong to a class-A, B, or C network,
-   *   and then using one of:
+   *   parentIfIndex
+   *     The ifIndex of the interface's parent, e.g., of eth0
    *
-   *        mask           network
-   *        255.0.0.0      class-A
-   *        255.255.0.0    class-B
-   *        255.255.255.0  class-C
+   *   dot1dBasePort
+   *     The number of the interface's bridge port, as in the statistics
+   *     tables; or null if it is on none
+   */
+  async getVlanInterfaces()
+  {
+    return Promise.resolve()
+      .then(
+        () => getVlanInterfaces(this.cache.startTime, this.cache.bridge))
+      .then(
+        (interfaces) =>
+        {
+          return interfaces
+            .sort((a, b) => a.ifIndex - b.ifIndex)
+            .map(
+              (iface) =>
+              {
+                return (
+                  {
+                    ifIndex       : iface.ifIndex,
+                    name          : iface.name,
+                    vlanId        : iface.vlanId,
+                    parentIfIndex : iface.parentIfIndex,
+                    dot1dBasePort : iface.port
+                  });
+              });
+        });
+  }
+
+
+  /*
+   * **********************************************************************
+   * the Address Translation group
    *
-   *   If the value of the destination is 0.0.0.0 (a default route), then the
-   *   mask value is also 0.0.0.0. It should be noted that all IP routing
-   *   subsystems implicitly use this mechanism.
+   * DEPRECATED AND NOT IMPLEMENTED HERE.
    *
-   * -------------------------------------------------------------------------
+   * Implementation of the Address Translation group is mandatory for all
+   * systems. Note however that this group is deprecated by MIB-II. That is,
+   * it is being included solely for compatibility with MIB-I nodes, and will
+   * most likely be excluded from MIB-III nodes. From MIB-II and onwards, each
+   * network protocol group contains its own address translation tables.
    *
-   * No mapping for ipRouteType
-   *   The type of route. Note that the values direct(3) and indirect(4) refer
-   *   to the notion of direct and indirect routing in the IP architecture.
+   * The Address Translation group contains one table which is the union
+   * across all interfaces of the translation tables for converting a
+   * NetworkAddress (e.g., an IP address) into a subnetwork-specific address.
+   * For lack of a better term, this document refers to such a
+   * subnetwork-specific address as a `physical' address.
    *
-   *   Setting this object to the value invalid(2) has the effect of
-   *   invalidating the corresponding entry in the ipRouteTable object. That
-   *   is, it effectively dissasociates the destination identified with said
-   *   entry from the route identified with said entry. It is an
-   *   implementation-specific matter as to whether the agent removes an
-   *   invalidated entry from the table. Accordingly, management stations must
-   *   be prepared to receive tabular information from agents that corresponds
-   *   to entries not currently in use. Proper interpretation of such entries
-   *   requires examination of the relevant ipRouteType object.
+   * Examples of such translation tables are: for broadcast media where ARP is
+   * in use, the translation table is equivalent to the ARP cache; or, on an
+   * X.25 network where non-algorithmic translation to X.121 addresses is
+   * required, the translation table contains the NetworkAddress to X.121
+   * address equivalences.
+   * **********************************************************************
+   */
+
+  // async getAtTable() {}
+  // async getAtEntry() {}
+  // async getAtIfIndex() {}
+  // async getAtPhysAddress() {}
+  // async getAtNetAddress() {}
+
+
+
+  /*
+   * *********************************************************************
+   * the IP group
    *
-   * No mapping for ipRouteProto
-   *   The routing mechanism via which this route was learned. Inclusion of
-   *   values for gateway routing protocols is not intended to imply that
-   *   hosts should support those protocols.
+   * Implementation of the IP group is mandatory for all systems.
+   * *********************************************************************
+   */
+
+  /*
+   * The indication of whether this entity is acting as an IP gateway in
+   * respect to the forwarding of datagrams received by, but not addressed to,
+   * this entity. IP gateways forward datagrams. IP hosts do not (except those
+   * source-routed via the host).
    *
-   * No mapping for ipRouteAge
-   *   The number of seconds since this route was last updated or otherwise
-   *   determined to be correct. Note that no semantics of `too old' can be
-   *   implied except through knowledge of the routing protocol by which the
-   *   route was learned.
+   * Note that for some managed nodes, this object may take on only a subset
+   * of the values possible. Accordingly, it is appropriate for an agent to
+   * return a `badValue' response if a management station attempts to change
+   * this object to an inappropriate value.
    */
-  async getIpRouteTable()
+  async getIpForwarding()
   {
-    return getRouteInfo4();
+    return Promise.resolve()
+      .then(() => fsp.readFile("/proc/sys/net/ipv4/ip_forward"))
+      .then(v => +v.toString().trim()) // file: 1=forwarding, 0=not-forwarding
+      .then(v => v ? 1 : 2);           // ret:  1=forwarding, 2=not-forwarding
   }
 
   /*
-   * The IP Address Translation table used for mapping from IP addresses to
-   * physical addresses.
+   * The default value inserted into the Time-To-Live field of the IP header
+   * of datagrams originated at this entity, whenever a TTL value is not
+   * supplied by the transport layer protocol.
    */
-  async getIpNetToMediaTable()
+  async getIpDefaultTTL()
   {
-    const           addressInfo = await getAddressInfo();
-    const           byHwAddr = addressInfo.byHwAddr;
-
     return Promise.resolve()
-      .then(
-        () =>
-        {
-          let             hwAddr;
-          let             promises = [];
-
-          // Call `getIpNetToMediaEntry` for each hardware address,
-          // binding the just-retrieved addressInfo so that
-          // `getIpAddrEntry` need not re-retrieve it.
-          for (hwAddr in byHwAddr.IPv4)
-          {
-            promises.push(this.getIpNetToMediaEntry.bind(addressInfo)(hwAddr));
-          }
+      .then(() => fsp.readFile("/proc/sys/net/ipv4/ip_default_ttl"))
+      .then(v => +v.toString().trim());
+  }
 
-          return Promise.all(promises);
-        });
+  /*
+   * The total number of input datagrams received from interfaces, including
+   * those received in error.
+   */
+  async getIpInReceives()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Ip.InReceives % COUNTER_WRAP_AT);
   }
 
   /*
-   * Each entry contains one IpAddress to `physical' address equivalence.
+   * The number of input datagrams discarded due to errors in their IP
+   * headers, including bad checksums, version number mismatch, other format
+   * errors, time-to-live exceeded, errors discovered in processing their IP
+   * options, etc.
    */
-  async getIpNetToMediaEntry(hwAddr)
+  async getIpInHdrErrors()
   {
-    let             entry;
-    let             addressInfo;
-
-    // If we were called externally, `this` will be our class. If we
-    // were called from `getIpNetToMediaTable`, above, `this` will be the
-    // already-ascertained address information. If the address info is
-    // already available, we save ourselves a library call for each
-    // entry.
-    if (this instanceof SnmpLinuxLib)
-    {
-      addressInfo = await getAddressInfo();
-    }
-    else
-    {
-      addressInfo = this; // already have addressInfo from getIpNetToMediaTable
-    }
-
-    // Get the information about this address
-    entry = addressInfo.byHwAddr.IPv4[hwAddr];
-
-    /*
-     * The interface on which this entry's equivalence is effective. The
-     * interface identified by a particular value of this index is the same
-     * interface as identified by the same value of ifIndex.
-     */
-    let             ipNetToMediaIfIndex = async () =>
-    {
-      return Promise.resolve()
-        .then(() => addIfIndexes())
-        .then(() =>
-          {
-            // It'd better be there now
-            if (! (entry.interface in ifIndexMap))
-            {
-              throw new Error(`Interface ${entry.interface} does not exist`);
-            }
-
-            return ifIndexMap[entry.interface];
-          });
-    };
-
-    /*
-     * The media-dependent `physical' address.
-     */
-    let             ipNetToMediaPhysAddress = async () =>
-    {
-      return hexToBinaryHwAddr(hwAddr);
-    };
-
-    /*
-     * The IpAddress corresponding to the media- dependent `physical' address.
-     */
-    let             ipNetToMediaNetAddress = async () =>
-    {
-      return entry.address;
-    };
-
-    /*
-     * The type of mapping.
-     *
-     * Setting this object to the value invalid(2) has the effect of
-     * invalidating the corresponding entry in the ipNetToMediaTable. That is,
-     * it effectively dissasociates the interface identified with said entry
-     * from the mapping identified with said entry. It is an
-     * implementation-specific matter as to whether the agent removes an
-     * invalidated entry from the table. Accordingly, management stations must
-     * be prepared to receive tabular information from agents that corresponds
-     * to entries not currently in use. Proper interpretation of such entries
-     * requires examination of the relevant ipNetToMediaType object.
-     */
-    let             ipNetToMediaType = async () =>
-    {
-      // TODO: How do we determine this generically?
-      return 1;                 // 1=other 2=invalid 3=dynamic 4=static
-    };
-
-    return Promise.all(
-      [
-        ipNetToMediaIfIndex(),
-        ipNetToMediaPhysAddress(),
-        ipNetToMediaNetAddress(),
-        ipNetToMediaType()
-      ])
-      .then((results) =>
-        {
-          let result =
-            {
-              ipNetToMediaIfIndex     : results.shift(),
-              ipNetToMediaPhysAddress : results.shift(),
-              ipNetToMediaNetAddress  : results.shift(),
-              ipNetToMediaType        : results.shift()
-            };
-
-          return result;
-        });
-  }
-
-  /*
-   * **********************************************************************
-   * additional IP objects
-   * **********************************************************************
-   */
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Ip.InHdrErrors % COUNTER_WRAP_AT);
+  }
 
   /*
-   * The number of routing entries which were chosen to be discarded even
-   * though they are valid. One possible reason for discarding such an entry
-   * could be to free-up buffer space for other routing entries.
+   * The number of input datagrams discarded because the IP address in their
+   * IP header's destination field was not a valid address to be received at
+   * this entity. This count includes invalid addresses (e.g., 0.0.0.0) and
+   * addresses of unsupported Classes (e.g., Class E). For entities which are
+   * not IP Gateways and therefore do not forward datagrams, this counter
+   * includes datagrams discarded because the destination address was not a
+   * local address.
    */
-  async getIpRoutingDiscards()
+  async getIpInAddrErrors()
   {
-    // TODO: Is there such a value on Linux?
-    return 0 % COUNTER_WRAP_AT;
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Ip.InAddrErrors % COUNTER_WRAP_AT);
   }
 
-
-
-  /*
-   * *********************************************************************
-   * the ICMP group
-   *
-   * Implementation of the ICMP group is mandatory for all systems.
-   * *********************************************************************
-   */
-
   /*
-   * The total number of ICMP messages which the entity received. Note that
-   * this counter includes all those counted by icmpInErrors.
+   * The number of input datagrams for which this entity was not their final
+   * IP destination, as a result of which an attempt was made to find a route
+   * to forward them to that final destination. In entities which do not act
+   * as IP Gateways, this counter will include only those packets which were
+   * Source-Routed via this entity, and the Source- Route option processing
+   * was successful.
    */
-  async getIcmpInMsgs()
+  async getIpForwDatagrams()
   {
     return Promise.resolve()
       .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.InMsgs % COUNTER_WRAP_AT);
+      .then((info) => +info.Ip.ForwDatagrams % COUNTER_WRAP_AT);
   }
 
   /*
-   * The number of ICMP messages which the entity received but determined as
-   * having ICMP-specific errors (bad ICMP checksums, bad length, etc.).
+   * The number of locally-addressed datagrams received successfully but
+   * discarded because of an unknown or unsupported protocol.
    */
-  async getIcmpInErrors()
+  async getIpInUnknownProtos()
   {
     return Promise.resolve()
       .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.InErrors % COUNTER_WRAP_AT);
+      .then((info) => +info.Ip.InUnknownProtos % COUNTER_WRAP_AT);
   }
 
   /*
-   * The number of ICMP Destination Unreachable messages received.
+   * The number of input IP datagrams for which no problems were encountered
+   * to prevent their continued processing, but which were discarded (e.g.,
+   * for lack of buffer space). Note that this counter does not include any
+   * datagrams discarded while awaiting re-assembly.
    */
-  async getIcmpInDestUnreachs()
+  async getIpInDiscards()
   {
     return Promise.resolve()
       .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.InDestUnreachs % COUNTER_WRAP_AT);
+      .then((info) => +info.Ip.InDiscards % COUNTER_WRAP_AT);
   }
 
   /*
-   * The number of ICMP Time Exceeded messages received.
+   * The total number of input datagrams successfully delivered to IP
+   * user-protocols (including ICMP).
    */
-  async getIcmpInTimeExcds()
+  async getIpInDelivers()
   {
     return Promise.resolve()
       .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.InTimeExcds % COUNTER_WRAP_AT);
+      .then((info) => +info.Ip.InDelivers % COUNTER_WRAP_AT);
   }
 
   /*
-   * The number of ICMP Parameter Problem messages received.
+   * The total number of IP datagrams which local IP user-protocols (including
+   * ICMP) supplied to IP in requests for transmission. Note that this counter
+   * does not include any datagrams counted in ipForwDatagrams.
    */
-  async getIcmpInParmProbs()
+  async getIpOutRequests()
   {
     return Promise.resolve()
       .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.InParmProbs % COUNTER_WRAP_AT);
+      .then((info) => +info.Ip.OutRequests % COUNTER_WRAP_AT);
   }
 
   /*
-   * The number of ICMP Source Quench messages received.
+   * The number of output IP datagrams for which no problem was encountered to
+   * prevent their transmission to their destination, but which were discarded
+   * (e.g., for lack of buffer space). Note that this counter would include
+   * datagrams counted in ipForwDatagrams if any such packets met this
+   * (discretionary) discard criterion.
    */
-  async getIcmpInSrcQuenchs()
+  async getIpOutDiscards()
   {
     return Promise.resolve()
       .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.InSrcQuenchs % COUNTER_WRAP_AT);
+      .then((info) => +info.Ip.OutDiscards % COUNTER_WRAP_AT);
   }
 
   /*
-   * The number of ICMP Redirect messages received.
+   * The number of IP datagrams discarded because no route could be found to
+   * transmit them to their destination. Note that this counter includes any
+   * packets counted in ipForwDatagrams which meet this `no-route' criterion.
+   * Note that this includes any datagarms which a host cannot route because
+   * all of its default gateways are down.
    */
-  async getIcmpInRedirects()
+  async getIpOutNoRoutes()
   {
     return Promise.resolve()
       .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.InRedirects % COUNTER_WRAP_AT);
+      .then((info) => +info.Ip.OutNoRoutes % COUNTER_WRAP_AT);
   }
 
   /*
-   * The number of ICMP Echo (request) messages received.
+   * The maximum number of seconds which received fragments are held while
+   * they are awaiting reassembly at this entity.
    */
-  async getIcmpInEchos()
+  async getIpReasmTimeout()
   {
     return Promise.resolve()
       .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.InEchos % COUNTER_WRAP_AT);
+      .then((info) => +info.Ip.ReasmTimeout);
   }
 
   /*
-   * The number of ICMP Echo Reply messages received.
+   * The number of IP fragments received which needed to be reassembled at
+   * this entity.
    */
-  async getIcmpInEchoReps()
+  async getIpReasmReqds()
   {
     return Promise.resolve()
       .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.InEchoReps % COUNTER_WRAP_AT);
+      .then((info) => +info.Ip.ReasmReqds % COUNTER_WRAP_AT);
   }
 
   /*
-   * The number of ICMP Timestamp (request) messages received.
+   * The number of IP datagrams successfully re- assembled.
    */
-  async getIcmpInTimestamps()
+  async getIpReasmOKs()
   {
     return Promise.resolve()
       .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.InTimestamps % COUNTER_WRAP_AT);
+      .then((info) => +info.Ip.ReasmOKs % COUNTER_WRAP_AT);
   }
 
   /*
-   * The number of ICMP Timestamp Reply messages received.
+   * The number of failures detected by the IP re- assembly algorithm (for
+   * whatever reason: timed out, errors, etc). Note that this is not
+   * necessarily a count of discarded IP fragments since some algorithms
+   * (notably the algorithm in RFC 815) can lose track of the number of
+   * fragments by combining them as they are received.
    */
-  async getIcmpInTimestampReps()
+  async getIpReasmFails()
   {
     return Promise.resolve()
       .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.InTimestampReps % COUNTER_WRAP_AT);
+      .then((info) => +info.Ip.ReasmFails % COUNTER_WRAP_AT);
   }
 
   /*
-   * The number of ICMP Address Mask Request messages received.
+   * The number of IP datagrams that have been successfully fragmented at this
+   * entity.
    */
-  async getIcmpInAddrMasks()
+  async getIpFragOKs()
   {
     return Promise.resolve()
       .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.inAddrMasks % COUNTER_WRAP_AT);
+      .then((info) => +info.Ip.FragOKs % COUNTER_WRAP_AT);
   }
 
   /*
-   * The number of ICMP Address Mask Reply messages received.
+   * The number of IP datagrams that have been discarded because they needed
+   * to be fragmented at this entity but could not be, e.g., because their
+   * Don't Fragment flag was set.
    */
-  async getIcmpInAddrMaskReps()
+  async getIpFragFails()
   {
     return Promise.resolve()
       .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.inAddrMaskReps % COUNTER_WRAP_AT);
+      .then((info) => +info.Ip.FragFails % COUNTER_WRAP_AT);
   }
 
   /*
-   * The total number of ICMP messages which this entity attempted to send.
-   * Note that this counter includes all those counted by icmpOutErrors.
+   * The number of IP datagram fragments that have been generated as a result
+   * of fragmentation at this entity.
    */
-  async getIcmpOutMsgs()
+  async getIpFragCreates()
   {
     return Promise.resolve()
       .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.OutMsgs % COUNTER_WRAP_AT);
+      .then((info) => +info.Ip.FragCreates % COUNTER_WRAP_AT);
   }
 
+
   /*
-   * The number of ICMP messages which this entity did not send due to
-   * problems discovered within ICMP such as a lack of buffers. This value
-   * should not include errors discovered outside the ICMP layer such as the
-   * inability of IP to route the resultant datagram. In some implementations
-   * there may be no types of error which contribute to this counter's value.
+   * **********************************************************************
+   * the IP address table
+   *
+   * The IP address table contains this entity's IP addressing information.
+   * **********************************************************************
    */
-  async getIcmpOutErrors()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.OutErrors % COUNTER_WRAP_AT);
-  }
 
   /*
-   * The number of ICMP Destination Unreachable messages sent.
+   * The table of addressing information relevant to this entity's IP
+   * addresses.
    */
-  async getIcmpOutDestUnreachs()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.OutDestUnreachs % COUNTER_WRAP_AT);
-  }
-
-  /*
-   * The number of ICMP Time Exceeded messages sent.
-   */
-  async getIcmpOutTimeExcds()
+  async getIpAddrTable()
   {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.OutTimeExcds % COUNTER_WRAP_AT);
-  }
+    const           addressInfo = await getAddressInfo();
+    const           byIpAddr = addressInfo.byIpAddr;
 
-  /*
-   * The number of ICMP Parameter Problem messages sent.
-   */
-  async getIcmpOutParmProbs()
-  {
     return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.OutParmProbs % COUNTER_WRAP_AT);
-  }
+      .then(
+        () =>
+        {
+          let             ipAddr;
+          let             promises = [];
 
-  /*
-   * The number of ICMP Source Quench messages sent.
-   */
-  async getIcmpOutSrcQuenchs()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.OutSrcQuenchs % COUNTER_WRAP_AT);
-  }
+          // Call `getIpAddrEntry` for each IPv4 address, binding the
+          // just-retrieved addressInfo so that `getIpAddrEntry` need
+          // not re-retrieve it.
+          for (ipAddr in byIpAddr.IPv4)
+          {
+            promises.push(this.getIpAddrEntry.bind(addressInfo)(ipAddr));
+          }
 
-  /*
-   * The number of ICMP Redirect messages sent. For a host, this object will
-   * always be zero, since hosts do not send redirects.
-   */
-  async getIcmpOutRedirects()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.OutRedirects % COUNTER_WRAP_AT);
+          return Promise.all(promises);
+        });
   }
 
   /*
-   * The number of ICMP Echo (request) messages sent.
+   * The addressing information for one of this entity's IP addresses.
    */
-  async getIcmpOutEchos()
+  async getIpAddrEntry(ipAddr)
   {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.OutEchos % COUNTER_WRAP_AT);
-  }
+    let             entry;
+    let             addressInfo;
 
-  /*
-   * The number of ICMP Echo Reply messages sent.
-   */
-  async getIcmpOutEchoReps()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.OutEchoReps % COUNTER_WRAP_AT);
-  }
+    // If we were called externally, `this` will be our class. If we
+    // were called from `getIpAddrTable`, above, `this` will be the
+    // already-ascertained address information. If the address info is
+    // already available, we save ourselves a library call for each
+    // entry.
+    if (this instanceof SnmpLinuxLib)
+    {
+      addressInfo = await getAddressInfo();
+    }
+    else
+    {
+      addressInfo = this; // already have addressInfo from getIpAddrTable
+    }
 
-  /*
-   * The number of ICMP Timestamp (request) messages sent.
-   */
-  async getIcmpOutTimestamps()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.OutTimestamps % COUNTER_WRAP_AT);
-  }
+    // Get the information about this address
+    entry = addressInfo.byIpAddr.IPv4[ipAddr];
 
-  /*
-   * The number of ICMP Timestamp Reply messages sent.
-   */
-  async getIcmpOutTimestampReps()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.OutTimestampReps % COUNTER_WRAP_AT);
-  }
+    /*
+     * The IP address to which this entry's addressing information pertains.
+     */
+    let             ipAdEntAddr = async () =>
+    {
+      return ipAddr;
+    };
 
-  /*
-   * The number of ICMP Address Mask Request messages sent.
-   */
-  async getIcmpOutAddrMasks()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.OutAddrMasks % COUNTER_WRAP_AT);
-  }
+    /*
+     * The index value which uniquely identifies the interface to which this
+     * entry is applicable. The interface identified by a particular value of
+     * this index is the same interface as identified by the same value of
+     * ifIndex.
+     */
+    let             ipAdEntIfIndex = async () =>
+    {
+      return Promise.resolve()
+        .then(() => addIfIndexes())
+        .then(() =>
+          {
+            // It'd better be there now
+            if (! (entry.interface in ifIndexMap))
+            {
+              throw new Error(`Interface ${entry.interface} does not exist`);
+            }
 
-  /*
-   * The number of ICMP Address Mask Reply messages sent.
-   */
-  async getIcmpOutAddrMaskReps()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Icmp.OutAddrMaskReps % COUNTER_WRAP_AT);
-  }
+            return ifIndexMap[entry.interface];
+          });
+    };
 
+    /*
+     * The subnet mask associated with the IP address of this entry. The value
+     * of the mask is an IP address with all the network bits set to 1 and all
+     * the hosts bits set to 0.
+     */
+    let             ipAdEntNetMask = async () =>
+    {
+      return entry.netmask;
+    };
 
-  /*
-   * *********************************************************************
-   * the TCP group
-   *
-   * Implementation of the TCP group is mandatory for all systems that
-   * implement the TCP.
-   *
-   * Note that instances of object types that represent information about a
-   * particular TCP connection are transient; they persist only as long as the
-   * connection in question.
-   * *********************************************************************
-   */
+    /*
+     * The value of the least-significant bit in the IP broadcast address used
+     * for sending datagrams on the (logical) interface associated with the IP
+     * address of this entry. For example, when the Internet standard all-ones
+     * broadcast address is used, the value will be 1. This value applies to
+     * both the subnet and network broadcasts addresses used by the entity on
+     * this (logical) interface.
+     */
+    let             ipAdEntBcastAddr = async () =>
+    {
+      let             i;
+      let             octet;
+      let             bits = [];
+      let             cidr = entry.cidr;
+      let             [ ip, netmask ] = cidr.split("/");
 
-  /*
-   * The algorithm used to determine the timeout value used for retransmitting
-   * unacknowledged octets.
-   */
-  async getTcpRtoAlgorithm()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Tcp.RtoAlgorithm);
-  }
+      // Split the IP address apart at dots
+      ip = ip.split(".");
 
-  /*
-   * The minimum value permitted by a TCP implementation for the
-   * retransmission timeout, measured in milliseconds. More refined semantics
-   * for objects of this type depend upon the algorithm used to determine the
-   * retransmission timeout. In particular, when the timeout algorithm is
-   * rsre(3), an object of this type has the semantics of the LBOUND quantity
-   * described in RFC 793.
-   */
-  async getTcpRtoMin()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Tcp.RtoMin);
-  }
+      // For each component of the IP address...
+      ip.forEach(
+        (octet) =>
+        {
+          // convert it to binary, left-pad with zeros, take
+          // right-most 8 characters
+          bits.push(("00000000" + (+octet).toString(2)).substr(-8));
+        });
 
-  /*
-   * The maximum value permitted by a TCP implementation for the
-   * retransmission timeout, measured in milliseconds. More refined semantics
-   * for objects of this type depend upon the algorithm used to determine the
-   * retransmission timeout. In particular, when the timeout algorithm is
-   * rsre(3), an object of this type has the semantics of the UBOUND quantity
-   * described in RFC 793.
-   */
-  async getTcpRtoMax()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Tcp.RtoMax);
-  }
+      // Get a single cohesive bitstring
+      bits = bits.join("");
 
-  /*
-   * The limit on the total number of TCP connections the entity can support.
-   * In entities where the maximum number of connections is dynamic, this
-   * object should contain the value -1.
-   */
-  async getTcpMaxConn()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Tcp.MaxConn);
-  }
+      // Make our life easy by separating it into one character per
+      // array element
+      bits = bits.split("");
 
-  /*
-   * The number of times TCP connections have made a direct transition to the
-   * SYN-SENT state from the CLOSED state.
-   */
-  async getTcpActiveOpens()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Tcp.ActiveOpens % COUNTER_WRAP_AT);
-  }
+      // Set the netmask-indicated bits to 1
+      for (i = netmask; i < 32; i++)
+      {
+        bits[i] = "1";
+      }
 
-  /*
-   * The number of times TCP connections have made a direct transition to the
-   * SYN-RCVD state from the LISTEN state.
-   */
-  async getTcpPassiveOpens()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Tcp.PassiveOpens % COUNTER_WRAP_AT);
-  }
+      // Rejoin the bits into a cohesive string
+      bits = bits.join("");
 
-  /*
-   * The number of times TCP connections have made a direct transition to the
-   * CLOSED state from either the SYN-SENT state or the SYN-RCVD state, plus
-   * the number of times TCP connections have made a direct transition to the
-   * LISTEN state from the SYN-RCVD state.
-   */
-  async getTcpAttemptFails()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Tcp.AttemptFails % COUNTER_WRAP_AT);
-  }
+      // Split the bits apart at 8-bit boundaries. Convert each set of
+      // 8 bits to an integer.
+      ip = [];
+      for (i = 0; i < 32; i += 8)
+      {
+        octet = bits.substr(i, 8);
+        octet = parseInt(octet, 2);
+        ip.push(octet);
+      }
 
-  /*
-   * The number of times TCP connections have made a direct transition to the
-   * CLOSED state from either the ESTABLISHED state or the CLOSE-WAIT state.
-   */
-  async getTcpEstabResets()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Tcp.EstabResets % COUNTER_WRAP_AT);
-  }
+      // This object is defined to return only the low-order bit.
+      // What is the point of accessing only the low-order bit of the
+      // broadcast address???
+      return ip[3] & 0x01;
 
-  /*
-   * The number of TCP connections for which the current state is either
-   * ESTABLISHED or CLOSE- WAIT.
-   */
-  async getTcpCurrEstab()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => Math.min(+info.Tcp.CurrEstab, GAUGE_MAX));
-  }
 
-  /*
-   * The total number of segments received, including those received in error.
-   * This count includes segments received on currently established
-   * connections.
-   */
-  async getTcpInSegs()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Tcp.InSegs % COUNTER_WRAP_AT);
-  }
+/*
+      // Turn it back into IP address string format
+      return ip.join(".");
+*/
+    };
 
-  /*
-   * The total number of segments sent, including those on current connections
-   * but excluding those containing only retransmitted octets.
-   */
-  async getTcpOutSegs()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Tcp.OutSegs % COUNTER_WRAP_AT);
+    /*
+     * The size of the largest IP datagram which this entity can re-assemble
+     * from incoming IP fragmented datagrams received on this interface.
+     */
+    let             ipAdEntReasmMaxSize = async () =>
+    {
+      return 65535;             // TODO: how do we determine this?
+    };
+
+    return Promise.all(
+      [
+        ipAdEntAddr(),
+        ipAdEntIfIndex(),
+        ipAdEntNetMask(),
+        ipAdEntBcastAddr(),
+        ipAdEntReasmMaxSize()
+      ])
+      .then((results) =>
+        {
+          let result =
+            {
+              ipAdEntAddr         : results.shift(),
+              ipAdEntIfIndex      : results.shift(),
+              ipAdEntNetMask      : results.shift(),
+              ipAdEntBcastAddr    : results.shift(),
+              ipAdEntReasmMaxSize : results.shift()
+            };
+
+          return result;
+        });
   }
 
   /*
-   * The total number of segments retransmitted - that is, the number of TCP
-   * segments transmitted containing one or more previously transmitted
-   * octets.
+   * **********************************************************************
+   * the IP routing table
+   *
+   * The IP routing table contains an entry for each route
+   * presently known to this entity.
+   * **********************************************************************
    */
-  async getTcpRetransSegs()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Tcp.RetransSegs % COUNTER_WRAP_AT);
-  }
 
-  /**
-   * A table containing TCP connection-specific information.
+  /*
+   * This entity's IP Routing table. Each element of the returned
+   * array contains the following members:
    *
-   * @param bResolve {Boolean}
-   *   If true, attempt to resolve each remote address and create, in each
-   *   resolvable entry, an array called `tcpConnRemHosts` with the host names
-   *   for that address.
+   * destination (maps to ipRouteDest)
+   *   The destination IP address of this route. An entry with a value of
+   *   0.0.0.0 is considered a default route. Multiple routes to a single
+   *   destination can appear in the table, but access to such multiple
+   *   entries is dependent on the table- access mechanisms defined by the
+   *   network management protocol in use.
    *
-   * @return {Array}
-   *   The returned array contains entries which are maps, each with the
-   *   following members:
+   * interface
+   *   The name which uniquely identifies the local interface through which
+   *   the next hop of this route should be reached.
    *
-   *   tcpConnLocalAddress
-   *     The local IP address for this TCP connection. In the case of a
-   *     connection in the listen state which is willing to accept connections
-   *     for any IP interface associated with the node, the value 0.0.0.0 is
-   *     used.
+   * interfaceIndex (maps to ipRouteIfIndex)
+   *   The index value which uniquely identifies the local interface through
+   *   which the next hop of this route should be reached. The interface
+   *   identified by a particular value of this index is the same interface as
+   *   identified by the same value of ifIndex.
    *
-   *   tcpConnLocalPort
-   *     The local port number for this TCP connection.
+   * metric (maps to ipRouteMetric1)
+   *   The primary routing metric for this route. The semantics of this metric
+   *   are determined by the routing-protocol specified in the route's
+   *   ipRouteProto value. If this metric is not used, its value should be set
+   *   to -1.
    *
-   *   tcpConnRemAddress
-   *     The remote IP address for this TCP connection.
+   * gateway (maps to ipRouteNextHop)
+   *   The IP address of the next hop of this route. (In the case of a route
+   *   bound to an interface which is realized via a broadcast media, the
+   *   value of this field is the agent's IP address on that interface.)
    *
-   *   tcpConnRemPort
-   *     The remote port number for this TCP connection.
+   * flags
+   *   Bit fields with the meanings shown in `IpRouteTable_FLAGS`
    *
-   *   tcpConnRemHosts
-   *     Only if `bResolve` is true, this array member is added if
-   *     `tcpConnRemAddress` can be resolved to one or more host names.
+   * mask
+   *   Indicate the mask to be logical-ANDed with the destination address
+   *   before being compared to the value in the destination field. For those
+   *   systems that do not support arbitrary subnet masks, an agent constructs
+   *   the value of the mask by determining whether the value of the
+   *   correspondent destination field belong to a class-A, B, or C network,
+   *   and then using one of:
+   *
+   *        mask           network
+   *        255.0.0.0      class-A
+   *        255.255.0.0    class-B
+   *        255.255.255.0  class-C
+   *
+   *   If the value of the destination is 0.0.0.0 (a default route), then the
+   *   mask value is also 0.0.0.0. It should be noted that all IP routing
+   *   subsystems implicitly use this mechanism.
+   *
+   * -------------------------------------------------------------------------
+   *
+   * No mapping for ipRouteType
+   *   The type of route. Note that the values direct(3) and indirect(4) refer
+   *   to the notion of direct and indirect routing in the IP architecture.
+   *
+   *   Setting this object to the value invalid(2) has the effect of
+   *   invalidating the corresponding entry in the ipRouteTable object. That
+   *   is, it effectively dissasociates the destination identified with said
+   *   entry from the route identified with said entry. It is an
+   *   implementation-specific matter as to whether the agent removes an
+   *   invalidated entry from the table. Accordingly, management stations must
+   *   be prepared to receive tabular information from agents that corresponds
+   *   to entries not currently in use. Proper interpretation of such entries
+   *   requires examination of the relevant ipRouteType object.
+   *
+   * No mapping for ipRouteProto
+   *   The routing mechanism via which this route was learned. Inclusion of
+   *   values for gateway routing protocols is not intended to imply that
+   *   hosts should support those protocols.
+   *
+   * No mapping for ipRouteAge
+   *   The number of seconds since this route was last updated or otherwise
+   *   determined to be correct. Note that no semantics of `too old' can be
+   *   implied except through knowledge of the routing protocol by which the
+   *   route was learned.
    */
-  async getTcpConnTable(bResolve)
+  async getIpRouteTable()
+  {
+    return getRouteInfo4();
+  }
+
+  /*
+   * The IP Address Translation table used for mapping from IP addresses to
+   * physical addresses. This is the kernel's ARP cache.
+   */
+  async getIpNetToMediaTable()
   {
+    const           arpInfo = await getArpInfo4();
+
     return Promise.resolve()
-      .then(() => getTcpConns4(bResolve))
       .then(
-        (connsInfo) =>
+        () =>
         {
-          return connsInfo;
+          // Call `getIpNetToMediaEntry` for each neighbour, binding the
+          // just-retrieved ARP information so that
+          // `getIpNetToMediaEntry` need not re-retrieve it.
+          return Promise.all(
+            arpInfo.map(
+              (neighbour) =>
+              {
+                return this.getIpNetToMediaEntry.bind(arpInfo)(
+                  neighbour.address, neighbour.interface);
+              }));
         });
   }
 
-
-
   /*
-   * **********************************************************************
-   * additional TCP objects
-   * **********************************************************************
-   */
-
-  /*
-   * The total number of segments received in error (e.g., bad TCP checksums).
+   * Each entry contains one IpAddress to `physical' address equivalence.
+   *
+   * @param ipAddr {String}
+   *   The neighbour's IPv4 address
+   *
+   * @param ifName {String}
+   *   The name of the interface on which the neighbour was seen
    */
-  async getTcpInErrs()
+  async getIpNetToMediaEntry(ipAddr, ifName)
   {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Tcp.InErrs % COUNTER_WRAP_AT);
-  }
+    let             entry;
+    let             arpInfo;
 
-  /*
-   * The number of TCP segments sent containing the RST flag.
-   */
-  async getTcpOutRsts()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Tcp.OutRsts % COUNTER_WRAP_AT);
-  }
+    // If we were called externally, `this` will be our class. If we
+    // were called from `getIpNetToMediaTable`, above, `this` will be the
+    // already-ascertained ARP information. If the ARP info is already
+    // available, we save ourselves re-reading it for each entry.
+    if (this instanceof SnmpLinuxLib)
+    {
+      arpInfo = await getArpInfo4();
+    }
+    else
+    {
+      arpInfo = this; // already have arpInfo from getIpNetToMediaTable
+    }
 
+    // Get the information about this neighbour
+    entry = arpInfo.find(
+      (neighbour) =>
+      {
+        return neighbour.address == ipAddr && neighbour.interface == ifName;
+      });
 
-  /*
-   * *********************************************************************
-   * the UDP group
-   *
-   * Implementation of the UDP group is mandatory for all systems which
-   * implement the UDP.
-   * *********************************************************************
-   */
+    if (! entry)
+    {
+      throw new Error(`No ARP entry for ${ipAddr} on ${ifName}`);
+    }
 
-  /*
-   * The total number of UDP datagrams delivered to UDP users.
-   */
-  async getUdpInDatagrams()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Udp.InDatagrams % COUNTER_WRAP_AT);
+    /*
+     * The interface on which this entry's equivalence is effective. The
+     * interface identified by a particular value of this index is the same
+     * interface as identified by the same value of ifIndex.
+     */
+    let             ipNetToMediaIfIndex = async () =>
+    {
+      return Promise.resolve()
+        .then(() => addIfIndexes())
+        .then(() =>
+          {
+            // It'd better be there now
+            if (! (entry.interface in ifIndexMap))
+            {
+              throw new Error(`Interface ${entry.interface} does not exist`);
+            }
+
+            return ifIndexMap[entry.interface];
+          });
+    };
+
+    /*
+     * The media-dependent `physical' address.
+     */
+    let             ipNetToMediaPhysAddress = async () =>
+    {
+      return hexToBinaryHwAddr(entry.hwAddr);
+    };
+
+    /*
+     * The IpAddress corresponding to the media- dependent `physical' address.
+     */
+    let             ipNetToMediaNetAddress = async () =>
+    {
+      return entry.address;
+    };
+
+    /*
+     * The type of mapping.
+     *
+     * Setting this object to the value invalid(2) has the effect of
+     * invalidating the corresponding entry in the ipNetToMediaTable. That is,
+     * it effectively dissasociates the interface identified with said entry
+     * from the mapping identified with said entry. It is an
+     * implementation-specific matter as to whether the agent removes an
+     * invalidated entry from the table. Accordingly, management stations must
+     * be prepared to receive tabular information from agents that corresponds
+     * to entries not currently in use. Proper interpretation of such entries
+     * requires examination of the relevant ipNetToMediaType object.
+     */
+    let             ipNetToMediaType = async () =>
+    {
+      const           Flags = IpNetToMediaTable_ARP_FLAGS;
+
+      // 1=other 2=invalid 3=dynamic 4=static
+      if (entry.flags & Flags.Permanent)
+      {
+        return 4;
+      }
+      else if (entry.flags & Flags.Complete)
+      {
+        return 3;
+      }
+
+      // Resolution has not (yet) succeeded
+      return 2;
+    };
+
+    return Promise.all(
+      [
+        ipNetToMediaIfIndex(),
+        ipNetToMediaPhysAddress(),
+        ipNetToMediaNetAddress(),
+        ipNetToMediaType()
+      ])
+      .then((results) =>
+        {
+          let result =
+            {
+              ipNetToMediaIfIndex     : results.shift(),
+              ipNetToMediaPhysAddress : results.shift(),
+              ipNetToMediaNetAddress  : results.shift(),
+              ipNetToMediaType        : results.shift()
+            };
+
+          return result;
+        });
   }
 
   /*
-   * The total number of received UDP datagrams for which there was no
-   * application at the destination port.
+   * **********************************************************************
+   * additional IP objects
+   * **********************************************************************
    */
-  async getUdpNoPorts()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Udp.NoPorts % COUNTER_WRAP_AT);
-  }
 
   /*
-   * The number of received UDP datagrams that could not be delivered for
-   * reasons other than the lack of an application at the destination port.
+   * The number of routing entries which were chosen to be discarded even
+   * though they are valid. One possible reason for discarding such an entry
+   * could be to free-up buffer space for other routing entries.
    */
-  async getUdpInErrors()
+  async getIpRoutingDiscards()
   {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Udp.InErrors % COUNTER_WRAP_AT);
+    // TODO: Is there such a value on Linux?
+    return 0 % COUNTER_WRAP_AT;
   }
 
   /*
-   * The total number of UDP datagrams sent from this entity.
+   * *********************************************************************
+   * the version-independent IP tables (IP-MIB)
+   * *********************************************************************
    */
-  async getUdpOutDatagrams()
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo4())
-      .then((info) => +info.Udp.OutDatagrams % COUNTER_WRAP_AT);
-  }
 
-  /**
-   * A table containing UDP listener information.
-   *
-   * @param bResolve {Boolean}
-   *   If true, attempt to resolve each remote address and create, in each
-   *   resolvable entry, an array called `udpRemHosts` with the host names for
-   *   that address.
-   *
-   * @return {Array}
-   *   The returned array contains entries which are maps, each with the
-   *   following members:
-   *
-   *   udpLocalAddress
-   *     The local IP address for this UDP listener. In the case of a UDP
-   *     listener which is willing to accept datagrams for any IP interface
-   *     associated with the node, the value 0.0.0.0 is used.
-   *
-   *   udpLocalPort
-   *     The local port number for this UDP listener.
-   *
-   *   udpRemAddress
-   *     The remote IP address for this UDP listener.
-   *
-   *   udpRemPort
-   *     The remote port number for this UDP listener.
-   *
-   *   udpRemHosts
-   *     Only if `bResolve` is true, this array member is added if
-   *     `udpRemAddress` can be resolved to one or more host names.
+  /*
+   * This table allows the user to determine the source of an IP address
+   * prefix, and the prefix's on-link and autonomous flags. A prefix is
+   * listed for each (non-host) address assigned to an interface.
    */
-  async getUdpTable(bResolve)
+  async getIpAddressPrefixTable()
   {
+    const           prefixInfo = await getInetPrefixInfo();
+
     return Promise.resolve()
-      .then(() => getUdpListeners4(bResolve))
       .then(
-        (listenerInfo) =>
+        () =>
         {
-          return listenerInfo;
+          // Call `getIpAddressPrefixEntry` for each prefix, binding the
+          // just-retrieved prefix information so that
+          // `getIpAddressPrefixEntry` need not re-retrieve it.
+          return Promise.all(
+            prefixInfo.map(
+              (prefix) =>
+              {
+                return this.getIpAddressPrefixEntry.bind(prefixInfo)(
+                  prefix.interface, prefix.prefix, prefix.prefixLength);
+              }));
         });
   }
 
-
   /*
-   * *********************************************************************
-   * the EGP group
+   * An entry in the ipAddressPrefixTable.
    *
-   * Implementation of the EGP group is mandatory for all systems which
-   * implement the EGP.
-   * **********************************************************************
-   *
-   * THIS GROUP IS NOT IMPLEMENTED
+   * @param ifName {String}
+   *   The name of the interface with which the prefix is associated
    *
-   *   getEgpInMsgs()
-   *   getEgpInErrors()
-   *   getEgpOutMsgs()
-   *   getEgpOutErrors()
-   *   getEgpNeighTable()
-   *   getEgpNeighEntry()
-   *   getEgpNeighState()
-   *   getEgpNeighAddr()
-   *   getEgpNeighAs()
-   *   getEgpNeighInMsgs()
-   *   getEgpNeighInErrs()
-   *   getEgpNeighOutMsgs()
-   *   getEgpNeighOutErrs()
-   *   getEgpNeighInErrMsgs()
-   *   getEgpNeighOutErrMsgs()
-   *   getEgpNeighStateUps()
-   *   getEgpNeighStateDowns()
-   *   getEgpNeighIntervalHello()
-   *   getEgpNeighIntervalPoll()
-   *   getEgpNeighMode()
-   *   getEgpNeighEventTrigger()
-   *   getEgpAs()
-   */
-
-  /*
-   * The indication of whether this entity is acting as an IPv6 router in
-   * respect to the forwarding of datagrams received by, but not addressed to,
-   * this entity. IPv6 routers forward datagrams. IPv6 hosts do not (except
-   * those source-routed via the host).
+   * @param prefix {String}
+   *   The prefix, as an 8-character (IPv4) or 32-character (IPv6) hex
+   *   string
    *
-   * Note that for some managed nodes, this object may take on only a subset
-   * of the values possible. Accordingly, it is appropriate for an agent to
-   * return a `wrongValue' response if a management station attempts to change
-   * this object to an inappropriate value.
+   * @param prefixLength {Number}
+   *   The length of the prefix, in bits
    */
-  async getIpv6Forwarding()
+  async getIpAddressPrefixEntry(ifName, prefix, prefixLength)
   {
-    return Promise.resolve()
-      .then(() => fsp.readFile("/proc/sys/net/ipv6/conf/all/forwarding"))
-      .then(v => +v.toString().trim()) // file: 1=forwarding, 0=not-forwarding
-      .then(v => v ? 1 : 2);           // ret:  1=forwarding, 2=not-forwarding
-  }
+    let             entry;
+    let             prefixInfo;
 
-  /*
-   * The default value inserted into the Hop Limit field of the IPv6 header of
-   * datagrams originated at this entity, whenever a Hop Limit value is not
-   * supplied by the transport layer protocol.
-   */
-  async getIpv6DefaultHopLimit()
-  {
-    return Promise.resolve()
-      .then(() => fsp.readFile("/proc/sys/net/ipv6/conf/all/hop_limit"))
-      .then(v => +v.toString().trim());
-  }
-
-  /*
-   * The number of IPv6 interfaces (regardless of their current state) present
-   * on this system.
-   */
-  async getIpv6Interfaces()
-  {
-    return Promise.resolve()
-      .then(() => addIfIndexes())
-      .then((ifNames) => ifNames.length);
-  }
-
-  /*
-   * The value of sysUpTime at the time of the last insertion or removal of an
-   * entry in the ipv6IfTable. If the number of entries has been unchanged
-   * since the last re-initialization of the local network management
-   * subsystem, then this object contains a zero value.
-   */
-  async getIpv6IfTableLastChange()
-  {
-    return 0; // Assume interfaces came up before management system
-  }
+    // If we were called externally, `this` will be our class. If we
+    // were called from `getIpAddressPrefixTable`, above, `this` will be
+    // the already-ascertained prefix information. If the prefix info
+    // is already available, we save ourselves re-retrieving it for
+    // each entry.
+    if (this instanceof SnmpLinuxLib)
+    {
+      prefixInfo = await getInetPrefixInfo();
+    }
+    else
+    {
+      prefixInfo = this; // already have prefixInfo from getIpAddressPrefixTable
+    }
 
-  /*
-   * **********************************************************************
-   *
-   * the IPv6 Interfaces table
-   *
-   * **********************************************************************
-   */
+    // Get the information about this prefix
+    entry = prefixInfo.find(
+      (info) =>
+      {
+        return (
+          info.interface == ifName &&
+          info.prefix == prefix &&
+          info.prefixLength == prefixLength);
+      });
 
-  /*
-   * The IPv6 Interfaces table contains information on the entity's
-   * internetwork-layer interfaces. An IPv6 interface constitutes a logical
-   * network layer attachment to the layer immediately below
-   *
-   * IPv6 including internet layer 'tunnels', such as tunnels over IPv4 or
-   * IPv6 itself.
-   */
-  async getIpv6IfTable()
-  {
-    // If we don't yet have the PCI database parsed, do it now.
-    if (! pciIds)
+    if (! entry)
     {
-      pciIds = await require("./parsePciIds")(this.pciIdPath);
+      throw new Error(`No prefix ${prefix}/${prefixLength} on ${ifName}`);
     }
 
-    return Promise.resolve()
-      .then(() => addIfIndexes())
-      .then((ifNames) =>
-        {
-          return Promise.all(
-            ifNames.map((ifName) =>
-              this.getIpv6IfEntry(ifName, ifIndexMap[ifName])));
-        });
-  }
-
-  /*
-   * An interface entry containing objects about a particular IPv6 interface.
-   */
-  async getIpv6IfEntry(ifName, index)
-  {
     /*
-     * A unique value for each interface. Its value ranges between 1 and the
-     * value of ifNumber. The value for each interface must remain constant at
-     * least from one re-initialization of the entity's network management
-     * system to the next re- initialization.
+     * The index value that uniquely identifies the interface on which this
+     * prefix is configured. The interface identified by a particular value
+     * of this index is the same interface as identified by the same value
+     * of the IF-MIB's ifIndex.
      */
-    let             ipv6IfIndex             = async () =>
+    let             ipAddressPrefixIfIndex = async () =>
     {
-      // Have we already identified this interface index?
-      if (ifName in ifIndexMap)
-      {
-        // Yup. We can return it immediately.
-        return ifIndexMap[ifName];
-      }
-
-      // We need to enumerate all interfaces and get this one's index.
       return Promise.resolve()
         .then(() => addIfIndexes())
         .then(() =>
           {
             // It'd better be there now
-            if (! (ifName in ifIndexMap))
+            if (! (entry.interface in ifIndexMap))
             {
-              throw new Error(`Interface ${ifName} does not exist`);
+              throw new Error(`Interface ${entry.interface} does not exist`);
             }
 
-            return ifIndexMap[ifName];
+            return ifIndexMap[entry.interface];
           });
     };
 
     /*
-     * A textual string containing information about the interface. This
-     * string should include the name of the manufacturer, the product name
-     * and the version of the hardware interface.
+     * The address type of ipAddressPrefix.
      */
-    let             ipv6IfDescr             = async () =>
+    let             ipAddressPrefixType = async () =>
     {
-      let             vendor;
-      let             device;
-      let             revision;
-
-      // If we don't yet have the PCI database parsed, do it now.
-      if (! pciIds)
-      {
-        pciIds = await require("./parsePciIds")(this.pciIdPath);
-      }
-
-      return Promise.allSettled(
-        [
-          fsp.readFile(`/sys/class/net/${ifName}/device/vendor`),
-          fsp.readFile(`/sys/class/net/${ifName}/device/device`),
-          fsp.readFile(`/sys/class/net/${ifName}/device/revision`)
-        ])
-        .then(
-          (results) =>
-          {
-            let             manufacturer;
-            let             deviceName;
-            let             getValueOrUnknown =
-                () =>
-                {
-                  const           result = results.shift();
-
-                  if (result.status == "fulfilled")
-                  {
-                    return result.value.toString().trim();
-                  }
-
-                  return "Unknown";
-                };
-
-            // Get the vendor ID, deviceID, and revision. Attempt to
-            // convert vendor ID and device ID into their respective
-            // manufacturer and device name, if that information is
-            // available to us.
-            vendor = manufacturer = getValueOrUnknown().replace("0x", "");
-            try { manufacturer = pciIds[vendor].manufacturer; } catch (e) {};
-            device = deviceName = getValueOrUnknown().replace("0x", "");
-            try { deviceName = pciIds[vendor].devices[device]; } catch (e) {};
-            revision = getValueOrUnknown();
-
-            return (
-              [
-                `Interface: ${ifName}`,
-                `Vendor: ${manufacturer}`,
-                `Device: ${deviceName}`,
-                `Rev : ${revision}`
-              ].join(" | "));
-          });
+      return entry.family == "IPv4" ? 1 : 2; // 1=ipv4 2=ipv6
     };
 
     /*
-     * This object identifies the protocol layer over which this network
-     * interface operates. If this network interface operates over the
-     * data-link layer, then the value of this object refers to an instance of
-     * ifIndex [6]. If this network interface operates over an IPv4 interface,
-     * the value of this object refers to an instance of ipAdEntAddr [3].
-     *
-     * If this network interface operates over another IPv6 interface, the
-     * value of this object refers to an instance of ipv6IfIndex. If this
-     * network interface is not currently operating over an active protocol
-     * layer, then the value of this object should be set to the OBJECT ID { 0
-     * 0 }.
+     * The address prefix. Any bits after ipAddressPrefixLength are zero.
      */
-    let             ipv6IfLowerLayer    = async() =>
+    let             ipAddressPrefixPrefix = async () =>
     {
-      return "0.0";             // higher layer may want to modify this
+      return Buffer.from(entry.prefix, "hex");
     };
 
     /*
-     * The size of the largest IPv6 packet which can be sent/received on the
-     * interface, specified in octets.
+     * The prefix length associated with this prefix.
      */
-    let             ipv6IfEffectiveMtu  = async () =>
+    let             ipAddressPrefixLength = async () =>
     {
-      let             mtu;
-
-      // The mtu file doesn't exist for all interfaces. Assume ethernet.
-      return Promise.resolve()
-        .then(() => fsp.readFile(`/proc/sys/net/ipv6/conf/${ifName}/mtu`))
-        .then(v => +v.toString().trim())
-        .then(v => mtu = v)
-        .catch((e) => mtu = 1500)
-        .then(() => mtu);
+      return entry.prefixLength;
     };
 
     /*
-     * The size of the largest IPv6 datagram which this entity can re-assemble
-     * from incoming IPv6 fragmented datagrams received on this interface.
+     * The origin of this prefix.
      */
-    let             ipv6IfReasmMaxSize  = async () =>
+    let             ipAddressPrefixOrigin = async () =>
     {
-      return 65535;             // TODO: how do we determine this?
+      // 1=other 2=manual 3=wellknown 4=dhcp 5=routeradv
+      if (entry.family == "IPv4")
+      {
+        // 169.254/16 is used for IPv4 link-local autoconfiguration
+        if (entry.prefix == "a9fe0000" && entry.prefixLength == 16)
+        {
+          return 3;
+        }
+
+        return entry.bDynamic ? 4 : 2;
+      }
+
+      // fe80::/64 is used for IPv6 link-local addresses
+      if (entry.prefix.startsWith("fe80") && entry.prefixLength == 64)
+      {
+        return 3;
+      }
+
+      return entry.bAutonomous ? 5 : 2;
     };
 
     /*
-     * The Interface Identifier for this interface that is (at least) unique
-     * on the link this interface is attached to. The Interface Identifier is
-     * combined with an address prefix to form an interface address.
-     *
-     * By default, the Interface Identifier is autoconfigured according to the
-     * rules of the link type this interface is attached to.
+     * This object has the value 'true(1)', if this prefix can be used for
+     * on-link determination; otherwise, the value is 'false(2)'. The
+     * default for IPv4 prefixes is 'true(1)'.
      */
-    let             ipv6IfIdentifier    = async () =>
+    let             ipAddressPrefixOnLinkFlag = async () =>
     {
-      // We choose to use the pyhsical (mac) address as the
-      // identifier, assuming the interface is attached to an 802.x
-      // link.
-      //
-      // TODO: determine how to select an identifier if the interface
-      // is attached to something other than an 802.x link
-      //
-      // TODO: if this implementation is changed, change the
-      // implementation of ipv6IdentifierLength too
-      return Promise.resolve()
-        .then(() => fsp.readFile(`/sys/class/net/${ifName}/address`))
-        .then(
-          v =>
-          {
-            return Buffer.from(
-              v.toString()
-                .trim()
-                .replace(/^$/, "00:00:00:00:00:00")
-                .split(":")
-                .map((s) => parseInt(s, 16)));
-          });
+      if (entry.family == "IPv4")
+      {
+        return 1;
+      }
+
+      return entry.bOnLink ? 1 : 2; // 1=true 2=false
     };
 
-    let             ipv6IfIdentifierLength = async () =>
+    /*
+     * Autonomous address configuration flag. When true(1), indicates that
+     * this prefix can be used for autonomous address configuration (i.e.,
+     * can be used to form a local interface address). If false(2), it is
+     * not used to auto-configure a local interface address. The default
+     * for IPv4 prefixes is 'false(2)'.
+     */
+    let             ipAddressPrefixAutonomousFlag = async () =>
     {
-      // Since we chose to use the mac address as the identifier, the
-      // length (in bits) is fixed at 48 (6 bytes).
-      return 48;
+      return entry.bAutonomous ? 1 : 2; // 1=true 2=false
     };
 
     /*
-     * The interface's physical address. For example, for an IPv6 interface
-     * attached to an 802.x link, this object normally contains a MAC address.
-     * Note that in some cases this address may differ from the address of the
-     * interface's protocol sub-layer. The interface's media-specific MIB must
-     * define the bit and byte ordering and the format of the value of this
-     * object. For interfaces which do not have such an address (e.g., a
-     * serial line), this object should contain an octet string of zero
-     * length.
+     * The remaining length of time, in seconds, that this prefix will
+     * continue to be preferred, i.e., time until deprecation. A value of
+     * 4,294,967,295 represents infinity.
      */
-    let             ipv6IfPhysicalAddress = async () =>
+    let             ipAddressPrefixAdvPreferredLifetime = async () =>
     {
-      return Promise.resolve()
-        .then(() => fsp.readFile(`/sys/class/net/${ifName}/address`))
-        .then(
-          v =>
-          {
-            return Buffer.from(
-              v.toString()
-                .trim()
-                .replace(/^$/, "00:00:00:00:00:00")
-                .split(":")
-                .map((s) => parseInt(s, 16)));
-          });
+      return Math.min(entry.preferredLifetime, GAUGE_MAX);
     };
 
     /*
-     * The desired state of the interface. When a managed system initializes,
-     * all IPv6 interfaces start with ipv6IfAdminStatus in the down(2) state.
-     * As a result of either explicit management action or per configuration
-     * information retained by the managed system, ipv6IfAdminStatus is then
-     * changed to the up(1) state (or remains in the down(2) state).
+     * The remaining length of time, in seconds, that this prefix will
+     * continue to be valid, i.e., time until invalidation. A value of
+     * 4,294,967,295 represents infinity.
      */
-    let             ipv6IfAdminStatus = async () =>
+    let             ipAddressPrefixAdvValidLifetime = async () =>
     {
-      // TODO: How to determine if the interface is up or down?
-      return 1;                 // 1=up 2=down 3=testing
+      return Math.min(entry.validLifetime, GAUGE_MAX);
     };
-    
-    /*
-     * The current operational state of the interface. The noIfIdentifier(3)
-     * state indicates that no valid Interface Identifier is assigned to the
-     * interface. This state usually indicates that the link-local interface
-     * address failed Duplicate Address Detection. If ipv6IfAdminStatus is
-     * down(2) then ipv6IfOperStatus should be down(2). If ipv6IfAdminStatus
-     * is changed to up(1) then ipv6IfOperStatus should change to up(1) if the
-     * interface is ready to transmit and receive network traffic; it should
-     * remain in the down(2) or noIfIdentifier(3) state if and only if there
-     * is a fault that prevents it from going to the up(1) state; it should
-     * remain in the notPresent(5) state if the interface has missing
-     * (typically, lower layer) components.
+
+    return Promise.all(
+      [
+        ipAddressPrefixIfIndex(),
+        ipAddressPrefixType(),
+        ipAddressPrefixPrefix(),
+        ipAddressPrefixLength(),
+        ipAddressPrefixOrigin(),
+        ipAddressPrefixOnLinkFlag(),
+        ipAddressPrefixAutonomousFlag(),
+        ipAddressPrefixAdvPreferredLifetime(),
+        ipAddressPrefixAdvValidLifetime()
+      ])
+      .then((results) =>
+        {
+          let result =
+            {
+              ipAddressPrefixIfIndex              : results.shift(),
+              ipAddressPrefixType                 : results.shift(),
+              ipAddressPrefixPrefix               : results.shift(),
+              ipAddressPrefixLength               : results.shift(),
+              ipAddressPrefixOrigin               : results.shift(),
+              ipAddressPrefixOnLinkFlag           : results.shift(),
+              ipAddressPrefixAutonomousFlag       : results.shift(),
+              ipAddressPrefixAdvPreferredLifetime : results.shift(),
+              ipAddressPrefixAdvValidLifetime     : results.shift()
+            };
+
+          return result;
+        });
+  }
+
+  /*
+   * This table contains addressing information relevant to the entity's
+   * interfaces, for both IPv4 and IPv6. It supersedes ipAddrTable and
+   * ipv6AddrTable.
+   */
+  async getIpAddressTable()
+  {
+    const           addresses = await getIpAddressInfo(this.cache.startTime);
+
+    return Promise.resolve()
+      .then(
+        () =>
+        {
+          // Call `getIpAddressEntry` for each address, binding the
+          // just-retrieved address information so that
+          // `getIpAddressEntry` need not re-retrieve it.
+          return Promise.all(
+            addresses.map(
+              (address) =>
+              {
+                return this.getIpAddressEntry.bind(addresses)(
+                  address.address, address.interface);
+              }));
+        });
+  }
+
+  /*
+   * An address mapping for a particular interface.
+   *
+   * @param ipAddr {String}
+   *   The address, in standard (dotted-decimal or colon-separated) format
+   *
+   * @param ifName {String}
+   *   The name of the interface to which the address is assigned
+   */
+  async getIpAddressEntry(ipAddr, ifName)
+  {
+    let             entry;
+    let             addresses;
+    let             bLinkLocal;
+
+    // If we were called externally, `this` will be our class. If we
+    // were called from `getIpAddressTable`, above, `this` will be the
+    // already-ascertained address information. If the address info is
+    // already available, we save ourselves re-retrieving it for each
+    // entry.
+    if (this instanceof SnmpLinuxLib)
+    {
+      addresses = await getIpAddressInfo(this.cache.startTime);
+    }
+    else
+    {
+      addresses = this; // already have addresses from getIpAddressTable
+    }
+
+    // Get the information about this address
+    entry = addresses.find(
+      (address) =>
+      {
+        return address.address == ipAddr && address.interface == ifName;
+      });
+
+    if (! entry)
+    {
+      throw new Error(`No address ${ipAddr} on ${ifName}`);
+    }
+
+    // IPv6 link-local addresses (fe80::/10) are only unique per link
+    bLinkLocal =
+      entry.family == "IPv6" &&
+      (ipToBinary(entry.address).readUInt16BE(0) & 0xffc0) == 0xfe80;
+
+    /*
+     * The address type of ipAddressAddr. Link-local IPv6 addresses use the
+     * type 'ipv6z', in order to differentiate between the possible
+     * interfaces.
      */
-    let             ipv6IfOperStatus  = async () =>
+    let             ipAddressAddrType = async () =>
     {
-      // TODO: How to determine the interface status?
-      return 1;  // 1=up 2=down 3=noIfIdentifier 4=unknown 5=otPresent
+      // 1=ipv4 2=ipv6 4=ipv6z
+      if (entry.family == "IPv4")
+      {
+        return 1;
+      }
+
+      return bLinkLocal ? 4 : 2;
     };
 
     /*
-     * The value of sysUpTime at the time the interface entered its current
-     * operational state. If the current state was entered prior to the last
-     * re-initialization of the local network management subsystem, then this
-     * object contains a zero value.
+     * The IP address to which this entry's addressing information
+     * pertains. The address type of this object is specified in
+     * ipAddressAddrType.
      */
-    let             ipv6IfLastChange = async () =>
+    let             ipAddressAddr = async () =>
     {
-      return 0; // Assume interfaces came up before management system
+      let             zone;
+
+      // Link-local addresses are followed by their zone index, for
+      // which we use the interface index.
+      if (bLinkLocal)
+      {
+        zone = Buffer.alloc(4);
+        zone.writeUInt32BE(await ipAddressIfIndex());
+        return Buffer.concat([ ipToBinary(entry.address), zone ]);
+      }
+
+      return ipToBinary(entry.address);
+    };
+
+    /*
+     * The index value that uniquely identifies the interface to which this
+     * entry is applicable. The interface identified by a particular value
+     * of this index is the same interface as identified by the same value
+     * of the IF-MIB's ifIndex.
+     */
+    let             ipAddressIfIndex = async () =>
+    {
+      return Promise.resolve()
+        .then(() => addIfIndexes())
+        .then(() =>
+          {
+            // It'd better be there now
+            if (! (entry.interface in ifIndexMap))
+            {
+              throw new Error(`Interface ${entry.interface} does not exist`);
+            }
+
+            return ifIndexMap[entry.interface];
+          });
+    };
+
+    /*
+     * The type of address. broadcast(3) is not a valid value for IPv6
+     * addresses.
+     */
+    let             ipAddressType = async () =>
+    {
+      return 1;                 // 1=unicast 2=anycast 3=broadcast
+    };
+
+    /*
+     * A pointer to the row in the prefix table to which this address
+     * belongs. May be { 0 0 } if there is no such row.
+     */
+    let             ipAddressPrefix = async () =>
+    {
+      let             prefix;
+      const           addressLength = entry.family == "IPv4" ? 32 : 128;
+
+      // Host addresses (e.g., ::1/128) have no prefix
+      if (entry.prefixLength >= addressLength)
+      {
+        return "0.0";
+      }
+
+      prefix = maskAddress(ipToBinary(entry.address), entry.prefixLength);
+
+      // Point at the first accessible column, ipAddressPrefixOrigin, of
+      // the prefix's row
+      return (
+        [
+          "1.3.6.1.2.1.4.32.1.5",
+          await ipAddressIfIndex(),
+          entry.family == "IPv4" ? 1 : 2,
+          prefix.length
+        ]
+          .concat(Array.from(prefix))
+          .concat(entry.prefixLength)
+          .join("."));
+    };
+
+    /*
+     * The origin of the address.
+     */
+    let             ipAddressOrigin = async () =>
+    {
+      const           kernelInfo = entry.kernelInfo;
+
+      // 1=other 2=manual 4=dhcp 5=linklayer 6=random
+      if (entry.family == "IPv4")
+      {
+        // 169.254/16 addresses are chosen at random
+        if (entry.address.startsWith("169.254."))
+        {
+          return 6;
+        }
+
+        // Addresses with a finite lifetime were leased via DHCP
+        return kernelInfo.dynamic ? 4 : 2;
+      }
+
+      // Temporary (privacy) addresses are chosen at random
+      if (kernelInfo.temporary)
+      {
+        return 6;
+      }
+
+      // Link-local addresses are created from the link-layer address
+      if (bLinkLocal)
+      {
+        return 5;
+      }
+
+      // Other addresses with a finite lifetime were either
+      // autoconfigured from a router advertisement's prefix, or, for
+      // single-address (/128) ones, assigned by DHCPv6
+      if (kernelInfo.dynamic)
+      {
+        return entry.prefixLength == 128 ? 4 : 5;
+      }
+
+      return 2;
+    };
+
+    /*
+     * The status of the address, describing if the address can be used
+     * for communication. In the absence of other information, an IPv4
+     * address is always preferred(1).
+     */
+    let             ipAddressStatus = async () =>
+    {
+      const           kernelInfo = entry.kernelInfo;
+
+      // 1=preferred 2=deprecated 3=invalid 4=inaccessible 5=unknown
+      // 6=tentative 7=duplicate 8=optimistic
+      if (kernelInfo.dadfailed)
+      {
+        return 7;
+      }
+      else if (kernelInfo.tentative)
+      {
+        return 6;
+      }
+      else if (kernelInfo.optimistic)
+      {
+        return 8;
+      }
+      else if (kernelInfo.deprecated)
+      {
+        return 2;
+      }
+
+      return 1;
+    };
+
+    /*
+     * The value of sysUpTime at the time this entry was created. If this
+     * entry was created prior to the last re-initialization of the local
+     * network management subsystem, then this object contains a zero
+     * value.
+     */
+    let             ipAddressCreated = async () =>
+    {
+      return entry.created;
+    };
+
+    /*
+     * The value of sysUpTime at the time this entry was last updated. If
+     * this entry was updated prior to the last re-initialization of the
+     * local network management subsystem, then this object contains a zero
+     * value.
+     */
+    let             ipAddressLastChanged = async () =>
+    {
+      return entry.lastChanged;
+    };
+
+    /*
+     * The status of this conceptual row.
+     */
+    let             ipAddressRowStatus = async () =>
+    {
+      return 1;                 // 1=active
+    };
+
+    /*
+     * The storage type for this conceptual row. Interface addresses do
+     * not survive a reboot unless the system's network configuration
+     * re-creates them.
+     */
+    let             ipAddressStorageType = async () =>
+    {
+      return 2;                 // 1=other 2=volatile 3=nonVolatile
     };
 
     return Promise.all(
       [
-        ipv6IfIndex(),
-        ipv6IfDescr(),
-        ipv6IfLowerLayer(),
-        ipv6IfEffectiveMtu(),
-        ipv6IfReasmMaxSize(),
-        ipv6IfIdentifier(),
-        ipv6IfIdentifierLength(),
-        ipv6IfPhysicalAddress(),
-        ipv6IfAdminStatus(),
-        ipv6IfOperStatus(),
-        ipv6IfLastChange()
+        ipAddressAddrType(),
+        ipAddressAddr(),
+        ipAddressIfIndex(),
+        ipAddressType(),
+        ipAddressPrefix(),
+        ipAddressOrigin(),
+        ipAddressStatus(),
+        ipAddressCreated(),
+        ipAddressLastChanged(),
+        ipAddressRowStatus(),
+        ipAddressStorageType()
       ])
       .then((results) =>
         {
           let result =
             {
-              ipv6IfIndex            : results.shift(),
-              ipv6IfDescr            : results.shift(),
-              ipv6IfLowerLayer       : results.shift(),
-              ipv6IfEffectiveMtu     : results.shift(),
-              ipv6IfReasmMaxSize     : results.shift(),
-              ipv6IfIdentifier       : results.shift(),
-              ipv6IfIdentifierLength : results.shift(),
-              ipv6IfPhysicalAddress  : results.shift(),
-              ipv6IfAdminStatus      : results.shift(),
-              ipv6IfOperStatus       : results.shift(),
-              ipv6IfLastChange       : results.shift()
+              ipAddressAddrType    : results.shift(),
+              ipAddressAddr        : results.shift(),
+              ipAddressIfIndex     : results.shift(),
+              ipAddressType        : results.shift(),
+              ipAddressPrefix      : results.shift(),
+              ipAddressOrigin      : results.shift(),
+              ipAddressStatus      : results.shift(),
+              ipAddressCreated     : results.shift(),
+              ipAddressLastChanged : results.shift(),
+              ipAddressRowStatus   : results.shift(),
+              ipAddressStorageType : results.shift()
             };
 
           return result;
         });
   }
-  
+
   /*
-   * **********************************************************************
-   *
-   * IPv6 Interface Statistics table
-   *
-   * **********************************************************************
+   * The IP Address Translation table used for mapping from IP addresses to
+   * physical addresses. This is the kernel's neighbour cache, for both
+   * IPv4 (ARP) and IPv6 (Neighbor Discovery). It supersedes
+   * ipNetToMediaTable and ipv6NetToMediaTable.
    */
-  async getIpv6IfStatsTable()
+  async getIpNetToPhysicalTable()
   {
+    const           neighInfo = await getNeighInfo(this.cache.startTime);
+
     return Promise.resolve()
-      .then(() => addIfIndexes())
-      .then((ifNames) =>
+      .then(
+        () =>
         {
+          // Call `getIpNetToPhysicalEntry` for each neighbour, binding
+          // the just-retrieved neighbour information so that
+          // `getIpNetToPhysicalEntry` need not re-retrieve it.
           return Promise.all(
-            ifNames.map((ifName) =>
-              this.getIpv6IfStatsEntry(ifName, ifIndexMap[ifName])));
+            neighInfo.map(
+              (neighbour) =>
+              {
+                return this.getIpNetToPhysicalEntry.bind(neighInfo)(
+                  neighbour.address, neighbour.interface);
+              }));
         });
   }
 
-  async getIpv6IfStatsEntry(ifName, index)
-  {
-    return Promise.resolve()
-      .then(() => getNetSnmpInfo6(ifName))
-      .then(
-        (info) =>
-        {
-          info.ipv6IfIndex = index; // Status augments ipv6IfEntry. Add index.
-          return info;
-        });
-  }
+  /*
+   * Each entry contains one IP address to `physical' address equivalence.
+   *
+   * @param ipAddr {String}
+   *   The neighbour's address, in standard (dotted-decimal or
+   *   colon-separated) format
+   *
+   * @param ifName {String}
+   *   The name of the interface on which the neighbour was seen
+   */
+  async getIpNetToPhysicalEntry(ipAddr, ifName)
+  {
+    let             entry;
+    let             neighInfo;
+
+    // If we were called externally, `this` will be our class. If we
+    // were called from `getIpNetToPhysicalTable`, above, `this` will be
+    // the already-ascertained neighbour information. If the neighbour
+    // info is already available, we save ourselves re-retrieving it for
+    // each entry.
+    if (this instanceof SnmpLinuxLib)
+    {
+      neighInfo = await getNeighInfo(this.cache.startTime);
+    }
+    else
+    {
+      neighInfo = this; // already have neighInfo from getIpNetToPhysicalTable
+    }
+
+    // Get the information about this neighbour
+    entry = neighInfo.find(
+      (neighbour) =>
+      {
+        return neighbour.address == ipAddr && neighbour.interface == ifName;
+      });
+
+    if (! entry)
+    {
+      throw new Error(`No neighbour entry for ${ipAddr} on ${ifName}`);
+    }
+
+    /*
+     * The index value that uniquely identifies the interface to which this
+     * entry is applicable. The interface identified by a particular value
+     * of this index is the same interface as identified by the same value
+     * of the IF-MIB's ifIndex.
+     */
+    let             ipNetToPhysicalIfIndex = async () =>
+    {
+      return Promise.resolve()
+        .then(() => addIfIndexes())
+        .then(() =>
+          {
+            // It'd better be there now
+            if (! (entry.interface in ifIndexMap))
+            {
+              throw new Error(`Interface ${entry.interface} does not exist`);
+            }
+
+            return ifIndexMap[entry.interface];
+          });
+    };
+
+    /*
+     * The type of ipNetToPhysicalNetAddress.
+     */
+    let             ipNetToPhysicalNetAddressType = async () =>
+    {
+      return entry.family == "IPv4" ? 1 : 2; // 1=ipv4 2=ipv6
+    };
+
+    /*
+     * The IP Address corresponding to the media-dependent `physical'
+     * address. The address type of this object is specified in
+     * ipNetToPhysicalNetAddressType.
+     */
+    let             ipNetToPhysicalNetAddress = async () =>
+    {
+      return ipToBinary(entry.address);
+    };
+
+    /*
+     * The media-dependent `physical' address.
+     */
+    let             ipNetToPhysicalPhysAddress = async () =>
+    {
+      // Neighbours whose resolution has not succeeded have no address
+      if (! entry.hwAddr)
+      {
+        return Buffer.alloc(0);
+      }
+
+      return hexToBinaryHwAddr(entry.hwAddr);
+    };
+
+    /*
+     * The value of sysUpTime at the time this entry was last updated. If
+     * this entry was updated prior to the last re-initialization of the
+     * local network management subsystem, then this object contains a zero
+     * value.
+     */
+    let             ipNetToPhysicalLastUpdated = async () =>
+    {
+      return entry.lastUpdated;
+    };
+
+    /*
+     * The type of mapping. The 'dynamic(3)' type indicates that the IP
+     * address to physical addresses mapping has been dynamically resolved
+     * using, e.g., IPv4 ARP or the IPv6 Neighbor Discovery protocol. The
+     * 'static(4)' type indicates that the mapping has been statically
+     * configured. The 'local(5)' type indicates that the mapping is
+     * provided for an entity's own interface address.
+     */
+    let             ipNetToPhysicalType = async () =>
+    {
+      // 1=other 2=invalid 3=dynamic 4=static 5=local
+      if (entry.state.includes("PERMANENT"))
+      {
+        return 4;
+      }
+      else if (entry.state.includes("NOARP"))
+      {
+        return 1;
+      }
+      else if (entry.state.includes("FAILED"))
+      {
+        return 2;
+      }
+
+      return 3;
+    };
+
+    /*
+     * The Neighbor Unreachability Detection state for the interface when
+     * the address mapping in this entry is used. Linux uses Neighbor
+     * Unreachability Detection for IPv4 as well as IPv6.
+     */
+    let             ipNetToPhysicalState = async () =>
+    {
+      const           linuxToIpMibNudStateMap =
+            {
+              REACHABLE  : 1,   // reachable
+              STALE      : 2,   // stale
+              DELAY      : 3,   // delay
+              PROBE      : 4,   // probe
+              FAILED     : 5,   // invalid
+              INCOMPLETE : 7    // incomplete
+            };
+
+      // The kernel may report more than one state, e.g., "NOARP" and
+      // "PERMANENT" for which NUD does not apply. Use the first one
+      // that has a mapping, or else unknown(6).
+      return (
+        entry.state
+          .map((state) => linuxToIpMibNudStateMap[state])
+          .find((state) => state !== undefined) || 6);
+    };
+
+    /*
+     * The status of this conceptual row.
+     */
+    let             ipNetToPhysicalRowStatus = async () =>
+    {
+      return 1;                 // 1=active
+    };
+
+    return Promise.all(
+      [
+        ipNetToPhysicalIfIndex(),
+        ipNetToPhysicalNetAddressType(),
+        ipNetToPhysicalNetAddress(),
+        ipNetToPhysicalPhysAddress(),
+        ipNetToPhysicalLastUpdated(),
+        ipNetToPhysicalType(),
+        ipNetToPhysicalState(),
+        ipNetToPhysicalRowStatus()
+      ])
+      .then((results) =>
+        {
+          let result =
+            {
+              ipNetToPhysicalIfIndex        : results.shift(),
+              ipNetToPhysicalNetAddressType : results.shift(),
+              ipNetToPhysicalNetAddress     : results.shift(),
+              ipNetToPhysicalPhysAddress    : results.shift(),
+              ipNetToPhysicalLastUpdated    : results.shift(),
+              ipNetToPhysicalType           : results.shift(),
+              ipNetToPhysicalState          : results.shift(),
+              ipNetToPhysicalRowStatus      : results.shift()
+            };
+
+          return result;
+        });
+  }
+
+  /*
+   * *********************************************************************
+   * the IP traffic statistics tables (IP-MIB)
+   * *********************************************************************
+   */
+
+  /**
+   * The table containing system wide, IP version specific traffic
+   * statistics, with one entry for IPv4 and one for IPv6.
+   *
+   * @return {Array}
+   *   The returned array contains entries as described in
+   *   `getIpSystemStatsEntry`.
+   */
+  async getIpSystemStatsTable()
+  {
+    return Promise.all(
+      [
+        this.getIpSystemStatsEntry(1),
+        this.getIpSystemStatsEntry(2)
+      ]);
+  }
+
+  /**
+   * A statistics entry containing system-wide objects for a particular IP
+   * version.
+   *
+   * @param ipVersion {Number}
+   *   The IP version of this entry: 1=ipv4 2=ipv6
+   *
+   * @return {Map}
+   *   The returned map has member `ipSystemStatsIPVersion`, and one member
+   *   for each accessible column of ipSystemStatsTable, e.g.,
+   *   `ipSystemStatsInReceives` and `ipSystemStatsHCInReceives`. Counter64
+   *   values are Buffers.
+   */
+  async getIpSystemStatsEntry(ipVersion)
+  {
+    return Promise.resolve()
+      .then(
+        () =>
+        {
+          return (
+            ipVersion == 1
+              ? getIpTrafficCounters4()
+              : getIpTrafficCounters6());
+        })
+      .then((counters) => getIpTrafficStats(counters))
+      .then(
+        (stats) =>
+        {
+          let             name;
+          let             result = { ipSystemStatsIPVersion : ipVersion };
+
+          for (name in stats)
+          {
+            result["ipSystemStats" + name] = stats[name];
+          }
+
+          return result;
+        });
+  }
+
+  /*
+   * The value of sysUpTime on the most recent occasion at which a row in
+   * the ipIfStatsTable was added or deleted.
+   */
+  async getIpIfStatsTableLastChange()
+  {
+    return 0; // Assume interfaces came up before management system
+  }
+
+  /**
+   * The table containing per-interface traffic statistics. Linux keeps
+   * per-interface statistics only for IPv6, so there is an entry for each
+   * interface on which IPv6 is enabled. Linux counts forwarded datagrams
+   * only against the interface on which they're sent, so
+   * ipIfStatsInForwDatagrams, which counts them against the interface on
+   * which they were received, is always 0.
+   *
+   * @return {Array}
+   *   The returned array contains entries as described in
+   *   `getIpIfStatsEntry`.
+   */
+  async getIpIfStatsTable()
+  {
+    return Promise.resolve()
+      .then(() => addIfIndexes())
+      .then(() => fsp.readdir("/proc/net/dev_snmp6"))
+      .then((ifNames) =>
+        {
+          return Promise.all(
+            ifNames
+              .filter((ifName) => ifName in ifIndexMap)
+              .map((ifName) => this.getIpIfStatsEntry(ifName, 2)));
+        });
+  }
+
+  /**
+   * An interface statistics entry containing objects for a particular
+   * interface and version of IP.
+   *
+   * @param ifName {String}
+   *   The name of the interface
+   *
+   * @param ipVersion {Number}
+   *   The IP version of this entry. Only 2 (ipv6) is supported.
+   *
+   * @return {Map}
+   *   The returned map has members `ipIfStatsIPVersion` and
+   *   `ipIfStatsIfIndex`, and one member for each accessible column of
+   *   ipIfStatsTable, e.g., `ipIfStatsInReceives` and
+   *   `ipIfStatsHCInReceives`. Counter64 values are Buffers.
+   */
+  async getIpIfStatsEntry(ifName, ipVersion)
+  {
+    if (ipVersion != 2)
+    {
+      throw new Error(
+        `No per-interface statistics for IP version ${ipVersion}`);
+    }
+
+    return Promise.resolve()
+      .then(() => addIfIndexes())
+      .then(() => getIpTrafficCounters6(ifName))
+      .then((counters) => getIpTrafficStats(counters))
+      .then(
+        (stats) =>
+        {
+          let             name;
+          let             result =
+                {
+                  ipIfStatsIPVersion : ipVersion,
+                  ipIfStatsIfIndex   : ifIndexMap[ifName]
+                };
+
+          for (name in stats)
+          {
+            result["ipIfStats" + name] = stats[name];
+          }
+
+          return result;
+        });
+  }
+
+  /*
+   * *********************************************************************
+   * the IP forwarding table (IP-FORWARD-MIB)
+   * *********************************************************************
+   */
+
+  /*
+   * The number of current inetCidrRouteTable entries that are not invalid.
+   */
+  async getInetCidrRouteNumber()
+  {
+    return Promise.resolve()
+      .then(() => getInetCidrRoutes())
+      .then((routes) => Math.min(routes.length, GAUGE_MAX));
+  }
+
+  /*
+   * The number of valid route entries discarded from the
+   * inetCidrRouteTable. The kernel does not discard valid routes.
+   */
+  async getInetCidrRouteDiscards()
+  {
+    return 0 % COUNTER_WRAP_AT;
+  }
+
+  /**
+   * This entity's IP routing table, for both IPv4 and IPv6, including the
+   * routes in all of the kernel's policy routing tables.
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   inetCidrRouteDestType
+   *     The address type of inetCidrRouteDest: 1=ipv4 2=ipv6 4=ipv6z.
+   *     Link-local IPv6 destinations use the type 'ipv6z', in order to
+   *     differentiate between the possible interfaces.
+   *
+   *   inetCidrRouteDest
+   *     The destination IP address of this route, as a Buffer. For
+   *     'ipv6z' destinations, the address is followed by a zone index, for
+   *     which the interface index is used.
+   *
+   *   inetCidrRoutePfxLen
+   *     The number of leading one bits that form the mask to be
+   *     logical-ANDed with the destination address before being compared
+   *     to the value of inetCidrRouteDest
+   *
+   *   inetCidrRoutePolicy
+   *     The policy routing table containing this route, as an OID string:
+   *     "0.0" for the main table, or "0.<table id>" for any other table,
+   *     e.g., "0.255" for the local table
+   *
+   *   inetCidrRouteNextHopType
+   *     The address type of inetCidrRouteNextHop: 1=ipv4 2=ipv6 4=ipv6z,
+   *     or 0=unknown for routes without a next hop
+   *
+   *   inetCidrRouteNextHop
+   *     The address of the next system en route, as a Buffer, or a
+   *     zero-length Buffer for routes without a next hop
+   *
+   *   inetCidrRouteIfIndex
+   *     The ifIndex value that identifies the local interface through
+   *     which the next hop of this route should be reached, or 0 if no
+   *     interface is specified
+   *
+   *   inetCidrRouteType
+   *     The type of route: 1=other 2=reject 3=local 4=remote 5=blackhole
+   *
+   *   inetCidrRouteProto
+   *     The routing mechanism via which this route was learned, as an
+   *     IANAipRouteProtocol value, e.g., 2=local 3=netmgmt 4=icmp 19=dhcp.
+   *     Routes added by routing daemons which do not identify the protocol
+   *     in use, e.g., bird, are 1=other.
+   *
+   *   inetCidrRouteAge
+   *     The number of seconds since this route was first seen, unchanged,
+   *     by this library
+   *
+   *   inetCidrRouteNextHopAS
+   *     The Autonomous System Number of the next hop. Always 0 (unknown).
+   *
+   *   inetCidrRouteMetric1
+   *     The kernel's metric (priority) for this route
+   *
+   *   inetCidrRouteMetric2 ... inetCidrRouteMetric5
+   *     Unused alternate metrics, always -1
+   *
+   *   inetCidrRouteStatus
+   *     The row status. Always 1 (active).
+   */
+  async getInetCidrRouteTable()
+  {
+    return getInetCidrRoutes();
+  }
+
+
+
+  /*
+   * *********************************************************************
+   * the ICMP group
+   *
+   * Implementation of the ICMP group is mandatory for all systems.
+   * *********************************************************************
+   */
+
+  /*
+   * The total number of ICMP messages which the entity received. Note that
+   * this counter includes all those counted by icmpInErrors.
+   */
+  async getIcmpInMsgs()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.InMsgs % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP messages which the entity received but determined as
+   * having ICMP-specific errors (bad ICMP checksums, bad length, etc.).
+   */
+  async getIcmpInErrors()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.InErrors % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Destination Unreachable messages received.
+   */
+  async getIcmpInDestUnreachs()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.InDestUnreachs % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Time Exceeded messages received.
+   */
+  async getIcmpInTimeExcds()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.InTimeExcds % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Parameter Problem messages received.
+   */
+  async getIcmpInParmProbs()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.InParmProbs % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Source Quench messages received.
+   */
+  async getIcmpInSrcQuenchs()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.InSrcQuenchs % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Redirect messages received.
+   */
+  async getIcmpInRedirects()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.InRedirects % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Echo (request) messages received.
+   */
+  async getIcmpInEchos()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.InEchos % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Echo Reply messages received.
+   */
+  async getIcmpInEchoReps()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.InEchoReps % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Timestamp (request) messages received.
+   */
+  async getIcmpInTimestamps()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.InTimestamps % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Timestamp Reply messages received.
+   */
+  async getIcmpInTimestampReps()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.InTimestampReps % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Address Mask Request messages received.
+   */
+  async getIcmpInAddrMasks()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.inAddrMasks % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Address Mask Reply messages received.
+   */
+  async getIcmpInAddrMaskReps()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.inAddrMaskReps % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The total number of ICMP messages which this entity attempted to send.
+   * Note that this counter includes all those counted by icmpOutErrors.
+   */
+  async getIcmpOutMsgs()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.OutMsgs % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP messages which this entity did not send due to
+   * problems discovered within ICMP such as a lack of buffers. This value
+   * should not include errors discovered outside the ICMP layer such as the
+   * inability of IP to route the resultant datagram. In some implementations
+   * there may be no types of error which contribute to this counter's value.
+   */
+  async getIcmpOutErrors()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.OutErrors % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Destination Unreachable messages sent.
+   */
+  async getIcmpOutDestUnreachs()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.OutDestUnreachs % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Time Exceeded messages sent.
+   */
+  async getIcmpOutTimeExcds()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.OutTimeExcds % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Parameter Problem messages sent.
+   */
+  async getIcmpOutParmProbs()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.OutParmProbs % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Source Quench messages sent.
+   */
+  async getIcmpOutSrcQuenchs()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.OutSrcQuenchs % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Redirect messages sent. For a host, this object will
+   * always be zero, since hosts do not send redirects.
+   */
+  async getIcmpOutRedirects()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.OutRedirects % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Echo (request) messages sent.
+   */
+  async getIcmpOutEchos()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.OutEchos % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Echo Reply messages sent.
+   */
+  async getIcmpOutEchoReps()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.OutEchoReps % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Timestamp (request) messages sent.
+   */
+  async getIcmpOutTimestamps()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.OutTimestamps % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Timestamp Reply messages sent.
+   */
+  async getIcmpOutTimestampReps()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.OutTimestampReps % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Address Mask Request messages sent.
+   */
+  async getIcmpOutAddrMasks()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.OutAddrMasks % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of ICMP Address Mask Reply messages sent.
+   */
+  async getIcmpOutAddrMaskReps()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Icmp.OutAddrMaskReps % COUNTER_WRAP_AT);
+  }
+
+
+  /*
+   * *********************************************************************
+   * the TCP group
+   *
+   * Implementation of the TCP group is mandatory for all systems that
+   * implement the TCP.
+   *
+   * Note that instances of object types that represent information about a
+   * particular TCP connection are transient; they persist only as long as the
+   * connection in question.
+   * *********************************************************************
+   */
+
+  /*
+   * The algorithm used to determine the timeout value used for retransmitting
+   * unacknowledged octets.
+   */
+  async getTcpRtoAlgorithm()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Tcp.RtoAlgorithm);
+  }
+
+  /*
+   * The minimum value permitted by a TCP implementation for the
+   * retransmission timeout, measured in milliseconds. More refined semantics
+   * for objects of this type depend upon the algorithm used to determine the
+   * retransmission timeout. In particular, when the timeout algorithm is
+   * rsre(3), an object of this type has the semantics of the LBOUND quantity
+   * described in RFC 793.
+   */
+  async getTcpRtoMin()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Tcp.RtoMin);
+  }
+
+  /*
+   * The maximum value permitted by a TCP implementation for the
+   * retransmission timeout, measured in milliseconds. More refined semantics
+   * for objects of this type depend upon the algorithm used to determine the
+   * retransmission timeout. In particular, when the timeout algorithm is
+   * rsre(3), an object of this type has the semantics of the UBOUND quantity
+   * described in RFC 793.
+   */
+  async getTcpRtoMax()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Tcp.RtoMax);
+  }
+
+  /*
+   * The limit on the total number of TCP connections the entity can support.
+   * In entities where the maximum number of connections is dynamic, this
+   * object should contain the value -1.
+   */
+  async getTcpMaxConn()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Tcp.MaxConn);
+  }
+
+  /*
+   * The number of times TCP connections have made a direct transition to the
+   * SYN-SENT state from the CLOSED state.
+   */
+  async getTcpActiveOpens()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Tcp.ActiveOpens % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of times TCP connections have made a direct transition to the
+   * SYN-RCVD state from the LISTEN state.
+   */
+  async getTcpPassiveOpens()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Tcp.PassiveOpens % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of times TCP connections have made a direct transition to the
+   * CLOSED state from either the SYN-SENT state or the SYN-RCVD state, plus
+   * the number of times TCP connections have made a direct transition to the
+   * LISTEN state from the SYN-RCVD state.
+   */
+  async getTcpAttemptFails()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Tcp.AttemptFails % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of times TCP connections have made a direct transition to the
+   * CLOSED state from either the ESTABLISHED state or the CLOSE-WAIT state.
+   */
+  async getTcpEstabResets()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Tcp.EstabResets % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of TCP connections for which the current state is either
+   * ESTABLISHED or CLOSE- WAIT.
+   */
+  async getTcpCurrEstab()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => Math.min(+info.Tcp.CurrEstab, GAUGE_MAX));
+  }
+
+  /*
+   * The total number of segments received, including those received in error.
+   * This count includes segments received on currently established
+   * connections.
+   */
+  async getTcpInSegs()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Tcp.InSegs % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The total number of segments sent, including those on current connections
+   * but excluding those containing only retransmitted octets.
+   */
+  async getTcpOutSegs()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Tcp.OutSegs % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The total number of segments retransmitted - that is, the number of TCP
+   * segments transmitted containing one or more previously transmitted
+   * octets.
+   */
+  async getTcpRetransSegs()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Tcp.RetransSegs % COUNTER_WRAP_AT);
+  }
+
+  /**
+   * A table containing TCP connection-specific information.
+   *
+   * @param bResolve {Boolean}
+   *   If true, attempt to resolve each remote address and create, in each
+   *   resolvable entry, an array called `tcpConnRemHosts` with the host names
+   *   for that address.
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   tcpConnLocalAddress
+   *     The local IP address for this TCP connection. In the case of a
+   *     connection in the listen state which is willing to accept connections
+   *     for any IP interface associated with the node, the value 0.0.0.0 is
+   *     used.
+   *
+   *   tcpConnLocalPort
+   *     The local port number for this TCP connection.
+   *
+   *   tcpConnRemAddress
+   *     The remote IP address for this TCP connection.
+   *
+   *   tcpConnRemPort
+   *     The remote port number for this TCP connection.
+   *
+   *   tcpConnRemHosts
+   *     Only if `bResolve` is true, this array member is added if
+   *     `tcpConnRemAddress` can be resolved to one or more host names.
+   */
+  async getTcpConnTable(bResolve)
+  {
+    return Promise.resolve()
+      .then(() => getTcpConns4(bResolve))
+      .then(
+        (connsInfo) =>
+        {
+          return connsInfo;
+        });
+  }
+
+
+
+  /*
+   * **********************************************************************
+   * additional TCP objects
+   * **********************************************************************
+   */
+
+  /*
+   * The total number of segments received in error (e.g., bad TCP checksums).
+   */
+  async getTcpInErrs()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Tcp.InErrs % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of TCP segments sent containing the RST flag.
+   */
+  async getTcpOutRsts()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Tcp.OutRsts % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * *********************************************************************
+   * the TCP group extensions (TCP-MIB)
+   * *********************************************************************
+   */
+
+  /*
+   * The total number of segments received, including those received in
+   * error. This count includes segments received on currently established
+   * connections. This object is the 64-bit equivalent of tcpInSegs.
+   */
+  async getTcpHCInSegs()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => toCounter64(info.Tcp.InSegs));
+  }
+
+  /*
+   * The total number of segments sent, including those on current
+   * connections but excluding those containing only retransmitted octets.
+   * This object is the 64-bit equivalent of tcpOutSegs.
+   */
+  async getTcpHCOutSegs()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => toCounter64(info.Tcp.OutSegs));
+  }
+
+  /**
+   * A table containing information about existing TCP connections, for
+   * both IPv4 and IPv6. Unlike tcpConnTable, connections in the LISTEN
+   * state are in the separate tcpListenerTable.
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   tcpConnectionLocalAddressType
+   *     The address type of tcpConnectionLocalAddress: 1=ipv4 2=ipv6
+   *
+   *   tcpConnectionLocalAddress
+   *     The local IP address for this TCP connection, as a Buffer
+   *
+   *   tcpConnectionLocalPort
+   *     The local port number for this TCP connection.
+   *
+   *   tcpConnectionRemAddressType
+   *     The address type of tcpConnectionRemAddress: 1=ipv4 2=ipv6
+   *
+   *   tcpConnectionRemAddress
+   *     The remote IP address for this TCP connection, as a Buffer
+   *
+   *   tcpConnectionRemPort
+   *     The remote port number for this TCP connection.
+   *
+   *   tcpConnectionState
+   *     The state of this TCP connection, one of the
+   *     `TcpConnEntry_CONNECTION_STATE` values other than `Listen` and
+   *     `NewSynReceived`
+   *
+   *   tcpConnectionProcess
+   *     The system's process ID for the process associated with this
+   *     connection, or zero if there is no such process (or it can not be
+   *     determined, e.g., due to insufficient privileges).
+   */
+  async getTcpConnectionTable()
+  {
+    return getTcpConnections();
+  }
+
+  /**
+   * A table containing information about TCP listeners, for both IPv4 and
+   * IPv6.
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   tcpListenerLocalAddressType
+   *     The address type of tcpListenerLocalAddress: 1=ipv4 2=ipv6, or
+   *     0=unknown for a listener which accepts both IPv4 and IPv6
+   *     connections
+   *
+   *   tcpListenerLocalAddress
+   *     The local IP address on which connections are accepted, as a
+   *     Buffer. An all-zeros address indicates that connections to any
+   *     local address (of the given type) are accepted. This is a
+   *     zero-length Buffer for a listener which accepts both IPv4 and
+   *     IPv6 connections.
+   *
+   *   tcpListenerLocalPort
+   *     The local port number on which connections are accepted.
+   *
+   *   tcpListenerProcess
+   *     The system's process ID for the process associated with this
+   *     listener, or zero if there is no such process (or it can not be
+   *     determined, e.g., due to insufficient privileges).
+   */
+  async getTcpListenerTable()
+  {
+    return getTcpListeners();
+  }
+
+
+  /*
+   * *********************************************************************
+   * the UDP group
+   *
+   * Implementation of the UDP group is mandatory for all systems which
+   * implement the UDP.
+   * *********************************************************************
+   */
+
+  /*
+   * The total number of UDP datagrams delivered to UDP users.
+   */
+  async getUdpInDatagrams()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Udp.InDatagrams % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The total number of received UDP datagrams for which there was no
+   * application at the destination port.
+   */
+  async getUdpNoPorts()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Udp.NoPorts % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The number of received UDP datagrams that could not be delivered for
+   * reasons other than the lack of an application at the destination port.
+   */
+  async getUdpInErrors()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Udp.InErrors % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * The total number of UDP datagrams sent from this entity.
+   */
+  async getUdpOutDatagrams()
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo4())
+      .then((info) => +info.Udp.OutDatagrams % COUNTER_WRAP_AT);
+  }
+
+  /**
+   * A table containing UDP listener information.
+   *
+   * @param bResolve {Boolean}
+   *   If true, attempt to resolve each remote address and create, in each
+   *   resolvable entry, an array called `udpRemHosts` with the host names for
+   *   that address.
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   udpLocalAddress
+   *     The local IP address for this UDP listener. In the case of a UDP
+   *     listener which is willing to accept datagrams for any IP interface
+   *     associated with the node, the value 0.0.0.0 is used.
+   *
+   *   udpLocalPort
+   *     The local port number for this UDP listener.
+   *
+   *   udpRemAddress
+   *     The remote IP address to which this socket is connected, or
+   *     0.0.0.0 if it is not connected. This is not an object of udpTable,
+   *     and is not made available via SNMP; connected sockets are
+   *     represented by getUdpEndpointTable.
+   *
+   *   udpRemPort
+   *     The remote port number to which this socket is connected, or 0 if
+   *     it is not connected. Like `udpRemAddress`, this is not an object of
+   *     udpTable.
+   *
+   *   udpRemHosts
+   *     Only if `bResolve` is true, this array member is added if
+   *     `udpRemAddress` can be resolved to one or more host names.
+   */
+  async getUdpTable(bResolve)
+  {
+    return Promise.resolve()
+      .then(() => getUdpListeners4(bResolve))
+      .then(
+        (listenerInfo) =>
+        {
+          return listenerInfo;
+        });
+  }
+
+  /*
+   * *********************************************************************
+   * the UDP group extensions (UDP-MIB)
+   * *********************************************************************
+   */
+
+  /*
+   * The total number of UDP datagrams delivered to UDP users, over both
+   * IPv4 and IPv6. This object is the 64-bit equivalent of
+   * udpInDatagrams.
+   */
+  async getUdpHCInDatagrams()
+  {
+    return Promise.resolve()
+      .then(() => getUdpDatagramCounts())
+      .then((counts) => toCounter64(counts.InDatagrams));
+  }
+
+  /*
+   * The total number of UDP datagrams sent from this entity, over both
+   * IPv4 and IPv6. This object is the 64-bit equivalent of
+   * udpOutDatagrams.
+   */
+  async getUdpHCOutDatagrams()
+  {
+    return Promise.resolve()
+      .then(() => getUdpDatagramCounts())
+      .then((counts) => toCounter64(counts.OutDatagrams));
+  }
+
+  /**
+   * A table containing information about UDP endpoints, both listening and
+   * connected, for IPv4 and IPv6. UDP-Lite endpoints are included.
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   udpEndpointLocalAddressType
+   *     The address type of udpEndpointLocalAddress: 1=ipv4 2=ipv6, or
+   *     0=unknown for an unconnected endpoint which accepts both IPv4 and
+   *     IPv6 datagrams
+   *
+   *   udpEndpointLocalAddress
+   *     The local IP address for this UDP endpoint, as a Buffer. An
+   *     all-zeros address indicates that datagrams to any local address
+   *     (of the given type) are accepted. This is a zero-length Buffer for
+   *     an endpoint which accepts both IPv4 and IPv6 datagrams.
+   *
+   *   udpEndpointLocalPort
+   *     The local port number for this UDP endpoint.
+   *
+   *   udpEndpointRemoteAddressType
+   *     The address type of udpEndpointRemoteAddress: 1=ipv4 2=ipv6, or
+   *     0=unknown if the socket is not connected
+   *
+   *   udpEndpointRemoteAddress
+   *     The remote IP address to which this socket is connected, as a
+   *     Buffer, or a zero-length Buffer if it is not connected
+   *
+   *   udpEndpointRemotePort
+   *     The remote port number to which this socket is connected, or 0 if
+   *     it is not connected
+   *
+   *   udpEndpointInstance
+   *     Distinguishes among multiple sockets with identical addresses and
+   *     ports, e.g., those bound using SO_REUSEPORT. The first such socket
+   *     has instance 1.
+   *
+   *   udpEndpointProcess
+   *     The system's process ID for the process associated with this
+   *     endpoint, or zero if there is no such process (or it can not be
+   *     determined, e.g., due to insufficient privileges).
+   */
+  async getUdpEndpointTable()
+  {
+    return getUdpEndpoints();
+  }
+
+
+  /*
+   * *********************************************************************
+   * the EGP group
+   *
+   * Implementation of the EGP group is mandatory for all systems which
+   * implement the EGP.
+   * **********************************************************************
+   *
+   * THIS GROUP IS NOT IMPLEMENTED
+   *
+   *   getEgpInMsgs()
+   *   getEgpInErrors()
+   *   getEgpOutMsgs()
+   *   getEgpOutErrors()
+   *   getEgpNeighTable()
+   *   getEgpNeighEntry()
+   *   getEgpNeighState()
+   *   getEgpNeighAddr()
+   *   getEgpNeighAs()
+   *   getEgpNeighInMsgs()
+   *   getEgpNeighInErrs()
+   *   getEgpNeighOutMsgs()
+   *   getEgpNeighOutErrs()
+   *   getEgpNeighInErrMsgs()
+   *   getEgpNeighOutErrMsgs()
+   *   getEgpNeighStateUps()
+   *   getEgpNeighStateDowns()
+   *   getEgpNeighIntervalHello()
+   *   getEgpNeighIntervalPoll()
+   *   getEgpNeighMode()
+   *   getEgpNeighEventTrigger()
+   *   getEgpAs()
+   */
+
+  /*
+   * The indication of whether this entity is acting as an IPv6 router in
+   * respect to the forwarding of datagrams received by, but not addressed to,
+   * this entity. IPv6 routers forward datagrams. IPv6 hosts do not (except
+   * those source-routed via the host).
+   *
+   * Note that for some managed nodes, this object may take on only a subset
+   * of the values possible. Accordingly, it is appropriate for an agent to
+   * return a `wrongValue' response if a management station attempts to change
+   * this object to an inappropriate value.
+   */
+  async getIpv6Forwarding()
+  {
+    return Promise.resolve()
+      .then(() => fsp.readFile("/proc/sys/net/ipv6/conf/all/forwarding"))
+      .then(v => +v.toString().trim()) // file: 1=forwarding, 0=not-forwarding
+      .then(v => v ? 1 : 2);           // ret:  1=forwarding, 2=not-forwarding
+  }
+
+  /*
+   * The default value inserted into the Hop Limit field of the IPv6 header of
+   * datagrams originated at this entity, whenever a Hop Limit value is not
+   * supplied by the transport layer protocol.
+   */
+  async getIpv6DefaultHopLimit()
+  {
+    return Promise.resolve()
+      .then(() => fsp.readFile("/proc/sys/net/ipv6/conf/all/hop_limit"))
+      .then(v => +v.toString().trim());
+  }
+
+  /*
+   * The number of IPv6 interfaces (regardless of their current state) present
+   * on this system.
+   */
+  async getIpv6Interfaces()
+  {
+    return Promise.resolve()
+      .then(() => addIfIndexes())
+      .then((ifNames) => ifNames.length);
+  }
+
+  /*
+   * The value of sysUpTime at the time of the last insertion or removal of an
+   * entry in the ipv6IfTable. If the number of entries has been unchanged
+   * since the last re-initialization of the local network management
+   * subsystem, then this object contains a zero value.
+   */
+  async getIpv6IfTableLastChange()
+  {
+    return 0; // Assume interfaces came up before management system
+  }
+
+  /*
+   * **********************************************************************
+   *
+   * the IPv6 Interfaces table
+   *
+   * **********************************************************************
+   */
+
+  /*
+   * The IPv6 Interfaces table contains information on the entity's
+   * internetwork-layer interfaces. An IPv6 interface constitutes a logical
+   * network layer attachment to the layer immediately below
+   *
+   * IPv6 including internet layer 'tunnels', such as tunnels over IPv4 or
+   * IPv6 itself.
+   */
+  async getIpv6IfTable()
+  {
+    // If we don't yet have the PCI database parsed, do it now.
+    if (! pciIds)
+    {
+      pciIds = await require("./parsePciIds")(this.pciIdPath);
+    }
+
+    return Promise.resolve()
+      .then(() => addIfIndexes())
+      .then((ifNames) =>
+        {
+          return Promise.all(
+            ifNames.map((ifName) =>
+              this.getIpv6IfEntry(ifName, ifIndexMap[ifName])));
+        });
+  }
+
+  /*
+   * An interface entry containing objects about a particular IPv6 interface.
+   */
+  async getIpv6IfEntry(ifName, index)
+  {
+    /*
+     * A unique value for each interface. Its value ranges between 1 and the
+     * value of ifNumber. The value for each interface must remain constant at
+     * least from one re-initialization of the entity's network management
+     * system to the next re- initialization.
+     */
+    let             ipv6IfIndex             = async () =>
+    {
+      // Have we already identified this interface index?
+      if (ifName in ifIndexMap)
+      {
+        // Yup. We can return it immediately.
+        return ifIndexMap[ifName];
+      }
+
+      // We need to enumerate all interfaces and get this one's index.
+      return Promise.resolve()
+        .then(() => addIfIndexes())
+        .then(() =>
+          {
+            // It'd better be there now
+            if (! (ifName in ifIndexMap))
+            {
+              throw new Error(`Interface ${ifName} does not exist`);
+            }
+
+            return ifIndexMap[ifName];
+          });
+    };
+
+    /*
+     * A textual string containing information about the interface. This
+     * string should include the name of the manufacturer, the product name
+     * and the version of the hardware interface.
+     */
+    let             ipv6IfDescr             = async () =>
+    {
+      let             vendor;
+      let             device;
+      let             revision;
+
+      // If we don't yet have the PCI database parsed, do it now.
+      if (! pciIds)
+      {
+        pciIds = await require("./parsePciIds")(this.pciIdPath);
+      }
+
+      return Promise.allSettled(
+        [
+          fsp.readFile(`/sys/class/net/${ifName}/device/vendor`),
+          fsp.readFile(`/sys/class/net/${ifName}/device/device`),
+          fsp.readFile(`/sys/class/net/${ifName}/device/revision`)
+        ])
+        .then(
+          (results) =>
+          {
+            let             manufacturer;
+            let             deviceName;
+            let             getValueOrUnknown =
+                () =>
+                {
+                  const           result = results.shift();
+
+                  if (result.status == "fulfilled")
+                  {
+                    return result.value.toString().trim();
+                  }
+
+                  return "Unknown";
+                };
+
+            // Get the vendor ID, deviceID, and revision. Attempt to
+            // convert vendor ID and device ID into their respective
+            // manufacturer and device name, if that information is
+            // available to us.
+            vendor = manufacturer = getValueOrUnknown().replace("0x", "");
+            try { manufacturer = pciIds[vendor].manufacturer; } catch (e) {};
+            device = deviceName = getValueOrUnknown().replace("0x", "");
+            try { deviceName = pciIds[vendor].devices[device]; } catch (e) {};
+            revision = getValueOrUnknown();
+
+            return (
+              [
+                `Interface: ${ifName}`,
+                `Vendor: ${manufacturer}`,
+                `Device: ${deviceName}`,
+                `Rev : ${revision}`
+              ].join(" | "));
+          });
+    };
+
+    /*
+     * This object identifies the protocol layer over which this network
+     * interface operates. If this network interface operates over the
+     * data-link layer, then the value of this object refers to an instance of
+     * ifIndex [6]. If this network interface operates over an IPv4 interface,
+     * the value of this object refers to an instance of ipAdEntAddr [3].
+     *
+     * If this network interface operates over another IPv6 interface, the
+     * value of this object refers to an instance of ipv6IfIndex. If this
+     * network interface is not currently operating over an active protocol
+     * layer, then the value of this object should be set to the OBJECT ID { 0
+     * 0 }.
+     */
+    let             ipv6IfLowerLayer    = async() =>
+    {
+      return "0.0";             // higher layer may want to modify this
+    };
+
+    /*
+     * The size of the largest IPv6 packet which can be sent/received on the
+     * interface, specified in octets.
+     */
+    let             ipv6IfEffectiveMtu  = async () =>
+    {
+      let             mtu;
+
+      // The mtu file doesn't exist for all interfaces. Assume ethernet.
+      return Promise.resolve()
+        .then(() => fsp.readFile(`/proc/sys/net/ipv6/conf/${ifName}/mtu`))
+        .then(v => +v.toString().trim())
+        .then(v => mtu = v)
+        .catch((e) => mtu = 1500)
+        .then(() => mtu);
+    };
+
+    /*
+     * The size of the largest IPv6 datagram which this entity can re-assemble
+     * from incoming IPv6 fragmented datagrams received on this interface.
+     */
+    let             ipv6IfReasmMaxSize  = async () =>
+    {
+      return 65535;             // TODO: how do we determine this?
+    };
+
+    /*
+     * The Interface Identifier for this interface that is (at least) unique
+     * on the link this interface is attached to. The Interface Identifier is
+     * combined with an address prefix to form an interface address.
+     *
+     * By default, the Interface Identifier is autoconfigured according to the
+     * rules of the link type this interface is attached to.
+     */
+    let             ipv6IfIdentifier    = async () =>
+    {
+      // We choose to use the pyhsical (mac) address as the
+      // identifier, assuming the interface is attached to an 802.x
+      // link.
+      //
+      // TODO: determine how to select an identifier if the interface
+      // is attached to something other than an 802.x link
+      //
+      // TODO: if this implementation is changed, change the
+      // implementation of ipv6IdentifierLength too
+      return Promise.resolve()
+        .then(() => fsp.readFile(`/sys/class/net/${ifName}/address`))
+        .then(
+          v =>
+          {
+            return Buffer.from(
+              v.toString()
+                .trim()
+                .replace(/^$/, "00:00:00:00:00:00")
+                .split(":")
+                .map((s) => parseInt(s, 16)));
+          });
+    };
+
+    let             ipv6IfIdentifierLength = async () =>
+    {
+      // Since we chose to use the mac address as the identifier, the
+      // length (in bits) is fixed at 48 (6 bytes).
+      return 48;
+    };
+
+    /*
+     * The interface's physical address. For example, for an IPv6 interface
+     * attached to an 802.x link, this object normally contains a MAC address.
+     * Note that in some cases this address may differ from the address of the
+     * interface's protocol sub-layer. The interface's media-specific MIB must
+     * define the bit and byte ordering and the format of the value of this
+     * object. For interfaces which do not have such an address (e.g., a
+     * serial line), this object should contain an octet string of zero
+     * length.
+     */
+    let             ipv6IfPhysicalAddress = async () =>
+    {
+      return Promise.resolve()
+        .then(() => fsp.readFile(`/sys/class/net/${ifName}/address`))
+        .then(
+          v =>
+          {
+            return Buffer.from(
+              v.toString()
+                .trim()
+                .replace(/^$/, "00:00:00:00:00:00")
+                .split(":")
+                .map((s) => parseInt(s, 16)));
+          });
+    };
+
+    /*
+     * The desired state of the interface. When a managed system initializes,
+     * all IPv6 interfaces start with ipv6IfAdminStatus in the down(2) state.
+     * As a result of either explicit management action or per configuration
+     * information retained by the managed system, ipv6IfAdminStatus is then
+     * changed to the up(1) state (or remains in the down(2) state).
+     */
+    let             ipv6IfAdminStatus = async () =>
+    {
+      // TODO: How to determine if the interface is up or down?
+      return 1;                 // 1=up 2=down 3=testing
+    };
+    
+    /*
+     * The current operational state of the interface. The noIfIdentifier(3)
+     * state indicates that no valid Interface Identifier is assigned to the
+     * interface. This state usually indicates that the link-local interface
+     * address failed Duplicate Address Detection. If ipv6IfAdminStatus is
+     * down(2) then ipv6IfOperStatus should be down(2). If ipv6IfAdminStatus
+     * is changed to up(1) then ipv6IfOperStatus should change to up(1) if the
+     * interface is ready to transmit and receive network traffic; it should
+     * remain in the down(2) or noIfIdentifier(3) state if and only if there
+     * is a fault that prevents it from going to the up(1) state; it should
+     * remain in the notPresent(5) state if the interface has missing
+     * (typically, lower layer) components.
+     */
+    let             ipv6IfOperStatus  = async () =>
+    {
+      // TODO: How to determine the interface status?
+      return 1;  // 1=up 2=down 3=noIfIdentifier 4=unknown 5=otPresent
+    };
+
+    /*
+     * The value of sysUpTime at the time the interface entered its current
+     * operational state. If the current state was entered prior to the last
+     * re-initialization of the local network management subsystem, then this
+     * object contains a zero value.
+     */
+    let             ipv6IfLastChange = async () =>
+    {
+      return 0; // Assume interfaces came up before management system
+    };
+
+    return Promise.all(
+      [
+        ipv6IfIndex(),
+        ipv6IfDescr(),
+        ipv6IfLowerLayer(),
+        ipv6IfEffectiveMtu(),
+        ipv6IfReasmMaxSize(),
+        ipv6IfIdentifier(),
+        ipv6IfIdentifierLength(),
+        ipv6IfPhysicalAddress(),
+        ipv6IfAdminStatus(),
+        ipv6IfOperStatus(),
+        ipv6IfLastChange()
+      ])
+      .then((results) =>
+        {
+          let result =
+            {
+              ipv6IfIndex            : results.shift(),
+              ipv6IfDescr            : results.shift(),
+              ipv6IfLowerLayer       : results.shift(),
+              ipv6IfEffectiveMtu     : results.shift(),
+              ipv6IfReasmMaxSize     : results.shift(),
+              ipv6IfIdentifier       : results.shift(),
+              ipv6IfIdentifierLength : results.shift(),
+              ipv6IfPhysicalAddress  : results.shift(),
+              ipv6IfAdminStatus      : results.shift(),
+              ipv6IfOperStatus       : results.shift(),
+              ipv6IfLastChange       : results.shift()
+            };
+
+          return result;
+        });
+  }
+  
+  /*
+   * **********************************************************************
+   *
+   * IPv6 Interface Statistics table
+   *
+   * **********************************************************************
+   */
+  async getIpv6IfStatsTable()
+  {
+    return Promise.resolve()
+      .then(() => addIfIndexes())
+      .then((ifNames) =>
+        {
+          return Promise.all(
+            ifNames.map((ifName) =>
+              this.getIpv6IfStatsEntry(ifName, ifIndexMap[ifName])));
+        });
+  }
+
+  async getIpv6IfStatsEntry(ifName, index)
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo6(ifName))
+      .then(
+        (info) =>
+        {
+          info.ipv6IfIndex = index; // Status augments ipv6IfEntry. Add index.
+          return info;
+        });
+  }
+
+  /*
+   * **********************************************************************
+   *
+   * IPv6 ICMP Interface Statistics table (IPV6-ICMP-MIB)
+   *
+   * **********************************************************************
+   */
+
+  /*
+   * IPv6 ICMP statistics. This table contains statistics of ICMPv6 messages
+   * that are received and sourced by the entity.
+   */
+  async getIpv6IfIcmpTable()
+  {
+    return Promise.resolve()
+      .then(() => addIfIndexes())
+      .then((ifNames) =>
+        {
+          return Promise.all(
+            ifNames.map((ifName) =>
+              this.getIpv6IfIcmpEntry(ifName, ifIndexMap[ifName])));
+        });
+  }
+
+  /*
+   * An ICMPv6 statistics entry containing objects at a particular IPv6
+   * interface. The members of the returned map are named as in
+   * /proc/net/dev_snmp6, e.g., `Icmp6InMsgs` for ipv6IfIcmpInMsgs.
+   *
+   * Note that, for a given interface, the kernel does not count
+   * administratively prohibited destination unreachable messages
+   * separately from other destination unreachable messages.
+   */
+  async getIpv6IfIcmpEntry(ifName, index)
+  {
+    return Promise.resolve()
+      .then(() => getNetSnmpInfo6(ifName))
+      .then(
+        (info) =>
+        {
+          info.ipv6IfIndex = index; // Icmp augments ipv6IfEntry. Add index.
+          return info;
+        });
+  }
+
+  /*
+   * **********************************************************************
+   *
+   * Address Prefix table
+   *
+   * The IPv6 Address Prefix table contains information on
+   * the entity's IPv6 Address Prefixes that are associated
+   * with IPv6 interfaces.
+   *
+   * **********************************************************************
+   */
+
+  /*
+   * The list of IPv6 address prefixes of IPv6 interfaces. A prefix is
+   * listed for each (non-host) address assigned to an interface.
+   */
+  async getIpv6AddrPrefixTable()
+  {
+    const           prefixInfo = await getPrefixInfo6();
+
+    return Promise.resolve()
+      .then(
+        () =>
+        {
+          // Call `getIpv6AddrPrefixEntry` for each prefix, binding the
+          // just-retrieved prefix information so that
+          // `getIpv6AddrPrefixEntry` need not re-retrieve it.
+          return Promise.all(
+            prefixInfo.map(
+              (prefix) =>
+              {
+                return this.getIpv6AddrPrefixEntry.bind(prefixInfo)(
+                  prefix.interface, prefix.prefix, prefix.prefixLength);
+              }));
+        });
+  }
+
+  /*
+   * An interface entry containing objects of a particular IPv6 address
+   * prefix.
+   *
+   * @param ifName {String}
+   *   The name of the interface with which the prefix is associated
+   *
+   * @param prefix {String}
+   *   The prefix, as a 32-character hex string (without colons)
+   *
+   * @param prefixLength {Number}
+   *   The length of the prefix, in bits
+   */
+  async getIpv6AddrPrefixEntry(ifName, prefix, prefixLength)
+  {
+    let             entry;
+    let             prefixInfo;
+
+    // If we were called externally, `this` will be our class. If we
+    // were called from `getIpv6AddrPrefixTable`, above, `this` will be
+    // the already-ascertained prefix information. If the prefix info
+    // is already available, we save ourselves re-retrieving it for
+    // each entry.
+    if (this instanceof SnmpLinuxLib)
+    {
+      prefixInfo = await getPrefixInfo6();
+    }
+    else
+    {
+      prefixInfo = this; // already have prefixInfo from getIpv6AddrPrefixTable
+    }
+
+    // Get the information about this prefix
+    entry = prefixInfo.find(
+      (info) =>
+      {
+        return (
+          info.interface == ifName &&
+          info.prefix == prefix &&
+          info.prefixLength == prefixLength);
+      });
+
+    if (! entry)
+    {
+      throw new Error(`No prefix ${prefix}/${prefixLength} on ${ifName}`);
+    }
+
+    /*
+     * The index value which uniquely identifies the interface with which
+     * this prefix is associated.
+     */
+    let             ipv6IfIndex = async () =>
+    {
+      return Promise.resolve()
+        .then(() => addIfIndexes())
+        .then(() =>
+          {
+            // It'd better be there now
+            if (! (entry.interface in ifIndexMap))
+            {
+              throw new Error(`Interface ${entry.interface} does not exist`);
+            }
+
+            return ifIndexMap[entry.interface];
+          });
+    };
+
+    /*
+     * The prefix associated with the this interface.
+     */
+    let             ipv6AddrPrefix = async () =>
+    {
+      return hexToIp6(entry.prefix);
+    };
+
+    /*
+     * The length of the prefix (in bits).
+     */
+    let             ipv6AddrPrefixLength = async () =>
+    {
+      return entry.prefixLength;
+    };
+
+    /*
+     * This object has the value 'true(1)', if this prefix can be used for
+     * on-link determination and the value 'false(2)' otherwise.
+     */
+    let             ipv6AddrPrefixOnLinkFlag = async () =>
+    {
+      return entry.bOnLink ? 1 : 2; // 1=true 2=false
+    };
+
+    /*
+     * Autonomous address configuration flag. When true(1), indicates that
+     * this prefix can be used for autonomous address configuration (i.e. can
+     * be used to form a local interface address). If false(2), it is not
+     * used to autoconfigure a local interface address.
+     */
+    let             ipv6AddrPrefixAutonomousFlag = async () =>
+    {
+      return entry.bAutonomous ? 1 : 2; // 1=true 2=false
+    };
+
+    /*
+     * It is the length of time in seconds that this prefix will remain
+     * preferred, i.e. time until deprecation. A value of 4,294,967,295
+     * represents infinity.
+     */
+    let             ipv6AddrPrefixAdvPreferredLifetime = async () =>
+    {
+      return Math.min(entry.preferredLifetime, GAUGE_MAX);
+    };
+
+    /*
+     * It is the length of time in seconds that this prefix will remain
+     * valid, i.e. time until invalidation. A value of 4,294,967,295
+     * represents infinity.
+     */
+    let             ipv6AddrPrefixAdvValidLifetime = async () =>
+    {
+      return Math.min(entry.validLifetime, GAUGE_MAX);
+    };
+
+    return Promise.all(
+      [
+        ipv6IfIndex(),
+        ipv6AddrPrefix(),
+        ipv6AddrPrefixLength(),
+        ipv6AddrPrefixOnLinkFlag(),
+        ipv6AddrPrefixAutonomousFlag(),
+        ipv6AddrPrefixAdvPreferredLifetime(),
+        ipv6AddrPrefixAdvValidLifetime()
+      ])
+      .then((results) =>
+        {
+          let result =
+            {
+              ipv6IfIndex                        : results.shift(),
+              ipv6AddrPrefix                     : results.shift(),
+              ipv6AddrPrefixLength               : results.shift(),
+              ipv6AddrPrefixOnLinkFlag           : results.shift(),
+              ipv6AddrPrefixAutonomousFlag       : results.shift(),
+              ipv6AddrPrefixAdvPreferredLifetime : results.shift(),
+              ipv6AddrPrefixAdvValidLifetime     : results.shift()
+            };
+
+          return result;
+        });
+  }
+
+  /*
+   * The table of addressing information relevant to this node's interface
+   * addresses.
+   */
+  async getIpv6AddrTable()
+  {
+    const           addressInfo = await getAddressInfo();
+    const           byIpAddr = addressInfo.byIpAddr;
+
+    return Promise.resolve()
+      .then(
+        () =>
+        {
+          let             ipAddr;
+          let             promises = [];
+
+          // Call `getIpv6AddrEntry` for each IPv6 address, binding the
+          // just-retrieved addressInfo so that `getIpAddrEntry` need
+          // not re-retrieve it.
+          for (ipAddr in byIpAddr.IPv6)
+          {
+            promises.push(this.getIpv6AddrEntry.bind(addressInfo)(ipAddr));
+          }
+
+          return Promise.all(promises);
+        });
+  }
+
+  /*
+   * The addressing information for one of this node's interface addresses.
+   */
+  async getIpv6AddrEntry(ipAddr)
+  {
+    let             entry;
+    let             addressInfo;
+
+    // If we were called externally, `this` will be our class. If we
+    // were called from `getIpAddrTable`, above, `this` will be the
+    // already-ascertained address information. If the address info is
+    // already available, we save ourselves a library call for each
+    // entry.
+    if (this instanceof SnmpLinuxLib)
+    {
+      addressInfo = await getAddressInfo();
+    }
+    else
+    {
+      addressInfo = this; // already have addressInfo from getIpAddrTable
+    }
+
+    // Get the information about this address
+    entry = addressInfo.byIpAddr.IPv6[ipAddr];
+
+    /*
+     * The index value which uniquely identifies the interface to which this
+     * entry is applicable. The interface identified by a particular value of
+     * this index is the same interface as identified by the same value of
+     * ifIndex.
+     */
+    let             ipv6IfIndex = async () =>
+    {
+      return Promise.resolve()
+        .then(() => addIfIndexes())
+        .then(() =>
+          {
+            // It'd better be there now
+            if (! (entry.interface in ifIndexMap))
+            {
+              throw new Error(`Interface ${entry.interface} does not exist`);
+            }
+
+            return ifIndexMap[entry.interface];
+          });
+    };
+
+    /*
+     * The IPv6 address to which this entry's addressing information
+     * pertains.
+     */
+    let             ipv6AddrAddress = async () =>
+    {
+      return hexToIp6(ipAddr);
+    };
+
+    /*
+     * The length of the prefix (in bits) associated with the IPv6 address of
+     * this entry.
+     */
+    let             ipv6AddrPfxLength = async () =>
+    {
+      return +entry.cidr.split("/")[1];
+    };
+
+    /*
+     * The type of address. Note that 'stateless(1)' refers to an address that
+     * was statelessly autoconfigured; 'stateful(2)' refers to a address which
+     * was acquired by via a stateful protocol (e.g. DHCPv6, manual
+     * configuration).
+     */
+    let             ipv6AddrType = async () =>
+    {
+      return 3;                 // 1=stateless 2=stateful 3=unknown
+    };
+
+    /*
+     * This object has the value 'true(1)', if this address is an anycast
+     * address and the value 'false(2)' otherwise.
+     */
+    let             ipv6AddrAnycastFlag = async () =>
+    {
+      return 2;                 // 1=true, 2=false
+    };
+
+    /*
+     * Address status. The preferred(1) state indicates that this is a valid
+     * address that can appear as the destination or source address of a
+     * packet. The deprecated(2) state indicates that this is a valid but
+     * deprecated address that should no longer be used as a source address in
+     * new communications, but packets addressed to such an address are
+     * processed as expected. The invalid(3) state indicates that this is not
+     * valid address which should not appear as the destination or source
+     * address of a packet. The inaccessible(4) state indicates that the
+     * address is not accessible because the interface to which this address
+     * is assigned is not operational.
+     */
+    let             ipv6AddrStatus = async () =>
+    {
+      return 5; // 1=preferred 2=deprecated 3=invalid 4=inaccessible 5=unknown
+    };
+
+    return Promise.all(
+      [
+        ipv6IfIndex(),
+        ipv6AddrAddress(),
+        ipv6AddrPfxLength(),
+        ipv6AddrType(),
+        ipv6AddrAnycastFlag(),
+        ipv6AddrStatus()
+      ])
+      .then((results) =>
+        {
+          let result =
+            {
+              ipv6IfIndex         : results.shift(),
+              ipv6AddrAddress     : results.shift(),
+              ipv6AddrPfxLength   : results.shift(),
+              ipv6AddrType        : results.shift(),
+              ipv6AddrAnycastFlag : results.shift(),
+              ipv6AddrStatus      : results.shift()
+            };
+
+          return result;
+        });
+  }
+
+  /*
+   * The number of current ipv6RouteTable entries. This is primarily to avoid
+   * having to read the table in order to determine this number.
+   */
+  async getIpv6RouteNumber()
+  {
+    return Promise.resolve()
+      .then(() => getRouteInfo6())
+      .then(routeInfo => routeInfo.length);
+  }
+
+  /*
+   * The number of routing entries which were chosen to be discarded even
+   *  though they are valid. One possible reason for discarding such an entry
+   *  could be to free-up buffer space for other routing entries.
+   */
+  async getIpv6DiscardedRoutes()
+  {
+    return 0;                   // TODO: is this available on Linux?
+  }
+
+  /*
+   * IPv6 Routing table. This table contains an entry for each valid IPv6
+   * unicast route that can be used for packet forwarding determination.
+   */
+  async getIpv6RouteTable()
+  {
+    return getRouteInfo6();
+  }
+
+  /*
+   * The IPv6 Address Translation table used for mapping from IPv6 addresses
+   * to physical addresses. This is the kernel's IPv6 neighbour cache.
+   */
+  async getIpv6NetToMediaTable()
+  {
+    const           neighInfo = await getNeighInfo(this.cache.startTime);
+
+    return Promise.resolve()
+      .then(
+        () =>
+        {
+          // Call `getIpv6NetToMediaEntry` for each IPv6 neighbour,
+          // binding the just-retrieved neighbour information so that
+          // `getIpv6NetToMediaEntry` need not re-retrieve it.
+          return Promise.all(
+            neighInfo
+              .filter((neighbour) => neighbour.family == "IPv6")
+              .map(
+                (neighbour) =>
+                {
+                  return this.getIpv6NetToMediaEntry.bind(neighInfo)(
+                    neighbour.address, neighbour.interface);
+                }));
+        });
+  }
+
+  /*
+   * Each entry contains one IPv6 address to `physical' address equivalence.
+   *
+   * @param ipAddr {String}
+   *   The neighbour's IPv6 address, in standard (colon-separated) format
+   *
+   * @param ifName {String}
+   *   The name of the interface on which the neighbour was seen
+   */
+  async getIpv6NetToMediaEntry(ipAddr, ifName)
+  {
+    let             entry;
+    let             neighInfo;
+
+    // If we were called externally, `this` will be our class. If we
+    // were called from `getIpv6NetToMediaTable`, above, `this` will be
+    // the already-ascertained neighbour information. If the neighbour
+    // info is already available, we save ourselves re-retrieving it for
+    // each entry.
+    if (this instanceof SnmpLinuxLib)
+    {
+      neighInfo = await getNeighInfo(this.cache.startTime);
+    }
+    else
+    {
+      neighInfo = this; // already have neighInfo from getIpv6NetToMediaTable
+    }
+
+    // Get the information about this neighbour
+    entry = neighInfo.find(
+      (neighbour) =>
+      {
+        return neighbour.address == ipAddr && neighbour.interface == ifName;
+      });
+
+    if (! entry)
+    {
+      throw new Error(`No neighbour entry for ${ipAddr} on ${ifName}`);
+    }
+
+    /*
+     * The interface on which this entry's equivalence is effective. The
+     * interface identified by a particular value of this index is the same
+     * interface as identified by the same value of ifIndex.
+     */
+    let             ipv6IfIndex = async () =>
+    {
+      return Promise.resolve()
+        .then(() => addIfIndexes())
+        .then(() =>
+          {
+            // It'd better be there now
+            if (! (entry.interface in ifIndexMap))
+            {
+              throw new Error(`Interface ${entry.interface} does not exist`);
+            }
+
+            return ifIndexMap[entry.interface];
+          });
+    };
+
+    /*
+     * The IPv6 Address corresponding to the media-dependent `physical'
+     * address.
+     *
+     */
+    let             ipv6NetToMediaNetAddress = async () =>
+    {
+      return hexToIp6(entry.address);
+    };
+
+    /*
+     * The media-dependent `physical' address.
+     */
+    let             ipv6NetToMediaPhysAddress = async () =>
+    {
+      // Neighbours whose resolution has not succeeded have no address
+      if (! entry.hwAddr)
+      {
+        return Buffer.alloc(0);
+      }
+
+      return hexToBinaryHwAddr(entry.hwAddr);
+    };
+
+    /*
+     * The type of the mapping. The 'dynamic(2)' type indicates that the IPv6
+     * address to physical addresses mapping has been dynamically resolved
+     * using the IPv6 Neighbor Discovery protocol. The static(3)' types
+     * indicates that the mapping has been statically configured. The local(4)
+     * indicates that the mapping is provided for an entity's own interface
+     * address.
+     */
+    let             ipv6NetToMediaType = async () =>
+    {
+      // 1=other 2=dynamic 3=static 4=local
+      if (entry.state.includes("PERMANENT"))
+      {
+        return 3;
+      }
+      else if (entry.state.includes("NOARP"))
+      {
+        return 1;
+      }
+
+      return 2;
+    };
+
+    /*
+     * The Neighbor Unreachability Detection [8] state for the interface when
+     * the address mapping in this entry is used.
+     */
+    let             ipv6NetToMediaState = async () =>
+    {
+      const           linuxToIpv6MibNudStateMap =
+            {
+              REACHABLE  : 1,   // reachable
+              STALE      : 2,   // stale
+              DELAY      : 3,   // delay
+              PROBE      : 4,   // probe
+              INCOMPLETE : 5,   // invalid
+              FAILED     : 5    // invalid
+            };
+
+      // The kernel may report more than one state, e.g., "NOARP" and
+      // "PERMANENT" for which NUD does not apply. Use the first one
+      // that has a mapping, or else unknown(6).
+      return (
+        entry.state
+          .map((state) => linuxToIpv6MibNudStateMap[state])
+          .find((state) => state !== undefined) || 6);
+    };
+
+    /*
+     * The value of sysUpTime at the time this entry was last updated. If this
+     * entry was updated prior to the last re-initialization of the local
+     * network management subsystem, then this object contains a zero value.
+     */
+    let             ipv6NetToMediaLastUpdated = async () =>
+    {
+      return entry.lastUpdated;
+    };
+
+    /*
+     * Setting this object to the value 'false(2)' has the effect of
+     * invalidating the corresponding entry in the ipv6NetToMediaTable. That
+     * is, it effectively disassociates the interface identified with said
+     * entry from the mapping identified with said entry. It is an
+     * implementation-specific matter as to whether the agent removes an
+     * invalidated entry from the table. Accordingly, management stations must
+     * be prepared to receive tabular information from agents that corresponds
+     * to entries not currently in use. Proper interpretation of such entries
+     * requires examination of the relevant ipv6NetToMediaValid object.
+     */
+    let             ipv6NetToMediaValid = async () =>
+    {
+      // Entries whose resolution failed are not usable
+      return entry.state.includes("FAILED") ? 2 : 1; // 1=true 2=false
+    };
+
+    return Promise.all(
+      [
+        ipv6IfIndex(),
+        ipv6NetToMediaNetAddress(),
+        ipv6NetToMediaPhysAddress(),
+        ipv6NetToMediaType(),
+        ipv6NetToMediaState(),
+        ipv6NetToMediaLastUpdated(),
+        ipv6NetToMediaValid()
+      ])
+      .then((results) =>
+        {
+          let result =
+            {
+              ipv6IfIndex               : results.shift(),
+              ipv6NetToMediaNetAddress  : results.shift(),
+              ipv6NetToMediaPhysAddress : results.shift(),
+              ipv6NetToMediaType        : results.shift(),
+              ipv6NetToMediaState       : results.shift(),
+              ipv6NetToMediaLastUpdated : results.shift(),
+              ipv6NetToMediaValid       : results.shift()
+            };
+
+          return result;
+        });
+  }
+
+  /*
+   * *********************************************************************
+   * the IPv6 TCP group (IPV6-TCP-MIB)
+   * *********************************************************************
+   */
+
+  /**
+   * A table containing TCP connection-specific information, for only those
+   * connections whose identifying information uses IPv6 addresses.
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   ipv6TcpConnLocalAddress
+   *     The local IPv6 address for this TCP connection. In the case of a
+   *     connection in the listen state which is willing to accept
+   *     connections for any IPv6 address associated with the managed node,
+   *     the value ::0 is used.
+   *
+   *   ipv6TcpConnLocalPort
+   *     The local port number for this TCP connection.
+   *
+   *   ipv6TcpConnRemAddress
+   *     The remote IPv6 address for this TCP connection.
+   *
+   *   ipv6TcpConnRemPort
+   *     The remote port number for this TCP connection.
+   *
+   *   ipv6TcpConnIfIndex
+   *     The local interface associated with this connection: the interface
+   *     to which the local address is assigned, or 0 if it can not be
+   *     determined (e.g., when the local address is ::0).
+   *
+   *   ipv6TcpConnState
+   *     The state of this TCP connection.
+   */
+  async getIpv6TcpConnTable()
+  {
+    return getTcpConns6();
+  }
+
+  /*
+   * *********************************************************************
+   * the IPv6 UDP group (IPV6-UDP-MIB)
+   * *********************************************************************
+   */
+
+  /**
+   * A table containing UDP listener information for UDP/IPv6 endpoints.
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   ipv6UdpLocalAddress
+   *     The local IPv6 address for this UDP listener. In the case of a UDP
+   *     listener which is willing to accept datagrams for any IPv6 address
+   *     associated with the managed node, the value ::0 is used.
+   *
+   *   ipv6UdpLocalPort
+   *     The local port number for this UDP listener.
+   *
+   *   ipv6UdpIfIndex
+   *     The local interface to which the local address is assigned, or 0 if
+   *     it can not be determined (e.g., when the local address is ::0).
+   */
+  async getIpv6UdpTable()
+  {
+    return getUdpListeners6();
+  }
+
+  /*
+   * *********************************************************************
+   * the Host Resources System group (HOST-RESOURCES-MIB)
+   * *********************************************************************
+   */
+
+  /*
+   * The amount of time since this host was last initialized. Note that
+   * this is different from sysUpTime, which is the uptime of the network
+   * management portion of the system.
+   */
+  async getHrSystemUptime()
+  {
+    return Promise.resolve()
+      .then(() => fsp.readFile("/proc/uptime"))
+      .then(
+        (content) =>
+        {
+          // The first field is the uptime in seconds, with hundredths
+          const           uptime = content.toString().split(" ")[0];
+
+          return Math.round(uptime * 100) % COUNTER_WRAP_AT;
+        });
+  }
+
+  /*
+   * The host's notion of the local date and time of day, as a
+   * DateAndTime value including the offset from UTC.
+   */
+  async getHrSystemDate()
+  {
+    return toDateAndTime(new Date());
+  }
+
+  /*
+   * The number of user sessions for which this host is storing state
+   * information, i.e., the number of users logged in.
+   */
+  async getHrSystemNumUsers()
+  {
+    return Promise.resolve()
+      .then(() => getUserSessions())
+      .then((sessions) => Math.min(sessions.length, GAUGE_MAX));
+  }
+
+  /*
+   * The number of process contexts currently loaded or running on this
+   * system.
+   */
+  async getHrSystemProcesses()
+  {
+    return Promise.resolve()
+      .then(() => fsp.readdir("/proc"))
+      .then((pids) => pids.filter((pid) => /^[0-9]+$/.test(pid)).length)
+      .then((count) => Math.min(count, GAUGE_MAX));
+  }
+
+  /*
+   * The maximum number of process contexts this system can support. On
+   * Linux, this is limited by the largest process ID that is allocated.
+   */
+  async getHrSystemMaxProcesses()
+  {
+    return Promise.resolve()
+      .then(() => fsp.readFile("/proc/sys/kernel/pid_max"))
+      .then((content) => +content.toString().trim());
+  }
+
+  /*
+   * *********************************************************************
+   * the Host Resources Storage group (HOST-RESOURCES-MIB)
+   * *********************************************************************
+   */
+
+  /*
+   * The amount of physical read-write main memory, typically RAM,
+   * contained by the host, in KBytes.
+   */
+  async getHrMemorySize()
+  {
+    return Promise.resolve()
+      .then(() => getMemInfo())
+      .then((memInfo) => Math.min(memInfo.MemTotal, INTEGER32_MAX));
+  }
+
+  /**
+   * The table of logical storage areas on the host: main memory, swap
+   * space, and mounted file systems.
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   hrStorageIndex
+   *     A unique value for each logical storage area. The memory areas
+   *     have fixed indexes less than 31, as in net-snmp. Each mounted file
+   *     system is given an index, starting at 31, which remains the same
+   *     for as long as it is mounted.
+   *
+   *   hrStorageType
+   *     The type of storage, as the OID of one of the `HrStorageTypes`
+   *     values
+   *
+   *   hrStorageDescr
+   *     A description of the storage area: the mount point, for file
+   *     systems
+   *
+   *   hrStorageAllocationUnits
+   *     The size, in bytes, of the data objects allocated from this area,
+   *     e.g., the file system's block size
+   *
+   *   hrStorageSize
+   *     The size of the storage area, in units of hrStorageAllocationUnits
+   *
+   *   hrStorageUsed
+   *     The amount of the storage area that is allocated, in units of
+   *     hrStorageAllocationUnits
+   *
+   *   hrStorageAllocationFailures
+   *     The number of requests for storage that could not be honored.
+   *     Always 0, as this is not tracked by the kernel.
+   *
+   *   If any size would not fit in an Integer32, the allocation units are
+   *   increased (doubled, as necessary) so that it does.
+   */
+  async getHrStorageTable()
+  {
+    return getStorageInfo();
+  }
+
+  /*
+   * *********************************************************************
+   * the Host Resources Device group (HOST-RESOURCES-MIB)
+   * *********************************************************************
+   */
+
+  /**
+   * The table of devices contained by the host: its processors, network
+   * interfaces, disks, and PCI devices other than network controllers
+   * (which are represented by their network interfaces).
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   hrDeviceIndex
+   *     A unique value for each device, which remains constant for as long
+   *     as the device is present
+   *
+   *   hrDeviceType
+   *     The type of device, one of the HrDeviceTypes values
+   *
+   *   hrDeviceDescr
+   *     A textual description of the device. For PCI devices, this is the
+   *     manufacturer and device name from the PCI ID database.
+   *
+   *   hrDeviceID
+   *     The product ID of this device. Always "0.0" (unknown).
+   *
+   *   hrDeviceStatus
+   *     The current operational state of the device: 1=unknown 2=running
+   *     3=warning 4=testing 5=down
+   *
+   *   hrDeviceErrors
+   *     The number of errors detected on this device. This is the number
+   *     of receive and transmit errors for network interfaces, and the
+   *     number of I/O errors for SCSI disks. It is zero for other devices.
+   */
+  async getHrDeviceTable()
+  {
+    // If we don't yet have the PCI database parsed, do it now.
+    if (! pciIds)
+    {
+      pciIds = await require("./parsePciIds")(this.pciIdPath);
+    }
+
+    return Promise.resolve()
+      .then(() => getDevices())
+      .then(
+        (devices) =>
+        {
+          return devices.map(
+            (device) =>
+            {
+              return (
+                {
+                  hrDeviceIndex  : device.index,
+                  hrDeviceType   : device.type,
+                  hrDeviceDescr  : truncateOctets(device.descr, 64),
+                  hrDeviceID     : "0.0",
+                  hrDeviceStatus : device.status,
+                  hrDeviceErrors : device.errors % COUNTER_WRAP_AT
+                });
+            });
+        });
+  }
+
+  /**
+   * The table of processors contained by the host
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   hrDeviceIndex
+   *     The index of the corresponding hrDeviceTable entry
+   *
+   *   hrProcessorFrwID
+   *     The product ID of the processor's firmware. Always "0.0"
+   *     (unknown).
+   *
+   *   hrProcessorLoad
+   *     The average, over the last minute, of the percentage of time that
+   *     this processor was not idle. Until a minute has passed since
+   *     sampling began, this is the average since then.
+   */
+  async getHrProcessorTable()
+  {
+    // In case init() wasn't called, ensure that processor usage is being
+    // sampled
+    startCpuLoadSampler();
+
+    return Promise.resolve()
+      .then(() => getDevices())
+      .then(
+        (devices) =>
+        {
+          return devices
+            .filter((device) => device.type == HrDeviceTypes.Processor)
+            .map(
+              (device) =>
+              {
+                return (
+                  {
+                    hrDeviceIndex    : device.index,
+                    hrProcessorFrwID : "0.0",
+                    hrProcessorLoad  : getCpuLoad(device.cpu)
+                  });
+              });
+        });
+  }
+
+  /**
+   * The table of network devices contained by the host
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   hrDeviceIndex
+   *     The index of the corresponding hrDeviceTable entry
+   *
+   *   hrNetworkIfIndex
+   *     The ifIndex of the corresponding ifTable entry
+   */
+  async getHrNetworkTable()
+  {
+    return Promise.resolve()
+      .then(() => getDevices())
+      .then(
+        (devices) =>
+        {
+          return devices
+            .filter((device) => device.type == HrDeviceTypes.Network)
+            .map(
+              (device) =>
+              {
+                return (
+                  {
+                    hrDeviceIndex    : device.index,
+                    hrNetworkIfIndex : ifIndexMap[device.ifName] || 0
+                  });
+              });
+        });
+  }
+
+  /**
+   * The table of long-term storage devices, i.e., disks, contained by the
+   * host
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   hrDeviceIndex
+   *     The index of the corresponding hrDeviceTable entry
+   *
+   *   hrDiskStorageAccess
+   *     Whether the disk is 1=readWrite or 2=readOnly
+   *
+   *   hrDiskStorageMedia
+   *     The type of media: 3=hardDisk 4=floppyDisk 5=opticalDiskROM
+   *
+   *   hrDiskStorageRemoveble
+   *     Whether the media may be removed from the drive: 1=true 2=false
+   *
+   *   hrDiskStorageCapacity
+   *     The size of the disk, in KBytes, or zero if its removable media
+   *     has been removed
+   */
+  async getHrDiskStorageTable()
+  {
+    return Promise.resolve()
+      .then(() => getDevices())
+      .then(
+        (devices) =>
+        {
+          return devices
+            .filter((device) => device.type == HrDeviceTypes.DiskStorage)
+            .map(
+              (device) =>
+              {
+                const           disk = device.disk;
+                let             media = 3;      // hardDisk
+
+                // Identify optical (SCSI CD-ROM) and floppy drives by
+                // their kernel names
+                if (disk.name.startsWith("sr"))
+                {
+                  media = 5;                    // opticalDiskROM
+                }
+                else if (disk.name.startsWith("fd"))
+                {
+                  media = 4;                    // floppyDisk
+                }
+
+                return (
+                  {
+                    hrDeviceIndex          : device.index,
+                    hrDiskStorageAccess    : disk.bReadOnly ? 2 : 1,
+                    hrDiskStorageMedia     : media,
+                    hrDiskStorageRemoveble : disk.bRemovable ? 1 : 2,
+                    hrDiskStorageCapacity  :
+                      Math.min(disk.size, INTEGER32_MAX)
+                  });
+              });
+        });
+  }
+
+  /**
+   * The table of partitions of the disks contained by the host
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   hrDeviceIndex
+   *     The index of the hrDeviceTable entry of the disk containing this
+   *     partition
+   *
+   *   hrPartitionIndex
+   *     The partition number, unique on its disk
+   *
+   *   hrPartitionLabel
+   *     The partition's device name, e.g., "/dev/sda1"
+   *
+   *   hrPartitionID
+   *     The partition's device number, as "major:minor"
+   *
+   *   hrPartitionSize
+   *     The size of the partition, in KBytes
+   *
+   *   hrPartitionFSIndex
+   *     The hrFSIndex of the file system mounted on this partition, or
+   *     zero if none is
+   */
+  async getHrPartitionTable()
+  {
+    return Promise.all(
+      [
+        getDevices(),
+        getPartitions(),
+        getFileSystems()
+      ])
+      .then(
+        ([ devices, partitions, fileSystems ]) =>
+        {
+          let             diskIndexes = {};
+          let             fsIndexes = {};
+
+          devices
+            .filter((device) => device.type == HrDeviceTypes.DiskStorage)
+            .forEach((device) => diskIndexes[device.disk.name] = device.index);
+
+          fileSystems
+            .filter((fileSystem) => fileSystem.dev)
+            .forEach(
+              (fileSystem) => fsIndexes[fileSystem.dev] = fileSystem.index);
+
+          return partitions
+            .filter((partition) => partition.disk in diskIndexes)
+            .map(
+              (partition) =>
+              {
+                return (
+                  {
+                    hrDeviceIndex      : diskIndexes[partition.disk],
+                    hrPartitionIndex   : partition.index,
+                    hrPartitionLabel   :
+                      truncateOctets(`/dev/${partition.name}`, 128),
+                    hrPartitionID      : partition.dev,
+                    hrPartitionSize    :
+                      Math.min(partition.size, INTEGER32_MAX),
+                    hrPartitionFSIndex : fsIndexes[partition.dev] || 0
+                  });
+              });
+        });
+  }
+
+  /**
+   * The table of mounted file systems, local or remote. These are the same
+   * file systems which appear in hrStorageTable.
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   hrFSIndex
+   *     A unique value for each file system, which remains constant for as
+   *     long as it is mounted
+   *
+   *   hrFSMountPoint
+   *     The path name of the root of this file system
+   *
+   *   hrFSRemoteMountPoint
+   *     For a network file system, the server and path from which it is
+   *     mounted, e.g., "server:/export"; otherwise an empty string
+   *
+   *   hrFSType
+   *     The type of file system, one of the HrFSTypes values
+   *
+   *   hrFSAccess
+   *     Whether the file system is mounted 1=readWrite or 2=readOnly
+   *
+   *   hrFSBootable
+   *     Whether this file system is bootable, i.e., is the root or /boot
+   *     file system: 1=true 2=false
+   *
+   *   hrFSStorageIndex
+   *     The index of the hrStorageTable entry for this file system, or
+   *     zero if there is none
+   *
+   *   hrFSLastFullBackupDate
+   *   hrFSLastPartialBackupDate
+   *     The dates of the last backups of this file system. Always
+   *     unknown, i.e., January 1, year 0000.
+   */
+  async getHrFSTable()
+  {
+    // The DateAndTime representation of an unknown date
+    const           unknownDate = Buffer.from([ 0, 0, 1, 1, 0, 0, 0, 0 ]);
+
+    return Promise.resolve()
+      .then(() => getFileSystems())
+      .then(
+        (fileSystems) =>
+        {
+          return fileSystems.map(
+            (fileSystem) =>
+            {
+              const           mount = fileSystem.mount;
+
+              return (
+                {
+                  hrFSIndex                 : fileSystem.index,
+                  hrFSMountPoint            :
+                    truncateOctets(mount.mountPoint, 128),
+                  hrFSRemoteMountPoint      :
+                    (networkFsTypes.includes(mount.fsType)
+                     ? truncateOctets(mount.device, 128)
+                     : ""),
+                  hrFSType                  :
+                    linuxToHrFSTypeMap[mount.fsType] || HrFSTypes.Other,
+                  hrFSAccess                :
+                    mount.options.includes("ro") ? 2 : 1,
+                  hrFSBootable              :
+                    [ "/", "/boot" ].includes(mount.mountPoint) ? 1 : 2,
+                  hrFSStorageIndex          : fileSystem.storageIndex,
+                  hrFSLastFullBackupDate    : unknownDate,
+                  hrFSLastPartialBackupDate : unknownDate
+                });
+            });
+        });
+  }
+
+  /*
+   * *********************************************************************
+   * the Host Resources Running Software and Running Software Performance
+   * groups (HOST-RESOURCES-MIB)
+   * *********************************************************************
+   */
+
+  /*
+   * The value of the hrSWRunIndex for the hrSWRunEntry that represents the
+   * primary operating system running on this host. The kernel itself has
+   * no process; as in net-snmp, this is the init process, which is the
+   * first process started by the kernel.
+   */
+  async getHrSWOSIndex()
+  {
+    return 1;
+  }
+
+  /**
+   * The table of software running on the host, i.e., its processes.
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   hrSWRunIndex
+   *     The process ID
+   *
+   *   hrSWRunName
+   *     The name of the process, as reported by the kernel (the
+   *     executable's file name, truncated to 15 characters)
+   *
+   *   hrSWRunID
+   *     The product ID of this software. Always "0.0" (unknown).
+   *
+   *   hrSWRunPath
+   *     The path of the program, i.e., its first command-line argument, or
+   *     an empty string for kernel threads
+   *
+   *   hrSWRunParameters
+   *     The remaining command-line arguments, separated by spaces
+   *
+   *   hrSWRunType
+   *     The type of software: 2=operatingSystem for kernel threads,
+   *     4=application for all other processes
+   *
+   *   hrSWRunStatus
+   *     The status of this process: 1=running 2=runnable (sleeping)
+   *     3=notRunnable (e.g., in uninterruptible wait, or stopped)
+   *     4=invalid (a zombie)
+   *
+   *   The string values are truncated, if necessary, to the sizes
+   *   permitted by the MIB.
+   */
+  async getHrSWRunTable()
+  {
+    return Promise.resolve()
+      .then(() => getProcessInfo())
+      .then(
+        (processes) =>
+        {
+          return processes.map(
+            (process) =>
+            {
+              return (
+                {
+                  hrSWRunIndex      : process.pid,
+                  hrSWRunName       : truncateOctets(process.name, 64),
+                  hrSWRunID         : "0.0",
+                  hrSWRunPath       : truncateOctets(process.path, 128),
+                  hrSWRunParameters : truncateOctets(process.parameters, 128),
+                  hrSWRunType       : process.bKernelThread ? 2 : 4,
+                  hrSWRunStatus     :
+                    linuxToHrSWRunStatusMap[process.state] || 2
+                });
+            });
+        });
+  }
+
+  /**
+   * The table of running software performance metrics. This table
+   * augments hrSWRunTable.
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   hrSWRunIndex
+   *     The process ID, the index of the corresponding hrSWRunTable entry
+   *
+   *   hrSWRunPerfCPU
+   *     The number of centi-seconds of CPU time, both user and system,
+   *     consumed by this process
+   *
+   *   hrSWRunPerfMem
+   *     The amount of real memory allocated to this process (its resident
+   *     set size), in KBytes
+   */
+  async getHrSWRunPerfTable()
+  {
+    return Promise.resolve()
+      .then(() => getProcessInfo())
+      .then(
+        (processes) =>
+        {
+          return processes.map(
+            (process) =>
+            {
+              return (
+                {
+                  hrSWRunIndex   : process.pid,
+                  hrSWRunPerfCPU : Math.min(process.cpuTime, INTEGER32_MAX),
+                  hrSWRunPerfMem : Math.min(process.rss, INTEGER32_MAX)
+                });
+            });
+        });
+  }
+
+  /*
+   * *********************************************************************
+   * the Host Resources Installed Software group (HOST-RESOURCES-MIB)
+   *
+   * The installed software is read from the package databases (dpkg's,
+   * and RPM's when present), and cached until a database is modified.
+   * *********************************************************************
+   */
+
+  /*
+   * The value of sysUpTime when an entry in the hrSWInstalledTable was last
+   * added, renamed, or deleted
+   */
+  async getHrSWInstalledLastChange()
+  {
+    return Promise.resolve()
+      .then(() => getInstalledSoftware(this.cache.startTime))
+      .then((installed) => installed.lastChange);
+  }
+
+  /*
+   * The value of sysUpTime when the hrSWInstalledTable was last completely
+   * updated, i.e., when the package databases were last read
+   */
+  async getHrSWInstalledLastUpdateTime()
+  {
+    return Promise.resolve()
+      .then(() => getInstalledSoftware(this.cache.startTime))
+      .then((installed) => installed.lastUpdateTime);
+  }
+
+  /**
+   * The table of software installed on this host, i.e., its installed
+   * packages
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   hrSWInstalledIndex
+   *     A unique value for each installed package, which remains constant
+   *     for as long as the package remains installed
+   *
+   *   hrSWInstalledName
+   *     The package's name, version, and architecture, in the package
+   *     manager's format, e.g., "bash_5.2-1_amd64" for dpkg, or
+   *     "bash-5.2-1.x86_64" for RPM
+   *
+   *   hrSWInstalledID
+   *     The product ID of this software. Always "0.0" (unknown).
+   *
+   *   hrSWInstalledType
+   *     The type of software: 2=operatingSystem for kernel packages,
+   *     4=application for all other packages
+   *
+   *   hrSWInstalledDate
+   *     The date on which the package was installed, or January 1, year
+   *     0000 if unknown
+   */
+  async getHrSWInstalledTable()
+  {
+    // The DateAndTime representation of an unknown date
+    const           unknownDate = Buffer.from([ 0, 0, 1, 1, 0, 0, 0, 0 ]);
+
+    return Promise.resolve()
+      .then(() => getInstalledSoftware(this.cache.startTime))
+      .then(
+        (installed) =>
+        {
+          return installed.packages.map(
+            (pkg) =>
+            {
+              return (
+                {
+                  hrSWInstalledIndex : pkg.index,
+                  hrSWInstalledName  : truncateOctets(pkg.name, 64),
+                  hrSWInstalledID    : "0.0",
+                  hrSWInstalledType  : pkg.bKernel ? 2 : 4,
+                  hrSWInstalledDate  :
+                    pkg.date ? toDateAndTime(pkg.date) : unknownDate
+                });
+            });
+        });
+  }
+
+  /*
+   * *********************************************************************
+   * the memory group (UCD-SNMP-MIB)
+   *
+   * All sizes are in kB, as reported by /proc/meminfo.
+   * *********************************************************************
+   */
+
+  /* Bogus index. Always 0. */
+  async getMemIndex()
+  {
+    return 0;
+  }
+
+  /* Bogus name. Always "swap". */
+  async getMemErrorName()
+  {
+    return "swap";
+  }
+
+  /* The total amount of swap space configured for this host */
+  async getMemTotalSwap()
+  {
+    return Promise.resolve()
+      .then(() => getMemInfo())
+      .then((memInfo) => Math.min(memInfo.SwapTotal || 0, INTEGER32_MAX));
+  }
+
+  /* The amount of swap space currently unused */
+  async getMemAvailSwap()
+  {
+    return Promise.resolve()
+      .then(() => getMemInfo())
+      .then((memInfo) => Math.min(memInfo.SwapFree || 0, INTEGER32_MAX));
+  }
+
+  /* The total amount of physical memory installed on this host */
+  async getMemTotalReal()
+  {
+    return Promise.resolve()
+      .then(() => getMemInfo())
+      .then((memInfo) => Math.min(memInfo.MemTotal, INTEGER32_MAX));
+  }
+
+  /*
+   * The amount of physical memory currently unused. As in net-snmp, this
+   * excludes buffers and cache, which are reported separately, so that
+   * monitoring templates may calculate used memory by subtracting all
+   * three from the total.
+   */
+  async getMemAvailReal()
+  {
+    return Promise.resolve()
+      .then(() => getMemInfo())
+      .then((memInfo) => Math.min(memInfo.MemFree, INTEGER32_MAX));
+  }
+
+  /* The total amount of memory, physical and swap, currently unused */
+  async getMemTotalFree()
+  {
+    return Promise.resolve()
+      .then(() => getMemInfo())
+      .then(
+        (memInfo) =>
+          Math.min(memInfo.MemFree + (memInfo.SwapFree || 0), INTEGER32_MAX));
+  }
+
+  /*
+   * The minimum amount of swap space expected to be available. See
+   * setMemMinimumSwap().
+   */
+  async getMemMinimumSwap()
+  {
+    return this.cache.memMinimumSwap;
+  }
+
+  /* The amount of memory currently allocated as shared memory */
+  async getMemShared()
+  {
+    return Promise.resolve()
+      .then(() => getMemInfo())
+      .then((memInfo) => Math.min(memInfo.Shmem || 0, INTEGER32_MAX));
+  }
+
+  /* The amount of memory currently allocated as memory buffers */
+  async getMemBuffer()
+  {
+    return Promise.resolve()
+      .then(() => getMemInfo())
+      .then((memInfo) => Math.min(memInfo.Buffers, INTEGER32_MAX));
+  }
+
+  /* The amount of memory currently allocated as cached memory */
+  async getMemCached()
+  {
+    return Promise.resolve()
+      .then(() => getMemInfo())
+      .then((memInfo) => Math.min(memInfo.Cached, INTEGER32_MAX));
+  }
+
+  /*
+   * Whether the available swap space is less than memMinimumSwap: 0=noError
+   * 1=error
+   */
+  async getMemSwapError()
+  {
+    return Promise.resolve()
+      .then(() => getMemInfo())
+      .then(
+        (memInfo) =>
+          (memInfo.SwapFree || 0) < this.cache.memMinimumSwap ? 1 : 0);
+  }
+
+  /*
+   * A message describing the swap space error, if memSwapError indicates
+   * one; otherwise an empty string
+   */
+  async getMemSwapErrorMsg()
+  {
+    return Promise.resolve()
+      .then(() => getMemInfo())
+      .then(
+        (memInfo) =>
+        {
+          const           swapFree = memInfo.SwapFree || 0;
+
+          if (swapFree < this.cache.memMinimumSwap)
+          {
+            return `Running out of swap space (${swapFree})`;
+          }
+
+          return "";
+        });
+  }
+
+  /*
+   * *********************************************************************
+   * the disk table (UCD-SNMP-MIB)
+   * *********************************************************************
+   */
+
+  /**
+   * The table of monitored disks. See setDisks() and setIncludeAllDisks().
+   *
+   * @return {Array}
+   *   The returned array contains entries which are maps, each with the
+   *   following members:
+   *
+   *   dskIndex
+   *     The row number of this disk, in the order in which the disks are
+   *     configured
+   *
+   *   dskPath
+   *     The configured path on the disk's file system
+   *
+   *   dskDevice
+   *     The device of the file system containing that path
+   *
+   *   dskMinimum
+   *     The minimum free space, in kB, below which dskErrorFlag indicates
+   *     an error; or -1 if dskMinPercent is used instead
+   *
+   *   dskMinPercent
+   *     The minimum free space, as a percentage of the disk's size, below
+   *     which dskErrorFlag indicates an error; or -1 if dskMinimum is used
+   *     instead
+   *
+   *   dskTotal
+   *   dskAvail
+   *   dskUsed
+   *     The size of the disk, and the space available to unprivileged
+   *     users and used, in kB, limited to the maximum Integer32 value
+   *
+   *   dskPercent
+   *     The percentage of space used, rounded up as by `df`
+   *
+   *   dskPercentNode
+   *     The percentage of inodes used
+   *
+   *   dskTotalLow
+   *   dskTotalHigh
+   *   dskAvailLow
+   *   dskAvailHigh
+   *   dskUsedLow
+   *   dskUsedHigh
+   *     The low and high 32 bits of the 64-bit size, available space, and
+   *     used space, in kB
+   *
+   *   dskErrorFlag
+   *     Whether the free space is below the minimum: 0=noError 1=error.
+   *     This also indicates an error if the disk can not be queried.
+   *
+   *   dskErrorMsg
+   *     A message describing the error, if dskErrorFlag indicates one;
+   *     otherwise an empty string
+   */
+  async getDskTable()
+  {
+    let             disks = this.cache.disks.slice();
+
+    return Promise.resolve()
+      .then(() => getMounts())
+      .then(
+        (mounts) =>
+        {
+          // Add all local disk file systems, if so requested
+          if (this.cache.includeAllDisks !== null)
+          {
+            mounts
+              .filter(
+                (mount) =>
+                  getMountStorageType(mount) == HrStorageTypes.FixedDisk &&
+                  ! disks.some((disk) => disk.path == mount.mountPoint))
+              .forEach(
+                (mount) =>
+                {
+                  disks.push(
+                    {
+                      path       : mount.mountPoint,
+                      minPercent : this.cache.includeAllDisks
+                    });
+                });
+          }
+
+          return Promise.allSettled(
+            disks.map((disk) => statFileSystem(disk.path)))
+            .then(
+              (results) =>
+              {
+                return disks.map(
+                  (disk, i) =>
+                    getDskEntry(i + 1, disk, mounts, results[i]));
+              });
+        });
+  }
+
+  /*
+   * *********************************************************************
+   * the load average table (UCD-SNMP-MIB)
+   * *********************************************************************
+   */
+
+  /**
+   * The table of load averages
+   *
+   * @return {Array}
+   *   The returned array contains three entries, for the 1, 5, and 15
+   *   minute load averages. Each is a map with the following members:
+   *
+   *   laIndex
+   *     1, 2, or 3, for the 1, 5, and 15 minute load average, respectively
+   *
+   *   laNames
+   *     The name of the load average: "Load-1", "Load-5", or "Load-15"
+   *
+   *   laLoad
+   *     The load average, as a string with two decimal places
+   *
+   *   laConfig
+   *     The load average above which laErrorFlag indicates an error, as a
+   *     string with two decimal places. See setLaConfig().
+   *
+   *   laLoadInt
+   *     The load average multiplied by 100, as an integer
+   *
+   *   laLoadFloat
+   *     The load average, as UCD-SNMP-MIB's Float: an opaquely wrapped
+   *     single precision floating point number
+   *
+   *   laErrorFlag
+   *     Whether the load average exceeds laConfig: 0=noError 1=error
+   *
+   *   laErrMessage
+   *     A message describing the error, if laErrorFlag indicates one;
+   *     otherwise an empty string
+   */
+  async getLaTable()
+  {
+    const           minutes = [ 1, 5, 15 ];
+
+    return Promise.resolve()
+      .then(() => getLoadAverages())
+      .then(
+        (loads) =>
+        {
+          return loads.map(
+            (load, i) =>
+            {
+              const           max = this.cache.laConfig[i];
+              const           bError = max > 0 && load > max;
+
+              return (
+                {
+                  laIndex      : i + 1,
+                  laNames      : `Load-${minutes[i]}`,
+                  laLoad       : load.toFixed(2),
+                  laConfig     : max.toFixed(2),
+                  laLoadInt    : Math.round(load * 100),
+                  laLoadFloat  : encodeFloat(load),
+                  laErrorFlag  : bError ? 1 : 0,
+                  laErrMessage :
+                    (bError
+                     ? (`${minutes[i]} min Load Average too high ` +
+                        `(= ${load.toFixed(2)})`)
+                     : "")
+                });
+            });
+        });
+  }
+
+  /*
+   * *********************************************************************
+   * the system statistics group (UCD-SNMP-MIB)
+   *
+   * The ssCpuRaw* counters are in centi-seconds, summed over all
+   * processors.
+   * *********************************************************************
+   */
+
+  /* Reference index. Always 1. */
+  async getSsIndex()
+  {
+    return 1;
+  }
+
+  /* Name of the statistics. Always "systemStats". */
+  async getSsErrorName()
+  {
+    return "systemStats";
+  }
+
+  /* Time spent processing user-level code */
+  async getSsCpuRawUser()
+  {
+    return Promise.resolve()
+      .then(() => getCpuStats())
+      .then((stats) => stats.cpu.user % COUNTER_WRAP_AT);
+  }
+
+  /* Time spent processing reduced-priority code */
+  async getSsCpuRawNice()
+  {
+    return Promise.resolve()
+      .then(() => getCpuStats())
+      .then((stats) => stats.cpu.nice % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * Time spent processing system-level code. As in net-snmp, this includes
+   * the time spent waiting for I/O and processing interrupts.
+   */
+  async getSsCpuRawSystem()
+  {
+    return Promise.resolve()
+      .then(() => getCpuStats())
+      .then(
+        (stats) =>
+        {
+          const           cpu = stats.cpu;
+
+          return (
+            (cpu.system + cpu.iowait + cpu.irq + cpu.softirq) %
+              COUNTER_WRAP_AT);
+        });
+  }
+
+  /* Time spent idle */
+  async getSsCpuRawIdle()
+  {
+    return Promise.resolve()
+      .then(() => getCpuStats())
+      .then((stats) => stats.cpu.idle % COUNTER_WRAP_AT);
+  }
+
+  /* Time spent waiting for I/O */
+  async getSsCpuRawWait()
+  {
+    return Promise.resolve()
+      .then(() => getCpuStats())
+      .then((stats) => stats.cpu.iowait % COUNTER_WRAP_AT);
+  }
+
+  /* Time spent processing kernel-level code */
+  async getSsCpuRawKernel()
+  {
+    return Promise.resolve()
+      .then(() => getCpuStats())
+      .then((stats) => stats.cpu.system % COUNTER_WRAP_AT);
+  }
+
+  /* Time spent processing hardware interrupts */
+  async getSsCpuRawInterrupt()
+  {
+    return Promise.resolve()
+      .then(() => getCpuStats())
+      .then((stats) => stats.cpu.irq % COUNTER_WRAP_AT);
+  }
+
+  /* Number of interrupts processed */
+  async getSsRawInterrupts()
+  {
+    return Promise.resolve()
+      .then(() => getCpuStats())
+      .then((stats) => stats.interrupts % COUNTER_WRAP_AT);
+  }
+
+  /* Number of context switches */
+  async getSsRawContexts()
+  {
+    return Promise.resolve()
+      .then(() => getCpuStats())
+      .then((stats) => stats.contexts % COUNTER_WRAP_AT);
+  }
+
+  /* Time spent processing software interrupts */
+  async getSsCpuRawSoftIRQ()
+  {
+    return Promise.resolve()
+      .then(() => getCpuStats())
+      .then((stats) => stats.cpu.softirq % COUNTER_WRAP_AT);
+  }
+
+  /*
+   * Time during which the hypervisor ran other virtual machines while this
+   * one had something runnable
+   */
+  async getSsCpuRawSteal()
+  {
+    return Promise.resolve()
+      .then(() => getCpuStats())
+      .then((stats) => stats.cpu.steal % COUNTER_WRAP_AT);
+  }
+
+  /* Time spent running a virtual processor for a guest */
+  async getSsCpuRawGuest()
+  {
+    return Promise.resolve()
+      .then(() => getCpuStats())
+      .then((stats) => stats.cpu.guest % COUNTER_WRAP_AT);
+  }
+
+  /* Time spent running a niced virtual processor for a guest */
+  async getSsCpuRawGuestNice()
+  {
+    return Promise.resolve()
+      .then(() => getCpuStats())
+      .then((stats) => stats.cpu.guestNice % COUNTER_WRAP_AT);
+  }
+
+  /* The number of processors */
+  async getSsCpuNumCpus()
+  {
+    return Promise.resolve()
+      .then(() => getCpuStats())
+      .then((stats) => Object.keys(stats.cpus).length);
+  }
+
+  /*
+   * *********************************************************************
+   * the disk I/O table (UCD-DISKIO-MIB)
+   * *********************************************************************
+   */
+
+  /**
+   * Get the disk I/O statistics of each block device
+   *
+   * @return {Array}
+   *   An array of maps, one for each block device listed in
+   *   /proc/diskstats, each containing the following members:
+   *
+   *   diskIOIndex
+   *     A unique index for this device
+   *
+   *   diskIODevice
+   *     The device's kernel name, e.g., "sda"
+   *
+   *   diskIONRead
+   *     The number of bytes read from this device since boot
+   *
+   *   diskIONWritten
+   *     The number of bytes written to this device since boot
+   *
+   *   diskIOReads
+   *     The number of reads from this device since boot
+   *
+   *   diskIOWrites
+   *     The number of writes to this device since boot
+   *
+   *   diskIOLA1
+   *     The percentage of time this device was busy, exponentially
+   *     averaged over the last minute
+   *
+   *   diskIOLA5
+   *     Likewise, over the last 5 minutes
+   *
+   *   diskIOLA15
+   *     Likewise, over the last 15 minutes
+   *
+   *   diskIONReadX
+   *     A 64-bit version of diskIONRead
+   *
+   *   diskIONWrittenX
+   *     A 64-bit version of diskIONWritten
+   *
+   *   diskIOBusyTime
+   *     The number of microseconds this device has been busy since boot
+   */
+  async getDiskIOTable()
+  {
+    return Promise.resolve()
+      .then(() => getDiskStats())
+      .then(
+        (stats) =>
+        {
+          return stats.map(
+            (stat) =>
+            {
+              const           loads = diskIOLoads[stat.name] || {};
+
+              return (
+                {
+                  diskIOIndex     : stat.index,
+                  diskIODevice    : stat.name,
+                  diskIONRead     :
+                    Number(stat.bytesRead % BigInt(COUNTER_WRAP_AT)),
+                  diskIONWritten  :
+                    Number(stat.bytesWritten % BigInt(COUNTER_WRAP_AT)),
+                  diskIOReads     : stat.reads % COUNTER_WRAP_AT,
+                  diskIOWrites    : stat.writes % COUNTER_WRAP_AT,
+                  diskIOLA1       : Math.round(loads.la1 || 0),
+                  diskIOLA5       : Math.round(loads.la5 || 0),
+                  diskIOLA15      : Math.round(loads.la15 || 0),
+                  diskIONReadX    : toCounter64(stat.bytesRead),
+                  diskIONWrittenX : toCounter64(stat.bytesWritten),
+                  diskIOBusyTime  : toCounter64(stat.busyTime * 1000)
+                });
+            });
+        });
+  }
+
+  /*
+   * *********************************************************************
+   * the physical entities and hardware sensors (ENTITY-MIB,
+   * ENTITY-SENSOR-MIB, LM-SENSORS-MIB)
+   *
+   * The physical entities are the chassis, described by DMI, containing
+   * the processors, PCI devices, disks, network ports, and sensors. Sensors
+   * are those of hwmon (/sys/class/hwmon) and the thermal zones
+   * (/sys/class/thermal). The LM-SENSORS-MIB tables are indexed by each
+   * sensor's entPhysicalIndex.
+   * *********************************************************************
+   */
+
+  /**
+   * Get the hardware sensors, including their thresholds. Neither
+   * ENTITY-SENSOR-MIB nor LM-SENSORS-MIB defines objects for a sensor's
+   * thresholds, so they are available only from this method, not via SNMP.
+   *
+   * @return {Array}
+   *   An array of maps, one for each sensor, each containing the following
+   *   members:
+   *
+   *   index
+   *     The sensor's entPhysicalIndex
+   *
+   *   key
+   *     A unique identifier of the sensor, e.g., "hwmon0/temp1" or
+   *     "thermal_zone0"
+   *
+   *   type
+   *     The kind of sensor: "temp", "fan", "in" (voltage), "power", or
+   *     "curr" (current)
+   *
+   *   chip
+   *     The name of the hwmon chip, or of the thermal zone, providing the
+   *     sensor
+   *
+   *   label
+   *     The sensor's label, e.g., "Core 0"
+   *
+   *   value
+   *     The sensor's reading, in hwmon's units: millidegrees Celsius, RPM,
+   *     millivolts, microwatts, or milliamperes; or null if it could not
+   *     be read
+   *
+   *   min
+   *     The sensor's minimum threshold, in the same units; or null if none
+   *
+   *   max
+   *     The sensor's maximum threshold, in the same units; or null if none
+   *
+   *   crit
+   *     The sensor's critical threshold, in the same units; or null if none
+   *
+   *   bFault
+   *     Whether the sensor reports a fault
+   *
+   *   pciAddress
+   *     The address of the PCI device providing the sensor, or null
+   */
+  async getHwSensors()
+  {
+    return Promise.resolve()
+      .then(() => getPhysicalEntities(this.cache.startTime))
+      .then(
+        (entities) =>
+        {
+          return entities
+            .filter((entity) => entity.sensor)
+            .map(
+              (entity) =>
+              {
+                return Object.assign({ index : entity.index }, entity.sensor);
+              });
+        });
+  }
+
+  /**
+   * The physical entities of this system
+   *
+   * @return {Array}
+   *   An array of maps, one for each physical entity, each containing the
+   *   following members:
+   *
+   *   entPhysicalIndex
+   *     A unique index for this physical entity
+   *
+   *   entPhysicalDescr
+   *     A textual description of this physical entity
+   *
+   *   entPhysicalVendorType
+   *     The vendor-specific hardware type. Always "0.0" (unknown).
+   *
+   *   entPhysicalContainedIn
+   *     The entPhysicalIndex of the physical entity containing this one,
+   *     or 0 for the chassis, which is contained in none
+   *
+   *   entPhysicalClass
+   *     The general hardware type: 1=other 2=unknown 3=chassis
+   *     4=backplane 5=container 6=powerSupply 7=fan 8=sensor 9=module
+   *     10=port 11=stack 12=cpu
+   *
+   *   entPhysicalParentRelPos
+   *     The position of this physical entity among those of the same class
+   *     in the same container, starting at 1; or -1 for the chassis
+   *
+   *   entPhysicalName
+   *     The name of this physical entity
+   *
+   *   entPhysicalHardwareRev
+   *     The hardware revision, or an empty string if not known
+   *
+   *   entPhysicalFirmwareRev
+   *     The firmware revision, or an empty string if not known
+   *
+   *   entPhysicalSoftwareRev
+   *     The software revision. Always empty (unknown).
+   *
+   *   entPhysicalSerialNum
+   *     The serial number, or an empty string if not known
+   *
+   *   entPhysicalMfgName
+   *     The name of the manufacturer, or an empty string if not known
+   *
+   *   entPhysicalModelName
+   *     The model name, or an empty string if not known
+   *
+   *   entPhysicalAlias
+   *     An alias for this physical entity. Always empty.
+   *
+   *   entPhysicalAssetID
+   *     An asset tracking identifier. Always empty.
+   *
+   *   entPhysicalIsFRU
+   *     Whether this is a field replaceable unit. Always 2 (false).
+   *
+   *   entPhysicalMfgDate
+   *     The date of manufacture. Always the special value of eight zero
+   *     octets, for unknown.
+   *
+   *   entPhysicalUris
+   *     Additional identification URIs. Always empty.
+   */
+  async getEntPhysicalTable()
+  {
+    // If we don't yet have the PCI database parsed, do it now.
+    if (! pciIds)
+    {
+      pciIds = await require("./parsePciIds")(this.pciIdPath);
+    }
+
+    return Promise.resolve()
+      .then(() => getPhysicalEntities(this.cache.startTime))
+      .then(
+        (entities) =>
+        {
+          return entities.map(
+            (entity) =>
+            {
+              return (
+                {
+                  entPhysicalIndex        : entity.index,
+                  entPhysicalDescr        : entity.descr,
+                  entPhysicalVendorType   : "0.0",
+                  entPhysicalContainedIn  : entity.containedIn,
+                  entPhysicalClass        : entity.class,
+                  entPhysicalParentRelPos : entity.relPos,
+                  entPhysicalName         : entity.name,
+                  entPhysicalHardwareRev  : entity.hardwareRev || "",
+                  entPhysicalFirmwareRev  : entity.firmwareRev || "",
+                  entPhysicalSoftwareRev  : "",
+                  entPhysicalSerialNum    : entity.serialNum || "",
+                  entPhysicalMfgName      : entity.mfgName || "",
+                  entPhysicalModelName    : entity.modelName || "",
+                  entPhysicalAlias        : "",
+                  entPhysicalAssetID      : "",
+                  entPhysicalIsFRU        : 2, // false
+                  entPhysicalMfgDate      : Buffer.alloc(8),
+                  entPhysicalUris         : ""
+                });
+            });
+        });
+  }
+
+  /**
+   * The mapping of network ports to their interfaces
+   *
+   * @return {Array}
+   *   An array of maps, one for each network port, each containing the
+   *   following members:
+   *
+   *   entPhysicalIndex
+   *     The index of this port in entPhysicalTable
+   *
+   *   entAliasLogicalIndexOrZero
+   *     The logical entity to which this mapping applies. Always 0 (all).
+   *
+   *   entAliasMappingIdentifier
+   *     The ifIndex instance of the port's interface in ifTable
+   */
+  async getEntAliasMappingTable()
+  {
+    return Promise.resolve()
+      .then(() => getPhysicalEntities(this.cache.startTime))
+      .then(
+        (entities) =>
+        {
+          return entities
+            .filter((entity) => entity.ifIndex)
+            .map(
+              (entity) =>
+              {
+                return (
+                  {
+                    entPhysicalIndex           : entity.index,
+                    entAliasLogicalIndexOrZero : 0,
+                    entAliasMappingIdentifier  :
+                      `1.3.6.1.2.1.2.2.1.1.${entity.ifIndex}`
+                  });
+              });
+        });
+  }
+
+  /**
+   * The containment relationships of the physical entities
+   *
+   * @return {Array}
+   *   An array of maps, one for each contained physical entity, each
+   *   containing the following members:
+   *
+   *   entPhysicalIndex
+   *     The index of the containing physical entity in entPhysicalTable
+   *
+   *   entPhysicalChildIndex
+   *     The index of the contained physical entity in entPhysicalTable
+   */
+  async getEntPhysicalContainsTable()
+  {
+    return Promise.resolve()
+      .then(() => getPhysicalEntities(this.cache.startTime))
+      .then(
+        (entities) =>
+        {
+          return entities
+            .filter((entity) => entity.containedIn)
+            .map(
+              (entity) =>
+              {
+                return (
+                  {
+                    entPhysicalIndex      : entity.containedIn,
+                    entPhysicalChildIndex : entity.index
+                  });
+              });
+        });
+  }
+
+  /*
+   * The value of sysUpTime when a physical entity was last added or
+   * removed
+   */
+  async getEntLastChangeTime()
+  {
+    return Promise.resolve()
+      .then(() => getPhysicalEntities(this.cache.startTime))
+      .then(() => physicalLastChange);
+  }
+
+  /**
+   * The physical sensors, which are those physical entities whose
+   * entPhysicalClass is sensor(8)
+   *
+   * @return {Array}
+   *   An array of maps, one for each sensor, each containing the following
+   *   members:
+   *
+   *   entPhysicalIndex
+   *     The index of this sensor in entPhysicalTable
+   *
+   *   entPhySensorType
+   *     The type of data reported by the sensor: 4=voltsDC 5=amperes
+   *     6=watts 8=celsius 10=rpm
+   *
+   *   entPhySensorScale
+   *     The exponent to apply to entPhySensorValue. Always 9 (units).
+   *
+   *   entPhySensorPrecision
+   *     The number of decimal places in entPhySensorValue
+   *
+   *   entPhySensorValue
+   *     The most recent reading of the sensor, as a fixed-point number
+   *
+   *   entPhySensorOperStatus
+   *     The status of the sensor: 1=ok 2=unavailable 3=nonoperational
+   *
+   *   entPhySensorUnitsDisplay
+   *     The units of entPhySensorValue, e.g., "C"
+   *
+   *   entPhySensorValueTimeStamp
+   *     The value of sysUpTime when the sensor was read
+   *
+   *   entPhySensorValueUpdateRate
+   *     How often the sensor is read. Always 0, as it is read on demand.
+   */
+  async getEntPhySensorTable()
+  {
+    return Promise.resolve()
+      .then(() => getPhysicalEntities(this.cache.startTime))
+      .then(
+        (entities) =>
+        {
+          const           now =
+            Math.floor((Date.now() - this.cache.startTime.getTime()) / 10);
+
+          return entities
+            .filter((entity) => entity.sensor)
+            .map(
+              (entity) =>
+              {
+                const           sensor = entity.sensor;
+                const           sensorType = hwmonSensorTypes[sensor.type];
+                let             value = 0;
+                let             status = 1; // ok
+
+                if (sensor.value === null)
+                {
+                  status = 2;   // unavailable
+                }
+                else
+                {
+                  // Clamp to the values indicating underflow and overflow
+                  value = Math.round(sensor.value / sensorType.divisor);
+                  value = Math.min(Math.max(value, -1000000000), 1000000000);
+
+                  if (sensor.bFault)
+                  {
+                    status = 3; // nonoperational
+                  }
+                }
+
+                return (
+                  {
+                    entPhysicalIndex            : entity.index,
+                    entPhySensorType            : sensorType.type,
+                    entPhySensorScale           : 9, // units
+                    entPhySensorPrecision       : sensorType.precision,
+                    entPhySensorValue           : value,
+                    entPhySensorOperStatus      : status,
+                    entPhySensorUnitsDisplay    : sensorType.units,
+                    entPhySensorValueTimeStamp  : now,
+                    entPhySensorValueUpdateRate : 0
+                  });
+              });
+        });
+  }
+
+  /**
+   * The temperature sensors
+   *
+   * @return {Array}
+   *   An array of maps, one for each readable temperature sensor, each
+   *   containing the following members:
+   *
+   *   lmTempSensorsIndex
+   *     The sensor's entPhysicalIndex
+   *
+   *   lmTempSensorsDevice
+   *     The sensor's label
+   *
+   *   lmTempSensorsValue
+   *     The temperature, in millidegrees Celsius
+   */
+  async getLmTempSensorsTable()
+  {
+    return Promise.resolve()
+      .then(() => getLmSensors([ "temp" ], this.cache.startTime))
+      .then(
+        (sensors) =>
+        {
+          return sensors.map(
+            (sensor) =>
+            {
+              return (
+                {
+                  lmTempSensorsIndex  : sensor.index,
+                  lmTempSensorsDevice : sensor.device,
+                  lmTempSensorsValue  : sensor.value
+                });
+            });
+        });
+  }
+
+  /**
+   * The fan sensors
+   *
+   * @return {Array}
+   *   An array of maps, one for each readable fan sensor, each containing
+   *   the following members:
+   *
+   *   lmFanSensorsIndex
+   *     The sensor's entPhysicalIndex
+   *
+   *   lmFanSensorsDevice
+   *     The sensor's label
+   *
+   *   lmFanSensorsValue
+   *     The fan's speed, in RPM
+   */
+  async getLmFanSensorsTable()
+  {
+    return Promise.resolve()
+      .then(() => getLmSensors([ "fan" ], this.cache.startTime))
+      .then(
+        (sensors) =>
+        {
+          return sensors.map(
+            (sensor) =>
+            {
+              return (
+                {
+                  lmFanSensorsIndex  : sensor.index,
+                  lmFanSensorsDevice : sensor.device,
+                  lmFanSensorsValue  : sensor.value
+                });
+            });
+        });
+  }
+
+  /**
+   * The voltage sensors
+   *
+   * @return {Array}
+   *   An array of maps, one for each readable voltage sensor, each
+   *   containing the following members:
+   *
+   *   lmVoltSensorsIndex
+   *     The sensor's entPhysicalIndex
+   *
+   *   lmVoltSensorsDevice
+   *     The sensor's label
+   *
+   *   lmVoltSensorsValue
+   *     The voltage, in millivolts. Negative voltages are reported as 0.
+   */
+  async getLmVoltSensorsTable()
+  {
+    return Promise.resolve()
+      .then(() => getLmSensors([ "in" ], this.cache.startTime))
+      .then(
+        (sensors) =>
+        {
+          return sensors.map(
+            (sensor) =>
+            {
+              return (
+                {
+                  lmVoltSensorsIndex  : sensor.index,
+                  lmVoltSensorsDevice : sensor.device,
+                  lmVoltSensorsValue  : sensor.value
+                });
+            });
+        });
+  }
+
+  /**
+   * The miscellaneous sensors: power and current
+   *
+   * @return {Array}
+   *   An array of maps, one for each readable power or current sensor,
+   *   each containing the following members:
+   *
+   *   lmMiscSensorsIndex
+   *     The sensor's entPhysicalIndex
+   *
+   *   lmMiscSensorsDevice
+   *     The sensor's label
+   *
+   *   lmMiscSensorsValue
+   *     The power, in milliwatts, or the current, in milliamperes
+   */
+  async getLmMiscSensorsTable()
+  {
+    return Promise.resolve()
+      .then(() => getLmSensors([ "power", "curr" ], this.cache.startTime))
+      .then(
+        (sensors) =>
+        {
+          return sensors.map(
+            (sensor) =>
+            {
+              return (
+                {
+                  lmMiscSensorsIndex  : sensor.index,
+                  lmMiscSensorsDevice : sensor.device,
+                  lmMiscSensorsValue  : sensor.value
+                });
+            });
+        });
+  }
+}
+
+
+
+
+
+/* Flag bits for the `flags` field returned in `getIpRouteTable` entries */
+const IpRouteTable_FLAGS =
+  {
+    Up        : 0x0001,          // route usable
+    Gateway   : 0x0002,          // destination is a gateway
+    Host      : 0x0004,          // host entry (net otherwise)
+    Reinstate : 0x0008,          // reinstate route after tmout
+    Dynamic   : 0x0010,          // created dyn. (by redirect)
+    Modified  : 0x0020,          // modified dyn. (by redirect)
+    Mtu       : 0x0040,          // specific MTU for this route
+    Window    : 0x0080,          // per route window clamping
+    Irtt      : 0x0100,          // Initial round trip time
+    Reject    : 0x0200,          // Reject route
+    Notcached : 0x0400           // this route isn't cached
+  };
+
+/* Flag bits in the kernel's ARP cache, used by `getIpNetToMediaTable` */
+const IpNetToMediaTable_ARP_FLAGS =
+  {
+    Complete    : 0x02,         // completed entry (ha valid)
+    Permanent   : 0x04,         // permanent entry
+    Publish     : 0x08,         // publish entry
+    UseTrailers : 0x10,         // has requested trailers
+    Netmask     : 0x20,         // want to use a netmask (only for proxy)
+    DontPublish : 0x40          // don't answer this address
+  };
+
+/* Values of the connection state field in `getTcpConnTable` */
+const TcpConnEntry_CONNECTION_STATE =
+  {
+    Closed          : 1,
+    Listen          : 2,
+    SynSent         : 3,
+    SynReceived     : 4,
+    Established     : 5,
+    FinWait1        : 6,
+    FinWait2        : 7,
+    CloseWait       : 8,
+    LastAck         : 9,
+    Closing         : 10,
+    TimeWait        : 11,
+    NewSynReceived  : 99 // not in RFC-1213 but is a current valid state
+  };
+
+/* Map of the kernel's TCP states to `TcpConnEntry_CONNECTION_STATE` values */
+const linuxToRfc1213ConnStateMap =
+  {
+    1  : TcpConnEntry_CONNECTION_STATE.Established,    // TCP_ESTABLISHED
+    2  : TcpConnEntry_CONNECTION_STATE.SynSent,        // TCP_SYN_SENT
+    3  : TcpConnEntry_CONNECTION_STATE.SynReceived,    // TCP_SYN_RECV
+    4  : TcpConnEntry_CONNECTION_STATE.FinWait1,       // TCP_FIN_WAIT1
+    5  : TcpConnEntry_CONNECTION_STATE.FinWait2,       // TCP_FIN_WAIT2
+    6  : TcpConnEntry_CONNECTION_STATE.TimeWait,       // TCP_TIME_WAIT
+    7  : TcpConnEntry_CONNECTION_STATE.Closed,         // TCP_CLOSE
+    8  : TcpConnEntry_CONNECTION_STATE.CloseWait,      // TCP_CLOSE_WAIT
+    9  : TcpConnEntry_CONNECTION_STATE.LastAck,        // TCP_LAST_ACK
+    10 : TcpConnEntry_CONNECTION_STATE.Listen,         // TCP_LISTEN
+    11 : TcpConnEntry_CONNECTION_STATE.Closing,        // TCP_CLOSING,
+    12 : TcpConnEntry_CONNECTION_STATE.NewSynReceived  // TCP_NEW_SYN_RECV
+  };
+
+/* Map from a socket's address family to its InetAddressType */
+const familyToInetAddressTypeMap =
+  {
+    any  : 0,                   // unknown
+    IPv4 : 1,                   // ipv4
+    IPv6 : 2                    // ipv6
+  };
+
+/* The storage types of HOST-RESOURCES-TYPES, for hrStorageType */
+const HrStorageTypes =
+  {
+    Other          : "1.3.6.1.2.1.25.2.1.1",
+    Ram            : "1.3.6.1.2.1.25.2.1.2",
+    VirtualMemory  : "1.3.6.1.2.1.25.2.1.3",
+    FixedDisk      : "1.3.6.1.2.1.25.2.1.4",
+    RemovableDisk  : "1.3.6.1.2.1.25.2.1.5",
+    FloppyDisk     : "1.3.6.1.2.1.25.2.1.6",
+    CompactDisc    : "1.3.6.1.2.1.25.2.1.7",
+    RamDisk        : "1.3.6.1.2.1.25.2.1.8",
+    FlashMemory    : "1.3.6.1.2.1.25.2.1.9",
+    NetworkDisk    : "1.3.6.1.2.1.25.2.1.10"
+  };
+
+/* The device types of HOST-RESOURCES-TYPES, for hrDeviceType */
+const HrDeviceTypes =
+  {
+    Other             : "1.3.6.1.2.1.25.3.1.1",
+    Unknown           : "1.3.6.1.2.1.25.3.1.2",
+    Processor         : "1.3.6.1.2.1.25.3.1.3",
+    Network           : "1.3.6.1.2.1.25.3.1.4",
+    Printer           : "1.3.6.1.2.1.25.3.1.5",
+    DiskStorage       : "1.3.6.1.2.1.25.3.1.6",
+    Video             : "1.3.6.1.2.1.25.3.1.10",
+    Audio             : "1.3.6.1.2.1.25.3.1.11",
+    Coprocessor       : "1.3.6.1.2.1.25.3.1.12",
+    Keyboard          : "1.3.6.1.2.1.25.3.1.13",
+    Modem             : "1.3.6.1.2.1.25.3.1.14",
+    ParallelPort      : "1.3.6.1.2.1.25.3.1.15",
+    Pointing          : "1.3.6.1.2.1.25.3.1.16",
+    SerialPort        : "1.3.6.1.2.1.25.3.1.17",
+    Tape              : "1.3.6.1.2.1.25.3.1.18",
+    Clock             : "1.3.6.1.2.1.25.3.1.19",
+    VolatileMemory    : "1.3.6.1.2.1.25.3.1.20",
+    NonVolatileMemory : "1.3.6.1.2.1.25.3.1.21"
+  };
+
+/* Map of PCI device classes, and class/subclass pairs, to hrDeviceType */
+const pciClassToHrDeviceTypeMap =
+  {
+    "03"   : HrDeviceTypes.Video,            // display controller
+    "0401" : HrDeviceTypes.Audio,            // multimedia audio controller
+    "0403" : HrDeviceTypes.Audio,            // audio device
+    "0700" : HrDeviceTypes.SerialPort,       // serial controller
+    "0701" : HrDeviceTypes.ParallelPort,     // parallel controller
+    "0703" : HrDeviceTypes.Modem,            // modem
+    "0900" : HrDeviceTypes.Keyboard,         // keyboard controller
+    "0902" : HrDeviceTypes.Pointing,         // mouse controller
+    "0b"   : HrDeviceTypes.Processor,        // processor
+    "12"   : HrDeviceTypes.Coprocessor       // processing accelerator
+  };
+
+/* The file system types of HOST-RESOURCES-TYPES, for hrFSType */
+const HrFSTypes =
+  {
+    Other        : "1.3.6.1.2.1.25.3.9.1",
+    Unknown      : "1.3.6.1.2.1.25.3.9.2",
+    BerkeleyFFS  : "1.3.6.1.2.1.25.3.9.3",
+    Sys5FS       : "1.3.6.1.2.1.25.3.9.4",
+    Fat          : "1.3.6.1.2.1.25.3.9.5",
+    HPFS         : "1.3.6.1.2.1.25.3.9.6",
+    HFS          : "1.3.6.1.2.1.25.3.9.7",
+    MFS          : "1.3.6.1.2.1.25.3.9.8",
+    NTFS         : "1.3.6.1.2.1.25.3.9.9",
+    VNode        : "1.3.6.1.2.1.25.3.9.10",
+    Journaled    : "1.3.6.1.2.1.25.3.9.11",
+    iso9660      : "1.3.6.1.2.1.25.3.9.12",
+    RockRidge    : "1.3.6.1.2.1.25.3.9.13",
+    NFS          : "1.3.6.1.2.1.25.3.9.14",
+    Netware      : "1.3.6.1.2.1.25.3.9.15",
+    AFS          : "1.3.6.1.2.1.25.3.9.16",
+    DFS          : "1.3.6.1.2.1.25.3.9.17",
+    Appleshare   : "1.3.6.1.2.1.25.3.9.18",
+    RFS          : "1.3.6.1.2.1.25.3.9.19",
+    DGCFS        : "1.3.6.1.2.1.25.3.9.20",
+    BFS          : "1.3.6.1.2.1.25.3.9.21",
+    FAT32        : "1.3.6.1.2.1.25.3.9.22",
+    LinuxExt2    : "1.3.6.1.2.1.25.3.9.23"
+  };
+
+/* Map of Linux file system types to hrFSType values. Others are Other. */
+const linuxToHrFSTypeMap =
+  {
+    ext2     : HrFSTypes.LinuxExt2,
+    ext3     : HrFSTypes.LinuxExt2,
+    ext4     : HrFSTypes.LinuxExt2,
+    msdos    : HrFSTypes.Fat,
+    vfat     : HrFSTypes.FAT32,
+    ntfs     : HrFSTypes.NTFS,
+    ntfs3    : HrFSTypes.NTFS,
+    hpfs     : HrFSTypes.HPFS,
+    hfs      : HrFSTypes.HFS,
+    hfsplus  : HrFSTypes.HFS,
+    ufs      : HrFSTypes.BerkeleyFFS,
+    sysv     : HrFSTypes.Sys5FS,
+    jfs      : HrFSTypes.Journaled,
+    iso9660  : HrFSTypes.iso9660,
+    nfs      : HrFSTypes.NFS,
+    nfs4     : HrFSTypes.NFS,
+    ncpfs    : HrFSTypes.Netware,
+    afs      : HrFSTypes.AFS,
+    bfs      : HrFSTypes.BFS
+  };
+
+/*
+ * Package databases from which installed software is read. Each is read
+ * using the first of its paths which exists, if any.
+ */
+const installedSoftwareDatabases =
+  [
+    {
+      paths : [ "/var/lib/dpkg/status" ],
+      read  : readDpkgDatabase
+    },
+    {
+      paths :
+        [
+          "/usr/lib/sysimage/rpm/rpmdb.sqlite",
+          "/var/lib/rpm/rpmdb.sqlite",
+          "/var/lib/rpm/Packages"
+        ],
+      read  : readRpmDatabase
+    }
+  ];
+
+/* Map of the kernel's process states to hrSWRunStatus values */
+const linuxToHrSWRunStatusMap =
+  {
+    R : 1,                      // running => running
+    S : 2,                      // sleeping => runnable
+    I : 2,                      // idle kernel thread => runnable
+    D : 3,                      // uninterruptible wait => notRunnable
+    T : 3,                      // stopped => notRunnable
+    t : 3,                      // tracing stop => notRunnable
+    W : 3,                      // paging => notRunnable
+    P : 3,                      // parked => notRunnable
+    Z : 4,                      // zombie => invalid
+    X : 4                       // dead => invalid
+  };
+
+/* File system types whose storage is on a remote host */
+const networkFsTypes =
+  [
+    "nfs",
+    "nfs4",
+    "cifs",
+    "smbfs",
+    "smb3",
+    "ncpfs",
+    "afs",
+    "ceph",
+    "glusterfs",
+    "fuse.sshfs"
+  ];
+
+/* Map of the kernel's route types to inetCidrRouteType values */
+const linuxToInetCidrRouteTypeMap =
+  {
+    2  : 3,                     // RTN_LOCAL => local
+    3  : 3,                     // RTN_BROADCAST => local
+    4  : 3,                     // RTN_ANYCAST => local
+    6  : 5,                     // RTN_BLACKHOLE => blackhole
+    7  : 2,                     // RTN_UNREACHABLE => reject
+    8  : 2                      // RTN_PROHIBIT => reject
+  };
+
+/* Map of the kernel's route protocols to IANAipRouteProtocol values */
+const linuxToIanaRouteProtoMap =
+  {
+    1   : 4,                    // RTPROT_REDIRECT => icmp
+    2   : 2,                    // RTPROT_KERNEL => local
+    3   : 3,                    // RTPROT_BOOT => netmgmt
+    4   : 3,                    // RTPROT_STATIC => netmgmt
+    9   : 4,                    // RTPROT_RA => icmp
+    16  : 19,                   // RTPROT_DHCP => dhcp
+    17  : 17,                   // RTPROT_MROUTED => dvmrp
+    186 : 14,                   // RTPROT_BGP => bgp
+    187 : 9,                    // RTPROT_ISIS => isIs
+    188 : 13,                   // RTPROT_OSPF => ospf
+    189 : 8,                    // RTPROT_RIP => rip
+    192 : 16                    // RTPROT_EIGRP => ciscoEigrp
+  };
+
+/*
+ * The representation of each type of hwmon sensor in entPhySensorTable.
+ * hwmon reports millidegrees Celsius, RPM, millivolts, microwatts, and
+ * milliamperes; dividing by `divisor` yields a fixed-point value with
+ * `precision` decimal places, which is also the thousandths (or RPM)
+ * reported by the LM-SENSORS-MIB tables.
+ */
+const hwmonSensorTypes =
+  {
+    temp  : { type : 8,  precision : 3, divisor : 1,    units : "C" },
+    fan   : { type : 10, precision : 0, divisor : 1,    units : "RPM" },
+    in    : { type : 4,  precision : 3, divisor : 1,    units : "V" },
+    power : { type : 6,  precision : 3, divisor : 1000, units : "W" },
+    curr  : { type : 5,  precision : 3, divisor : 1,    units : "A" }
+  };
+
+
+
+
+
+/*
+ * Retrieve all information available from /proc/net/snmp, or from another
+ * file in the same format, e.g., /proc/net/netstat
+ */
+async function getNetSnmpInfo4(filename = "/proc/net/snmp")
+{
+  let             heading;
+  let             fieldNames;
+  let             info = {};
+  let             bDefinition = true;
+
+  return Promise.resolve()
+    .then(() => fsp.readFile(filename))
+    .then((content) => content.toString().split("\n"))
+    .then(
+      (lines) =>
+      {
+        lines.forEach(
+          (line) =>
+          {
+            let             thisHeading;
+            let             fieldValues;
+
+            // An empty line signifies the end
+            line = line.trim();
+            if (line.length === 0)
+            {
+              return;
+            }
+
+            // A definition line looks like:
+            // Ip: Forwarding DefaultTTL InReceives ...
+            //
+            // A value line looks like:
+            // Ip: 1 64 87367079 ...
+            if (bDefinition)
+            {
+              [ heading, fieldNames ] = line.split(/: */);
+              fieldNames = fieldNames.split(" ");
+            }
+            else
+            {
+              [ thisHeading, fieldValues ] = line.split(/: */);
+
+              // We expect this heading to be the same as the one in
+              // the definition.
+              if (thisHeading != heading)
+              {
+                throw new Error(
+                  `Unexpected heading ${thisHeading}; expected ${heading}`);
+              }
+
+              fieldValues = fieldValues.split(" ");
+
+              // We expect the number of fieldValues to match the
+              // number of fieldNames
+              if (fieldValues.length != fieldNames.length)
+              {
+                throw new Error(
+                  [
+                    "Number of field names in ",
+                    JSON.stringify(fieldNames),
+                    " does not match number of values in ",
+                    JSON.stringify(fieldValues)
+                  ].join(""));
+              }
+
+              // Fill in the info map for this heading
+              info[heading] = {};
+              fieldNames.forEach(
+                (name, i) =>
+                {
+                  info[heading][name] = fieldValues[i];
+                });
+            }
+
+            bDefinition = ! bDefinition;
+          });
+
+        return info;
+      });
+}
+
+/**
+ * This function ensures that we have a constant mapping of interface
+ * to index for the duration of this library's runtime instance.
+ *
+ * @return {String[]}
+ *   The input parameter is returned unaltered
+ */
+async function addIfIndexes()
+{
+  return Promise.resolve()
+    .then(() => fsp.readdir("/sys/class/net"))
+    .then(
+      (ifNames) =>
+      {
+        // Add an entry to our interface index map, if not already there
+        ifNames.forEach(
+          (ifName) =>
+          {
+            if (! (ifName in ifIndexMap))
+            {
+              ifIndexMap[ifName] = nextIfIndex++;
+            }
+          });
+
+        return ifNames;
+      });
+}
+
+/**
+ * Get the Ethernet error statistics and duplex mode of each interface
+ * whose hardware type is Ethernet
+ *
+ * @return {Array}
+ *   One map per interface, with members `ifName`, `ifIndex`, `stats` (a
+ *   map of the counters used by dot3StatsTable, keyed by their names in
+ *   /sys/class/net/<ifName>/statistics, each wrapped to 32 bits and zero
+ *   if not available), and `duplex` (the kernel's duplex mode, e.g.,
+ *   "full" or "half", or null if not available)
+ */
+async function getEthernetStats()
+{
+  const           ARPHRD_ETHER = 1;
+  const           statNames =
+    [
+      "rx_frame_errors",
+      "rx_crc_errors",
+      "rx_length_errors",
+      "rx_fifo_errors",
+      "tx_window_errors",
+      "tx_aborted_errors",
+      "tx_carrier_errors",
+      "tx_fifo_errors"
+    ];
+
+  return Promise.resolve()
+    .then(() => addIfIndexes())
+    .then(
+      (ifNames) =>
+      {
+        return Promise.allSettled(
+          ifNames.map(
+            (ifName) => fsp.readFile(`/sys/class/net/${ifName}/type`)))
+          .then(
+            (results) =>
+            {
+              return ifNames.filter(
+                (ifName, i) =>
+                {
+                  return (results[i].status == "fulfilled" &&
+                          +results[i].value.toString() == ARPHRD_ETHER);
+                });
+            });
+      })
+    .then(
+      (ifNames) =>
+      {
+        return Promise.all(
+          ifNames.map(
+            (ifName) =>
+            {
+              const           dir = `/sys/class/net/${ifName}`;
+
+              // Reading the duplex mode fails when the link is down
+              return Promise.allSettled(
+                [
+                  fsp.readFile(`${dir}/duplex`),
+                  ...statNames.map(
+                    (name) => fsp.readFile(`${dir}/statistics/${name}`))
+                ])
+                .then(
+                  (results) =>
+                  {
+                    let             duplex = results.shift();
+                    let             stats = {};
+
+                    duplex =
+                      (duplex.status == "fulfilled"
+                       ? duplex.value.toString().trim()
+                       : null);
+
+                    statNames.forEach(
+                      (name, i) =>
+                      {
+                        stats[name] =
+                          (results[i].status == "fulfilled"
+                           ? +results[i].value.toString() % COUNTER_WRAP_AT
+                           : 0);
+                      });
+
+                    return (
+                      {
+                        ifName  : ifName,
+                        ifIndex : ifIndexMap[ifName],
+                        stats   : stats,
+                        duplex  : duplex
+                      });
+                  });
+            }));
+      });
+}
+
+/**
+ * Convert a bridge ID, as shown in sysfs, e.g., "8000.0011223344ff", to
+ * its binary form
+ *
+ * @param s {String}
+ *   The bridge ID, a hexadecimal priority and MAC address separated by a
+ *   period
+ *
+ * @return {Buffer}
+ *   The 8-octet bridge ID
+ */
+function parseBridgeId(s)
+{
+  return Buffer.from(s.trim().replace(".", "").padStart(16, "0"), "hex");
+}
+
+/**
+ * Get information about a Linux bridge and its ports
+ *
+ * @param bridgeName {String?}
+ *   The name of the bridge, or null for the first bridge, by name
+ *
+ * @return {Map?}
+ *   The bridge, with members `name`, `address` (a Buffer), `priority`,
+ *   `rootId` (a Buffer), `rootPathCost`, `rootPort`, `maxAge`,
+ *   `helloTime`, `forwardDelay`, and `ageingTime` (all times in
+ *   centi-seconds), and `ports`, an array of maps with members `name`,
+ *   `ifIndex`, `portNo`, `portId`, `state` (the kernel's port state),
+ *   `pathCost`, `designatedRoot` and `designatedBridge` (Buffers),
+ *   `designatedCost`, and `designatedPort`; or null if there is no such
+ *   bridge
+ */
+async function getBridge(bridgeName)
+{
+  let             dir;
+  const           attributes =
+    [
+      "priority",
+      "root_path_cost",
+      "root_port",
+      "max_age",
+      "hello_time",
+      "forward_delay",
+      "ageing_time"
+    ];
+
+  return Promise.resolve()
+    .then(() => addIfIndexes())
+    .then(
+      (ifNames) =>
+      {
+        if (bridgeName)
+        {
+          ifNames = ifNames.filter((ifName) => ifName == bridgeName);
+        }
+
+        // Only bridges have a `bridge` directory
+        return Promise.allSettled(
+          ifNames.map(
+            (ifName) => fsp.access(`/sys/class/net/${ifName}/bridge`)))
+          .then(
+            (results) =>
+            {
+              return ifNames
+                .filter((ifName, i) => results[i].status == "fulfilled")
+                .sort();
+            });
+      })
+    .then(
+      (bridges) =>
+      {
+        if (bridges.length == 0)
+        {
+          return null;
+        }
+
+        bridgeName = bridges[0];
+        dir = `/sys/class/net/${bridgeName}`;
+
+        return Promise.all(
+          [
+            fsp.readFile(`${dir}/address`),
+            fsp.readFile(`${dir}/bridge/root_id`),
+            Promise.all(
+              attributes.map(
+                (name) => readSysfsNumber(`${dir}/bridge/${name}`))),
+            getBridgePorts(bridgeName)
+          ])
+          .then(
+            ([ address, rootId, values, ports ]) =>
+            {
+              return (
+                {
+                  name         : bridgeName,
+                  address      :
+                    Buffer.from(
+                      address.toString().trim().replace(/:/g, ""), "hex"),
+                  priority     : values[0] || 0,
+                  rootId       : parseBridgeId(rootId.toString()),
+                  rootPathCost : values[1] || 0,
+                  rootPort     : values[2] || 0,
+                  maxAge       : values[3] || 0,
+                  helloTime    : values[4] || 0,
+                  forwardDelay : values[5] || 0,
+                  ageingTime   : values[6] || 0,
+                  ports        : ports
+                });
+            });
+      });
+}
+
+/**
+ * Get information about the ports of a Linux bridge. Ports removed while
+ * their information is being retrieved are not included.
+ *
+ * @param bridgeName {String}
+ *   The name of the bridge
+ *
+ * @return {Array}
+ *   One map per port, sorted by port number, with the members described
+ *   in `getBridge`
+ */
+async function getBridgePorts(bridgeName)
+{
+  const           dir = `/sys/class/net/${bridgeName}/brif`;
+
+  return Promise.resolve()
+    .then(() => fsp.readdir(dir))
+    .then(
+      (ifNames) =>
+      {
+        return Promise.allSettled(
+          ifNames.map(
+            (ifName) =>
+            {
+              // The port number and ID are in hexadecimal
+              return Promise.all(
+                [
+                  fsp.readFile(`${dir}/${ifName}/port_no`),
+                  fsp.readFile(`${dir}/${ifName}/port_id`),
+                  fsp.readFile(`${dir}/${ifName}/state`),
+                  fsp.readFile(`${dir}/${ifName}/path_cost`),
+                  fsp.readFile(`${dir}/${ifName}/designated_root`),
+                  fsp.readFile(`${dir}/${ifName}/designated_cost`),
+                  fsp.readFile(`${dir}/${ifName}/designated_bridge`),
+                  fsp.readFile(`${dir}/${ifName}/designated_port`)
+                ])
+                .then(
+                  (results) =>
+                  {
+                    results = results.map((result) => result.toString());
+
+                    return (
+                      {
+                        name             : ifName,
+                        ifIndex          : ifIndexMap[ifName],
+                        portNo           : parseInt(results[0], 16),
+                        portId           : parseInt(results[1], 16),
+                        state            : +results[2],
+                        pathCost         : +results[3],
+                        designatedRoot   : parseBridgeId(results[4]),
+                        designatedCost   : +results[5],
+                        designatedBridge : parseBridgeId(results[6]),
+                        designatedPort   : +results[7]
+                      });
+                  });
+            }));
+      })
+    .then(
+      (results) =>
+      {
+        return results
+          .filter((result) => result.status == "fulfilled")
+          .map((result) => result.value)
+          .sort((a, b) => a.portNo - b.portNo);
+      });
+}
+
+/**
+ * Get the forwarding database of a Linux bridge, from its `brforward`
+ * file of `struct __fdb_entry` records. An address appearing more than
+ * once, e.g., in multiple VLANs, is reported only once.
+ *
+ * @param bridgeName {String}
+ *   The name of the bridge
+ *
+ * @return {Array}
+ *   One map per MAC address, with members `address` (a Buffer), `portNo`,
+ *   and `bLocal` (true for the addresses of the bridge's own ports)
+ */
+async function getBridgeFdb(bridgeName)
+{
+  const           ENTRY_SIZE = 16;
+
+  return Promise.resolve()
+    .then(() => fsp.readFile(`/sys/class/net/${bridgeName}/brforward`))
+    .then(
+      (data) =>
+      {
+        let             offset;
+        let             entries = {};
+
+        for (offset = 0;
+             offset + ENTRY_SIZE <= data.length;
+             offset += ENTRY_SIZE)
+        {
+          // struct __fdb_entry {
+          //   __u8 mac_addr[6]; __u8 port_no; __u8 is_local;
+          //   __u32 ageing_timer_value; __u8 port_hi; __u8 pad0;
+          //   __u16 unused;
+          // }
+          const           address = data.slice(offset, offset + 6);
+          const           key = address.toString("hex");
+
+          if (! (key in entries))
+          {
+            entries[key] =
+              {
+                address : Buffer.from(address),
+                portNo  : (data[offset + 12] << 8) | data[offset + 6],
+                bLocal  : data[offset + 7] != 0
+              };
+          }
+        }
+
+        return Object.values(entries);
+      });
+}
+
+/**
+ * Get information about each 802.1Q VLAN interface, from /proc/net/vlan.
+ * VLAN interfaces removed while their information is being retrieved are
+ * not included.
+ *
+ * @param startTime {Date}
+ *   The time at which this library was started, for sysUpTime
+ *
+ * @param bridgeName {String?}
+ *   The name of the bridge described by BRIDGE-MIB, or null for the first
+ *   bridge, by name
+ *
+ * @return {Array}
+ *   One map per VLAN interface, with members `name`, `ifIndex`, `vlanId`,
+ *   `parent` (the parent interface's name), `parentIfIndex`, `port` (the
+ *   bridge's number for the port that is the interface itself or, failing
+ *   that, its parent; or null if neither is a port of the bridge),
+ *   `inFrames`, and `outFrames`
+ */
+async function getVlanInterfaces(startTime, bridgeName)
+{
+  return Promise.resolve()
+    .then(() => addIfIndexes())
+    .then(
+      () =>
+      {
+        // Without the 8021q module loaded, there are no VLAN interfaces
+        return fsp.readFile("/proc/net/vlan/config").catch(() => "");
+      })
+    .then(
+      (config) =>
+      {
+        let             interfaces;
+
+        // Each VLAN interface is listed as "name | VLAN ID | parent",
+        // following two header lines
+        interfaces = config.toString()
+          .split("\n")
+          .slice(2)
+          .map((line) => line.split("|").map((field) => field.trim()))
+          .filter((fields) => fields.length == 3)
+          .map(
+            ([ name, vlanId, parent ]) =>
+            {
+              return (
+                {
+                  name          : name,
+                  ifIndex       : ifIndexMap[name],
+                  vlanId        : +vlanId,
+                  parent        : parent,
+                  parentIfIndex : ifIndexMap[parent]
+                });
+            })
+          .filter((iface) => iface.ifIndex && iface.parentIfIndex);
+
+        return Promise.allSettled(
+          interfaces.map(
+            (iface) => fsp.readFile(`/proc/net/vlan/${iface.name}`)))
+          .then(
+            (results) =>
+            {
+              return interfaces
+                .map(
+                  (iface, i) =>
+                  {
+                    let             stats = {};
+
+                    // Ignore interfaces removed since being listed
+                    if (results[i].status != "fulfilled")
+                    {
+                      return null;
+                    }
+
+                    // Each statistic is a label followed by its value
+                    results[i].value
+                      .toString()
+                      .split("\n")
+                      .forEach(
+                        (line) =>
+                        {
+                          const           m =
+                            line.match(/^\s*(.+?)\s+([0-9]+)$/);
+
+                          if (m)
+                          {
+                            stats[m[1]] = +m[2];
+                          }
+                        });
+
+                    iface.inFrames = stats["total frames received"] || 0;
+                    iface.outFrames = stats["total frames transmitted"] || 0;
+
+                    return iface;
+                  })
+                .filter((iface) => iface);
+            });
+      })
+    .then(
+      (interfaces) =>
+      {
+        return Promise.resolve()
+          .then(() => getBridge(bridgeName))
+          .then(
+            (bridge) =>
+            {
+              let             portNos = {};
+
+              // Map each of the bridge's ports' names to its port number
+              (bridge ? bridge.ports : []).forEach(
+                (port) =>
+                {
+                  portNos[port.name] = port.portNo;
+                });
+
+              interfaces.forEach(
+                (iface) =>
+                {
+                  iface.port =
+                    portNos[iface.name] || portNos[iface.parent] || null;
+                });
+
+              return interfaces;
+            });
+      })
+    .then(
+      (interfaces) =>
+      {
+        let             vlanId;
+        let             seen = {};
+
+        interfaces.forEach(
+          (iface) =>
+          {
+            // Record when each VLAN was first seen. Those which existed
+            // when VLANs were first enumerated were created at time 0.
+            if (! (iface.vlanId in vlanCreationTimes))
+            {
+              vlanCreationTimes[iface.vlanId] =
+                (bVlansPrimed
+                 ? Math.floor((Date.now() - startTime.getTime()) / 10)
+                 : 0);
+            }
+
+            seen[iface.vlanId] = true;
+          });
+
+        // Prune deleted VLANs, so that they are new if created again
+        for (vlanId in vlanCreationTimes)
+        {
+          if (! seen[vlanId])
+          {
+            delete vlanCreationTimes[vlanId];
+          }
+        }
+
+        bVlansPrimed = true;
+
+        return interfaces;
+      });
+}
+
+/**
+ * Get information about each 802.1Q VLAN
+ *
+ * @param startTime {Date}
+ *   The time at which this library was started, for sysUpTime
+ *
+ * @param bridgeName {String?}
+ *   The name of the bridge described by BRIDGE-MIB, or null for the first
+ *   bridge, by name
+ *
+ * @return {Array}
+ *   One map per VLAN, sorted by VLAN ID, with members `vlanId`,
+ *   `creationTime` (the value of sysUpTime when the VLAN was first seen),
+ *   and `interfaces`, the VLAN's interfaces, as returned by
+ *   `getVlanInterfaces`, sorted by name
+ */
+async function getVlans(startTime, bridgeName)
+{
+  return Promise.resolve()
+    .then(() => getVlanInterfaces(startTime, bridgeName))
+    .then(
+      (interfaces) =>
+      {
+        let             vlans = {};
+
+        interfaces
+          .sort((a, b) => a.name.localeCompare(b.name))
+          .forEach(
+            (iface) =>
+            {
+              if (! vlans[iface.vlanId])
+              {
+                vlans[iface.vlanId] =
+                  {
+                    vlanId       : iface.vlanId,
+                    creationTime : vlanCreationTimes[iface.vlanId],
+                    interfaces   : []
+                  };
+              }
+
+              vlans[iface.vlanId].interfaces.push(iface);
+            });
+
+        return Object.values(vlans).sort((a, b) => a.vlanId - b.vlanId);
+      });
+}
+
+/**
+ * Create a Q-BRIDGE-MIB PortList, in which the most significant bit of
+ * the first octet represents port 1
+ *
+ * @param ports {Number[]}
+ *   The numbers of the ports in the list
+ *
+ * @return {Buffer}
+ *   The port list, just long enough to contain the highest numbered port
+ */
+function makePortList(ports)
+{
+  const           portList = Buffer.alloc(Math.ceil(Math.max(0, ...ports) / 8));
+
+  ports.forEach(
+    (port) =>
+    {
+      portList[(port - 1) >> 3] |= 0x80 >> ((port - 1) & 7);
+    });
+
+  return portList;
+}
+
+/**
+ * Get the address information about each interface
+ */
+async function getAddressInfo()
+{
+  let             ret;
+  let             iface;
+  let             byIpAddr = { IPv4 : {}, IPv6 : {} };
+  let             byHwAddr = { IPv4 : {}, IPv6 : {} };
+  let             networkInterfaces = require("os").networkInterfaces();
+
+  // For each interface...
+  for (iface in networkInterfaces)
+  {
+    // For each entry in that interface's array...
+    networkInterfaces[iface].forEach(
+      (elem) =>
+      {
+        // Add the interface name to the entry
+        elem.interface = iface;
+
+        // Add this entry to the map keyed by IP address
+        byIpAddr[elem.family][elem.address] = elem;
+
+        // Add this entry to the map keyed by HW address, excluding
+        // interface lo
+        if (iface != "lo")
+        {
+          byHwAddr[elem.family][elem.mac] = elem;
+        }
+      });
+  }
+
+  // Give 'em the three maps
+  ret = { networkInterfaces, byIpAddr, byHwAddr };
+  return ret;
+}
+
+
+/*
+ * Map a length-17 string representation of a mac address, e.g.,
+ * "00:11:22:33:44:55", to a string of six 8-bit values.
+ */
+function hexToBinaryHwAddr(s)
+{
+  // Get an array of strings by splitting at every 2 characters, and
+  // then parse each pair of hex characters into an integer. Finally
+  // combine those 8-bit numbers back into a string, assuming each
+  // 8-bit number is the byte value
+  return Buffer.from(s.split(":").map(v => parseInt(v, 16)));
+}
+
+
+/**
+ * Get the neighbours in the kernel's IPv4 ARP cache
+ *
+ * @return {Array}
+ *   One map per neighbour, with members `address`, `hwType`, `flags`,
+ *   `hwAddr`, `mask`, and `interface`
+ */
+async function getArpInfo4()
+{
+  let             neighbours = [];
+
+  return Promise.resolve()
+    .then(() => fsp.readFile("/proc/net/arp"))
+    .then((content) => content.toString().split("\n"))
+    .then(
+      (lines) =>
+      {
+        lines.forEach(
+          (line, i) =>
+          {
+            let             fields;
+
+            // Skip the first line, which is the field name definition
+            if (i === 0)
+            {
+              return;
+            }
+
+            // If the line is empty, e.g., last line, we have nothing to do
+            if (line.length === 0)
+            {
+              return;
+            }
+
+            // Split the line on whitespace
+            fields = line.split(/\s+/g);
+
+            // Add a neighbour entry with the fields identified
+            neighbours.push(
+              {
+                address   : fields.shift(),
+                hwType    : parseInt(fields.shift(), 16),
+                flags     : parseInt(fields.shift(), 16),
+                hwAddr    : fields.shift(),
+                mask      : fields.shift(),
+                interface : fields.shift()
+              });
+          });
+
+        return neighbours;
+      });
+}
+
+
+/**
+ * Convert a hex IPv4 address, which is in reverse order, into its
+ * normal dotted-decimal IPv4 address format.
+ *
+ * @param hex {String}
+ *   The hex string to be convert to standard IP address format
+ */
+function hexToIp4(hex)
+{
+  let             ip = [];
+
+  // Pad the hex string on the left, to ensure we have exactly 8 nibbles
+  hex = ("00000000" + hex).substr(-8);
+
+  // Split it ito its four components and reverse the order
+  ip.unshift(hex.substr(0, 2));
+  ip.unshift(hex.substr(2, 2));
+  ip.unshift(hex.substr(4, 2));
+  ip.unshift(hex.substr(6, 2));
+
+  // Map each two-character hex string to a number
+  ip = ip.map(v => parseInt(v, 16));
+
+  // Join it back together into IP address format
+  return ip.join(".");
+}
+
+/**
+ * Convert a counter value into the form required for a Counter64: an
+ * unsigned, big-endian integer in a Buffer of minimal length.
+ *
+ * @param value {String|Number|BigInt}
+ *   The counter value. Counters read from /proc and /sys should be passed
+ *   as the original decimal string, to avoid losing precision above 2^53.
+ */
+function toCounter64(value)
+{
+  let             buf = Buffer.alloc(8);
+
+  // Wrap at 64 bits, as the counter itself would
+  buf.writeBigUInt64BE(BigInt.asUintN(64, BigInt(value)));
+
+  // Strip superfluous leading zero bytes. A zero byte must be retained
+  // if the following byte's high bit is set, lest the value be read as
+  // negative.
+  while (buf.length > 1 && buf[0] === 0 && buf[1] < 0x80)
+  {
+    buf = buf.slice(1);
+  }
+
+  return buf;
+}
+
+/**
+ * Get information about all IPv4 routes
+ */
+async function getRouteInfo4()
+{
+  let             routes = [];
+
+  return Promise.resolve()
+    .then(() => addIfIndexes())
+    .then(() => fsp.readFile("/proc/net/route"))
+    .then((content) => content.toString().split("\n"))
+    .then(
+      (lines) =>
+      {
+        lines.forEach(
+          (line, i) =>
+          {
+            let             entry;
+            let             fields;
+
+            // Skip the first line, which is the field name definition
+            if (i === 0)
+            {
+              return;
+            }
+
+            // If the line is empty, e.g., last line, we have nothing to do
+            if (line.length === 0)
+            {
+              return;
+            }
+
+            // Split the line on whitespace
+            fields = line.split(/\s+/g);
+
+            // Add a route entry with the fields identified
+            entry =
+              {
+                interface      : fields[0], // also used for interfaceIndex
+                interfaceIndex : ifIndexMap[fields.shift()], // [interface]
+                destination    : hexToIp4(fields.shift()),
+                gateway        : hexToIp4(fields.shift()),
+                flags          : parseInt(fields.shift(), 16),
+                refcount       : +fields.shift(),
+                use            : +fields.shift(),
+                metric         : +fields.shift(),
+                mask           : hexToIp4(fields.shift())
+              };
+
+            // Delete irrelevant/unused fields
+            delete entry.refcount;
+            delete entry.use;
+
+            // Add this entry to the results
+            routes.push(entry);
+          });
+
+        return routes;
+      });
+}
+
+
+/**
+ * Get information about all IPv4 TCP connections
+ *
+ * @param bResolve {Boolean}
+  *   If true, attempt to resolve each remote address and create, in each
+ *   resolvable entry, an array called `tcpConnRemHosts` with the host names
+ *   for that address.
+ */
+async function getTcpConns4(bResolve)
+{
+  let             conns = [];
+
+  return Promise.resolve()
+    .then(() => fsp.readFile("/proc/net/tcp"))
+    .then((content) => content.toString().split("\n"))
+    .then(
+      async (lines) =>
+      {
+        lines.forEach(
+          (line, i) =>
+          {
+            let             addr;
+            let             port;
+            let             state;
+            let             fields;
+            let             entry = {};
+
+            // Skip the first line, which is the field name definition
+            if (i === 0)
+            {
+              return;
+            }
+
+            // If the line is empty, e.g., last line, we have nothing to do
+            if (line.length === 0)
+            {
+              return;
+            }
+
+            // Split off the entry number. I *usually* has leading
+            // spaces, but we may not be able to count on that, so
+            // split initially at the first colon
+            line = line.replace(/^[^:]*: *(.*)/, "$1");
+
+            // Split the line on whitespace
+            fields = line.split(/\s+/g);
+
+            // Split the local address and port apart
+            [ addr, port ] = fields.shift().split(":");
+            entry.tcpConnLocalAddress = hexToIp4(addr);
+            entry.tcpConnLocalPort = parseInt(port, 16);
+
+            // Similarly for the remote address and port
+            [ addr, port ] = fields.shift().split(":");
+            entry.tcpConnRemAddress = hexToIp4(addr);
+            entry.tcpConnRemPort = parseInt(port, 16);
+
+            // Get the connection state
+            state = linuxToRfc1213ConnStateMap[parseInt(fields.shift(), 16)];
+            entry.tcpConnState = state;
+
+            // Add this entry to the return result
+            conns.push(entry);
+          });
+
+        return conns;
+      })
+    .then(
+      (conns) =>
+      {
+        // IPv6 sockets communicating via IPv4, i.e., whose local address
+        // is an IPv4-mapped IPv6 address, are IPv4 connections too
+        return readProcNetSockets("/proc/net/tcp6", "IPv6")
+          .then(
+            (sockets) =>
+            {
+              sockets
+                .filter((socket) => isIp4MappedIp6(socket.localAddress))
+                .forEach(
+                  (socket) =>
+                  {
+                    conns.push(
+                      {
+                        tcpConnLocalAddress :
+                          Array.from(socket.localAddress.slice(12)).join("."),
+                        tcpConnLocalPort    : socket.localPort,
+                        tcpConnRemAddress   :
+                          Array.from(socket.remAddress.slice(12)).join("."),
+                        tcpConnRemPort      : socket.remPort,
+                        tcpConnState        :
+                          linuxToRfc1213ConnStateMap[socket.state]
+                      });
+                  });
+            })
+          .catch(
+            (e) =>
+            {
+              // Without IPv6 support, there's no tcp6 file
+              if (e.code != "ENOENT")
+              {
+                throw e;
+              }
+            })
+          .then(() => conns);
+      })
+    .then(
+      (conns) =>
+      {
+        let             promises;
+        let             Resolver;
+        let             resolver;
+
+        // If we weren't asked to resolve, we're done
+        if (! bResolve)
+        {
+          return conns;
+        }
+
+        // Prepare to resolve
+        promises = [];
+        Resolver = require("dns").promises.Resolver;
+        resolver = new Resolver();
+
+        conns.forEach(
+          (conn) =>
+          {
+            // Create an array of promises with the reverse resolve
+            promises.push(
+              resolver.reverse(conn.tcpConnRemAddress)
+                .then(
+                  (hosts) =>
+                  {
+                    conn.tcpConnRemHosts = hosts;
+                  }));
+          });
+
+        // Await all resolving. We ignore any failures (unable to resolve)
+        return Promise.allSettled(promises)
+          .then(() => conns);
+      });
+}
+
+/**
+ * Get information about IPv4 UDP listeners
+ *
+ * @param bResolve {Boolean}
+ *   If true, attempt to resolve each remote address and create, in each
+ *   resolvable entry, an array called `udpRemHosts` with the host names for
+ *   that address.
+ */
+async function getUdpListeners4(bResolve)
+{
+  let             listeners = [];
+  
+  return Promise.resolve()
+    .then(() => fsp.readFile("/proc/net/udp"))
+    .then((content) => content.toString().split("\n"))
+    .then(
+      async (lines) =>
+      {
+        lines.forEach(
+          (line, i) =>
+          {
+            let             addr;
+            let             port;
+            let             fields;
+            let             entry = {};
+
+            // Skip the first line, which is the field name definition
+            if (i === 0)
+            {
+              return;
+            }
+
+            // If the line is empty, e.g., last line, we have nothing to do
+            if (line.length === 0)
+            {
+              return;
+            }
+
+            // Split off the entry number. I *usually* has leading
+            // spaces, but we may not be able to count on that, so
+            // split initially at the first colon
+            line = line.replace(/^[^:]*: *(.*)/, "$1");
+
+            // Split the line on whitespace
+            fields = line.split(/\s+/g);
+
+            // Split the local address and port apart
+            [ addr, port ] = fields.shift().split(":");
+            entry.udpLocalAddress = hexToIp4(addr);
+            entry.udpLocalPort = parseInt(port, 16);
+
+            // Similarly for the remote address and port
+            [ addr, port ] = fields.shift().split(":");
+            entry.udpRemAddress = hexToIp4(addr);
+            entry.udpRemPort = parseInt(port, 16);
+
+            // Add this entry to the return result
+            listeners.push(entry);
+          });
+
+        return listeners;
+      })
+    .then(
+      (listeners) =>
+      {
+        // IPv6 sockets communicating via IPv4, i.e., whose local address
+        // is an IPv4-mapped IPv6 address, are IPv4 listeners too
+        return readProcNetSockets("/proc/net/udp6", "IPv6")
+          .then(
+            (sockets) =>
+            {
+              sockets
+                .filter((socket) => isIp4MappedIp6(socket.localAddress))
+                .forEach(
+                  (socket) =>
+                  {
+                    listeners.push(
+                      {
+                        udpLocalAddress :
+                          Array.from(socket.localAddress.slice(12)).join("."),
+                        udpLocalPort    : socket.localPort,
+                        udpRemAddress   :
+                          Array.from(socket.remAddress.slice(12)).join("."),
+                        udpRemPort      : socket.remPort
+                      });
+                  });
+            })
+          .catch(
+            (e) =>
+            {
+              // Without IPv6 support, there's no udp6 file
+              if (e.code != "ENOENT")
+              {
+                throw e;
+              }
+            })
+          .then(() => listeners);
+      })
+    .then(
+      (listeners) =>
+      {
+        let             promises;
+        let             Resolver;
+        let             resolver;
+
+        // If we weren't asked to resolve, we're done
+        if (! bResolve)
+        {
+          return listeners;
+        }
+
+        // Prepare to resolve
+        promises = [];
+        Resolver = require("dns").promises.Resolver;
+        resolver = new Resolver();
+
+        listeners.forEach(
+          (listener) =>
+          {
+            // Create an array of promises with the reverse resolve
+            promises.push(
+              resolver.reverse(listener.udpRemAddress)
+                .then(
+                  (hosts) =>
+                  {
+                    listener.udpRemHosts = hosts;
+                  }));
+          });
+
+        // Await all resolving. We ignore any failures (unable to resolve)
+        return Promise.allSettled(promises)
+          .then(() => listeners);
+      });
+}
+
+
+/**
+ * Get the prefixes of the IPv4 addresses assigned to each interface
+ *
+ * @return {Array}
+ *   One map per prefix on an interface, with members `family` ("IPv4"),
+ *   `interface`, `prefix` (an 8-character hex string), `prefixLength`,
+ *   `bDynamic` (true if any of its addresses has a finite lifetime, e.g.,
+ *   was leased via DHCP), `preferredLifetime`, and `validLifetime`
+ */
+async function getPrefixInfo4()
+{
+  let             prefixes = {};
+
+  return Promise.resolve()
+    .then(() => getIpJson([ "-4", "addr" ]))
+    .then(
+      (ifaces) =>
+      {
+        ifaces.forEach(
+          (iface) =>
+          {
+            (iface.addr_info || []).forEach(
+              (addr) =>
+              {
+                let             key;
+                let             prefix;
+                const           prefixLength = addr.prefixlen;
+
+                // Host addresses (e.g., 10.0.0.1/32) have no prefix
+                if (prefixLength >= 32)
+                {
+                  return;
+                }
+
+                // Mask off the host part
+                prefix =
+                  maskAddress(ipToBinary(addr.local), prefixLength)
+                    .toString("hex");
+
+                // Multiple addresses may share a prefix. Merge them.
+                key = `${iface.ifname}/${prefix}/${prefixLength}`;
+                if (! prefixes[key])
+                {
+                  prefixes[key] =
+                    {
+                      family            : "IPv4",
+                      interface         : iface.ifname,
+                      prefix            : prefix,
+                      prefixLength      : prefixLength,
+                      bDynamic          : false,
+                      preferredLifetime : 0,
+                      validLifetime     : 0
+                    };
+                }
+
+                if (addr.dynamic)
+                {
+                  prefixes[key].bDynamic = true;
+                }
+
+                // The prefix remains valid/preferred as long as any of
+                // its addresses do
+                prefixes[key].preferredLifetime =
+                  Math.max(
+                    prefixes[key].preferredLifetime,
+                    addr.preferred_life_time || 0);
+                prefixes[key].validLifetime =
+                  Math.max(
+                    prefixes[key].validLifetime,
+                    addr.valid_life_time || 0);
+              });
+          });
+
+        return Object.values(prefixes);
+      });
+}
+
+
+/*
+ * Retrieve all information available from /proc/net/dev_snmp6 for the
+ * given interface, with each counter wrapped at 32 bits
+ */
+async function getNetSnmpInfo6(ifName)
+{
+  let             result = {};
+
+  return Promise.resolve()
+    .then(() => getSnmp6Counters(`/proc/net/dev_snmp6/${ifName}`))
+    .then(
+      (counters) =>
+      {
+        let             name;
+
+        for (name in counters)
+        {
+          result[name] = +counters[name] % COUNTER_WRAP_AT;
+        }
+
+        return result;
+      });
+}
+
+
+/*
+ * Retrieve all information available from /proc/net/snmp6, or from another
+ * file in the same format, e.g., /proc/net/dev_snmp6/eth0. The values are
+ * returned as strings, unaltered, as some are 64-bit counters.
+ */
+async function getSnmp6Counters(filename)
+{
+  let             result = {};
+
+  return Promise.resolve()
+    .then(() => fsp.readFile(filename))
+    .then((content) => content.toString().split("\n"))
+    .then(
+      (lines) =>
+      {
+        lines.forEach(
+          (line) =>
+          {
+            let             name;
+            let             value;
+
+            // An empty line signifies the end
+            line = line.trim();
+            if (line.length === 0)
+            {
+              return;
+            }
+
+            [ name, value ] = line.split(/\s+/);
+            result[name] = value;
+          });
+
+        return result;
+      });
+}
+
+
+/*
+ * Map a length-32 string IPv6 address (without colons) or a standard
+ * IPv6 address (with colons) to a length-16 string of 8-bit values.
+ */
+function hexToIp6(s)
+{
+  // If there are colons in the address, normalize it first
+  if (s.includes(":"))
+  {
+    s = require("ip6").normalize(s);
+  }
+
+  // Get an array of strings by splitting at every 2 characters, and
+  // then parse each pair of hex characters into an integer. Finally
+  // combine those 8-bit numbers back into a string, assuming each
+  // 8-bit number is the byte value, and convert to Buffer.
+  return (
+    Buffer.from(
+      s
+        .replace(/:/g, "")
+        .match(/.{2}/g)
+        .map(v => parseInt(v, 16))));
+}
+
+
+/*
+ * Map a standard IPv4 (dotted-decimal) or IPv6 (colon-separated) address
+ * to a Buffer of its 8-bit values (length 4 or 16, respectively).
+ */
+function ipToBinary(address)
+{
+  // IPv6 addresses are handled by hexToIp6, which normalizes them
+  if (address.includes(":"))
+  {
+    return hexToIp6(address);
+  }
+
+  return Buffer.from(address.split(".").map(v => parseInt(v, 10)));
+}
+
+
+/*
+ * Given an address as a Buffer of 8-bit values, return a new Buffer with
+ * all bits beyond the first `prefixLength` bits cleared.
+ */
+function maskAddress(address, prefixLength)
+{
+  return Buffer.from(
+    address.map(
+      (octet, i) =>
+      {
+        const           bits = Math.min(Math.max(prefixLength - i * 8, 0), 8);
+
+        return octet & (0xff << (8 - bits));
+      }));
+}
+
+
+/**
+ * Run the `ip` command, requesting JSON output. This provides access to
+ * kernel information that is available only via netlink.
+ *
+ * @param args {String[]}
+ *   The arguments to `ip`, excluding `-json`
+ *
+ * @return {Array}
+ *   The parsed JSON output; or an empty array if `ip` can't provide it
+ */
+async function getIpJson(args)
+{
+  const           execFile = require("util").promisify(
+    require("child_process").execFile);
+
+  return Promise.resolve()
+    .then(() => execFile("ip", [ "-json" ].concat(args)))
+    .then(({ stdout }) => JSON.parse(stdout || "[]"))
+    .catch(
+      (e) =>
+      {
+        // `ip` may be missing, or too old (or BusyBox's) to accept -json.
+        // The information is then unavailable, so report none.
+        return [];
+      });
+}
+
+/**
+ * Get the neighbours in the kernel's IPv4 and IPv6 neighbour caches
+ *
+ * @param startTime {Date}
+ *   The time at which sysUpTime started counting, used to convert the
+ *   kernel's time of last update of each entry into sysUpTime units
+ *
+ * @return {Array}
+ *   One map per neighbour, with members `family` ("IPv4" or "IPv6"),
+ *   `address`, `interface`, `hwAddr` (absent if the neighbour has not been
+ *   resolved), `state` (an array of the kernel's NUD state names, e.g., [
+ *   "REACHABLE" ]), `bRouter`, and `lastUpdated`
+ */
+async function getNeighInfo(startTime)
+{
+  // The kernel's neighbour cache is available only via netlink, which
+  // we can't speak directly. Ask `ip` to retrieve it for us.
+  return Promise.resolve()
+    .then(() => getIpJson([ "-statistics", "neigh" ]))
+    .then(
+      (neighbours) =>
+      {
+        const           now = (new Date()).getTime();
+
+        return neighbours.map(
+          (neighbour) =>
+          {
+            let             lastUpdated = 0;
+
+            // `updated` is the number of seconds since the entry was
+            // last updated. Convert it to sysUpTime (centiseconds),
+            // with a zero value if the update preceded our startup.
+            if (typeof neighbour.updated == "number")
+            {
+              lastUpdated =
+                (now - neighbour.updated * 1000 - startTime.getTime()) / 10;
+              lastUpdated = Math.max(Math.floor(lastUpdated), 0);
+            }
+
+            return (
+              {
+                family      : neighbour.dst.includes(":") ? "IPv6" : "IPv4",
+                address     : neighbour.dst,
+                interface   : neighbour.dev,
+                hwAddr      : neighbour.lladdr,
+                state       : neighbour.state || [],
+                bRouter     : "router" in neighbour,
+                lastUpdated : lastUpdated
+              });
+          });
+      });
+}
+
+
+/**
+ * Convert an IPv6 address as shown in /proc/net/{tcp6,udp6,...} into a
+ * length-16 Buffer of 8-bit values. Those files show the address as four
+ * 32-bit words, each in host (little-endian) byte order.
+ *
+ * @param hex {String}
+ *   The 32-character hex string to be converted
+ */
+function hostOrderHexToIp6(hex)
+{
+  // Reverse the byte order of each 32-bit word, and then convert the
+  // resulting network-order string
+  return hexToIp6(
+    hex
+      .match(/.{8}/g)
+      .map((word) => word.match(/.{2}/g).reverse().join(""))
+      .join(""));
+}
+
+/**
+ * Determine the interface index to associate with a local IPv6 address
+ *
+ * @param addressInfo {Object}
+ *   The result of `getAddressInfo()`
+ *
+ * @param localAddress {Buffer}
+ *   The local IPv6 address, as returned by `hexToIp6`
+ *
+ * @return {Number}
+ *   The index of the interface to which the address is assigned, or 0 if
+ *   it can not be determined (e.g., for the unspecified address ::0)
+ */
+function getIfIndexForIp6(addressInfo, localAddress)
+{
+  let             ipAddr;
+  const           hex = localAddress.toString("hex");
+
+  for (ipAddr in addressInfo.byIpAddr.IPv6)
+  {
+    if (hexToIp6(ipAddr).toString("hex") == hex)
+    {
+      return ifIndexMap[addressInfo.byIpAddr.IPv6[ipAddr].interface] || 0;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Determine whether an IPv6 address is an IPv4-mapped address
+ * (::ffff:a.b.c.d), as used by IPv6 sockets communicating via IPv4
+ *
+ * @param address {Buffer}
+ *   The IPv6 address, as returned by `hexToIp6`
+ *
+ * @return {Boolean}
+ *   true if the address is IPv4-mapped; false otherwise
+ */
+function isIp4MappedIp6(address)
+{
+  return address.toString("hex").startsWith("00000000000000000000ffff");
+}
+
+/**
+ * Read the sockets listed in one of the kernel's socket files, e.g.,
+ * /proc/net/tcp6 or /proc/net/udp
+ *
+ * @param filename {String}
+ *   The name of the file to read
+ *
+ * @param family {String}
+ *   The address family of the sockets in the file: "IPv4" or "IPv6"
+ *
+ * @return {Array}
+ *   One map per socket, with members `localAddress` and `remAddress`
+ *   (Buffers of length 4 or 16, according to `family`), `localPort`,
+ *   `remPort`, `state` (the kernel's numeric socket state), and `inode`
+ */
+async function readProcNetSockets(filename, family)
+{
+  let             sockets = [];
+  let             toAddress =
+      family == "IPv4"
+        ? (hex) => Buffer.from(hexToIp4(hex).split(".").map((v) => +v))
+        : hostOrderHexToIp6;
+
+  return Promise.resolve()
+    .then(() => fsp.readFile(filename))
+    .then((content) => content.toString().split("\n"))
+    .then(
+      (lines) =>
+      {
+        lines.forEach(
+          (line, i) =>
+          {
+            let             addr;
+            let             port;
+            let             fields;
+            let             entry = {};
+
+            // Skip the first line, which is the field name definition
+            if (i === 0)
+            {
+              return;
+            }
+
+            // If the line is empty, e.g., last line, we have nothing to do
+            if (line.length === 0)
+            {
+              return;
+            }
+
+            // Split off the entry number, as in getTcpConns4
+            line = line.replace(/^[^:]*: *(.*)/, "$1");
+
+            // Split the line on whitespace
+            fields = line.split(/\s+/g);
+
+            // Split the local address and port apart
+            [ addr, port ] = fields[0].split(":");
+            entry.localAddress = toAddress(addr);
+            entry.localPort = parseInt(port, 16);
+
+            // Similarly for the remote address and port
+            [ addr, port ] = fields[1].split(":");
+            entry.remAddress = toAddress(addr);
+            entry.remPort = parseInt(port, 16);
+
+            // The remaining fields of interest are the state and inode
+            entry.state = parseInt(fields[2], 16);
+            entry.inode = fields[8];
+
+            // Add this entry to the return result
+            sockets.push(entry);
+          });
+
+        return sockets;
+      });
+}
+
+/**
+ * Get information about all IPv6 TCP connections. Those of IPv6 sockets
+ * communicating via IPv4 are omitted, as they're in tcpConnTable.
+ */
+async function getTcpConns6()
+{
+  let             addressInfo;
+
+  return Promise.resolve()
+    .then(() => addIfIndexes())
+    .then(() => getAddressInfo())
+    .then((info) => addressInfo = info)
+    .then(() => readProcNetSockets("/proc/net/tcp6", "IPv6"))
+    .then(
+      (sockets) =>
+      {
+        return sockets
+          .filter((socket) => ! isIp4MappedIp6(socket.localAddress))
+          .map(
+            (socket) =>
+            {
+              let             state = linuxToRfc1213ConnStateMap[socket.state];
+
+              // IPV6-TCP-MIB has no equivalent of the kernel's
+              // TCP_NEW_SYN_RECV state.
+              if (state == TcpConnEntry_CONNECTION_STATE.NewSynReceived)
+              {
+                state = TcpConnEntry_CONNECTION_STATE.SynReceived;
+              }
+
+              return (
+                {
+                  ipv6TcpConnLocalAddress : socket.localAddress,
+                  ipv6TcpConnLocalPort    : socket.localPort,
+                  ipv6TcpConnRemAddress   : socket.remAddress,
+                  ipv6TcpConnRemPort      : socket.remPort,
+
+                  // Link-local addresses are scoped to the interface on
+                  // which they're assigned, so this disambiguates
+                  // connections with the same 4-tuple.
+                  ipv6TcpConnIfIndex      :
+                    getIfIndexForIp6(addressInfo, socket.localAddress),
+
+                  ipv6TcpConnState        : state
+                });
+            });
+      });
+}
+
+
+/**
+ * Get the sockets of a transport protocol, for both IPv4 and IPv6, from
+ * /proc/net/<protocol> and /proc/net/<protocol>6. A file that does not
+ * exist (e.g., because IPv6 is disabled) contributes no sockets.
+ *
+ * IPv6 sockets that are communicating via IPv4, i.e., whose local address
+ * is an IPv4-mapped IPv6 address (::ffff:a.b.c.d), are reported as IPv4
+ * sockets.
+ *
+ * An IPv6 socket bound to the unspecified address (::) accepts IPv4
+ * traffic too, unless it was created with the IPV6_V6ONLY option. The
+ * kernel doesn't show that option, so such a socket is taken to be
+ * IPv6-only when the system default (net.ipv6.bindv6only) says so, or
+ * when there is also an IPv4 socket on the same port, which a socket
+ * accepting IPv4 traffic would have prevented from binding.
+ *
+ * @param protocol {String}
+ *   The protocol, e.g., "tcp", "udp", or "udplite"
+ *
+ * @return {Array}
+ *   One map per socket, with members `family` ("IPv4", "IPv6", or "any"
+ *   for a socket bound to the unspecified address which accepts both),
+ *   `localAddress` and `remAddress` (Buffers of length 4 or 16, according
+ *   to `family`, or of length 0 if `family` is "any"), `localPort`,
+ *   `remPort`, `state` (the kernel's numeric socket state), and `inode`
+ */
+async function getInetSockets(protocol)
+{
+  let             sockets4;
+  let             sockets6;
+  let             bV6Only;
+  let             ports4;
+  const           unspecified6 = Buffer.alloc(16);
+
+  // Read one of the protocol's files. A missing file just means there
+  // are no such sockets.
+  let             readSockets = async (filename, family) =>
+  {
+    return readProcNetSockets(filename, family)
+      .catch(
+        (e) =>
+        {
+          if (e.code != "ENOENT")
+          {
+            throw e;
+          }
+
+          return [];
+        });
+  };
+
+  return Promise.resolve()
+    .then(() => readSockets(`/proc/net/${protocol}`, "IPv4"))
+    .then((sockets) => sockets4 = sockets)
+    .then(() => readSockets(`/proc/net/${protocol}6`, "IPv6"))
+    .then((sockets) => sockets6 = sockets)
+    .then(
+      () =>
+      {
+        return fsp.readFile("/proc/sys/net/ipv6/bindv6only")
+          .then((content) => bV6Only = +content.toString().trim() == 1)
+          .catch(
+            (e) =>
+            {
+              // Without IPv6 support, there's no bindv6only setting
+              if (e.code != "ENOENT")
+              {
+                throw e;
+              }
+            });
+      })
+    .then(
+      () =>
+      {
+        // The ports of the IPv4 sockets that are listening or, for
+        // connectionless protocols, not connected
+        ports4 = new Set(
+          sockets4
+            .filter((socket) => socket.remPort == 0)
+            .map((socket) => socket.localPort));
+
+        sockets4.forEach((socket) => socket.family = "IPv4");
+        sockets6.forEach(
+          (socket) =>
+          {
+            if (isIp4MappedIp6(socket.localAddress))
+            {
+              // Report IPv6 sockets communicating via IPv4 as IPv4
+              socket.family = "IPv4";
+              socket.localAddress = socket.localAddress.slice(12);
+              socket.remAddress = socket.remAddress.slice(12);
+            }
+            else if (! bV6Only &&
+                     socket.localAddress.equals(unspecified6) &&
+                     socket.remPort == 0 &&
+                     ! ports4.has(socket.localPort))
+            {
+              // This socket accepts both IPv4 and IPv6 traffic
+              socket.family = "any";
+              socket.localAddress = Buffer.alloc(0);
+              socket.remAddress = Buffer.alloc(0);
+            }
+            else
+            {
+              socket.family = "IPv6";
+            }
+          });
+
+        return sockets4.concat(sockets6);
+      });
+}
+
+
+/**
+ * Determine which process owns each socket, by looking through the open
+ * file descriptors of each process. Sockets of processes whose file
+ * descriptors we are not permitted to read are not included.
+ *
+ * Scanning every process's file descriptors is costly, so the tables
+ * being populated for the same request share a single scan.
+ *
+ * @return {Map}
+ *   The process ID owning each socket, keyed by the socket's inode number
+ */
+async function getSocketProcesses()
+{
+  if (! socketProcessesPending)
+  {
+    socketProcessesPending =
+      scanSocketProcesses()
+        .finally(() => socketProcessesPending = null);
+  }
+
+  return socketProcessesPending;
+}
+
+
+/**
+ * Scan the open file descriptors of each process for sockets. See
+ * `getSocketProcesses`.
+ */
+async function scanSocketProcesses()
+{
+  let             processes = {};
+
+  return Promise.resolve()
+    .then(() => fsp.readdir("/proc"))
+    .then(
+      (pids) =>
+      {
+        // Look only at the process directories
+        pids = pids.filter((pid) => /^[0-9]+$/.test(pid));
+
+        return Promise.allSettled(
+          pids.map(
+            (pid) =>
+            {
+              return Promise.resolve()
+                .then(() => fsp.readdir(`/proc/${pid}/fd`))
+                .then(
+                  (fds) =>
+                  {
+                    return Promise.allSettled(
+                      fds.map(
+                        (fd) =>
+                        {
+                          return fsp.readlink(`/proc/${pid}/fd/${fd}`)
+                            .then(
+                              (link) =>
+                              {
+                                // A socket's link looks like
+                                // "socket:[12345]", with the inode number
+                                // in brackets
+                                const           match =
+                                      link.match(/^socket:\[([0-9]+)\]$/);
+
+                                if (match)
+                                {
+                                  processes[match[1]] = +pid;
+                                }
+                              });
+                        }));
+                  });
+            }));
+      })
+    .then(() => processes);
+}
+
+
+/**
+ * Get information about TCP connections, for both IPv4 and IPv6, other
+ * than those in the LISTEN state
+ *
+ * @return {Array}
+ *   One map per connection, with the members described in
+ *   `getTcpConnectionTable`
+ */
+async function getTcpConnections()
+{
+  let             processes;
+
+  return Promise.resolve()
+    .then(() => getSocketProcesses())
+    .then((result) => processes = result)
+    .then(() => getInetSockets("tcp"))
+    .then(
+      (sockets) =>
+      {
+        return sockets
+          .map(
+            (socket) =>
+            {
+              let             state = linuxToRfc1213ConnStateMap[socket.state];
+
+              // TCP-MIB has no equivalent of the kernel's
+              // TCP_NEW_SYN_RECV state.
+              if (state == TcpConnEntry_CONNECTION_STATE.NewSynReceived)
+              {
+                state = TcpConnEntry_CONNECTION_STATE.SynReceived;
+              }
+
+              return (
+                {
+                  tcpConnectionLocalAddressType :
+                    familyToInetAddressTypeMap[socket.family],
+                  tcpConnectionLocalAddress     : socket.localAddress,
+                  tcpConnectionLocalPort        : socket.localPort,
+                  tcpConnectionRemAddressType   :
+                    familyToInetAddressTypeMap[socket.family],
+                  tcpConnectionRemAddress       : socket.remAddress,
+                  tcpConnectionRemPort          : socket.remPort,
+                  tcpConnectionState            : state,
+                  tcpConnectionProcess          : processes[socket.inode] || 0
+                });
+            })
+          .filter(
+            (conn) =>
+            {
+              // Listeners are in the separate tcpListenerTable
+              return (
+                conn.tcpConnectionState !=
+                  TcpConnEntry_CONNECTION_STATE.Listen);
+            });
+      });
+}
+
+
+/**
+ * Get information about TCP listeners, for both IPv4 and IPv6
+ *
+ * @return {Array}
+ *   One map per listener, with the members described in
+ *   `getTcpListenerTable`
+ */
+async function getTcpListeners()
+{
+  let             processes;
+
+  return Promise.resolve()
+    .then(() => getSocketProcesses())
+    .then((result) => processes = result)
+    .then(() => getInetSockets("tcp"))
+    .then(
+      (sockets) =>
+      {
+        return sockets
+          .filter(
+            (socket) =>
+            {
+              return (
+                linuxToRfc1213ConnStateMap[socket.state] ==
+                  TcpConnEntry_CONNECTION_STATE.Listen);
+            })
+          .map(
+            (socket) =>
+            {
+              return (
+                {
+                  tcpListenerLocalAddressType :
+                    familyToInetAddressTypeMap[socket.family],
+                  tcpListenerLocalAddress     : socket.localAddress,
+                  tcpListenerLocalPort        : socket.localPort,
+                  tcpListenerProcess          : processes[socket.inode] || 0
+                });
+            });
+      });
+}
+
+
+/**
+ * Get information about UDP and UDP-Lite endpoints, for both IPv4 and IPv6
+ *
+ * @return {Array}
+ *   One map per endpoint, with the members described in
+ *   `getUdpEndpointTable`
+ */
+async function getUdpEndpoints()
+{
+  let             processes;
+  let             instances = {};
+  const           TCP_ESTABLISHED = 1;
+
+  return Promise.resolve()
+    .then(() => getSocketProcesses())
+    .then((result) => processes = result)
+    .then(() => getInetSockets("udp"))
+    .then(
+      (sockets) =>
+      {
+        return getInetSockets("udplite")
+          .then((liteSockets) => sockets.concat(liteSockets));
+      })
+    .then(
+      (sockets) =>
+      {
+        return sockets.map(
+          (socket) =>
+          {
+            let             key;
+            let             type = familyToInetAddressTypeMap[socket.family];
+
+            // The kernel marks a connected UDP socket as established. Any
+            // other socket accepts datagrams from any remote system.
+            // Its remote address is a wildcard, which UDP-MIB represents
+            // with the unknown address type and an empty address.
+            const           bConnected = socket.state == TCP_ESTABLISHED;
+
+            let             entry =
+                {
+                  udpEndpointLocalAddressType  : type,
+                  udpEndpointLocalAddress      : socket.localAddress,
+                  udpEndpointLocalPort         : socket.localPort,
+                  udpEndpointRemoteAddressType : bConnected ? type : 0,
+                  udpEndpointRemoteAddress     :
+                    bConnected ? socket.remAddress : Buffer.alloc(0),
+                  udpEndpointRemotePort        :
+                    bConnected ? socket.remPort : 0,
+                  udpEndpointInstance          : 1,
+                  udpEndpointProcess           : processes[socket.inode] || 0
+                };
+
+            // Number the sockets which share the same addresses and ports
+            key =
+              [
+                type,
+                socket.localAddress.toString("hex"),
+                entry.udpEndpointLocalPort,
+                entry.udpEndpointRemoteAddressType,
+                entry.udpEndpointRemoteAddress.toString("hex"),
+                entry.udpEndpointRemotePort
+              ].join("/");
+            instances[key] = (instances[key] || 0) + 1;
+            entry.udpEndpointInstance = instances[key];
+
+            return entry;
+          });
+      });
+}
+
+
+/**
+ * Get the total number of UDP datagrams received and sent, for both IPv4
+ * and IPv6. The kernel keeps separate counters for each.
+ *
+ * @return {Map}
+ *   Members `InDatagrams` and `OutDatagrams`, as BigInt values
+ */
+async function getUdpDatagramCounts()
+{
+  let             counts;
+
+  return Promise.resolve()
+    .then(() => getNetSnmpInfo4())
+    .then(
+      (info) =>
+      {
+        counts =
+          {
+            InDatagrams  : BigInt(info.Udp.InDatagrams),
+            OutDatagrams : BigInt(info.Udp.OutDatagrams)
+          };
+      })
+    .then(
+      () =>
+      {
+        return getSnmp6Counters("/proc/net/snmp6")
+          .then(
+            (ip6) =>
+            {
+              counts.InDatagrams += BigInt(ip6.Udp6InDatagrams);
+              counts.OutDatagrams += BigInt(ip6.Udp6OutDatagrams);
+            })
+          .catch(
+            (e) =>
+            {
+              // Without IPv6 support, there's no snmp6 file
+              if (e.code != "ENOENT")
+              {
+                throw e;
+              }
+            });
+      })
+    .then(() => counts);
+}
+
+
+/**
+ * Get information about IPv6 UDP listeners, i.e., sockets which are not
+ * connected to a remote endpoint. Those communicating via IPv4 are
+ * omitted, as they're in udpTable.
+ */
+async function getUdpListeners6()
+{
+  let             addressInfo;
+  let             listeners = {};
+  const           TCP_ESTABLISHED = 1;
+
+  return Promise.resolve()
+    .then(() => addIfIndexes())
+    .then(() => getAddressInfo())
+    .then((info) => addressInfo = info)
+    .then(() => readProcNetSockets("/proc/net/udp6", "IPv6"))
+    .then(
+      (sockets) =>
+      {
+        sockets
+          .filter(
+            (socket) =>
+            {
+              // The kernel marks a connected UDP socket as established
+              return (
+                socket.state != TCP_ESTABLISHED &&
+                ! isIp4MappedIp6(socket.localAddress));
+            })
+          .forEach(
+            (socket) =>
+            {
+              let             key;
+              let             entry =
+                  {
+                    ipv6UdpLocalAddress : socket.localAddress,
+                    ipv6UdpLocalPort    : socket.localPort,
+
+                    // Identify the interface to which the local address
+                    // belongs
+                    ipv6UdpIfIndex      :
+                      getIfIndexForIp6(addressInfo, socket.localAddress)
+                  };
+
+              // Sockets bound using SO_REUSEPORT share the same address
+              // and port, so list each listener only once
+              key =
+                [
+                  socket.localAddress.toString("hex"),
+                  entry.ipv6UdpLocalPort,
+                  entry.ipv6UdpIfIndex
+                ].join("/");
+              listeners[key] = entry;
+            });
+
+        return Object.values(listeners);
+      });
+}
+
+
+/**
+ * Get the prefixes of the IPv6 addresses assigned to each interface
+ *
+ * @return {Array}
+ *   One map per prefix on an interface, with members `family` ("IPv6"),
+ *   `interface`, `prefix` (a 32-character hex string), `prefixLength`,
+ *   `bOnLink`, `bAutonomous`, `preferredLifetime`, and `validLifetime`
+ */
+async function getPrefixInfo6()
+{
+  let             routes;
+  let             prefixes = {};
+  const           RTF_GATEWAY = 0x00000002;
+  const           RTF_ADDRCONF = 0x00040000; // route learned from an RA
+
+  return Promise.resolve()
+    .then(() => getRouteInfo6())
+    .then((routeInfo) => routes = routeInfo)
+    .then(() => getIpJson([ "-6", "addr" ]))
+    .then(
+      (ifaces) =>
+      {
+        ifaces.forEach(
+          (iface) =>
+          {
+            (iface.addr_info || []).forEach(
+              (addr) =>
+              {
+                let             key;
+                let             route;
+                let             prefix;
+                const           prefixLength = addr.prefixlen;
+
+                // Host addresses (e.g., ::1/128) have no prefix
+                if (prefixLength >= 128)
+                {
+                  return;
+                }
+
+                // Mask off the interface identifier
+                prefix =
+                  maskAddress(hexToIp6(addr.local), prefixLength)
+                    .toString("hex");
+
+                // Find the kernel's route to this prefix via this
+                // interface, if any
+                route = routes.find(
+                  (route) =>
+                  {
+                    return (
+                      route.interface == iface.ifname &&
+                      route.destPrefix == prefixLength &&
+                      route.destNetwork.toString("hex") == prefix);
+                  });
+
+                // Multiple addresses may share a prefix. Merge them.
+                key = `${iface.ifname}/${prefix}/${prefixLength}`;
+                if (! prefixes[key])
+                {
+                  prefixes[key] =
+                    {
+                      family            : "IPv6",
+                      interface         : iface.ifname,
+                      prefix            : prefix,
+                      prefixLength      : prefixLength,
+                      bOnLink           : false,
+                      bAutonomous       : false,
+                      preferredLifetime : 0,
+                      validLifetime     : 0
+                    };
+                }
+
+                // A directly-connected (gateway-less) route indicates
+                // the prefix is on-link
+                if (route && ! (route.flags & RTF_GATEWAY))
+                {
+                  prefixes[key].bOnLink = true;
+                }
+
+                // The prefix was used for autonomous address
+                // configuration if the route came from a router
+                // advertisement and the address is a dynamic one.
+                if (route && (route.flags & RTF_ADDRCONF) && addr.dynamic)
+                {
+                  prefixes[key].bAutonomous = true;
+                }
+
+                // The prefix remains valid/preferred as long as any of
+                // its addresses do
+                prefixes[key].preferredLifetime =
+                  Math.max(
+                    prefixes[key].preferredLifetime,
+                    addr.preferred_life_time || 0);
+                prefixes[key].validLifetime =
+                  Math.max(
+                    prefixes[key].validLifetime,
+                    addr.valid_life_time || 0);
+              });
+          });
+
+        return Object.values(prefixes);
+      });
+}
+
+
+/**
+ * Get information about all IPv6 routes
+ */
+async function getRouteInfo6()
+{
+  let             key;
+  let             routes = [];
+
+  return Promise.resolve()
+    .then(() => addIfIndexes())
+    .then(() => fsp.readFile("/proc/net/ipv6_route"))
+    .then((content) => content.toString().split("\n"))
+    .then(
+      (lines) =>
+      {
+        lines.forEach(
+          (line, i) =>
+          {
+            let             entry;
+            let             fields;
+            let             routeIndex;
+
+            // If the line is empty, e.g., last line, we have nothing to do
+            if (line.length === 0)
+            {
+              return;
+            }
+
+            // Keep track of a unique integer that identifies this
+            // route for the lifetime of the route
+            if (ipv6RouteMap[line])
+            {
+              routeIndex = ipv6RouteMap[line].routeIndex;
+            }
+            else
+            {
+              routeIndex = nextIpv6RouteIndex++;
+              ipv6RouteMap[line] = { routeIndex };
+            }
+
+            // Mark route as seen this time, allowing pruning deleted routes
+            ipv6RouteMap[line].bSeen = true;
+
+            // Split the line on whitespace
+            fields = line.split(/\s+/g);
+
+            // Add a route entry with the fields identified
+            entry =
+              {
+                routeIndex    : routeIndex,
+                destNetwork   : hexToIp6(fields.shift()),
+                destPrefix    : parseInt(fields.shift(), 16),
+                sourceNetwork : hexToIp6(fields.shift()),
+                sourcePrefix  : parseInt(fields.shift(), 16),
+                nextHop       : hexToIp6(fields.shift()),
+                metric        : parseInt(fields.shift(), 16),
+                refcount      : parseInt(fields.shift(), 16),
+                usecount      : parseInt(fields.shift(), 16),
+                flags         : parseInt(fields.shift(), 16),
+                interface     : fields.shift()
+              };
+
+            // Determine the interface index from the interface name
+            entry.interfaceIndex = ifIndexMap[entry.interface];
+
+            // Delete irrelevant/unused fields
+            delete entry.refcount;
+            delete entry.use;
+
+            // Add this entry to the results
+            routes.push(entry);
+          });
+
+        // Prune obsolete routes from our route map
+        for (key in ipv6RouteMap)
+        {
+          // If we didn't see this route this time...
+          if (! ipv6RouteMap[key].bSeen)
+          {
+            // ... then delete it
+            delete ipv6RouteMap[key];
+          }
+          else
+          {
+            // Otherwise, just delete the seen flag
+            delete ipv6RouteMap[key].bSeen;
+          }
+        }
+
+        return routes;
+      });
+}
+
+
+/**
+ * Get all IPv4 and IPv6 routes, from all of the kernel's routing tables
+ *
+ * @return {Array}
+ *   One map per route and next hop (multipath routes have one per next
+ *   hop), with the members described in `getInetCidrRouteTable`
+ */
+async function getInetCidrRoutes()
+{
+  let             key;
+  let             routes = [];
+  let             indexes = {};
+  const           now = Date.now();
+  const           RTN_UNICAST = 1;
+  const           RTPROT_BOOT = 3;
+  const           RT_TABLE_MAIN = 254;
+
+  // Convert an address to its InetAddressType and InetAddress. Link-local
+  // IPv6 addresses are followed by the zone index of their interface.
+  let             toInetAddress = (address, family, ifIndex) =>
+  {
+    let             zone;
+    let             binary = ipToBinary(address);
+
+    if (family == "IPv4")
+    {
+      return [ 1, binary ];     // 1=ipv4
+    }
+
+    if ((binary.readUInt16BE(0) & 0xffc0) == 0xfe80)
+    {
+      zone = Buffer.alloc(4);
+      zone.writeUInt32BE(ifIndex);
+      return [ 4, Buffer.concat([ binary, zone ]) ]; // 4=ipv6z
+    }
+
+    return [ 2, binary ];       // 2=ipv6
+  };
+
+  // The kernel's routing tables are available only via netlink, which we
+  // can't speak directly. Ask `ip` to retrieve them for us, with numeric
+  // values for types, protocols, and tables.
+  let             getRoutes = async (family) =>
+  {
+    return Promise.resolve()
+      .then(
+        () =>
+        {
+          return getIpJson(
+            [
+              "-N",
+              family == "IPv4" ? "-4" : "-6",
+              "route",
+              "show",
+              "table",
+              "all"
+            ]);
+        })
+      .then(
+        (kernelRoutes) =>
+        {
+          kernelRoutes.forEach(
+            (route) =>
+            {
+              let             dest;
+              let             prefixLength;
+              let             routeKey;
+              const           type = +(route.type || RTN_UNICAST);
+              const           table = +(route.table || RT_TABLE_MAIN);
+              const           protocol = +(route.protocol || RTPROT_BOOT);
+
+              // Determine the destination network. `ip` omits the prefix
+              // length of host routes.
+              if (route.dst == "default")
+              {
+                dest = family == "IPv4" ? "0.0.0.0" : "::";
+                prefixLength = 0;
+              }
+              else
+              {
+                [ dest, prefixLength ] = route.dst.split("/");
+                prefixLength =
+                  prefixLength !== undefined
+                    ? +prefixLength
+                    : (family == "IPv4" ? 32 : 128);
+              }
+
+              // Keep track of when we first saw this route. The IPv6
+              // expiry time changes continuously, so isn't part of the
+              // route's identity.
+              routeKey = JSON.stringify(
+                Object.assign({ family }, route, { expires : undefined }));
+              if (! inetCidrRouteMap[routeKey])
+              {
+                inetCidrRouteMap[routeKey] = { firstSeen : now };
+              }
+
+              // Mark route as seen this time, allowing pruning deleted
+              // routes
+              inetCidrRouteMap[routeKey].bSeen = true;
+
+              // A multipath route has a list of next hops. Produce one
+              // entry for each of them.
+              (route.nexthops || [ route ]).forEach(
+                (nextHop) =>
+                {
+                  let             gateway;
+                  let             destType;
+                  let             destAddress;
+                  let             nextHopType = 0; // 0=unknown
+                  let             nextHopAddress = Buffer.alloc(0);
+                  const           ifIndex = ifIndexMap[nextHop.dev] || 0;
+
+                  // The gateway may be of the other address family
+                  if (nextHop.gateway)
+                  {
+                    gateway = { family, host : nextHop.gateway };
+                  }
+                  else if (nextHop.via)
+                  {
+                    gateway =
+                      {
+                        family : nextHop.via.family == "inet6"
+                          ? "IPv6"
+                          : "IPv4",
+                        host   : nextHop.via.host
+                      };
+                  }
+
+                  [ destType, destAddress ] =
+                    toInetAddress(dest, family, ifIndex);
+
+                  if (gateway)
+                  {
+                    [ nextHopType, nextHopAddress ] =
+                      toInetAddress(gateway.host, gateway.family, ifIndex);
+                  }
+
+                  routes.push(
+                    {
+                      inetCidrRouteDestType    : destType,
+                      inetCidrRouteDest        : destAddress,
+                      inetCidrRoutePfxLen      : prefixLength,
+                      inetCidrRoutePolicy      :
+                        table == RT_TABLE_MAIN ? "0.0" : `0.${table}`,
+                      inetCidrRouteNextHopType : nextHopType,
+                      inetCidrRouteNextHop     : nextHopAddress,
+                      inetCidrRouteIfIndex     : ifIndex,
+                      inetCidrRouteType        :
+                        type == RTN_UNICAST
+                          ? (gateway ? 4 : 3) // 4=remote 3=local
+                          : linuxToInetCidrRouteTypeMap[type] || 1,
+                      inetCidrRouteProto       :
+                        linuxToIanaRouteProtoMap[protocol] || 1,
+                      inetCidrRouteAge         :
+                        Math.min(
+                          Math.floor(
+                            (now - inetCidrRouteMap[routeKey].firstSeen) /
+                              1000),
+                          GAUGE_MAX),
+                      inetCidrRouteNextHopAS   : 0,
+                      inetCidrRouteMetric1     : route.metric || 0,
+                      inetCidrRouteMetric2     : -1,
+                      inetCidrRouteMetric3     : -1,
+                      inetCidrRouteMetric4     : -1,
+                      inetCidrRouteMetric5     : -1,
+                      inetCidrRouteStatus      : 1 // 1=active
+                    });
+                });
+            });
+        });
+  };
+
+  return Promise.resolve()
+    .then(() => addIfIndexes())
+    .then(() => getRoutes("IPv4"))
+    .then(() => getRoutes("IPv6"))
+    .then(
+      () =>
+      {
+        // Prune obsolete routes from our route map
+        for (key in inetCidrRouteMap)
+        {
+          // If we didn't see this route this time...
+          if (! inetCidrRouteMap[key].bSeen)
+          {
+            // ... then delete it
+            delete inetCidrRouteMap[key];
+          }
+          else
+          {
+            // Otherwise, just delete the seen flag
+            delete inetCidrRouteMap[key].bSeen;
+          }
+        }
+
+        // The kernel may have multiple routes with the same index, e.g.,
+        // to one destination with different metrics, or a multicast route
+        // on each interface. Only the one with the lowest metric, which
+        // the kernel prefers, can be represented.
+        return routes
+          .sort((a, b) => a.inetCidrRouteMetric1 - b.inetCidrRouteMetric1)
+          .filter(
+            (route) =>
+            {
+              const           index =
+                    [
+                      route.inetCidrRouteDestType,
+                      route.inetCidrRouteDest.toString("hex"),
+                      route.inetCidrRoutePfxLen,
+                      route.inetCidrRoutePolicy,
+                      route.inetCidrRouteNextHopType,
+                      route.inetCidrRouteNextHop.toString("hex")
+                    ].join("/");
+
+              if (indexes[index])
+              {
+                return false;
+              }
+
+              indexes[index] = true;
+              return true;
+            });
+      });
+}
+
+
+/**
+ * Get the prefixes of the IPv4 and IPv6 addresses assigned to each
+ * interface. See `getPrefixInfo4` and `getPrefixInfo6` for the members of
+ * each returned map.
+ */
+async function getInetPrefixInfo()
+{
+  return Promise.all([ getPrefixInfo4(), getPrefixInfo6() ])
+    .then(([ prefixes4, prefixes6 ]) => prefixes4.concat(prefixes6));
+}
+
+
+/**
+ * Get the IPv4 and IPv6 addresses assigned to each interface, along with
+ * the kernel's flags for each of them
+ *
+ * @param startTime {Date}
+ *   The time at which sysUpTime started counting, used to express the
+ *   times at which each address was created and last changed in
+ *   sysUpTime units
+ *
+ * @return {Array}
+ *   One map per address on an interface, with members `family` ("IPv4"
+ *   or "IPv6"), `address`, `interface`, `prefixLength`, `kernelInfo`
+ *   (the address's `addr_info` map from `ip -json addr`, e.g., with
+ *   members `dynamic`, `tentative` and `valid_life_time`; empty if the
+ *   kernel's view of the address could not be determined), `created`,
+ *   and `lastChanged`
+ */
+async function getIpAddressInfo(startTime)
+{
+  let             key;
+  let             addressInfo;
+  let             addresses = [];
+  const           now =
+        Math.floor(((new Date()).getTime() - startTime.getTime()) / 10);
+
+  // Flags which, when they change, cause an address's `lastChanged`
+  // time to be updated
+  const           trackedFlags =
+        [
+          "dynamic",
+          "temporary",
+          "tentative",
+          "deprecated",
+          "dadfailed",
+          "optimistic"
+        ];
+
+  return Promise.resolve()
+    .then(() => addIfIndexes())
+    .then(() => getAddressInfo())
+    .then((info) => addressInfo = info)
+    .then(() => getIpJson([ "addr" ]))
+    .then(
+      (ifaces) =>
+      {
+        let             iface;
+
+        // For each interface known to node...
+        for (iface in addressInfo.networkInterfaces)
+        {
+          // ... and each address on that interface...
+          addressInfo.networkInterfaces[iface].forEach(
+            (elem) =>
+            {
+              let             state;
+              let             address;
+              let             ifName = iface;
+              let             kernelInfo = {};
+              const           binary = ipToBinary(elem.address);
+              const           prefixLength = +elem.cidr.split("/")[1];
+
+              // Find the kernel's view of this address. IPv4 addresses
+              // on alias interfaces (e.g., eth0:1) are listed by node
+              // under their label rather than their interface name.
+              ifaces.forEach(
+                (kernelIface) =>
+                {
+                  (kernelIface.addr_info || []).forEach(
+                    (addr) =>
+                    {
+                      if ((kernelIface.ifname == iface ||
+                           addr.label == iface) &&
+                          ipToBinary(addr.local).equals(binary))
+                      {
+                        ifName = kernelIface.ifname;
+                        kernelInfo = addr;
+                      }
+                    });
+                });
+
+              // Keep track of when this address was created and last
+              // changed. Addresses found on our first enumeration
+              // predate us, so get a zero value.
+              key = `${ifName}/${elem.address}`;
+              state =
+                [ prefixLength ]
+                  .concat(trackedFlags.filter((flag) => kernelInfo[flag]))
+                  .join(",");
+
+              if (! ipAddressMap[key])
+              {
+                ipAddressMap[key] =
+                  {
+                    created     : bIpAddressMapPrimed ? now : 0,
+                    lastChanged : bIpAddressMapPrimed ? now : 0,
+                    state       : state
+                  };
+              }
+              else if (ipAddressMap[key].state != state)
+              {
+                ipAddressMap[key].lastChanged = now;
+                ipAddressMap[key].state = state;
+              }
+
+              // Mark address as seen this time, allowing pruning
+              // deleted addresses
+              ipAddressMap[key].bSeen = true;
+
+              address =
+                {
+                  family       : elem.family,
+                  address      : elem.address,
+                  interface    : ifName,
+                  prefixLength : prefixLength,
+                  kernelInfo   : kernelInfo,
+                  created      : ipAddressMap[key].created,
+                  lastChanged  : ipAddressMap[key].lastChanged
+                };
+
+              addresses.push(address);
+            });
+        }
+
+        // Prune obsolete addresses from our address map
+        for (key in ipAddressMap)
+        {
+          // If we didn't see this address this time...
+          if (! ipAddressMap[key].bSeen)
+          {
+            // ... then delete it
+            delete ipAddressMap[key];
+          }
+          else
+          {
+            // Otherwise, just delete the seen flag
+            delete ipAddressMap[key].bSeen;
+          }
+        }
+
+        bIpAddressMapPrimed = true;
+        return addresses;
+      });
+}
+
+
+/**
+ * Get the system-wide IPv4 traffic counters
+ *
+ * @return {Map}
+ *   The counters, as BigInt values, keyed by the names used in IP-MIB's
+ *   ipSystemStatsTable (without the `ipSystemStats` prefix), e.g.,
+ *   `InReceives`. See `getIpTrafficStats`.
+ */
+async function getIpTrafficCounters4()
+{
+  return Promise.all(
+    [
+      getNetSnmpInfo4(),
+      getNetSnmpInfo4("/proc/net/netstat")
+    ])
+    .then(
+      ([ snmpInfo, netstatInfo ]) =>
+      {
+        const           ip = snmpInfo.Ip;
+        const           ipExt = netstatInfo.IpExt;
+
+        // The kernel counts forwarded datagrams once, when they're sent
+        const           forwarded = BigInt(ip.ForwDatagrams);
+
+        return (
+          {
+            InReceives       : BigInt(ip.InReceives),
+            InOctets         : BigInt(ipExt.InOctets),
+            InHdrErrors      : BigInt(ip.InHdrErrors),
+            InNoRoutes       : BigInt(ipExt.InNoRoutes),
+            InAddrErrors     : BigInt(ip.InAddrErrors),
+            InUnknownProtos  : BigInt(ip.InUnknownProtos),
+            InTruncatedPkts  : BigInt(ipExt.InTruncatedPkts),
+            InForwDatagrams  : forwarded,
+            ReasmReqds       : BigInt(ip.ReasmReqds),
+            ReasmOKs         : BigInt(ip.ReasmOKs),
+            ReasmFails       : BigInt(ip.ReasmFails),
+            InDiscards       : BigInt(ip.InDiscards),
+            InDelivers       : BigInt(ip.InDelivers),
+            OutRequests      : BigInt(ip.OutRequests),
+            OutNoRoutes      : BigInt(ip.OutNoRoutes),
+            OutForwDatagrams : forwarded,
+            OutDiscards      : BigInt(ip.OutDiscards),
+            OutFragReqds     : BigInt(ip.FragOKs) + BigInt(ip.FragFails),
+            OutFragOKs       : BigInt(ip.FragOKs),
+            OutFragFails     : BigInt(ip.FragFails),
+            OutFragCreates   : BigInt(ip.FragCreates),
+
+            // Older kernels don't provide OutTransmits. It's the sum of
+            // locally-generated and forwarded datagrams.
+            OutTransmits     :
+              "OutTransmits" in ip
+                ? BigInt(ip.OutTransmits)
+                : BigInt(ip.OutRequests) + forwarded,
+
+            OutOctets        : BigInt(ipExt.OutOctets),
+            InMcastPkts      : BigInt(ipExt.InMcastPkts),
+            InMcastOctets    : BigInt(ipExt.InMcastOctets),
+            OutMcastPkts     : BigInt(ipExt.OutMcastPkts),
+            OutMcastOctets   : BigInt(ipExt.OutMcastOctets),
+            InBcastPkts      : BigInt(ipExt.InBcastPkts),
+            OutBcastPkts     : BigInt(ipExt.OutBcastPkts)
+          });
+      });
+}
+
+
+/**
+ * Get IPv6 traffic counters, either system-wide or for one interface
+ *
+ * @param ifName {String?}
+ *   The name of the interface whose counters are to be read, from
+ *   /proc/net/dev_snmp6/<ifName>; or undefined, for the system-wide
+ *   counters from /proc/net/snmp6
+ *
+ * @return {Map}
+ *   The counters, as BigInt values, keyed by the names used in IP-MIB's
+ *   ipSystemStatsTable (without the `ipSystemStats` prefix), e.g.,
+ *   `InReceives`. See `getIpTrafficStats`.
+ */
+async function getIpTrafficCounters6(ifName)
+{
+  return Promise.resolve()
+    .then(
+      () =>
+      {
+        return getSnmp6Counters(
+          ifName ? `/proc/net/dev_snmp6/${ifName}` : "/proc/net/snmp6");
+      })
+    .then(
+      (ip6) =>
+      {
+        // The kernel counts forwarded datagrams once, when they're sent,
+        // against the interface on which they're sent. System-wide, the
+        // datagrams forwarded are also those received to be forwarded,
+        // but the kernel doesn't count those per receiving interface.
+        const           forwarded = BigInt(ip6.Ip6OutForwDatagrams);
+
+        return (
+          {
+            InReceives       : BigInt(ip6.Ip6InReceives),
+            InOctets         : BigInt(ip6.Ip6InOctets),
+            InHdrErrors      : BigInt(ip6.Ip6InHdrErrors),
+            InNoRoutes       : BigInt(ip6.Ip6InNoRoutes),
+            InAddrErrors     : BigInt(ip6.Ip6InAddrErrors),
+            InUnknownProtos  : BigInt(ip6.Ip6InUnknownProtos),
+            InTruncatedPkts  : BigInt(ip6.Ip6InTruncatedPkts),
+            InForwDatagrams  : ifName ? 0n : forwarded,
+            ReasmReqds       : BigInt(ip6.Ip6ReasmReqds),
+            ReasmOKs         : BigInt(ip6.Ip6ReasmOKs),
+            ReasmFails       : BigInt(ip6.Ip6ReasmFails),
+            InDiscards       : BigInt(ip6.Ip6InDiscards),
+            InDelivers       : BigInt(ip6.Ip6InDelivers),
+            OutRequests      : BigInt(ip6.Ip6OutRequests),
+            OutNoRoutes      : BigInt(ip6.Ip6OutNoRoutes),
+            OutForwDatagrams : forwarded,
+            OutDiscards      : BigInt(ip6.Ip6OutDiscards),
+            OutFragReqds     :
+              BigInt(ip6.Ip6FragOKs) + BigInt(ip6.Ip6FragFails),
+            OutFragOKs       : BigInt(ip6.Ip6FragOKs),
+            OutFragFails     : BigInt(ip6.Ip6FragFails),
+            OutFragCreates   : BigInt(ip6.Ip6FragCreates),
+
+            // Older kernels don't provide Ip6OutTransmits. It's the sum
+            // of locally-generated and forwarded datagrams.
+            OutTransmits     :
+              "Ip6OutTransmits" in ip6
+                ? BigInt(ip6.Ip6OutTransmits)
+                : BigInt(ip6.Ip6OutRequests) + forwarded,
+
+            OutOctets        : BigInt(ip6.Ip6OutOctets),
+            InMcastPkts      : BigInt(ip6.Ip6InMcastPkts),
+            InMcastOctets    : BigInt(ip6.Ip6InMcastOctets),
+            OutMcastPkts     : BigInt(ip6.Ip6OutMcastPkts),
+            OutMcastOctets   : BigInt(ip6.Ip6OutMcastOctets),
+
+            // There is no broadcast in IPv6
+            InBcastPkts      : 0n,
+            OutBcastPkts     : 0n
+          });
+      });
+}
+
+
+/**
+ * Convert traffic counters, as returned by `getIpTrafficCounters4` or
+ * `getIpTrafficCounters6`, into the values of the columns of an IP-MIB
+ * ipSystemStatsTable or ipIfStatsTable entry
+ *
+ * @param counters {Map}
+ *   The BigInt counters, keyed by column name without table prefix
+ *
+ * @return {Map}
+ *   The column values, keyed by column name without table prefix. Each
+ *   counter is provided as a Counter32 value, wrapped at 32 bits, and,
+ *   where the MIB defines one, as a 64-bit value with an `HC` prefix,
+ *   e.g., `InReceives` and `HCInReceives`.
+ */
+function getIpTrafficStats(counters)
+{
+  let             name;
+  let             stats = {};
+
+  // The counters for which the MIB provides high capacity versions
+  const           hcCounters =
+        [
+          "InReceives",
+          "InOctets",
+          "InForwDatagrams",
+          "InDelivers",
+          "OutRequests",
+          "OutForwDatagrams",
+          "OutTransmits",
+          "OutOctets",
+          "InMcastPkts",
+          "InMcastOctets",
+          "OutMcastPkts",
+          "OutMcastOctets",
+          "InBcastPkts",
+          "OutBcastPkts"
+        ];
+
+  for (name in counters)
+  {
+    stats[name] = Number(counters[name] % BigInt(COUNTER_WRAP_AT));
+
+    if (hcCounters.includes(name))
+    {
+      stats["HC" + name] = toCounter64(counters[name]);
+    }
+  }
+
+  // The counters are read directly from the kernel, so have no
+  // discontinuities other than at system startup, and no minimum
+  // refresh interval.
+  stats.DiscontinuityTime = 0;
+  stats.RefreshRate = 0;
+
+  return stats;
+}
+
+
+/**
+ * Convert a date into an SNMPv2-TC DateAndTime value, in local time, with
+ * the offset from UTC
+ *
+ * @param date {Date}
+ *   The date to be converted
+ *
+ * @return {Buffer}
+ *   The 11-octet DateAndTime value
+ */
+function toDateAndTime(date)
+{
+  let             buf = Buffer.alloc(11);
+  const           offset = -date.getTimezoneOffset(); // minutes east of UTC
+
+  buf.writeUInt16BE(date.getFullYear(), 0);
+  buf[2] = date.getMonth() + 1;
+  buf[3] = date.getDate();
+  buf[4] = date.getHours();
+  buf[5] = date.getMinutes();
+  buf[6] = date.getSeconds();
+  buf[7] = Math.floor(date.getMilliseconds() / 100);
+  buf[8] = (offset < 0 ? "-" : "+").charCodeAt(0);
+  buf[9] = Math.floor(Math.abs(offset) / 60);
+  buf[10] = Math.abs(offset) % 60;
+
+  return buf;
+}
+
+
+/**
+ * Get the user sessions recorded in the utmp file, i.e., the users logged
+ * in. Entries whose process no longer exists, as is left behind by a
+ * session that was not closed cleanly, are not included.
+ *
+ * @return {Array}
+ *   One map per session, with members `user`, `line` (the terminal), and
+ *   `pid`
+ */
+async function getUserSessions()
+{
+  let             sessions = [];
+  const           UTMP_RECORD_SIZE = 384;
+  const           USER_PROCESS = 7;
+  const           bLittleEndian = require("os").endianness() == "LE";
+
+  // Extract a NUL-terminated string from a fixed-size field
+  let             getString = (record, offset, length) =>
+  {
+    return record.toString("utf8", offset, offset + length)
+      .replace(/\0.*$/s, "");
+  };
+
+  return Promise.resolve()
+    .then(() => fsp.readFile("/var/run/utmp"))
+    .then(
+      (content) =>
+      {
+        let             offset;
+        let             record;
+
+        for (offset = 0;
+             offset + UTMP_RECORD_SIZE <= content.length;
+             offset += UTMP_RECORD_SIZE)
+        {
+          record = content.slice(offset, offset + UTMP_RECORD_SIZE);
+
+          // We're interested only in logged-in users
+          if ((bLittleEndian
+               ? record.readInt32LE(0)
+               : record.readInt32BE(0)) != USER_PROCESS)
+          {
+            continue;
+          }
+
+          sessions.push(
+            {
+              pid  : bLittleEndian ? record.readInt32LE(4)
+                                   : record.readInt32BE(4),
+              line : getString(record, 8, 32),
+              user : getString(record, 44, 32)
+            });
+        }
+
+        // Remove stale entries
+        return Promise.allSettled(
+          sessions.map((session) => fsp.access(`/proc/${session.pid}`)));
+      })
+    .then(
+      (results) =>
+      {
+        return sessions.filter(
+          (session, i) => results[i].status == "fulfilled");
+      })
+    .catch(
+      (e) =>
+      {
+        // Without a utmp file, no logins are being recorded
+        if (e.code != "ENOENT")
+        {
+          throw e;
+        }
+
+        return [];
+      });
+}
+
+
+/**
+ * Retrieve the memory usage information available from /proc/meminfo
+ *
+ * @return {Map}
+ *   The value of each field, keyed by field name, e.g., `MemTotal`. Sizes
+ *   are in KBytes.
+ */
+async function getMemInfo()
+{
+  let             result = {};
+
+  return Promise.resolve()
+    .then(() => fsp.readFile("/proc/meminfo"))
+    .then((content) => content.toString().split("\n"))
+    .then(
+      (lines) =>
+      {
+        lines.forEach(
+          (line) =>
+          {
+            let             name;
+            let             value;
+
+            // If the line is empty, e.g., last line, we have nothing to do
+            if (line.length === 0)
+            {
+              return;
+            }
+
+            // Each line looks like "MemTotal:       16306844 kB"
+            [ name, value ] = line.split(/:\s+/);
+            result[name] = parseInt(value, 10);
+          });
+
+        return result;
+      });
+}
+
+
+/**
+ * Get the file systems which are mounted, from /proc/mounts
+ *
+ * @return {Array}
+ *   One map per mount, with members `device`, `mountPoint`, `fsType`, and
+ *   `options` (an array of the mount options, e.g., [ "rw", "relatime" ])
+ */
+async function getMounts()
+{
+  // Mount points and devices have spaces, tabs, newlines and backslashes
+  // escaped as octal, e.g., "\040" for a space
+  let             unescape = (s) =>
+  {
+    return s.replace(
+      /\\([0-7]{3})/g,
+      (match, octal) => String.fromCharCode(parseInt(octal, 8)));
+  };
+
+  return Promise.resolve()
+    .then(() => fsp.readFile("/proc/mounts"))
+    .then((content) => content.toString().split("\n"))
+    .then(
+      (lines) =>
+      {
+        return lines
+          .filter((line) => line.length > 0)
+          .map(
+            (line) =>
+            {
+              const           fields = line.split(" ");
+
+              return (
+                {
+                  device     : unescape(fields[0]),
+                  mountPoint : unescape(fields[1]),
+                  fsType     : fields[2],
+                  options    : fields[3].split(",")
+                });
+            });
+      });
+}
+
+
+/**
+ * Determine the hrStorageType of a mounted file system
+ *
+ * @param mount {Map}
+ *   A mount, as returned by `getMounts`
+ *
+ * @return {String|null}
+ *   The OID of the storage type, or null if the file system is not
+ *   storage, e.g., proc or sysfs
+ */
+function getMountStorageType(mount)
+{
+  if (networkFsTypes.includes(mount.fsType))
+  {
+    return HrStorageTypes.NetworkDisk;
+  }
+
+  if ([ "tmpfs", "ramfs" ].includes(mount.fsType))
+  {
+    return HrStorageTypes.RamDisk;
+  }
+
+  if ([ "iso9660", "udf" ].includes(mount.fsType))
+  {
+    return HrStorageTypes.CompactDisc;
+  }
+
+  // Any other file system on a block device is a disk
+  if (mount.device.startsWith("/dev/"))
+  {
+    return HrStorageTypes.FixedDisk;
+  }
+
+  return null;
+}
+
+
+/**
+ * Get the mounted file systems which are storage, i.e., those for which
+ * `getMountStorageType` returns a storage type
+ *
+ * @return {Array}
+ *   The mounts, as returned by `getMounts`, with at most one per mount
+ *   point
+ */
+async function getStorageMounts()
+{
+  return Promise.resolve()
+    .then(() => getMounts())
+    .then(
+      (mounts) =>
+      {
+        let             byMountPoint = {};
+
+        // Ignore non-storage file systems. A mount point may have been
+        // mounted over; only the last mount there is visible.
+        mounts
+          .filter((mount) => getMountStorageType(mount))
+          .forEach((mount) => byMountPoint[mount.mountPoint] = mount);
+
+        return Object.values(byMountPoint);
+      });
+}
+
+
+/**
+ * Get statistics about the file system containing a path. Versions of
+ * Node before 18.15 don't provide `fs.promises.statfs`, so with those, the
+ * `stat` command is run instead.
+ *
+ * @param path {String}
+ *   The path of a file or directory in the file system
+ *
+ * @return {Map}
+ *   Members `bsize` (the size of a block, in bytes), `blocks` (the total
+ *   number of blocks), `bfree` (the number of free blocks), `bavail` (the
+ *   number of blocks available to unprivileged users), `files` (the total
+ *   number of inodes), and `ffree` (the number of free inodes), as for
+ *   `fs.promises.statfs`
+ */
+async function statFileSystem(path)
+{
+  const           execFile = require("util").promisify(
+    require("child_process").execFile);
+
+  if (fsp.statfs)
+  {
+    return fsp.statfs(path);
+  }
+
+  // %S is the fundamental block size, the unit of the block counts
+  return Promise.resolve()
+    .then(() => execFile("stat", [ "-f", "-c", "%S %b %f %a %c %d", path ]))
+    .then(
+      ({ stdout }) =>
+      {
+        const           [ bsize, blocks, bfree, bavail, files, ffree ] =
+          stdout.trim().split(" ").map((value) => +value);
+
+        return { bsize, blocks, bfree, bavail, files, ffree };
+      })
+    .catch(
+      (e) =>
+      {
+        // Report the reason given by `stat`, e.g., "No such file or
+        // directory", rather than just its exit status
+        throw new Error(
+          (e.stderr || "").trim().split(": ").pop() || e.message);
+      });
+}
+
+
+/**
+ * Get information about the host's logical storage areas: main memory,
+ * swap space, and mounted file systems
+ *
+ * @return {Array}
+ *   One map per storage area, with the members described in
+ *   `getHrStorageTable`
+ */
+async function getStorageInfo()
+{
+  let             key;
+  let             storage = [];
+  let             seen = {};
+
+  // Add a storage area, scaling the allocation units as necessary so that
+  // its size fits in an Integer32
+  let             addStorage = (index, type, descr, units, size, used) =>
+  {
+    while (size > INTEGER32_MAX)
+    {
+      units *= 2;
+      size = Math.floor(size / 2);
+      used = Math.floor(used / 2);
+    }
+
+    storage.push(
+      {
+        hrStorageIndex              : index,
+        hrStorageType               : type,
+        hrStorageDescr              : descr,
+        hrStorageAllocationUnits    : units,
+        hrStorageSize               : size,
+        hrStorageUsed               : used,
+        hrStorageAllocationFailures : 0
+      });
+  };
+
+  return Promise.resolve()
+    .then(() => getMemInfo())
+    .then(
+      (memInfo) =>
+      {
+        const           memUsed = memInfo.MemTotal - memInfo.MemFree;
+        const           swapUsed = memInfo.SwapTotal - memInfo.SwapFree;
+
+        // These are the same indexes and descriptions that net-snmp uses
+        addStorage(
+          1, HrStorageTypes.Ram, "Physical memory",
+          1024, memInfo.MemTotal, memUsed);
+        addStorage(
+          3, HrStorageTypes.VirtualMemory, "Virtual memory",
+          1024, memInfo.MemTotal + memInfo.SwapTotal, memUsed + swapUsed);
+        addStorage(
+          6, HrStorageTypes.Other, "Memory buffers",
+          1024, memInfo.MemTotal, memInfo.Buffers);
+        addStorage(
+          7, HrStorageTypes.Other, "Cached memory",
+          1024, memInfo.MemTotal, memInfo.Cached);
+        addStorage(
+          8, HrStorageTypes.Other, "Shared memory",
+          1024, memInfo.MemTotal, memInfo.Shmem || 0);
+        addStorage(
+          10, HrStorageTypes.VirtualMemory, "Swap space",
+          1024, memInfo.SwapTotal, swapUsed);
+      })
+    .then(() => getStorageMounts())
+    .then(
+      (mounts) =>
+      {
+        return Promise.allSettled(
+          mounts.map((mount) => statFileSystem(mount.mountPoint)))
+          .then(
+            (results) =>
+            {
+              results.forEach(
+                (result, i) =>
+                {
+                  const           mount = mounts[i];
+                  const           stats = result.value;
 
-  /*
-   * **********************************************************************
-   *
-   * Address Prefix table
-   *
-   * The IPv6 Address Prefix table contains information on
-   * the entity's IPv6 Address Prefixes that are associated
-   * with IPv6 interfaces.
-   *
-   * **********************************************************************
-   *
-   * TODO: THIS TABLE IS NOT IMPLEMENTED
-   *
-   *   getIpv6AddrPrefixTable
-   *   getIpv6AddrPrefixEntry
-   */
+                  // Ignore file systems we can't query
+                  if (result.status != "fulfilled")
+                  {
+                    return;
+                  }
 
-  /*
-   * The table of addressing information relevant to this node's interface
-   * addresses.
-   */
-  async getIpv6AddrTable()
-  {
-    const           addressInfo = await getAddressInfo();
-    const           byIpAddr = addressInfo.byIpAddr;
+                  // Keep track of a unique index for this mount point,
+                  // for as long as it is mounted
+                  if (! storageIndexMap[mount.mountPoint])
+                  {
+                    storageIndexMap[mount.mountPoint] = nextStorageIndex++;
+                  }
 
-    return Promise.resolve()
-      .then(
-        () =>
+                  // Mark as seen this time, allowing pruning unmounted
+                  // file systems. This is tracked per call, since
+                  // hrStorageTable and hrFSTable may be populated at once.
+                  seen[mount.mountPoint] = true;
+
+                  addStorage(
+                    storageIndexMap[mount.mountPoint],
+                    getMountStorageType(mount),
+                    mount.mountPoint,
+                    stats.bsize,
+                    stats.blocks,
+                    stats.blocks - stats.bfree);
+                });
+            });
+      })
+    .then(
+      () =>
+      {
+        // Prune unmounted file systems from our storage index map
+        for (key in storageIndexMap)
         {
-          let             ipAddr;
-          let             promises = [];
-
-          // Call `getIpv6AddrEntry` for each IPv6 address, binding the
-          // just-retrieved addressInfo so that `getIpAddrEntry` need
-          // not re-retrieve it.
-          for (ipAddr in byIpAddr.IPv6)
+          // If we didn't see this mount point this time...
+          if (! seen[key])
           {
-            promises.push(this.getIpv6AddrEntry.bind(addressInfo)(ipAddr));
+            // ... then delete it
+            delete storageIndexMap[key];
           }
+        }
 
-          return Promise.all(promises);
-        });
+        return storage;
+      });
+}
+
+
+/**
+ * Truncate a string so that its UTF-8 encoding fits in a given number of
+ * octets, without splitting a character
+ *
+ * @param s {String}
+ *   The string to be truncated
+ *
+ * @param maxOctets {Number}
+ *   The maximum length of the UTF-8 encoding of the result
+ *
+ * @return {String}
+ *   The possibly-truncated string
+ */
+function truncateOctets(s, maxOctets)
+{
+  const           buf = Buffer.from(s);
+
+  if (buf.length <= maxOctets)
+  {
+    return s;
   }
 
-  /*
-   * The addressing information for one of this node's interface addresses.
-   */
-  async getIpv6AddrEntry(ipAddr)
+  // A character split by truncation is decoded as a replacement character
+  return buf.slice(0, maxOctets).toString().replace(/\ufffd$/, "");
+}
+
+
+/**
+ * Get information about each process. Processes which exit while their
+ * information is being retrieved are not included.
+ *
+ * @return {Array}
+ *   One map per process, with members `pid`, `name`, `path` (the first
+ *   command-line argument), `parameters` (the remaining command-line
+ *   arguments, separated by spaces), `bKernelThread`, `state` (the
+ *   kernel's single-character process state, e.g., "R" for running),
+ *   `cpuTime` (user plus system CPU time, in centi-seconds), and `rss`
+ *   (the resident set size, in KBytes)
+ */
+async function getProcessInfo()
+{
+  const           PF_KTHREAD = 0x00200000;
+
+  // The kernel reports CPU times in units of USER_HZ, which is 100 on all
+  // current architectures, i.e., in centi-seconds.
+  const           USER_HZ = 100;
+
+  return Promise.resolve()
+    .then(() => fsp.readdir("/proc"))
+    .then(
+      (pids) =>
+      {
+        // Look only at the process directories
+        pids = pids.filter((pid) => /^[0-9]+$/.test(pid));
+
+        return Promise.allSettled(
+          pids.map(
+            (pid) =>
+            {
+              return Promise.all(
+                [
+                  fsp.readFile(`/proc/${pid}/stat`),
+                  fsp.readFile(`/proc/${pid}/cmdline`),
+                  fsp.readFile(`/proc/${pid}/status`)
+                ])
+                .then(
+                  ([ stat, cmdline, status ]) =>
+                  {
+                    let             args;
+                    let             fields;
+                    let             rss;
+
+                    stat = stat.toString();
+
+                    // The name is in parentheses, and may itself contain
+                    // spaces and parentheses. The remaining fields, from
+                    // the state onward, follow the last parenthesis.
+                    fields =
+                      stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+
+                    // The arguments are each terminated by a NUL
+                    args = cmdline.toString().split("\0");
+                    if (args[args.length - 1] === "")
+                    {
+                      args.pop();
+                    }
+
+                    // Kernel threads have no resident set size
+                    rss = status.toString().match(/^VmRSS:\s+([0-9]+)/m);
+
+                    return (
+                      {
+                        pid           : +pid,
+                        name          :
+                          stat.slice(
+                            stat.indexOf("(") + 1, stat.lastIndexOf(")")),
+                        path          : args.length > 0 ? args[0] : "",
+                        parameters    : args.slice(1).join(" "),
+                        bKernelThread : (+fields[6] & PF_KTHREAD) != 0,
+                        state         : fields[0],
+                        cpuTime       :
+                          (+fields[11] + +fields[12]) * 100 / USER_HZ,
+                        rss           : rss ? +rss[1] : 0
+                      });
+                  });
+            }));
+      })
+    .then(
+      (results) =>
+      {
+        return results
+          .filter((result) => result.status == "fulfilled")
+          .map((result) => result.value);
+      });
+}
+
+/**
+ * Begin periodically sampling per-processor usage from /proc/stat, if not
+ * already doing so. The sampler does not keep the process alive.
+ */
+function startCpuLoadSampler()
+{
+  if (cpuLoadTimer)
   {
-    let             entry;
-    let             addressInfo;
+    return;
+  }
 
-    // If we were called externally, `this` will be our class. If we
-    // were called from `getIpAddrTable`, above, `this` will be the
-    // already-ascertained address information. If the address info is
-    // already available, we save ourselves a library call for each
-    // entry.
-    if (this instanceof SnmpLinuxLib)
-    {
-      addressInfo = await getAddressInfo();
-    }
-    else
-    {
-      addressInfo = this; // already have addressInfo from getIpAddrTable
-    }
+  sampleCpuLoad();
+  cpuLoadTimer = setInterval(sampleCpuLoad, 5000);
+  cpuLoadTimer.unref();
+}
 
-    // Get the information about this address
-    entry = addressInfo.byIpAddr.IPv6[ipAddr];
 
-    /*
-     * The index value which uniquely identifies the interface to which this
-     * entry is applicable. The interface identified by a particular value of
-     * this index is the same interface as identified by the same value of
-     * ifIndex.
-     */
-    let             ipv6IfIndex = async () =>
-    {
-      return Promise.resolve()
-        .then(() => addIfIndexes())
-        .then(() =>
+/**
+ * Add a sample of per-processor usage, retaining only those samples needed
+ * to calculate the average usage over the last minute
+ */
+async function sampleCpuLoad()
+{
+  return Promise.resolve()
+    .then(() => getCpuStats())
+    .then(
+      (stats) =>
+      {
+        const           now = Date.now();
+        let             sample = { time : now, cpus : {} };
+
+        Object.keys(stats.cpus).forEach(
+          (cpu) =>
           {
-            // It'd better be there now
-            if (! (entry.interface in ifIndexMap))
-            {
-              throw new Error(`Interface ${entry.interface} does not exist`);
-            }
+            const           times = stats.cpus[cpu];
+            const           idle = times.idle + times.iowait;
 
-            return ifIndexMap[entry.interface];
+            // Guest times are already included in user and nice times
+            const           total =
+              times.user + times.nice + times.system + idle +
+              times.irq + times.softirq + times.steal;
+
+            sample.cpus[cpu] = { total, busy : total - idle };
           });
-    };
 
-    /*
-     * The IPv6 address to which this entry's addressing information
-     * pertains.
-     */
-    let             ipv6AddrAddress = async () =>
-    {
-      return hexToIp6(ipAddr);
-    };
+        cpuLoadSamples.push(sample);
 
-    /*
-     * The length of the prefix (in bits) associated with the IPv6 address of
-     * this entry.
-     */
-    let             ipv6AddrPfxLength = async () =>
-    {
-      return +entry.cidr.split("/")[1];
-    };
+        // Discard samples no longer needed for the last minute's average,
+        // keeping the most recent one which is at least a minute old
+        while (cpuLoadSamples.length > 1 &&
+               cpuLoadSamples[1].time <= now - 60 * 1000)
+        {
+          cpuLoadSamples.shift();
+        }
+      })
+    .catch(
+      () =>
+      {
+        // Nothing to be done about it; just try again next time
+      });
+}
 
-    /*
-     * The type of address. Note that 'stateless(1)' refers to an address that
-     * was statelessly autoconfigured; 'stateful(2)' refers to a address which
-     * was acquired by via a stateful protocol (e.g. DHCPv6, manual
-     * configuration).
-     */
-    let             ipv6AddrType = async () =>
-    {
-      return 3;                 // 1=stateless 2=stateful 3=unknown
-    };
 
-    /*
-     * This object has the value 'true(1)', if this address is an anycast
-     * address and the value 'false(2)' otherwise.
-     */
-    let             ipv6AddrAnycastFlag = async () =>
-    {
-      return 2;                 // 1=true, 2=false
-    };
+/**
+ * Begin periodically sampling /proc/diskstats, to maintain each block
+ * device's load averages between polls of diskIOTable
+ */
+function startDiskIOSampler()
+{
+  if (diskIOTimer)
+  {
+    return;
+  }
 
-    /*
-     * Address status. The preferred(1) state indicates that this is a valid
-     * address that can appear as the destination or source address of a
-     * packet. The deprecated(2) state indicates that this is a valid but
-     * deprecated address that should no longer be used as a source address in
-     * new communications, but packets addressed to such an address are
-     * processed as expected. The invalid(3) state indicates that this is not
-     * valid address which should not appear as the destination or source
-     * address of a packet. The inaccessible(4) state indicates that the
-     * address is not accessible because the interface to which this address
-     * is assigned is not operational.
-     */
-    let             ipv6AddrStatus = async () =>
-    {
-      return 5; // 1=preferred 2=deprecated 3=invalid 4=inaccessible 5=unknown
-    };
+  sampleDiskIO();
+  diskIOTimer = setInterval(sampleDiskIO, 5000);
+  diskIOTimer.unref();
+}
 
-    return Promise.all(
-      [
-        ipv6IfIndex(),
-        ipv6AddrAddress(),
-        ipv6AddrPfxLength(),
-        ipv6AddrType(),
-        ipv6AddrAnycastFlag(),
-        ipv6AddrStatus()
-      ])
-      .then((results) =>
-        {
-          let result =
+
+/**
+ * Update each block device's 1, 5, and 15 minute load averages, the
+ * percentage of time it was busy, exponentially averaged like the kernel's
+ * load averages and net-snmp's diskIOLA* values
+ */
+async function sampleDiskIO()
+{
+  return Promise.resolve()
+    .then(() => getDiskStats())
+    .then(
+      (stats) =>
+      {
+        const           now = Date.now();
+        let             loads = {};
+
+        stats.forEach(
+          (stat) =>
+          {
+            const           prev = diskIOLoads[stat.name];
+            let             elapsed;
+            let             busy;
+
+            // The first sample of a device only establishes a baseline
+            if (! prev)
             {
-              ipv6IfIndex         : results.shift(),
-              ipv6AddrAddress     : results.shift(),
-              ipv6AddrPfxLength   : results.shift(),
-              ipv6AddrType        : results.shift(),
-              ipv6AddrAnycastFlag : results.shift(),
-              ipv6AddrStatus      : results.shift()
-            };
+              loads[stat.name] =
+                { time : now, busyTime : stat.busyTime, la1 : 0, la5 : 0,
+                  la15 : 0 };
+              return;
+            }
+
+            // Determine the percentage of time since the previous sample
+            // that the device was busy. The kernel's 32-bit millisecond
+            // busy time may have wrapped.
+            elapsed = now - prev.time;
+            busy = (stat.busyTime - prev.busyTime + COUNTER_WRAP_AT) %
+              COUNTER_WRAP_AT;
+            busy = Math.min(100, elapsed > 0 ? busy * 100 / elapsed : 0);
+
+            // Decay each average toward the current busy percentage
+            const           decay =
+              (average, minutes) =>
+              {
+                const           e = Math.exp(-elapsed / (minutes * 60000));
+
+                return average * e + busy * (1 - e);
+              };
+
+            loads[stat.name] =
+              {
+                time     : now,
+                busyTime : stat.busyTime,
+                la1      : decay(prev.la1, 1),
+                la5      : decay(prev.la5, 5),
+                la15     : decay(prev.la15, 15)
+              };
+          });
+
+        // Devices no longer present are thereby discarded
+        diskIOLoads = loads;
+      })
+    .catch(
+      () =>
+      {
+        // Nothing to be done about it; just try again next time
+      });
+}
 
-          return result;
-        });
-  }
 
-  /*
-   * The number of current ipv6RouteTable entries. This is primarily to avoid
-   * having to read the table in order to determine this number.
-   */
-  async getIpv6RouteNumber()
-  {
-    return Promise.resolve()
-      .then(() => getRouteInfo6())
-      .then(routeInfo => routeInfo.length);
-  }
+/**
+ * Create a dskTable entry for a monitored disk. See `getDskTable`.
+ *
+ * @param index {Number}
+ *   The dskIndex of this entry
+ *
+ * @param disk {Map}
+ *   The monitored disk's configuration, as provided to `setDisks`
+ *
+ * @param mounts {Array}
+ *   The mounts, as returned by `getMounts`
+ *
+ * @param result {Map}
+ *   The settled result of `statFileSystem` on the disk's path
+ *
+ * @return {Map}
+ *   The dskTable entry
+ */
+function getDskEntry(index, disk, mounts, result)
+{
+  let             mount;
+  let             minimum = -1;
+  let             minPercent = -1;
+  let             total = 0;
+  let             avail = 0;
+  let             used = 0;
+  let             percent = 0;
+  let             percentNode = 0;
+  let             errorMsg = "";
+  let             toKBytes;
+
+  // Find the file system containing the path: the last mounted of those
+  // with the longest mount point which is a prefix of the path
+  mounts.forEach(
+    (m) =>
+    {
+      const           prefix =
+        m.mountPoint.endsWith("/") ? m.mountPoint : m.mountPoint + "/";
 
-  /*
-   * The number of routing entries which were chosen to be discarded even
-   *  though they are valid. One possible reason for discarding such an entry
-   *  could be to free-up buffer space for other routing entries.
-   */
-  async getIpv6DiscardedRoutes()
+      if ((disk.path == m.mountPoint || disk.path.startsWith(prefix)) &&
+          (! mount || m.mountPoint.length >= mount.mountPoint.length))
+      {
+        mount = m;
+      }
+    });
+
+  if (disk.minPercent !== undefined)
   {
-    return 0;                   // TODO: is this available on Linux?
+    minPercent = disk.minPercent;
   }
-
-  /*
-   * IPv6 Routing table. This table contains an entry for each valid IPv6
-   * unicast route that can be used for packet forwarding determination.
-   */
-  async getIpv6RouteTable()
+  else
   {
-    return getRouteInfo6();
+    minimum = disk.minimum !== undefined ? disk.minimum : 100000;
   }
 
-  /*
-   * The IP Address Translation table used for mapping from IP addresses to
-   * physical addresses.
-   */
-  async getIpv6NetToMediaTable()
+  if (result.status == "fulfilled")
   {
-    const           addressInfo = await getAddressInfo();
-    const           byHwAddr = addressInfo.byHwAddr;
-
-    return Promise.resolve()
-      .then(
-        () =>
-        {
-          let             hwAddr;
-          let             promises = [];
+    const           stats = result.value;
 
-          // Call `getIpv6NetToMediaEntry` for each hardware address,
-          // binding the just-retrieved addressInfo so that
-          // `getIpAddrEntry` need not re-retrieve it.
-          for (hwAddr in byHwAddr.IPv6)
-          {
-            promises.push(
-              this.getIpv6NetToMediaEntry.bind(addressInfo)(hwAddr));
-          }
+    toKBytes = (blocks) => Math.floor(blocks * stats.bsize / 1024);
+    total = toKBytes(stats.blocks);
+    avail = toKBytes(stats.bavail);
+    used = toKBytes(stats.blocks - stats.bfree);
 
-          return Promise.all(promises);
-        });
-  }
+    if (used + avail > 0)
+    {
+      percent = Math.ceil(used * 100 / (used + avail));
+    }
 
-  /*
-   * Each entry contains one IpAddress to `physical' address equivalence.
-   */
-  async getIpv6NetToMediaEntry(hwAddr)
-  {
-    let             entry;
-    let             addressInfo;
+    if (stats.files > 0)
+    {
+      percentNode =
+        Math.ceil((stats.files - stats.ffree) * 100 / stats.files);
+    }
 
-    // If we were called externally, `this` will be our class. If we
-    // were called from `getIpNetToMediaTable`, above, `this` will be the
-    // already-ascertained address information. If the address info is
-    // already available, we save ourselves a library call for each
-    // entry.
-    if (this instanceof SnmpLinuxLib)
+    // These are the same error messages as net-snmp's
+    if (minPercent >= 0 && 100 - percent < minPercent)
     {
-      addressInfo = await getAddressInfo();
+      errorMsg =
+        `${disk.path}: less than ${minPercent}% free (= ${percent}%)`;
     }
-    else
+    else if (minimum >= 0 && avail < minimum)
     {
-      addressInfo = this; // already have addressInfo from getIpNetToMediaTable
+      errorMsg = `${disk.path}: less than ${minimum} free (= ${avail})`;
     }
+  }
+  else
+  {
+    errorMsg =
+      `${disk.path}: could not be queried ` +
+      `(${result.reason.code || result.reason.message})`;
+  }
 
-    // Get the information about this address
-    entry = addressInfo.byHwAddr.IPv6[hwAddr];
-
-    /*
-     * The interface on which this entry's equivalence is effective. The
-     * interface identified by a particular value of this index is the same
-     * interface as identified by the same value of ifIndex.
-     */
-    let             ipv6IfIndex = async () =>
+  return (
     {
-      return Promise.resolve()
-        .then(() => addIfIndexes())
-        .then(() =>
+      dskIndex       : index,
+      dskPath        : disk.path,
+      dskDevice      : mount ? mount.device : "",
+      dskMinimum     : minimum,
+      dskMinPercent  : minPercent,
+      dskTotal       : Math.min(total, INTEGER32_MAX),
+      dskAvail       : Math.min(avail, INTEGER32_MAX),
+      dskUsed        : Math.min(used, INTEGER32_MAX),
+      dskPercent     : percent,
+      dskPercentNode : percentNode,
+      dskTotalLow    : total % COUNTER_WRAP_AT,
+      dskTotalHigh   : Math.floor(total / COUNTER_WRAP_AT),
+      dskAvailLow    : avail % COUNTER_WRAP_AT,
+      dskAvailHigh   : Math.floor(avail / COUNTER_WRAP_AT),
+      dskUsedLow     : used % COUNTER_WRAP_AT,
+      dskUsedHigh    : Math.floor(used / COUNTER_WRAP_AT),
+      dskErrorFlag   : errorMsg ? 1 : 0,
+      dskErrorMsg    : errorMsg
+    });
+}
+
+
+/**
+ * Get the processor statistics, from /proc/stat
+ *
+ * @return {Map}
+ *   A map with members `cpu` (the times spent by all processors, in
+ *   centi-seconds, in each mode: `user`, `nice`, `system`, `idle`,
+ *   `iowait`, `irq`, `softirq`, `steal`, `guest`, and `guestNice`), `cpus`
+ *   (the same for each processor, keyed by processor number),
+ *   `interrupts` (the number of interrupts serviced), and `contexts` (the
+ *   number of context switches)
+ */
+async function getCpuStats()
+{
+  const           modes =
+    [
+      "user",
+      "nice",
+      "system",
+      "idle",
+      "iowait",
+      "irq",
+      "softirq",
+      "steal",
+      "guest",
+      "guestNice"
+    ];
+
+  return Promise.resolve()
+    .then(() => fsp.readFile("/proc/stat"))
+    .then(
+      (stat) =>
+      {
+        let             stats = { cpus : {}, interrupts : 0, contexts : 0 };
+
+        stat.toString().split("\n").forEach(
+          (line) =>
           {
-            // It'd better be there now
-            if (! (entry.interface in ifIndexMap))
+            const           fields = line.split(/ +/);
+            let             times = {};
+
+            switch(fields[0])
             {
-              throw new Error(`Interface ${entry.interface} does not exist`);
-            }
+            case "intr" :
+              // The total is followed by the count for each interrupt
+              stats.interrupts = +fields[1];
+              return;
 
-            return ifIndexMap[entry.interface];
-          });
-    };
+            case "ctxt" :
+              stats.contexts = +fields[1];
+              return;
+            }
 
-    /*
-     * The IPv6 Address corresponding to the media-dependent `physical'
-     * address.
-     *
-     */
-    let             ipv6NetToMediaNetAddress = async () =>
-    {
-      return hexToIp6(entry.address);
-    };
+            // Otherwise, we're interested only in the processor lines.
+            // Older kernels don't provide all of the fields.
+            if (! fields[0].startsWith("cpu"))
+            {
+              return;
+            }
 
-    /*
-     * The media-dependent `physical' address.
-     */
-    let             ipv6NetToMediaPhysAddress = async () =>
-    {
-      return hexToBinaryHwAddr(hwAddr);
-    };
+            modes.forEach((mode, i) => times[mode] = +(fields[i + 1] || 0));
 
-    /*
-     * The type of the mapping. The 'dynamic(2)' type indicates that the IPv6
-     * address to physical addresses mapping has been dynamically resolved
-     * using the IPv6 Neighbor Discovery protocol. The static(3)' types
-     * indicates that the mapping has been statically configured. The local(4)
-     * indicates that the mapping is provided for an entity's own interface
-     * address.
-     */
-    let             ipv6NetToMediaType = async () =>
-    {
-      // TODO: How do we determine this generically?
-      return 1;                 // 1=other 2=invalid 3=dynamic 4=static
-    };
+            if (fields[0] == "cpu")
+            {
+              stats.cpu = times;
+            }
+            else
+            {
+              stats.cpus[fields[0].slice(3)] = times;
+            }
+          });
 
-    /*
-     * The Neighbor Unreachability Detection [8] state for the interface when
-     * the address mapping in this entry is used.
-     */
-    let             ipv6NetToMediaState = async () =>
-    {
-      // TODO: How do we determine this generically?
-      return 6;                 // 6=unknown
-    };
-    
-    /*
-     * The value of sysUpTime at the time this entry was last updated. If this
-     * entry was updated prior to the last re-initialization of the local
-     * network management subsystem, then this object contains a zero value.
-     */
-    let             ipv6NetToMediaLastUpdated = async () =>
-    {
-      return 0;
-    };
+        return stats;
+      });
+}
 
-    /*
-     * Setting this object to the value 'false(2)' has the effect of
-     * invalidating the corresponding entry in the ipv6NetToMediaTable. That
-     * is, it effectively disassociates the interface identified with said
-     * entry from the mapping identified with said entry. It is an
-     * implementation-specific matter as to whether the agent removes an
-     * invalidated entry from the table. Accordingly, management stations must
-     * be prepared to receive tabular information from agents that corresponds
-     * to entries not currently in use. Proper interpretation of such entries
-     * requires examination of the relevant ipv6NetToMediaValid object.
-     */
-    let             ipv6NetToMediaValid = async () =>
-    {
-      return 1;                 // 1=true 2=false
-    };
 
-    return Promise.all(
-      [
-        ipv6IfIndex(),
-        ipv6NetToMediaNetAddress(),
-        ipv6NetToMediaPhysAddress(),
-        ipv6NetToMediaType(),
-        ipv6NetToMediaState(),
-        ipv6NetToMediaLastUpdated(),
-        ipv6NetToMediaValid()
-      ])
-      .then((results) =>
-        {
-          let result =
+/**
+ * Get the I/O statistics of each block device, from /proc/diskstats
+ *
+ * @return {Array}
+ *   One map per block device, with members `index` (its diskIOIndex),
+ *   `name` (its kernel name), `reads` and `writes` (the number of each
+ *   completed), `bytesRead` and `bytesWritten` (as BigInt), and `busyTime`
+ *   (the number of milliseconds the device has had I/O in progress)
+ */
+async function getDiskStats()
+{
+  return Promise.resolve()
+    .then(() => fsp.readFile("/proc/diskstats"))
+    .then(
+      (content) =>
+      {
+        let             key;
+        let             seen = {};
+        let             stats;
+
+        stats = content.toString().split("\n")
+          .map((line) => line.trim().split(/\s+/))
+          .filter((fields) => fields.length >= 14)
+          .map(
+            (fields) =>
             {
-              ipv6IfIndex               : results.shift(),
-              ipv6NetToMediaNetAddress  : results.shift(),
-              ipv6NetToMediaPhysAddress : results.shift(),
-              ipv6NetToMediaType        : results.shift(),
-              ipv6NetToMediaState       : results.shift(),
-              ipv6NetToMediaLastUpdated : results.shift(),
-              ipv6NetToMediaValid       : results.shift()
-            };
+              const           name = fields[2];
 
-          return result;
-        });
-  }
-}
+              // Assign an index to a newly-seen device
+              if (! diskIOIndexMap[name])
+              {
+                diskIOIndexMap[name] = nextDiskIOIndex++;
+              }
 
+              // Mark as seen this time, allowing pruning removed devices
+              seen[name] = true;
 
+              // Sectors, here, are always 512 bytes
+              return (
+                {
+                  index        : diskIOIndexMap[name],
+                  name         : name,
+                  reads        : +fields[3],
+                  bytesRead    : BigInt(fields[5]) * 512n,
+                  writes       : +fields[7],
+                  bytesWritten : BigInt(fields[9]) * 512n,
+                  busyTime     : +fields[12]
+                });
+            });
 
+        // Prune removed devices from our device index map
+        for (key in diskIOIndexMap)
+        {
+          if (! seen[key])
+          {
+            delete diskIOIndexMap[key];
+          }
+        }
 
+        return stats;
+      });
+}
 
-/* Flag bits for the `flags` field returned in `getIpRouteTable` entries */
-const IpRouteTable_FLAGS =
-  {
-    Up        : 0x0001,          // route usable
-    Gateway   : 0x0002,          // destination is a gateway
-    Host      : 0x0004,          // host entry (net otherwise)
-    Reinstate : 0x0008,          // reinstate route after tmout
-    Dynamic   : 0x0010,          // created dyn. (by redirect)
-    Modified  : 0x0020,          // modified dyn. (by redirect)
-    Mtu       : 0x0040,          // specific MTU for this route
-    Window    : 0x0080,          // per route window clamping
-    Irtt      : 0x0100,          // Initial round trip time
-    Reject    : 0x0200,          // Reject route
-    Notcached : 0x0400           // this route isn't cached
-  };
 
-/* Values of the connection state field in `getTcpConnTable` */
-const TcpConnEntry_CONNECTION_STATE =
-  {
-    Closed          : 1,
-    Listen          : 2,
-    SynSent         : 3,
-    SynReceived     : 4,
-    Established     : 5,
-    FinWait1        : 6,
-    FinWait2        : 7,
-    CloseWait       : 8,
-    LastAck         : 9,
-    Closing         : 10,
-    TimeWait        : 11,
-    NewSynReceived  : 99 // not in RFC-1213 but is a current valid state
-  };
+/**
+ * Encode a number as UCD-SNMP-MIB's Float, for use as an Opaque value
+ *
+ * @param value {Number}
+ *   The number to encode
+ *
+ * @return {Buffer}
+ *   The BER serialization of the number as a FLOATTYPE: tag '9f78'h,
+ *   length 4, and the IEEE 754 single precision value
+ */
+function encodeFloat(value)
+{
+  const           buf = Buffer.from([ 0x9f, 0x78, 0x04, 0, 0, 0, 0 ]);
 
+  buf.writeFloatBE(value, 3);
+  return buf;
+}
 
 
+/**
+ * Get the system load averages, from /proc/loadavg
+ *
+ * @return {Number[]}
+ *   The 1, 5, and 15 minute load averages
+ */
+async function getLoadAverages()
+{
+  return Promise.resolve()
+    .then(() => fsp.readFile("/proc/loadavg"))
+    .then(
+      (content) =>
+      {
+        return content.toString().split(" ").slice(0, 3).map((v) => +v);
+      });
+}
 
 
-/*
- * Retrieve all information available from /proc/net/snmp
+/**
+ * Get a processor's average load over the last minute
+ *
+ * @param cpu {Number}
+ *   The number of the processor whose load is requested
+ *
+ * @return {Number}
+ *   The percentage of time, over the last minute, that the processor was
+ *   not idle; or zero if not yet known
  */
-async function getNetSnmpInfo4()
+function getCpuLoad(cpu)
 {
-  let             heading;
-  let             fieldNames;
-  let             info = {};
-  let             bDefinition = true;
+  const           first = cpuLoadSamples[0];
+  const           last = cpuLoadSamples[cpuLoadSamples.length - 1];
+  let             total;
+
+  // We need two samples of this processor to calculate its load
+  if (! first || first === last || ! first.cpus[cpu] || ! last.cpus[cpu])
+  {
+    return 0;
+  }
+
+  total = last.cpus[cpu].total - first.cpus[cpu].total;
+  if (total <= 0)
+  {
+    return 0;
+  }
+
+  return Math.round(
+    (last.cpus[cpu].busy - first.cpus[cpu].busy) * 100 / total);
+}
 
+
+/**
+ * Get the list of processors, from /proc/cpuinfo
+ *
+ * @return {Array}
+ *   One map per processor, with members `cpu` (the processor number) and
+ *   `descr` (its model name)
+ */
+async function getProcessors()
+{
   return Promise.resolve()
-    .then(() => fsp.readFile("/proc/net/snmp"))
-    .then((content) => content.toString().split("\n"))
+    .then(() => fsp.readFile("/proc/cpuinfo"))
     .then(
-      (lines) =>
+      (cpuinfo) =>
       {
-        lines.forEach(
-          (line) =>
-          {
-            let             thisHeading;
-            let             fieldValues;
-
-            // An empty line signifies the end
-            line = line.trim();
-            if (line.length === 0)
-            {
-              return;
-            }
-
-            // A definition line looks like:
-            // Ip: Forwarding DefaultTTL InReceives ...
-            //
-            // A value line looks like:
-            // Ip: 1 64 87367079 ...
-            if (bDefinition)
-            {
-              [ heading, fieldNames ] = line.split(/: */);
-              fieldNames = fieldNames.split(" ");
-            }
-            else
+        // Each processor's information is in a separate paragraph
+        return cpuinfo.toString().split(/\n\s*\n/)
+          .map(
+            (paragraph) =>
             {
-              [ thisHeading, fieldValues ] = line.split(/: */);
-
-              // We expect this heading to be the same as the one in
-              // the definition.
-              if (thisHeading != heading)
-              {
-                throw new Error(
-                  `Unexpected heading ${thisHeading}; expected ${heading}`);
-              }
+              let             info = {};
 
-              fieldValues = fieldValues.split(" ");
+              paragraph.split("\n").forEach(
+                (line) =>
+                {
+                  const           colon = line.indexOf(":");
 
-              // We expect the number of fieldValues to match the
-              // number of fieldNames
-              if (fieldValues.length != fieldNames.length)
-              {
-                throw new Error(
-                  [
-                    "Number of field names in ",
-                    JSON.stringify(fieldNames),
-                    " does not match number of values in ",
-                    JSON.stringify(fieldValues)
-                  ].join(""));
-              }
+                  if (colon >= 0)
+                  {
+                    info[line.slice(0, colon).trim()] =
+                      line.slice(colon + 1).trim();
+                  }
+                });
 
-              // Fill in the info map for this heading
-              info[heading] = {};
-              fieldNames.forEach(
-                (name, i) =>
+              return info;
+            })
+          .filter((info) => /^[0-9]+$/.test(info.processor))
+          .map(
+            (info) =>
+            {
+              return (
                 {
-                  info[heading][name] = fieldValues[i];
+                  cpu   : +info.processor,
+                  descr :
+                    (info["model name"] ||
+                     info["cpu model"] ||
+                     info["cpu"] ||
+                     `Processor ${info.processor}`)
                 });
-            }
+            });
+      });
+}
 
-            bDefinition = ! bDefinition;
-          });
 
-        return info;
-      });
+/**
+ * Get the list of physical disks, from /sys/block. Purely virtual block
+ * devices, e.g., loop and RAM disks, and device-mapper devices, are
+ * excluded.
+ *
+ * @return {Array}
+ *   One map per disk, with members `name` (its kernel name, e.g., "sda"),
+ *   `descr`, `errors` (the number of I/O errors, where known),
+ *   `bReadOnly`, `bRemovable`, and `size` (its capacity, in KBytes)
+ */
+async function getDisks()
+{
+  let             getFlag =
+      (result) =>
+      {
+        return (
+          result.status == "fulfilled" &&
+          result.value.toString().trim() == "1");
+      };
+
+  return Promise.resolve()
+    .then(() => fsp.readdir("/sys/block"))
+    .then(
+      (names) =>
+      {
+        return Promise.all(
+          names.map(
+            (name) =>
+            {
+              return Promise.allSettled(
+                [
+                  fsp.readlink(`/sys/block/${name}/device`),
+                  fsp.readFile(`/sys/block/${name}/device/vendor`),
+                  fsp.readFile(`/sys/block/${name}/device/model`),
+                  fsp.readFile(`/sys/block/${name}/device/ioerr_cnt`),
+                  fsp.readFile(`/sys/block/${name}/ro`),
+                  fsp.readFile(`/sys/block/${name}/removable`),
+                  fsp.readFile(`/sys/block/${name}/size`)
+                ])
+                .then(
+                  ([ device, vendor, model, ioerrCount,
+                     ro, removable, size ]) =>
+                  {
+                    let             descr;
+
+                    // Only physical disks have an underlying device
+                    if (device.status != "fulfilled")
+                    {
+                      return null;
+                    }
+
+                    // Not all disks have a model, and some (e.g., virtio
+                    // disks) have only a numeric vendor ID.
+                    descr = "Disk";
+                    if (model.status == "fulfilled")
+                    {
+                      descr =
+                        [ vendor, model ]
+                          .filter((result) => result.status == "fulfilled")
+                          .map((result) => result.value.toString().trim())
+                          .filter((value) => value.length > 0)
+                          .join(" ");
+                    }
+
+                    return (
+                      {
+                        name,
+                        descr  : `${descr} (/dev/${name})`,
+                        errors :
+                          (ioerrCount.status == "fulfilled"
+                           ? parseInt(ioerrCount.value.toString(), 16)
+                           : 0),
+                        bReadOnly  : getFlag(ro),
+                        bRemovable : getFlag(removable),
+
+                        // The size is in 512-byte sectors
+                        size       :
+                          (size.status == "fulfilled"
+                           ? Math.floor(+size.value.toString().trim() / 2)
+                           : 0)
+                      });
+                  });
+            }));
+      })
+    .then((disks) => disks.filter((disk) => disk));
 }
 
+
 /**
- * This function ensures that we have a constant mapping of interface
- * to index for the duration of this library's runtime instance.
+ * Get the list of PCI devices, from /sys/bus/pci/devices. The PCI ID
+ * database must already have been parsed.
  *
- * @return {String[]}
- *   The input parameter is returned unaltered
+ * @return {Array}
+ *   One map per PCI device, with members `address` (its PCI address),
+ *   `pciClass` (its class, subclass, and programming interface, as six
+ *   hex digits), `manufacturer`, `deviceName`, `descr` (its manufacturer
+ *   and device name), and `bDriver` (whether a driver is bound to it)
  */
-async function addIfIndexes()
+async function getPciDevices()
 {
   return Promise.resolve()
-    .then(() => fsp.readdir("/sys/class/net"))
+    .then(() => fsp.readdir("/sys/bus/pci/devices"))
     .then(
-      (ifNames) =>
+      (addresses) =>
       {
-        // Add an entry to our interface index map, if not already there
-        ifNames.forEach(
-          (ifName) =>
-          {
-            if (! (ifName in ifIndexMap))
+        return Promise.all(
+          addresses.map(
+            (address) =>
             {
-              ifIndexMap[ifName] = nextIfIndex++;
-            }
-          });
+              const           dir = `/sys/bus/pci/devices/${address}`;
+
+              return Promise.allSettled(
+                [
+                  fsp.readFile(`${dir}/class`),
+                  fsp.readFile(`${dir}/vendor`),
+                  fsp.readFile(`${dir}/device`),
+                  fsp.readlink(`${dir}/driver`)
+                ])
+                .then(
+                  ([ pciClass, vendor, device, driver ]) =>
+                  {
+                    let             manufacturer;
+                    let             deviceName;
+                    let             getValueOrUnknown =
+                        (result) =>
+                        {
+                          if (result.status == "fulfilled")
+                          {
+                            return (
+                              result.value.toString().trim()
+                                .replace("0x", ""));
+                          }
+
+                          return "Unknown";
+                        };
+
+                    // Attempt to convert vendor ID and device ID into
+                    // their respective manufacturer and device name, if
+                    // that information is available to us.
+                    vendor = manufacturer = getValueOrUnknown(vendor);
+                    try { manufacturer = pciIds[vendor].manufacturer; }
+                    catch (e) {};
+                    device = deviceName = getValueOrUnknown(device);
+                    try
+                    {
+                      deviceName = pciIds[vendor].devices[device] || device;
+                    }
+                    catch (e) {};
+
+                    return (
+                      {
+                        address,
+                        pciClass : getValueOrUnknown(pciClass),
+                        manufacturer,
+                        deviceName,
+                        descr    : `${manufacturer} ${deviceName}`,
+                        bDriver  : driver.status == "fulfilled"
+                      });
+                  });
+            }));
+      })
+    .catch(
+      (e) =>
+      {
+        // A system without a PCI bus has no PCI devices
+        if (e.code == "ENOENT")
+        {
+          return [];
+        }
 
-        return ifNames;
+        throw e;
       });
 }
 
+
 /**
- * Get the address information about each interface
+ * Get the list of devices for hrDeviceTable: processors, network
+ * interfaces, disks, and PCI devices other than network controllers
+ *
+ * @return {Array}
+ *   One map per device, with members `index`, `type`, `descr`, `status`,
+ *   and `errors`, corresponding to hrDeviceTable columns. Processors
+ *   additionally have a `cpu` member, their processor number; network
+ *   devices an `ifName` member, their interface name; and disks a `disk`
+ *   member, the disk as returned by `getDisks`.
  */
-async function getAddressInfo()
+async function getDevices()
 {
-  let             ret;
-  let             iface;
-  let             byIpAddr = { IPv4 : {}, IPv6 : {} };
-  let             byHwAddr = { IPv4 : {}, IPv6 : {} };
-  let             networkInterfaces = require("os").networkInterfaces();
+  let             key;
+  let             devices = [];
+  let             seen = {};
 
-  // For each interface...
-  for (iface in networkInterfaces)
+  // Add a device, keeping track of a unique index for it for as long as
+  // it's present
+  let             addDevice = (key, device) =>
   {
-    // For each entry in that interface's array...
-    networkInterfaces[iface].forEach(
-      (elem) =>
+    if (! deviceIndexMap[key])
+    {
+      deviceIndexMap[key] = nextDeviceIndex++;
+    }
+
+    // Mark as seen this time, allowing pruning removed devices. This is
+    // kept locally, as several tables may be enumerating devices at once.
+    seen[key] = true;
+
+    device.index = deviceIndexMap[key];
+    devices.push(device);
+  };
+
+  return Promise.resolve()
+    .then(() => getProcessors())
+    .then(
+      (processors) =>
       {
-        // Add the interface name to the entry
-        elem.interface = iface;
+        processors.forEach(
+          (processor) =>
+          {
+            addDevice(
+              `cpu:${processor.cpu}`,
+              {
+                type   : HrDeviceTypes.Processor,
+                descr  : processor.descr,
+                status : 2,       // running
+                errors : 0,
+                cpu    : processor.cpu
+              });
+          });
+      })
+    .then(() => addIfIndexes())
+    .then(
+      (ifNames) =>
+      {
+        return Promise.all(
+          ifNames.map(
+            (ifName) =>
+            {
+              const           dir = `/sys/class/net/${ifName}`;
+
+              return Promise.allSettled(
+                [
+                  fsp.readFile(`${dir}/operstate`),
+                  fsp.readFile(`${dir}/statistics/rx_errors`),
+                  fsp.readFile(`${dir}/statistics/tx_errors`)
+                ]);
+            }))
+          .then(
+            (results) =>
+            {
+              results.forEach(
+                ([ operState, rxErrors, txErrors ], i) =>
+                {
+                  let             status = 1; // unknown
 
-        // Add this entry to the map keyed by IP address
-        byIpAddr[elem.family][elem.address] = elem;
+                  operState =
+                    (operState.status == "fulfilled"
+                     ? operState.value.toString().trim()
+                     : "unknown");
 
-        // Add this entry to the map keyed by HW address, excluding
-        // interface lo
-        if (iface != "lo")
+                  if (operState == "up")
+                  {
+                    status = 2;   // running
+                  }
+                  else if ([ "down", "lowerlayerdown", "notpresent" ]
+                           .includes(operState))
+                  {
+                    status = 5;   // down
+                  }
+
+                  addDevice(
+                    `net:${ifNames[i]}`,
+                    {
+                      type   : HrDeviceTypes.Network,
+                      descr  : `network interface ${ifNames[i]}`,
+                      status,
+                      errors :
+                        [ rxErrors, txErrors ]
+                          .filter((result) => result.status == "fulfilled")
+                          .reduce(
+                            (sum, result) =>
+                              sum + +result.value.toString().trim(),
+                            0),
+                      ifName : ifNames[i]
+                    });
+                });
+            });
+      })
+    .then(() => getDisks())
+    .then(
+      (disks) =>
+      {
+        disks.forEach(
+          (disk) =>
+          {
+            addDevice(
+              `disk:${disk.name}`,
+              {
+                type   : HrDeviceTypes.DiskStorage,
+                descr  : disk.descr,
+                status : 2,       // running
+                errors : disk.errors,
+                disk
+              });
+          });
+      })
+    .then(() => getPciDevices())
+    .then(
+      (pciDevices) =>
+      {
+        pciDevices.forEach(
+          (pciDevice) =>
+          {
+            const           pciClass = pciDevice.pciClass;
+
+            // Network controllers are represented by their interfaces
+            if (pciClass.startsWith("02"))
+            {
+              return;
+            }
+
+            addDevice(
+              `pci:${pciDevice.address}`,
+              {
+                type   :
+                  (pciClassToHrDeviceTypeMap[pciClass.slice(0, 4)] ||
+                   pciClassToHrDeviceTypeMap[pciClass.slice(0, 2)] ||
+                   HrDeviceTypes.Other),
+                descr  : pciDevice.descr,
+                status : pciDevice.bDriver ? 2 : 1, // running or unknown
+                errors : 0
+              });
+          });
+      })
+    .then(
+      () =>
+      {
+        // Prune removed devices from our device index map
+        for (key in deviceIndexMap)
         {
-          byHwAddr[elem.family][elem.mac] = elem;
+          // If we didn't see this device this time...
+          if (! seen[key])
+          {
+            // ... then delete it
+            delete deviceIndexMap[key];
+          }
         }
-      });
-  }
 
-  // Give 'em the three maps
-  ret = { networkInterfaces, byIpAddr, byHwAddr };
-  return ret;
+        return devices;
+      });
 }
 
-
-/*
- * Map a length-17 string representation of a mac address, e.g.,
- * "00:11:22:33:44:55", to a string of six 8-bit values.
+/**
+ * Get the list of disk partitions, from /proc/partitions
+ *
+ * @return {Array}
+ *   One map per partition, with members `name` (its kernel name, e.g.,
+ *   "sda1"), `disk` (the kernel name of the disk containing it), `index`
+ *   (its partition number), `dev` (its device number, as "major:minor"),
+ *   and `size` (in KBytes)
  */
-function hexToBinaryHwAddr(s)
+async function getPartitions()
 {
-  // Get an array of strings by splitting at every 2 characters, and
-  // then parse each pair of hex characters into an integer. Finally
-  // combine those 8-bit numbers back into a string, assuming each
-  // 8-bit number is the byte value
-  return Buffer.from(s.split(":").map(v => parseInt(v, 16)));
+  return Promise.resolve()
+    .then(() => fsp.readFile("/proc/partitions"))
+    .then(
+      (content) =>
+      {
+        // Skip the header and the blank line following it
+        const           lines =
+          content.toString().split("\n").slice(2).filter((line) => line);
+
+        return Promise.all(
+          lines.map(
+            (line) =>
+            {
+              const           [ major, minor, blocks, name ] =
+                line.trim().split(/\s+/);
+
+              // Slashes in device names are replaced by "!" in sysfs
+              const           dir =
+                `/sys/class/block/${name.replace(/\//g, "!")}`;
+
+              return Promise.allSettled(
+                [
+                  fsp.readFile(`${dir}/partition`),
+                  fsp.realpath(dir)
+                ])
+                .then(
+                  ([ partition, path ]) =>
+                  {
+                    // Whole disks have no partition number
+                    if (partition.status != "fulfilled" ||
+                        path.status != "fulfilled")
+                    {
+                      return null;
+                    }
+
+                    // A partition's sysfs directory is within its disk's
+                    return (
+                      {
+                        name,
+                        disk  :
+                          path.value.split("/").slice(-2)[0]
+                            .replace(/!/g, "/"),
+                        index : +partition.value.toString().trim(),
+                        dev   : `${major}:${minor}`,
+                        size  : +blocks
+                      });
+                  });
+            }));
+      })
+    .then((partitions) => partitions.filter((partition) => partition));
 }
 
 
 /**
- * Convert a hex IPv4 address, which is in reverse order, into its
- * normal dotted-decimal IPv4 address format.
+ * Get the list of file systems for hrFSTable, i.e., the mounted file
+ * systems which are storage
  *
- * @param hex {String}
- *   The hex string to be convert to standard IP address format
+ * @return {Array}
+ *   One map per file system, with members `index` (its hrFSIndex), `mount`
+ *   (the mount, as returned by `getMounts`), `storageIndex` (its
+ *   hrStorageIndex, or zero if it has none), and `dev` (the device number
+ *   of the file system, as "major:minor", or null if it can't be
+ *   determined)
  */
-function hexToIp4(hex)
+async function getFileSystems()
 {
-  let             ip = [];
+  let             key;
+  let             seen = {};
 
-  // Pad the hex string on the left, to ensure we have exactly 8 nibbles
-  hex = ("00000000" + hex).substr(-8);
+  return Promise.resolve()
+    .then(() => getStorageInfo())    // bring storageIndexMap up to date
+    .then(() => getStorageMounts())
+    .then(
+      (mounts) =>
+      {
+        return Promise.allSettled(
+          mounts.map(
+            (mount) => fsp.stat(mount.mountPoint, { bigint : true })))
+          .then(
+            (results) =>
+            {
+              return mounts.map(
+                (mount, i) =>
+                {
+                  let             dev = null;
+                  let             major;
+                  let             minor;
 
-  // Split it ito its four components and reverse the order
-  ip.unshift(hex.substr(0, 2));
-  ip.unshift(hex.substr(2, 2));
-  ip.unshift(hex.substr(4, 2));
-  ip.unshift(hex.substr(6, 2));
+                  // Keep track of a unique index for this mount point, for
+                  // as long as it is mounted
+                  if (! fsIndexMap[mount.mountPoint])
+                  {
+                    fsIndexMap[mount.mountPoint] = nextFsIndex++;
+                  }
+
+                  // Mark as seen this time, allowing pruning unmounted
+                  // file systems
+                  seen[mount.mountPoint] = true;
+
+                  // Split the device number into its major and minor
+                  // numbers, as glibc's major() and minor() do
+                  if (results[i].status == "fulfilled")
+                  {
+                    const           st_dev = results[i].value.dev;
+
+                    major =
+                      ((st_dev >> 8n) & 0xfffn) |
+                      ((st_dev >> 32n) & ~0xfffn);
+                    minor =
+                      (st_dev & 0xffn) |
+                      ((st_dev >> 12n) & ~0xffn);
+                    dev = `${major}:${minor}`;
+                  }
 
-  // Map each two-character hex string to a number
-  ip = ip.map(v => parseInt(v, 16));
+                  return (
+                    {
+                      index        : fsIndexMap[mount.mountPoint],
+                      mount,
+                      storageIndex : storageIndexMap[mount.mountPoint] || 0,
+                      dev
+                    });
+                });
+            });
+      })
+    .then(
+      (fileSystems) =>
+      {
+        // Prune unmounted file systems from our file system index map
+        for (key in fsIndexMap)
+        {
+          // If we didn't see this mount point this time...
+          if (! seen[key])
+          {
+            // ... then delete it
+            delete fsIndexMap[key];
+          }
+        }
 
-  // Join it back together into IP address format
-  return ip.join(".");
+        return fileSystems;
+      });
 }
 
 /**
- * Get information about all IPv4 routes
+ * Read the installed packages from the dpkg database
+ *
+ * @param path {String}
+ *   The path of dpkg's status file
+ *
+ * @return {Array}
+ *   One map per installed package, with members `name`, `bKernel`
+ *   (whether it is a kernel package), and `date` (its installation date,
+ *   or null if unknown)
  */
-async function getRouteInfo4()
+async function readDpkgDatabase(path)
 {
-  let             routes = [];
-
   return Promise.resolve()
-    .then(() => addIfIndexes())
-    .then(() => fsp.readFile("/proc/net/route"))
-    .then((content) => content.toString().split("\n"))
+    .then(() => fsp.readFile(path))
     .then(
-      (lines) =>
+      (content) =>
       {
-        lines.forEach(
-          (line, i) =>
-          {
-            let             entry;
-            let             fields;
-
-            // Skip the first line, which is the field name definition
-            if (i === 0)
+        // Each package's information is in a separate paragraph
+        const           packages = content.toString().split(/\n\n+/)
+          .map(
+            (paragraph) =>
             {
-              return;
-            }
-
-            // If the line is empty, e.g., last line, we have nothing to do
-            if (line.length === 0)
-            {
-              return;
-            }
-
-            // Split the line on whitespace
-            fields = line.split(/\s+/g);
-
-            // Add a route entry with the fields identified
-            entry =
-              {
-                interface      : fields[0], // also used for interfaceIndex
-                interfaceIndex : ifIndexMap[fields.shift()], // [interface]
-                destination    : hexToIp4(fields.shift()),
-                gateway        : hexToIp4(fields.shift()),
-                flags          : parseInt(fields.shift(), 16),
-                refcount       : +fields.shift(),
-                use            : +fields.shift(),
-                metric         : +fields.shift(),
-                mask           : hexToIp4(fields.shift())
-              };
+              let             fields = {};
 
-            // Delete irrelevant/unused fields
-            delete entry.refcount;
-            delete entry.use;
+              // Ignore continuation lines, which begin with white space
+              paragraph.split("\n").forEach(
+                (line) =>
+                {
+                  const           match = line.match(/^([^\s:]+):\s*(.*)$/);
 
-            // Add this entry to the results
-            routes.push(entry);
-          });
+                  if (match)
+                  {
+                    fields[match[1]] = match[2];
+                  }
+                });
 
-        return routes;
+              return fields;
+            })
+          .filter(
+            (fields) =>
+              fields.Package &&
+              /(^| )installed$/.test(fields.Status || ""));
+
+        // dpkg keeps no installation date. The file listing the package's
+        // files is written when the package is installed, so use its
+        // modification time. For packages which may be installed for
+        // several architectures, the file name includes the architecture.
+        return Promise.all(
+          packages.map(
+            (fields) =>
+            {
+              const           info = "/var/lib/dpkg/info";
+
+              return Promise.allSettled(
+                [
+                  fsp.stat(`${info}/${fields.Package}.list`),
+                  fsp.stat(
+                    `${info}/${fields.Package}:${fields.Architecture}.list`)
+                ])
+                .then(
+                  (results) =>
+                  {
+                    const           stat = results.find(
+                      (result) => result.status == "fulfilled");
+
+                    return (
+                      {
+                        name    :
+                          [
+                            fields.Package,
+                            fields.Version,
+                            fields.Architecture
+                          ].join("_"),
+                        bKernel : fields.Section == "kernel",
+                        date    : stat ? stat.value.mtime : null
+                      });
+                  });
+            }));
       });
 }
 
 
 /**
- * Get information about all IPv4 TCP connections
+ * Read the installed packages from the RPM database. The database format
+ * is private to RPM, so it is read using the `rpm` command; if that is not
+ * available, no packages are returned.
  *
- * @param bResolve {Boolean}
-  *   If true, attempt to resolve each remote address and create, in each
- *   resolvable entry, an array called `tcpConnRemHosts` with the host names
- *   for that address.
+ * @param path {String}
+ *   The path of the RPM database file (unused, as `rpm` locates it)
+ *
+ * @return {Array}
+ *   One map per installed package, with members `name`, `bKernel`
+ *   (whether it is a kernel package), and `date` (its installation date)
  */
-async function getTcpConns4(bResolve)
+async function readRpmDatabase(path)
 {
-  let             conns = [];
+  const           execFile = require("util").promisify(
+    require("child_process").execFile);
 
   return Promise.resolve()
-    .then(() => fsp.readFile("/proc/net/tcp"))
-    .then((content) => content.toString().split("\n"))
     .then(
-      async (lines) =>
+      () => execFile(
+        "rpm",
+        [
+          "--query",
+          "--all",
+          "--queryformat",
+          "%{NAME}\\t%{VERSION}\\t%{RELEASE}\\t%{ARCH}\\t%{INSTALLTIME}\\n"
+        ],
+        { maxBuffer : 64 * 1024 * 1024 }))
+    .then(
+      ({ stdout }) =>
       {
-        lines.forEach(
-          (line, i) =>
-          {
-            let             addr;
-            let             port;
-            let             state;
-            let             fields;
-            let             entry = {};
-            const           ConnState = TcpConnEntry_CONNECTION_STATE;
-            const           linuxToRfc1213ConnStateMap =
-                  {
-                    1  : ConnState.Established,     // TCP_ESTABLISHED
-                    2  : ConnState.SynSent,         // TCP_SYN_SENT
-                    3  : ConnState.SynReceived,     // TCP_SYN_RECV
-                    4  : ConnState.FinWait1,        // TCP_FIN_WAIT1
-                    5  : ConnState.FinWait2,        // TCP_FIN_WAIT2
-                    6  : ConnState.TimeWait,        // TCP_TIME_WAIT
-                    7  : ConnState.Closed,          // TCP_CLOSE
-                    8  : ConnState.CloseWait,       // TCP_CLOSE_WAIT
-                    9  : ConnState.LastAck,         // TCP_LAST_ACK
-                    10 : ConnState.Listen,          // TCP_LISTEN
-                    11 : ConnState.Closing,         // TCP_CLOSING,
-                    12 : ConnState.NewSynReceived   // TCP_NEW_SYN_RECV
-                  };
-
-            // Skip the first line, which is the field name definition
-            if (i === 0)
-            {
-              return;
-            }
-
-            // If the line is empty, e.g., last line, we have nothing to do
-            if (line.length === 0)
+        return stdout.split("\n")
+          .filter((line) => line.length > 0)
+          .map(
+            (line) =>
             {
-              return;
-            }
+              const           [ name, version, release, arch, installTime ] =
+                line.split("\t");
 
-            // Split off the entry number. I *usually* has leading
-            // spaces, but we may not be able to count on that, so
-            // split initially at the first colon
-            line = line.replace(/^[^:]*: *(.*)/, "$1");
+              return (
+                {
+                  name    : `${name}-${version}-${release}.${arch}`,
+                  bKernel : /^kernel(-|$)/.test(name),
+                  date    : new Date(installTime * 1000)
+                });
+            });
+      })
+    .catch(
+      () =>
+      {
+        // Without the `rpm` command, the database can't be read
+        return [];
+      });
+}
 
-            // Split the line on whitespace
-            fields = line.split(/\s+/g);
 
-            // Split the local address and port apart
-            [ addr, port ] = fields.shift().split(":");
-            entry.tcpConnLocalAddress = hexToIp4(addr);
-            entry.tcpConnLocalPort = parseInt(port, 16);
+/**
+ * Get the installed software, from the package databases. The packages
+ * are cached, and the databases are read again only when one of them has
+ * been modified. Overlapping calls share a single update.
+ *
+ * @param startTime {Date}
+ *   The time from which sysUpTime is measured
+ *
+ * @return {Map}
+ *   A map with members `packages` (one map per installed package, with
+ *   members `index`, `name`, `bKernel`, and `date`), `lastChange` (the
+ *   value of sysUpTime when a package was last installed or removed, or
+ *   zero if none has been since startup), and `lastUpdateTime` (the value
+ *   of sysUpTime when the databases were last read)
+ */
+async function getInstalledSoftware(startTime)
+{
+  if (! installedSoftwarePending)
+  {
+    installedSoftwarePending =
+      updateInstalledSoftware(startTime)
+        .finally(() => installedSoftwarePending = null);
+  }
 
-            // Similarly for the remote address and port
-            [ addr, port ] = fields.shift().split(":");
-            entry.tcpConnRemAddress = hexToIp4(addr);
-            entry.tcpConnRemPort = parseInt(port, 16);
+  return installedSoftwarePending;
+}
 
-            // Get the connection state
-            state = linuxToRfc1213ConnStateMap[parseInt(fields.shift(), 16)];
-            entry.tcpConnState = state;
 
-            // Add this entry to the return result
-            conns.push(entry);
-          });
+/**
+ * Update the cached installed software, if any package database has been
+ * modified since it was last read. See `getInstalledSoftware`.
+ */
+async function updateInstalledSoftware(startTime)
+{
+  let             databases;
+  let             signature;
+  let             getUpTime = () =>
+  {
+    return Math.floor((Date.now() - startTime.getTime()) / 10) %
+      COUNTER_WRAP_AT;
+  };
 
-        return conns;
+  return Promise.resolve()
+    .then(
+      () =>
+      {
+        // Find the modification time of each database that exists
+        return Promise.all(
+          installedSoftwareDatabases.map(
+            (database) =>
+            {
+              return Promise.allSettled(
+                database.paths.map((path) => fsp.stat(path)))
+                .then(
+                  (results) =>
+                  {
+                    const           i = results.findIndex(
+                      (result) => result.status == "fulfilled");
+
+                    if (i < 0)
+                    {
+                      return null;
+                    }
+
+                    return (
+                      {
+                        path  : database.paths[i],
+                        mtime : results[i].value.mtimeMs,
+                        read  : database.read
+                      });
+                  });
+            }));
       })
     .then(
-      (conns) =>
+      (found) =>
       {
-        let             promises;
-        let             Resolver;
-        let             resolver;
+        databases = found.filter((database) => database);
+        signature = databases
+          .map((database) => `${database.path}:${database.mtime}`)
+          .join(" ");
 
-        // If we weren't asked to resolve, we're done
-        if (! bResolve)
+        // If no database has been modified, the cache is still good
+        if (installedSoftware && installedSoftware.signature == signature)
         {
-          return conns;
+          return installedSoftware;
         }
 
-        // Prepare to resolve
-        promises = [];
-        Resolver = require("dns").promises.Resolver;
-        resolver = new Resolver();
-
-        conns.forEach(
-          (conn) =>
-          {
-            // Create an array of promises with the reverse resolve
-            promises.push(
-              resolver.reverse(conn.tcpConnRemAddress)
-                .then(
-                  (hosts) =>
+        return Promise.all(
+          databases.map((database) => database.read(database.path)))
+          .then(
+            (results) =>
+            {
+              let             key;
+              let             seen = {};
+              let             bChanged = false;
+              const           packages = [].concat(...results);
+
+              // Keep track of a unique index for each package, for as long
+              // as it remains installed
+              packages.forEach(
+                (pkg) =>
+                {
+                  if (! installedIndexMap[pkg.name])
                   {
-                    conn.tcpConnRemHosts = hosts;
-                  }));
-          });
+                    installedIndexMap[pkg.name] = nextInstalledIndex++;
+                    bChanged = true;
+                  }
 
-        // Await all resolving. We ignore any failures (unable to resolve)
-        return Promise.allSettled(promises)
-          .then(() => conns);
+                  seen[pkg.name] = true;
+                  pkg.index = installedIndexMap[pkg.name];
+                });
+
+              // Prune removed packages from our installed index map
+              for (key in installedIndexMap)
+              {
+                if (! seen[key])
+                {
+                  delete installedIndexMap[key];
+                  bChanged = true;
+                }
+              }
+
+              installedSoftware =
+                {
+                  signature,
+                  packages,
+
+                  // The initial reading of the databases isn't a change
+                  lastChange     :
+                    (installedSoftware
+                     ? (bChanged ? getUpTime() : installedSoftware.lastChange)
+                     : 0),
+                  lastUpdateTime : getUpTime()
+                };
+
+              return installedSoftware;
+            });
       });
 }
 
+
 /**
- * Get information about IPv4 UDP listeners
+ * Read a numeric sysfs attribute
  *
- * @param bResolve {Boolean}
- *   If true, attempt to resolve each remote address and create, in each
- *   resolvable entry, an array called `udpRemHosts` with the host names for
- *   that address.
+ * @param path {String}
+ *   The path of the attribute
+ *
+ * @return {Number?}
+ *   The attribute's value, or null if it does not exist or could not be
+ *   read
  */
-async function getUdpListeners4(bResolve)
+async function readSysfsNumber(path)
 {
-  let             listeners = [];
-  
   return Promise.resolve()
-    .then(() => fsp.readFile("/proc/net/udp"))
-    .then((content) => content.toString().split("\n"))
+    .then(() => fsp.readFile(path))
     .then(
-      async (lines) =>
+      (content) =>
       {
-        lines.forEach(
-          (line, i) =>
-          {
-            let             addr;
-            let             port;
-            let             fields;
-            let             entry = {};
-
-            // Skip the first line, which is the field name definition
-            if (i === 0)
-            {
-              return;
-            }
-
-            // If the line is empty, e.g., last line, we have nothing to do
-            if (line.length === 0)
-            {
-              return;
-            }
-
-            // Split off the entry number. I *usually* has leading
-            // spaces, but we may not be able to count on that, so
-            // split initially at the first colon
-            line = line.replace(/^[^:]*: *(.*)/, "$1");
+        const           value = parseInt(content.toString(), 10);
 
-            // Split the line on whitespace
-            fields = line.split(/\s+/g);
+        return isNaN(value) ? null : value;
+      })
+    .catch(() => null);
+}
 
-            // Split the local address and port apart
-            [ addr, port ] = fields.shift().split(":");
-            entry.udpLocalAddress = hexToIp4(addr);
-            entry.udpLocalPort = parseInt(port, 16);
 
-            // Similarly for the remote address and port
-            [ addr, port ] = fields.shift().split(":");
-            entry.udpRemAddress = hexToIp4(addr);
-            entry.udpRemPort = parseInt(port, 16);
+/**
+ * Get the sensors of one hwmon chip
+ *
+ * @param hwmon {String}
+ *   The chip's name in /sys/class/hwmon, e.g., "hwmon0"
+ *
+ * @return {Array}
+ *   The chip's sensors. See `getSensors`.
+ */
+async function getHwmonSensors(hwmon)
+{
+  let             dir = `/sys/class/hwmon/${hwmon}`;
+  let             chip;
+  let             pciAddress;
 
-            // Add this entry to the return result
-            listeners.push(entry);
-          });
+  return Promise.resolve()
+    .then(
+      () =>
+      {
+        return Promise.all(
+          [
+            fsp.readFile(`${dir}/name`),
+            getPciAddress(`${dir}/device`)
+          ]);
+      })
+    .then(
+      ([ name, address ]) =>
+      {
+        chip = name.toString().trim();
+        pciAddress = address;
+      })
+    .then(() => fsp.readdir(dir))
+    .then(
+      (files) =>
+      {
+        // Older drivers provide their attributes in the device directory
+        if (! files.some((file) => file.endsWith("_input")))
+        {
+          dir = `${dir}/device`;
+          return fsp.readdir(dir).catch(() => []);
+        }
 
-        return listeners;
+        return files;
       })
     .then(
-      (listeners) =>
+      (files) =>
       {
-        let             promises;
-        let             Resolver;
-        let             resolver;
+        const           re = /^(temp|fan|in|power|curr)([0-9]+)_input$/;
+
+        return Promise.all(
+          files
+            .map((file) => re.exec(file))
+            .filter((match) => match)
+            .map(
+              ([ , type, n ]) =>
+              {
+                const           prefix = `${dir}/${type}${n}`;
 
-        // If we weren't asked to resolve, we're done
-        if (! bResolve)
+                return Promise.all(
+                  [
+                    fsp.readFile(`${prefix}_label`).catch(() => null),
+                    readSysfsNumber(`${prefix}_input`),
+                    readSysfsNumber(`${prefix}_min`),
+                    readSysfsNumber(`${prefix}_max`),
+                    readSysfsNumber(`${prefix}_crit`),
+                    readSysfsNumber(`${prefix}_fault`)
+                  ])
+                  .then(
+                    ([ label, value, min, max, crit, fault ]) =>
+                    {
+                      return (
+                        {
+                          key    : `${hwmon}/${type}${n}`,
+                          type,
+                          chip,
+                          label  :
+                            (label
+                             ? label.toString().trim()
+                             : `${type}${n}`),
+                          value,
+                          min,
+                          max,
+                          crit,
+                          bFault : !! fault,
+                          pciAddress
+                        });
+                    });
+              }));
+      })
+    .catch(
+      (e) =>
+      {
+        // The chip may have gone away, or have no name. Skip it.
+        return [];
+      });
+}
+
+
+/**
+ * Get the sensor of one thermal zone. Its `max` and `crit` thresholds are
+ * the temperatures of its "hot" and "critical" trip points.
+ *
+ * Most thermal zones also register a hwmon chip, e.g., "acpitz", which is
+ * a child of the zone's directory. The sensor of such a zone is already
+ * among the hwmon sensors, so it is not returned again here.
+ *
+ * @param zone {String}
+ *   The zone's name in /sys/class/thermal, e.g., "thermal_zone0"
+ *
+ * @return {Array}
+ *   The zone's sensor, as the array's single element, or an empty array
+ *   if the zone has a hwmon chip. See `getSensors`.
+ */
+async function getThermalZoneSensors(zone)
+{
+  const           dir = `/sys/class/thermal/${zone}`;
+
+  return Promise.all(
+    [
+      fsp.readFile(`${dir}/type`),
+      readSysfsNumber(`${dir}/temp`),
+      fsp.readdir(dir)
+    ])
+    .then(
+      ([ type, value, files ]) =>
+      {
+        let             trips;
+
+        // This zone's sensor is provided by its hwmon chip
+        if (files.some((file) => /^hwmon[0-9]+$/.test(file)))
         {
-          return listeners;
+          return [];
         }
 
-        // Prepare to resolve
-        promises = [];
-        Resolver = require("dns").promises.Resolver;
-        resolver = new Resolver();
+        trips =
+          files
+            .map((file) => /^trip_point_([0-9]+)_type$/.exec(file))
+            .filter((match) => match)
+            .map(
+              ([ file, n ]) =>
+              {
+                return Promise.all(
+                  [
+                    fsp.readFile(`${dir}/${file}`),
+                    readSysfsNumber(`${dir}/trip_point_${n}_temp`)
+                  ])
+                  .then(
+                    ([ tripType, temp ]) =>
+                    {
+                      return { type : tripType.toString().trim(), temp };
+                    });
+              });
+
+        return Promise.all(trips)
+          .then(
+            (trips) =>
+            {
+              const           getTripTemp =
+                (tripType) =>
+                {
+                  const           trip =
+                    trips.find((trip) => trip.type == tripType);
 
-        listeners.forEach(
-          (listener) =>
-          {
-            // Create an array of promises with the reverse resolve
-            promises.push(
-              resolver.reverse(listener.udpRemAddress)
-                .then(
-                  (hosts) =>
-                  {
-                    listener.udpRemHosts = hosts;
-                  }));
-          });
+                  return trip ? trip.temp : null;
+                };
 
-        // Await all resolving. We ignore any failures (unable to resolve)
-        return Promise.allSettled(promises)
-          .then(() => listeners);
+              return (
+                [
+                  {
+                    key        : zone,
+                    type       : "temp",
+                    chip       : zone,
+                    label      : type.toString().trim(),
+                    value,
+                    min        : null,
+                    max        : getTripTemp("hot"),
+                    crit       : getTripTemp("critical"),
+                    bFault     : false,
+                    pciAddress : null
+                  }
+                ]);
+            });
+      })
+    .catch(
+      (e) =>
+      {
+        // The zone may have gone away. Skip it.
+        return [];
       });
 }
 
 
-/*
- * Retrieve all information available from /proc/net/snmp6
+/**
+ * Get the hardware sensors, from /sys/class/hwmon and /sys/class/thermal
+ *
+ * @return {Array}
+ *   One map per sensor, with members `key` (a unique identifier of the
+ *   sensor), `type` ("temp", "fan", "in", "power", or "curr"), `chip`
+ *   (the hwmon chip or thermal zone name), `label`, `value`, `min`, `max`,
+ *   and `crit` (in hwmon's units, or null if not available), `bFault`, and
+ *   `pciAddress` (that of the PCI device providing the sensor, or null)
  */
-async function getNetSnmpInfo6(ifName)
+async function getSensors()
 {
-  let             result = {};
-
-  return Promise.resolve()
-    .then(() => fsp.readFile(`/proc/net/dev_snmp6/${ifName}`))
-    .then((content) => content.toString().split("\n"))
+  return Promise.all(
+    [
+      fsp.readdir("/sys/class/hwmon")
+        .catch(() => [])
+        .then((hwmons) => Promise.all(hwmons.map(getHwmonSensors))),
+
+      fsp.readdir("/sys/class/thermal")
+        .catch(() => [])
+        .then(
+          (names) =>
+          {
+            return Promise.all(
+              names
+                .filter((name) => name.startsWith("thermal_zone"))
+                .map(getThermalZoneSensors));
+          })
+    ])
     .then(
-      (lines) =>
+      ([ hwmonSensors, zoneSensors ]) =>
       {
-        lines.forEach(
-          (line) =>
-          {
-            let             name;
-            let             value;
+        return [].concat(...hwmonSensors, ...zoneSensors);
+      });
+}
 
-            // An empty line signifies the end
-            line = line.trim();
-            if (line.length === 0)
-            {
-              return;
-            }
 
-            [ name, value ] = line.split(/\s+/);
-            result[name] = +value % COUNTER_WRAP_AT;
-          });
+/**
+ * Find the PCI device through which a device is attached
+ *
+ * @param path {String}
+ *   The sysfs path of the device, e.g., "/sys/block/sda/device"
+ *
+ * @return {String?}
+ *   The address of the PCI device nearest the device, in its sysfs path;
+ *   or null if the device doesn't exist or isn't attached via PCI
+ */
+async function getPciAddress(path)
+{
+  return Promise.resolve()
+    .then(() => fsp.realpath(path))
+    .then(
+      (realPath) =>
+      {
+        const           addresses =
+          realPath.match(/[0-9a-f]{4}:[0-9a-f]{2}:[0-9a-f]{2}\.[0-7]/g);
 
-        return result;
-      });
+        return addresses ? addresses[addresses.length - 1] : null;
+      })
+    .catch(() => null);
 }
 
 
-/*
- * Map a length-32 string IPv6 address (without colons) or a standard
- * IPv6 address (with colons) to a length-16 string of 8-bit values.
+/**
+ * Get the system's identification, from the DMI information in
+ * /sys/class/dmi/id. Some of it, e.g., the serial number, is readable only
+ * by root.
+ *
+ * @return {Map}
+ *   Members `vendor`, `product`, `version`, `serial`, and `biosVersion`,
+ *   each an empty string if not available
  */
-function hexToIp6(s)
+async function getDmiInfo()
 {
-  // If there are colons in the address, normalize it first
-  if (s.includes(":"))
-  {
-    s = require("ip6").normalize(s);
-  }
+  const           dir = "/sys/class/dmi/id";
+
+  return Promise.allSettled(
+    [
+      fsp.readFile(`${dir}/chassis_vendor`),
+      fsp.readFile(`${dir}/sys_vendor`),
+      fsp.readFile(`${dir}/product_name`),
+      fsp.readFile(`${dir}/product_version`),
+      fsp.readFile(`${dir}/product_serial`),
+      fsp.readFile(`${dir}/chassis_serial`),
+      fsp.readFile(`${dir}/bios_version`)
+    ])
+    .then(
+      (results) =>
+      {
+        const           [ chassisVendor, sysVendor, product, version,
+                          productSerial, chassisSerial, biosVersion ] =
+          results.map(
+            (result) =>
+            {
+              return (
+                result.status == "fulfilled"
+                  ? result.value.toString().trim()
+                  : "");
+            });
 
-  // Get an array of strings by splitting at every 2 characters, and
-  // then parse each pair of hex characters into an integer. Finally
-  // combine those 8-bit numbers back into a string, assuming each
-  // 8-bit number is the byte value, and convert to Buffer.
-  return (
-    Buffer.from(
-      s
-        .replace(/:/g, "")
-        .match(/.{2}/g)
-        .map(v => parseInt(v, 16))));
+        return (
+          {
+            vendor      : chassisVendor || sysVendor,
+            product,
+            version,
+            serial      : productSerial || chassisSerial,
+            biosVersion
+          });
+      });
 }
 
 
 /**
- * Get information about all IPv6 routes
+ * Get the list of physical entities for entPhysicalTable: the chassis,
+ * containing processors, PCI devices, disks, network ports, and hardware
+ * sensors. Disks, network ports, and sensors attached via a PCI device are
+ * contained in that device.
+ *
+ * @param startTime {Date}
+ *   The time at which this library instance started, for calculating the
+ *   sysUpTime of changes to the physical entities
+ *
+ * @return {Array}
+ *   One map per physical entity, with members `index`, `class`, `descr`,
+ *   `name`, `containedIn`, and `relPos`, and, where known, `hardwareRev`,
+ *   `firmwareRev`, `serialNum`, `mfgName`, and `modelName`, corresponding
+ *   to entPhysicalTable columns. Network ports additionally have an
+ *   `ifIndex` member, their interface's ifIndex; and sensors a `sensor`
+ *   member, the sensor as returned by `getSensors`.
  */
-async function getRouteInfo6()
+async function getPhysicalEntities(startTime)
 {
   let             key;
-  let             routes = [];
+  let             entities = [];
+  let             seen = {};
+  let             bChanged = false;
+
+  // Add an entity, keeping track of a unique index for it for as long as
+  // it's present. Its container is given by the container's key.
+  let             addEntity = (key, parent, entity) =>
+  {
+    if (! physicalIndexMap[key])
+    {
+      physicalIndexMap[key] = nextPhysicalIndex++;
+      bChanged = true;
+    }
+
+    // Mark as seen this time, allowing pruning removed entities. This is
+    // kept locally, as several tables may be enumerating entities at once.
+    seen[key] = true;
+
+    entity.index = physicalIndexMap[key];
+    entity.parent = parent;
+    entities.push(entity);
+  };
+
+  // Get the key of the PCI device with the given address, if it's one of
+  // our entities; otherwise, that of the chassis
+  let             getContainer = (pciAddress) =>
+  {
+    return (
+      pciAddress && seen[`pci:${pciAddress}`]
+        ? `pci:${pciAddress}`
+        : "chassis");
+  };
 
   return Promise.resolve()
-    .then(() => addIfIndexes())
-    .then(() => fsp.readFile("/proc/net/ipv6_route"))
-    .then((content) => content.toString().split("\n"))
+    .then(() => getDmiInfo())
     .then(
-      (lines) =>
+      (dmi) =>
       {
-        lines.forEach(
-          (line, i) =>
+        addEntity(
+          "chassis",
+          null,
           {
-            let             entry;
-            let             fields;
-            let             routeIndex;
-
-            // If the line is empty, e.g., last line, we have nothing to do
-            if (line.length === 0)
+            class       : 3,    // chassis
+            descr       :
+              [ dmi.vendor, dmi.product ]
+                .filter((value) => value.length > 0)
+                .join(" ") || "Chassis",
+            name        : "chassis",
+            hardwareRev : dmi.version,
+            firmwareRev : dmi.biosVersion,
+            serialNum   : truncateOctets(dmi.serial, 32),
+            mfgName     : dmi.vendor,
+            modelName   : dmi.product
+          });
+      })
+    .then(() => getProcessors())
+    .then(
+      (processors) =>
+      {
+        processors.forEach(
+          (processor) =>
+          {
+            addEntity(
+              `cpu:${processor.cpu}`,
+              "chassis",
+              {
+                class : 12,     // cpu
+                descr : processor.descr,
+                name  : `cpu${processor.cpu}`
+              });
+          });
+      })
+    .then(() => getPciDevices())
+    .then(
+      (pciDevices) =>
+      {
+        pciDevices.forEach(
+          (pciDevice) =>
+          {
+            addEntity(
+              `pci:${pciDevice.address}`,
+              "chassis",
+              {
+                class     : 9,  // module
+                descr     : pciDevice.descr,
+                name      : pciDevice.address,
+                mfgName   : pciDevice.manufacturer,
+                modelName : pciDevice.deviceName
+              });
+          });
+      })
+    .then(() => getDisks())
+    .then(
+      (disks) =>
+      {
+        return Promise.all(
+          disks.map(
+            (disk) => getPciAddress(`/sys/block/${disk.name}/device`)))
+          .then(
+            (pciAddresses) =>
             {
-              return;
-            }
-
-            // Keep track of a unique integer that identifies this
-            // route for the lifetime of the route
-            if (ipv6RouteMap[line])
+              disks.forEach(
+                (disk, i) =>
+                {
+                  addEntity(
+                    `disk:${disk.name}`,
+                    getContainer(pciAddresses[i]),
+                    {
+                      class : 1, // other
+                      descr : disk.descr,
+                      name  : disk.name
+                    });
+                });
+            });
+      })
+    .then(() => addIfIndexes())
+    .then(
+      (ifNames) =>
+      {
+        // Only interfaces with an underlying device, e.g., a PCI, USB, or
+        // SoC network adapter, have a physical port. It's contained in the
+        // PCI device through which it's attached, if any.
+        return Promise.all(
+          ifNames.map(
+            (ifName) =>
             {
-              routeIndex = ipv6RouteMap[line].routeIndex;
-            }
-            else
+              const           path = `/sys/class/net/${ifName}/device`;
+
+              return fsp.access(path)
+                .then(() => getPciAddress(path))
+                .then((pciAddress) => ({ pciAddress }))
+                .catch(() => null);
+            }))
+          .then(
+            (devices) =>
             {
-              routeIndex = nextIpv6RouteIndex++;
-              ipv6RouteMap[line] = { routeIndex };
-            }
-
-            // Mark route as seen this time, allowing pruning deleted routes
-            ipv6RouteMap[line].bSeen = true;
-
-            // Split the line on whitespace
-            fields = line.split(/\s+/g);
+              ifNames.forEach(
+                (ifName, i) =>
+                {
+                  if (! devices[i])
+                  {
+                    return;
+                  }
 
-            // Add a route entry with the fields identified
-            entry =
+                  addEntity(
+                    `port:${ifName}`,
+                    getContainer(devices[i].pciAddress),
+                    {
+                      class   : 10, // port
+                      descr   : `network interface ${ifName}`,
+                      name    : ifName,
+                      ifIndex : ifIndexMap[ifName]
+                    });
+                });
+            });
+      })
+    .then(() => getSensors())
+    .then(
+      (sensors) =>
+      {
+        sensors.forEach(
+          (sensor) =>
+          {
+            addEntity(
+              `sensor:${sensor.key}`,
+              getContainer(sensor.pciAddress),
               {
-                routeIndex    : routeIndex,
-                destNetwork   : hexToIp6(fields.shift()),
-                destPrefix    : parseInt(fields.shift(), 16),
-                sourceNetwork : hexToIp6(fields.shift()),
-                sourcePrefix  : parseInt(fields.shift(), 16),
-                nextHop       : hexToIp6(fields.shift()),
-                metric        : parseInt(fields.shift(), 16),
-                refcount      : parseInt(fields.shift(), 16),
-                usecount      : parseInt(fields.shift(), 16),
-                flags         : parseInt(fields.shift(), 16),
-                interface     : fields.shift()
-              };
+                class  : 8,     // sensor
+                descr  : `${sensor.chip} ${sensor.label}`,
+                name   : sensor.label,
+                sensor
+              });
+          });
+      })
+    .then(
+      () =>
+      {
+        let             siblings = {};
 
-            // Determine the interface index from the interface name
-            entry.interfaceIndex = ifIndexMap[entry.interface];
+        // Resolve each entity's container, and number it among those of
+        // its class in the same container
+        entities.forEach(
+          (entity) =>
+          {
+            if (! entity.parent)
+            {
+              entity.containedIn = 0;
+              entity.relPos = -1;
+              return;
+            }
 
-            // Delete irrelevant/unused fields
-            delete entry.refcount;
-            delete entry.use;
+            key = `${entity.parent}/${entity.class}`;
+            siblings[key] = (siblings[key] || 0) + 1;
 
-            // Add this entry to the results
-            routes.push(entry);
+            entity.containedIn = physicalIndexMap[entity.parent];
+            entity.relPos = siblings[key];
           });
 
-        // Prune obsolete routes from our route map
-        for (key in ipv6RouteMap)
+        // Prune removed entities from our physical index map
+        for (key in physicalIndexMap)
         {
-          // If we didn't see this route this time...
-          if (! ipv6RouteMap[key].bSeen)
-          {
-            // ... then delete it
-            delete ipv6RouteMap[key];
-          }
-          else
+          if (! seen[key])
           {
-            // Otherwise, just delete the seen flag
-            delete ipv6RouteMap[key].bSeen;
+            delete physicalIndexMap[key];
+            bChanged = true;
           }
         }
 
-        return routes;
+        // The initial enumeration of entities isn't a change
+        if (bChanged && bPhysicalIndexMapPrimed)
+        {
+          physicalLastChange =
+            Math.floor((Date.now() - startTime.getTime()) / 10);
+        }
+
+        bPhysicalIndexMapPrimed = true;
+
+        return entities;
       });
 }
 
 
+/**
+ * Get the readable sensors of the given types, for the LM-SENSORS-MIB
+ * tables
+ *
+ * @param types {Array}
+ *   The sensor types to include, e.g., [ "temp" ]
+ *
+ * @param startTime {Date}
+ *   The time at which this library instance started
+ *
+ * @return {Array}
+ *   One map per sensor, with members `index` (its entPhysicalIndex),
+ *   `device` (its label), and `value` (in thousandths of a degree, volt,
+ *   watt, or ampere, or in RPM, clamped to the range of Gauge32)
+ */
+async function getLmSensors(types, startTime)
+{
+  return Promise.resolve()
+    .then(() => getPhysicalEntities(startTime))
+    .then(
+      (entities) =>
+      {
+        return entities
+          .filter(
+            (entity) =>
+            {
+              return (
+                entity.sensor &&
+                types.includes(entity.sensor.type) &&
+                entity.sensor.value !== null);
+            })
+          .map(
+            (entity) =>
+            {
+              const           sensor = entity.sensor;
+              const           value =
+                Math.round(
+                  sensor.value / hwmonSensorTypes[sensor.type].divisor);
+
+              return (
+                {
+                  index  : entity.index,
+                  device : sensor.label,
+                  value  : Math.min(Math.max(value, 0), GAUGE_MAX)
+                });
+            });
+      });
+}
+
 
 module.exports = SnmpLinuxLib;
 
 module.exports.IpRouteTable_FLAGS            = IpRouteTable_FLAGS;
+module.exports.IpNetToMediaTable_ARP_FLAGS   = IpNetToMediaTable_ARP_FLAGS;
 module.exports.TcpConnEntry_CONNECTION_STATE = TcpConnEntry_CONNECTION_STATE;
+module.exports.HrStorageTypes                = HrStorageTypes;
+module.exports.HrDeviceTypes                 = HrDeviceTypes;
+module.exports.HrFSTypes                     = HrFSTypes;
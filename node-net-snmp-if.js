@@ -15,6 +15,32 @@ let             mib;
 let             linuxLib;
 const           snmp = require("net-snmp");
 
+/*
+ * The optional `config` argument configures the thresholds at which
+ * UCD-SNMP-MIB objects indicate errors, like the corresponding snmpd.conf
+ * directives, and the bridge described by BRIDGE-MIB. Its members, all
+ * optional, are:
+ *
+ *   disks
+ *     The disks to be monitored by dskTable, like the `disk` directive,
+ *     e.g., [ { path : "/", minimum : 100000 }, { path : "/var",
+ *     minPercent : 10 } ]. See SnmpLinuxLib's setDisks().
+ *
+ *   includeAllDisks
+ *     The minimum free space percentage with which to additionally
+ *     monitor all other local disks, like the `includeAllDisks` directive
+ *
+ *   load
+ *     The 1, 5, and 15 minute load average thresholds, like the `load`
+ *     directive, e.g., [ 12, 10, 5 ]
+ *
+ *   swap
+ *     The minimum available swap space, in kB, like the `swap` directive
+ *
+ *   bridge
+ *     The name of the Linux bridge to be described by BRIDGE-MIB, e.g.,
+ *     "br0". By default, it is the first bridge, by name.
+ */
 module.exports = async function(
   agent,
   sysDescr,
@@ -23,7 +49,8 @@ module.exports = async function(
   sysName,
   sysLocation,
   sysServices = Math.pow(2, 3-1) + Math.pow(2, 4-1), // layer 3+4,
-  pciIdPath = "/usr/share/misc/pci.ids")
+  pciIdPath = "/usr/share/misc/pci.ids",
+  config = {})
 {
   let             store;
   let             providers;
@@ -41,6 +68,34 @@ module.exports = async function(
     sysLocation,
     sysServices,
     pciIdPath);
+
+  // Apply the UCD-SNMP-MIB threshold configuration
+  if (config.disks)
+  {
+    linuxLib.setDisks(config.disks);
+  }
+
+  if (config.includeAllDisks !== undefined)
+  {
+    linuxLib.setIncludeAllDisks(config.includeAllDisks);
+  }
+
+  if (config.load)
+  {
+    linuxLib.setLaConfig(...config.load);
+  }
+
+  if (config.swap !== undefined)
+  {
+    linuxLib.setMemMinimumSwap(config.swap);
+  }
+
+  // Select the bridge described by BRIDGE-MIB
+  if (config.bridge)
+  {
+    linuxLib.setBridge(config.bridge);
+  }
+
   await linuxLib.init();
 
   function addSupportedScalarHandlers(providers)
@@ -68,6 +123,22 @@ module.exports = async function(
       });
   }
 
+  function hasForeignIndex(provider)
+  {
+    // Determine whether this table is indexed by another table's column
+    if (provider.type != snmp.MibProviderType.Table || ! provider.tableIndex)
+    {
+      return false;
+    }
+
+    return provider.tableIndex.some(
+      (index) =>
+      {
+        return ! provider.tableColumns.some(
+          (column) => column.name == index.columnName);
+      });
+  }
+
   // Create the module store which additionally reads in the
   // base modules
   store = snmp.createModuleStore();
@@ -75,34 +146,113 @@ module.exports = async function(
   mib.registerProviders(providers);
   addSupportedScalarHandlers(providers);
 
-  // Load non-base modules
+  // Load non-base modules. Some of these redefine objects that were
+  // already registered by an earlier module (e.g., IF-MIB's ifTable is
+  // the same as RFC1213-MIB's), so register only the new providers.
   [
+    "IANAifType-MIB",
+    "IF-MIB",
+    "EtherLike-MIB",
+    "BRIDGE-MIB",
+    "INET-ADDRESS-MIB",
+    "IP-MIB",
+    "IANA-RTPROTO-MIB",
+    "IP-FORWARD-MIB",
+    "TCP-MIB",
+    "UDP-MIB",
     "IPV6-TC",
     "IPV6-MIB",
     "IPV6-ICMP-MIB",
     "IPV6-TCP-MIB",
-    "IPV6-UDP-MIB"
+    "IPV6-UDP-MIB",
+    "HOST-RESOURCES-MIB",
+    "UCD-SNMP-MIB",
+    "UCD-DISKIO-MIB",
+    "SNMP-FRAMEWORK-MIB",
+    "ENTITY-MIB",
+    "ENTITY-SENSOR-MIB",
+    "LM-SENSORS-MIB",
+    "RMON-MIB",
+    "TOKEN-RING-RMON-MIB",
+    "RMON2-MIB",
+    "P-BRIDGE-MIB",
+    "Q-BRIDGE-MIB"
   ].forEach(
     (module) =>
     {
       store.loadFromFile(`${__dirname}/mibs/${module}.mib`);
-      providers = store.getProvidersForModule(module);
-      mib.registerProviders(providers);
+      providers = store.getProvidersForModule(module)
+        .filter((provider) => ! mib.getProvider(provider.name));
+
+      // A table's index may be a column of a table defined later in
+      // its module (e.g., Q-BRIDGE-MIB's dot1qTpGroupTable is indexed
+      // by dot1qVlanCurrentTable's dot1qVlanIndex), and it can be
+      // found only once that table is registered.
+      mib.registerProviders(
+        providers.filter((provider) => ! hasForeignIndex(provider)));
+      mib.registerProviders(providers.filter(hasForeignIndex));
       addSupportedScalarHandlers(providers);
     });
 
   // Add the table handlers
   addIfTableHandler(mib.getProvider("ifEntry"));
+  addIfXTableHandler(mib.getProvider("ifXEntry"));
+  addIfStackTableHandler(mib.getProvider("ifStackEntry"));
+  addDot3StatsTableHandler(mib.getProvider("dot3StatsEntry"));
+  addDot1dBasePortTableHandler(mib.getProvider("dot1dBasePortEntry"));
+  addDot1dStpPortTableHandler(mib.getProvider("dot1dStpPortEntry"));
+  addDot1dTpFdbTableHandler(mib.getProvider("dot1dTpFdbEntry"));
+  addDot1qVlanCurrentTableHandler(mib.getProvider("dot1qVlanCurrentEntry"));
+  addDot1qVlanStaticTableHandler(mib.getProvider("dot1qVlanStaticEntry"));
+  addDot1qPortVlanStatisticsTableHandler(
+    mib.getProvider("dot1qPortVlanStatisticsEntry"));
+  addDot1qPortVlanHCStatisticsTableHandler(
+    mib.getProvider("dot1qPortVlanHCStatisticsEntry"));
   addIpAddrTableHandler(mib.getProvider("ipAddrEntry"));
   addIpRouteTableHandler(mib.getProvider("ipRouteEntry"));
   addIpNetToMediaTableHandler(mib.getProvider("ipNetToMediaEntry"));
+  addIpSystemStatsTableHandler(mib.getProvider("ipSystemStatsEntry"));
+  addIpIfStatsTableHandler(mib.getProvider("ipIfStatsEntry"));
+  addIpAddressPrefixTableHandler(mib.getProvider("ipAddressPrefixEntry"));
+  addIpAddressTableHandler(mib.getProvider("ipAddressEntry"));
+  addIpNetToPhysicalTableHandler(mib.getProvider("ipNetToPhysicalEntry"));
+  addInetCidrRouteTableHandler(mib.getProvider("inetCidrRouteEntry"));
   addTcpConnTableHandler(mib.getProvider("tcpConnEntry"));
+  addTcpConnectionTableHandler(mib.getProvider("tcpConnectionEntry"));
+  addTcpListenerTableHandler(mib.getProvider("tcpListenerEntry"));
   addUdpTableHandler(mib.getProvider("udpEntry"));
+  addUdpEndpointTableHandler(mib.getProvider("udpEndpointEntry"));
   addIpv6IfTableHandler(mib.getProvider("ipv6IfEntry"));
   addIpv6IfStatsTableHandler(mib.getProvider("ipv6IfStatsEntry"));
+  addIpv6IfIcmpTableHandler(mib.getProvider("ipv6IfIcmpEntry"));
+  addIpv6AddrPrefixTableHandler(mib.getProvider("ipv6AddrPrefixEntry"));
   addIpv6AddrTableHandler(mib.getProvider("ipv6AddrEntry"));
   addIpv6RouteTableHandler(mib.getProvider("ipv6RouteEntry"));
   addIpv6NetToMediaTableHandler(mib.getProvider("ipv6NetToMediaEntry"));
+  addIpv6TcpConnTableHandler(mib.getProvider("ipv6TcpConnEntry"));
+  addIpv6UdpTableHandler(mib.getProvider("ipv6UdpEntry"));
+  addHrStorageTableHandler(mib.getProvider("hrStorageEntry"));
+  addHrDeviceTableHandler(mib.getProvider("hrDeviceEntry"));
+  addHrProcessorTableHandler(mib.getProvider("hrProcessorEntry"));
+  addHrNetworkTableHandler(mib.getProvider("hrNetworkEntry"));
+  addHrDiskStorageTableHandler(mib.getProvider("hrDiskStorageEntry"));
+  addHrPartitionTableHandler(mib.getProvider("hrPartitionEntry"));
+  addHrFSTableHandler(mib.getProvider("hrFSEntry"));
+  addHrSWRunTableHandler(mib.getProvider("hrSWRunEntry"));
+  addHrSWRunPerfTableHandler(mib.getProvider("hrSWRunPerfEntry"));
+  addHrSWInstalledTableHandler(mib.getProvider("hrSWInstalledEntry"));
+  addDskTableHandler(mib.getProvider("dskEntry"));
+  addLaTableHandler(mib.getProvider("laEntry"));
+  addDiskIOTableHandler(mib.getProvider("diskIOEntry"));
+  addEntPhysicalTableHandler(mib.getProvider("entPhysicalEntry"));
+  addEntAliasMappingTableHandler(mib.getProvider("entAliasMappingEntry"));
+  addEntPhysicalContainsTableHandler(
+    mib.getProvider("entPhysicalContainsEntry"));
+  addEntPhySensorTableHandler(mib.getProvider("entPhySensorEntry"));
+  addLmTempSensorsTableHandler(mib.getProvider("lmTempSensorsEntry"));
+  addLmFanSensorsTableHandler(mib.getProvider("lmFanSensorsEntry"));
+  addLmVoltSensorsTableHandler(mib.getProvider("lmVoltSensorsEntry"));
+  addLmMiscSensorsTableHandler(mib.getProvider("lmMiscSensorsEntry"));
 };
 
 /*
@@ -189,17 +339,41 @@ function _addTableHandler(provider, fAddEntries)
       }
 
       // Call the table-specific function to add the data to comply
-      // with this request
-      await fAddEntries(provider);
+      // with this request. If that fails, e.g., because the table's
+      // source is unavailable, report the rows added so far rather than
+      // leaving the request unanswered.
+      try
+      {
+        await fAddEntries(provider);
+      }
+      catch (e)
+      {
+      }
     };
 
+  // The handler is called once for each varbind in a request, e.g., many
+  // times for a GETBULK request, without awaiting the prior calls. Share
+  // one repopulation among overlapping calls, so that one doesn't clear
+  // out the table while another is adding to it.
+  let             pending = null;
+
   provider.handler =
     async (mibRequest) =>
     {
-      await populate();
+      if (! pending)
+      {
+        pending = populate().finally(() => pending = null);
+      }
+
+      await pending;
       mibRequest.done();
     };
 
+  // Rows reflect the kernel's state, and are replaced on each request.
+  // Don't allow a manager to create rows in tables that would otherwise
+  // permit it (those with a RowStatus column).
+  provider.createHandler = null;
+
   // Each table needs an initial value. Without it, the handler will
   // never be called, when receiving a GET request
   populate(true);
@@ -249,25 +423,44 @@ function addIfTableHandler(provider)
 }
 
 /*
- * Add a handler for ipAddrTable
+ * Add a handler for ifXTable
  */
-function addIpAddrTableHandler(provider)
+function addIfXTableHandler(provider)
 {
   _addTableHandler(
     provider,
     async () =>
     {
-      const           entries = await linuxLib.getIpAddrTable();
+      const           entries = await linuxLib.getIfXTable();
       entries.forEach(
         (entry) =>
         {
           let             row = [];
 
-          row.push(entry.ipAdEntAddr);
-          row.push(entry.ipAdEntIfIndex);
-          row.push(entry.ipAdEntNetMask);
-          row.push(entry.ipAdEntBcastAddr);
-          row.push(entry.ipAdEntReasmMaxSize);
+          // IfXTable augments IfTable. We therefore need to prepend
+          // the index of the corresponding IfTable entry
+          row.push(entry.ifIndex);
+
+          // Now add the members of this table entry
+          row.push(entry.ifName);
+          row.push(entry.ifInMulticastPkts);
+          row.push(entry.ifInBroadcastPkts);
+          row.push(entry.ifOutMulticastPkts);
+          row.push(entry.ifOutBroadcastPkts);
+          row.push(entry.ifHCInOctets);
+          row.push(entry.ifHCInUcastPkts);
+          row.push(entry.ifHCInMulticastPkts);
+          row.push(entry.ifHCInBroadcastPkts);
+          row.push(entry.ifHCOutOctets);
+          row.push(entry.ifHCOutUcastPkts);
+          row.push(entry.ifHCOutMulticastPkts);
+          row.push(entry.ifHCOutBroadcastPkts);
+          row.push(entry.ifLinkUpDownTrapEnable);
+          row.push(entry.ifHighSpeed);
+          row.push(entry.ifPromiscuousMode);
+          row.push(entry.ifConnectorPresent);
+          row.push(entry.ifAlias);
+          row.push(entry.ifCounterDiscontinuityTime);
 
           mib.addTableRow(provider.name, row);
         });
@@ -275,33 +468,23 @@ function addIpAddrTableHandler(provider)
 }
 
 /*
- * Add a handler for ipRouteTable
+ * Add a handler for ifStackTable
  */
-function addIpRouteTableHandler(provider)
+function addIfStackTableHandler(provider)
 {
   _addTableHandler(
     provider,
     async () =>
     {
-      const           entries = await linuxLib.getIpRouteTable();
+      const           entries = await linuxLib.getIfStackTable();
       entries.forEach(
         (entry) =>
         {
           let             row = [];
 
-          row.push(entry.destination);    // ipRouteDest
-          row.push(entry.interfaceIndex); // ipRouteIfIndex
-          row.push(entry.metric);         // ipRouteMetric1
-          row.push(-1);                   // ipRouteMetric2
-          row.push(-1);                   // ipRouteMetric3
-          row.push(-1);                   // ipRouteMetric4
-          row.push(entry.gateway);        // ipRouteNextHop
-          row.push(1);                    // ipRouteType
-          row.push(1);                    // ipRouteProto
-          row.push(0);                    // ipRouteAge
-          row.push(entry.mask);           // ipRouteMask
-          row.push(-1);                   // ipRouteMetric5
-          row.push("0.0");                // ipRouteInfo
+          row.push(entry.ifStackHigherLayer);
+          row.push(entry.ifStackLowerLayer);
+          row.push(entry.ifStackStatus);
 
           mib.addTableRow(provider.name, row);
         });
@@ -309,24 +492,38 @@ function addIpRouteTableHandler(provider)
 }
 
 /*
- * Add a handler for ipNetToMediaTable
+ * Add a handler for dot3StatsTable
  */
-function addIpNetToMediaTableHandler(provider)
+function addDot3StatsTableHandler(provider)
 {
   _addTableHandler(
     provider,
     async () =>
     {
-      const           entries = await linuxLib.getIpNetToMediaTable();
+      const           entries = await linuxLib.getDot3StatsTable();
       entries.forEach(
         (entry) =>
         {
           let             row = [];
 
-          row.push(entry.ipNetToMediaIfIndex);
-          row.push(entry.ipNetToMediaPhysAddress);
-          row.push(entry.ipNetToMediaNetAddress);
-          row.push(entry.ipNetToMediaType);
+          row.push(entry.dot3StatsIndex);
+          row.push(entry.dot3StatsAlignmentErrors);
+          row.push(entry.dot3StatsFCSErrors);
+          row.push(entry.dot3StatsSingleCollisionFrames);
+          row.push(entry.dot3StatsMultipleCollisionFrames);
+          row.push(entry.dot3StatsSQETestErrors);
+          row.push(entry.dot3StatsDeferredTransmissions);
+          row.push(entry.dot3StatsLateCollisions);
+          row.push(entry.dot3StatsExcessiveCollisions);
+          row.push(entry.dot3StatsInternalMacTransmitErrors);
+          row.push(entry.dot3StatsCarrierSenseErrors);
+          row.push(entry.dot3StatsFrameTooLongs);
+          row.push(entry.dot3StatsInternalMacReceiveErrors);
+          row.push(entry.dot3StatsEtherChipSet);
+          row.push(entry.dot3StatsSymbolErrors);
+          row.push(entry.dot3StatsDuplexStatus);
+          row.push(entry.dot3StatsRateControlAbility);
+          row.push(entry.dot3StatsRateControlStatus);
 
           mib.addTableRow(provider.name, row);
         });
@@ -334,49 +531,57 @@ function addIpNetToMediaTableHandler(provider)
 }
 
 /*
- * Add a handler for tcpConnTable
+ * Add a handler for dot1dBasePortTable
  */
-function addTcpConnTableHandler(provider)
+function addDot1dBasePortTableHandler(provider)
 {
   _addTableHandler(
     provider,
     async () =>
     {
-      const           entries = await linuxLib.getTcpConnTable();
+      const           entries = await linuxLib.getDot1dBasePortTable();
       entries.forEach(
         (entry) =>
         {
           let             row = [];
 
-          row.push(entry.tcpConnState);
-          row.push(entry.tcpConnLocalAddress);
-          row.push(entry.tcpConnLocalPort);
-          row.push(entry.tcpConnRemAddress);
-          row.push(entry.tcpConnRemPort);
+          row.push(entry.dot1dBasePort);
+          row.push(entry.dot1dBasePortIfIndex);
+          row.push(entry.dot1dBasePortCircuit);
+          row.push(entry.dot1dBasePortDelayExceededDiscards);
+          row.push(entry.dot1dBasePortMtuExceededDiscards);
 
           mib.addTableRow(provider.name, row);
         });
     });
 }
 
-
 /*
- * Add a handler for udpTable
+ * Add a handler for dot1dStpPortTable
  */
-async function addUdpTableHandler(provider)
+function addDot1dStpPortTableHandler(provider)
 {
   _addTableHandler(
     provider,
     async () =>
     {
-      const           entries = await linuxLib.getUdpTable();
+      const           entries = await linuxLib.getDot1dStpPortTable();
       entries.forEach(
         (entry) =>
         {
           let             row = [];
 
-          row.push(entry.udpLocalAddress);
-          row.push(entry.udpLocalPort);
+          row.push(entry.dot1dStpPort);
+          row.push(entry.dot1dStpPortPriority);
+          row.push(entry.dot1dStpPortState);
+          row.push(entry.dot1dStpPortEnable);
+          row.push(entry.dot1dStpPortPathCost);
+          row.push(entry.dot1dStpPortDesignatedRoot);
+          row.push(entry.dot1dStpPortDesignatedCost);
+          row.push(entry.dot1dStpPortDesignatedBridge);
+          row.push(entry.dot1dStpPortDesignatedPort);
+          row.push(entry.dot1dStpPortForwardTransitions);
+          row.push(entry.dot1dStpPortPathCost32);
 
           mib.addTableRow(provider.name, row);
         });
@@ -384,31 +589,27 @@ async function addUdpTableHandler(provider)
 }
 
 /*
- * Add a handler for ipv6IfTable
+ * Add a handler for dot1dTpFdbTable
  */
-function addIpv6IfTableHandler(provider)
+function addDot1dTpFdbTableHandler(provider)
 {
+  // The index, a MacAddress, is of fixed size, so its length is not
+  // included in the instance OID
+  provider.tableIndex[0].length = 6;
+
   _addTableHandler(
     provider,
     async () =>
     {
-      const           entries = await linuxLib.getIpv6IfTable();
+      const           entries = await linuxLib.getDot1dTpFdbTable();
       entries.forEach(
         (entry) =>
         {
           let             row = [];
 
-          row.push(entry.ipv6IfIndex);
-          row.push(entry.ipv6IfDescr);
-          row.push(entry.ipv6IfLowerLayer);
-          row.push(entry.ipv6IfEffectiveMtu);
-          row.push(entry.ipv6IfReasmMaxSize);
-          row.push(entry.ipv6IfIdentifier);
-          row.push(entry.ipv6IfIdentifierLength);
-          row.push(entry.ipv6IfPhysicalAddress);
-          row.push(entry.ipv6IfAdminStatus);
-          row.push(entry.ipv6IfOperStatus);
-          row.push(entry.ipv6IfLastChange);
+          row.push(entry.dot1dTpFdbAddress);
+          row.push(entry.dot1dTpFdbPort);
+          row.push(entry.dot1dTpFdbStatus);
 
           mib.addTableRow(provider.name, row);
         });
@@ -416,47 +617,59 @@ function addIpv6IfTableHandler(provider)
 }
 
 /*
- * Add a handler for ipv6IfStatsTable
+ * Add a handler for dot1qVlanCurrentTable
  */
-function addIpv6IfStatsTableHandler(provider)
+function addDot1qVlanCurrentTableHandler(provider)
 {
   _addTableHandler(
     provider,
     async () =>
     {
-      const           entries = await linuxLib.getIpv6IfStatsTable();
+      const           entries = await linuxLib.getDot1qVlanCurrentTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
 
+          row.push(entry.dot1qVlanTimeMark);
+          row.push(entry.dot1qVlanIndex);
+          row.push(entry.dot1qVlanFdbId);
+          row.push(entry.dot1qVlanCurrentEgressPorts);
+          row.push(entry.dot1qVlanCurrentUntaggedPorts);
+          row.push(entry.dot1qVlanStatus);
+          row.push(entry.dot1qVlanCreationTime);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for dot1qVlanStaticTable
+ */
+function addDot1qVlanStaticTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getDot1qVlanStaticTable();
       entries.forEach(
         (entry) =>
         {
           let             row = [];
 
-          // Ipv6IfStatsTable augments Ipv6IfTable. We therefore need
-          // to prepend the index of the corresponding Ipv6IfTable
-          // entry
-          row.push(entry.ipv6IfIndex);
+          // Dot1qVlanStaticTable uses the index of Dot1qVlanCurrentTable.
+          // We therefore need to prepend the index of the corresponding
+          // Dot1qVlanCurrentTable entry
+          row.push(entry.dot1qVlanIndex);
 
           // Now add the members of this table entry
-          row.push(entry.Ip6InReceives);
-          row.push(entry.Ip6InHdrErrors);
-          row.push(entry.Ip6InTooBigErrors);
-          row.push(entry.Ip6InNoRoutes);
-          row.push(entry.Ip6InAddrErrors);
-          row.push(entry.Ip6InUnknownProtos);
-          row.push(entry.Ip6InTruncatedPkts);
-          row.push(entry.Ip6InDiscards);
-          row.push(entry.Ip6InDelivers);
-          row.push(entry.Ip6OutForwDatagrams);
-          row.push(entry.Ip6OutRequests);
-          row.push(entry.Ip6OutDiscards);
-          row.push(entry.Ip6FragOKs);
-          row.push(entry.Ip6FragFails);
-          row.push(entry.Ip6FragCreates);
-          row.push(entry.Ip6ReasmReqds);
-          row.push(entry.Ip6ReasmOKs);
-          row.push(entry.Ip6ReasmFails);
-          row.push(entry.Ip6InMcastPkts);
-          row.push(entry.Ip6OutMcastPkts);
+          row.push(entry.dot1qVlanStaticName);
+          row.push(entry.dot1qVlanStaticEgressPorts);
+          row.push(entry.dot1qVlanForbiddenEgressPorts);
+          row.push(entry.dot1qVlanStaticUntaggedPorts);
+          row.push(entry.dot1qVlanStaticRowStatus);
 
           mib.addTableRow(provider.name, row);
         });
@@ -464,32 +677,92 @@ function addIpv6IfStatsTableHandler(provider)
 }
 
 /*
- * Add a handler for ipv6AddrTable
+ * Add a handler for dot1qPortVlanStatisticsTable
  */
-function addIpv6AddrTableHandler(provider)
+function addDot1qPortVlanStatisticsTableHandler(provider)
 {
   _addTableHandler(
     provider,
     async () =>
     {
-      const           entries = await linuxLib.getIpv6AddrTable();
+      const           entries =
+        await linuxLib.getDot1qPortVlanStatisticsTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          // Dot1qPortVlanStatisticsTable uses the indexes of
+          // Dot1dBasePortTable and Dot1qVlanCurrentTable. We therefore
+          // need to prepend the indexes of the corresponding entries
+          row.push(entry.dot1dBasePort);
+          row.push(entry.dot1qVlanIndex);
+
+          // Now add the members of this table entry
+          row.push(entry.dot1qTpVlanPortInFrames);
+          row.push(entry.dot1qTpVlanPortOutFrames);
+          row.push(entry.dot1qTpVlanPortInDiscards);
+          row.push(entry.dot1qTpVlanPortInOverflowFrames);
+          row.push(entry.dot1qTpVlanPortOutOverflowFrames);
+          row.push(entry.dot1qTpVlanPortInOverflowDiscards);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
 
+/*
+ * Add a handler for dot1qPortVlanHCStatisticsTable
+ */
+function addDot1qPortVlanHCStatisticsTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries =
+        await linuxLib.getDot1qPortVlanHCStatisticsTable();
       entries.forEach(
         (entry) =>
         {
           let             row = [];
 
-          // Ipv6AddrTable uses the index of Ipv6IfTable. We therefore
-          // need to prepend the index of the corresponding
-          // Ipv6IfTable entry
-          row.push(entry.ipv6IfIndex);
+          // Dot1qPortVlanHCStatisticsTable uses the indexes of
+          // Dot1dBasePortTable and Dot1qVlanCurrentTable. We therefore
+          // need to prepend the indexes of the corresponding entries
+          row.push(entry.dot1dBasePort);
+          row.push(entry.dot1qVlanIndex);
 
           // Now add the members of this table entry
-          row.push(entry.ipv6AddrAddress);
-          row.push(entry.ipv6AddrPfxLength);
-          row.push(entry.ipv6AddrType);
-          row.push(entry.ipv6AddrAnycastFlag);
-          row.push(entry.ipv6AddrStatus);
+          row.push(entry.dot1qTpVlanPortHCInFrames);
+          row.push(entry.dot1qTpVlanPortHCOutFrames);
+          row.push(entry.dot1qTpVlanPortHCInDiscards);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for ipAddrTable
+ */
+function addIpAddrTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getIpAddrTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.ipAdEntAddr);
+          row.push(entry.ipAdEntIfIndex);
+          row.push(entry.ipAdEntNetMask);
+          row.push(entry.ipAdEntBcastAddr);
+          row.push(entry.ipAdEntReasmMaxSize);
 
           mib.addTableRow(provider.name, row);
         });
@@ -499,32 +772,31 @@ function addIpv6AddrTableHandler(provider)
 /*
  * Add a handler for ipRouteTable
  */
-function addIpv6RouteTableHandler(provider)
+function addIpRouteTableHandler(provider)
 {
   _addTableHandler(
     provider,
     async () =>
     {
-      const           entries = await linuxLib.getIpv6RouteTable();
+      const           entries = await linuxLib.getIpRouteTable();
       entries.forEach(
         (entry) =>
         {
           let             row = [];
 
-          row.push(entry.destNetwork);    // ipv6RouteDest
-          row.push(entry.destPrefix);     // ipv6RoutePfxLength
-          row.push(entry.routeIndex);     // ipv6RouteIndex
-          row.push(entry.interfaceIndex); // ipv6RouteIfIndex
-          row.push(entry.nextHop);        // ipv6RouteNextHop
-          row.push(1);                    // ipv6RouteType 1=other
-          row.push(1);                    // ipv6RouteProtocol 1=other
-          row.push(0xffff);               // ipvtRoutePolicy
-          row.push(0);                    // ipv6RouteAge
-          row.push(0);                    // ipv6RouteNextHopRDI
-          row.push(entry.metric);         // ipv6RouteMetric
-          row.push(entry.metric);         // ipv6RouteWeight
-          row.push("0.0");                // ipv6RouteInfo
-          row.push(1);                    // ipv6RouteValid 1=true 2=false
+          row.push(entry.destination);    // ipRouteDest
+          row.push(entry.interfaceIndex); // ipRouteIfIndex
+          row.push(entry.metric);         // ipRouteMetric1
+          row.push(-1);                   // ipRouteMetric2
+          row.push(-1);                   // ipRouteMetric3
+          row.push(-1);                   // ipRouteMetric4
+          row.push(entry.gateway);        // ipRouteNextHop
+          row.push(1);                    // ipRouteType
+          row.push(1);                    // ipRouteProto
+          row.push(0);                    // ipRouteAge
+          row.push(entry.mask);           // ipRouteMask
+          row.push(-1);                   // ipRouteMetric5
+          row.push("0.0");                // ipRouteInfo
 
           mib.addTableRow(provider.name, row);
         });
@@ -532,30 +804,1364 @@ function addIpv6RouteTableHandler(provider)
 }
 
 /*
- * Add a handler for ipv6NetToMediaTable
+ * Add a handler for ipNetToMediaTable
  */
-function addIpv6NetToMediaTableHandler(provider)
+function addIpNetToMediaTableHandler(provider)
 {
   _addTableHandler(
     provider,
     async () =>
     {
-      const           entries = await linuxLib.getIpv6NetToMediaTable();
+      const           entries = await linuxLib.getIpNetToMediaTable();
       entries.forEach(
         (entry) =>
         {
           let             row = [];
 
-          row.push(entry.ipv6IfIndex);
-          row.push(entry.ipv6NetToMediaNetAddress);
-          row.push(entry.ipv6NetToMediaPhysAddress);
-          row.push(entry.ipv6NetToMediaType);
-          row.push(entry.ipv6NetToMediaState);
-          row.push(entry.ipv6NetToMediaLastUpdated);
-          row.push(entry.ipv6NetToMediaValid);
+          row.push(entry.ipNetToMediaIfIndex);
+          row.push(entry.ipNetToMediaPhysAddress);
+          row.push(entry.ipNetToMediaNetAddress);
+          row.push(entry.ipNetToMediaType);
 
           mib.addTableRow(provider.name, row);
         });
     });
 }
 
+/*
+ * Add a handler for ipSystemStatsTable
+ */
+function addIpSystemStatsTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getIpSystemStatsTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.ipSystemStatsIPVersion);
+          row.push(entry.ipSystemStatsInReceives);
+          row.push(entry.ipSystemStatsHCInReceives);
+          row.push(entry.ipSystemStatsInOctets);
+          row.push(entry.ipSystemStatsHCInOctets);
+          row.push(entry.ipSystemStatsInHdrErrors);
+          row.push(entry.ipSystemStatsInNoRoutes);
+          row.push(entry.ipSystemStatsInAddrErrors);
+          row.push(entry.ipSystemStatsInUnknownProtos);
+          row.push(entry.ipSystemStatsInTruncatedPkts);
+          row.push(entry.ipSystemStatsInForwDatagrams);
+          row.push(entry.ipSystemStatsHCInForwDatagrams);
+          row.push(entry.ipSystemStatsReasmReqds);
+          row.push(entry.ipSystemStatsReasmOKs);
+          row.push(entry.ipSystemStatsReasmFails);
+          row.push(entry.ipSystemStatsInDiscards);
+          row.push(entry.ipSystemStatsInDelivers);
+          row.push(entry.ipSystemStatsHCInDelivers);
+          row.push(entry.ipSystemStatsOutRequests);
+          row.push(entry.ipSystemStatsHCOutRequests);
+          row.push(entry.ipSystemStatsOutNoRoutes);
+          row.push(entry.ipSystemStatsOutForwDatagrams);
+          row.push(entry.ipSystemStatsHCOutForwDatagrams);
+          row.push(entry.ipSystemStatsOutDiscards);
+          row.push(entry.ipSystemStatsOutFragReqds);
+          row.push(entry.ipSystemStatsOutFragOKs);
+          row.push(entry.ipSystemStatsOutFragFails);
+          row.push(entry.ipSystemStatsOutFragCreates);
+          row.push(entry.ipSystemStatsOutTransmits);
+          row.push(entry.ipSystemStatsHCOutTransmits);
+          row.push(entry.ipSystemStatsOutOctets);
+          row.push(entry.ipSystemStatsHCOutOctets);
+          row.push(entry.ipSystemStatsInMcastPkts);
+          row.push(entry.ipSystemStatsHCInMcastPkts);
+          row.push(entry.ipSystemStatsInMcastOctets);
+          row.push(entry.ipSystemStatsHCInMcastOctets);
+          row.push(entry.ipSystemStatsOutMcastPkts);
+          row.push(entry.ipSystemStatsHCOutMcastPkts);
+          row.push(entry.ipSystemStatsOutMcastOctets);
+          row.push(entry.ipSystemStatsHCOutMcastOctets);
+          row.push(entry.ipSystemStatsInBcastPkts);
+          row.push(entry.ipSystemStatsHCInBcastPkts);
+          row.push(entry.ipSystemStatsOutBcastPkts);
+          row.push(entry.ipSystemStatsHCOutBcastPkts);
+          row.push(entry.ipSystemStatsDiscontinuityTime);
+          row.push(entry.ipSystemStatsRefreshRate);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for ipIfStatsTable
+ */
+function addIpIfStatsTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getIpIfStatsTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.ipIfStatsIPVersion);
+          row.push(entry.ipIfStatsIfIndex);
+          row.push(entry.ipIfStatsInReceives);
+          row.push(entry.ipIfStatsHCInReceives);
+          row.push(entry.ipIfStatsInOctets);
+          row.push(entry.ipIfStatsHCInOctets);
+          row.push(entry.ipIfStatsInHdrErrors);
+          row.push(entry.ipIfStatsInNoRoutes);
+          row.push(entry.ipIfStatsInAddrErrors);
+          row.push(entry.ipIfStatsInUnknownProtos);
+          row.push(entry.ipIfStatsInTruncatedPkts);
+          row.push(entry.ipIfStatsInForwDatagrams);
+          row.push(entry.ipIfStatsHCInForwDatagrams);
+          row.push(entry.ipIfStatsReasmReqds);
+          row.push(entry.ipIfStatsReasmOKs);
+          row.push(entry.ipIfStatsReasmFails);
+          row.push(entry.ipIfStatsInDiscards);
+          row.push(entry.ipIfStatsInDelivers);
+          row.push(entry.ipIfStatsHCInDelivers);
+          row.push(entry.ipIfStatsOutRequests);
+          row.push(entry.ipIfStatsHCOutRequests);
+          row.push(entry.ipIfStatsOutNoRoutes);
+          row.push(entry.ipIfStatsOutForwDatagrams);
+          row.push(entry.ipIfStatsHCOutForwDatagrams);
+          row.push(entry.ipIfStatsOutDiscards);
+          row.push(entry.ipIfStatsOutFragReqds);
+          row.push(entry.ipIfStatsOutFragOKs);
+          row.push(entry.ipIfStatsOutFragFails);
+          row.push(entry.ipIfStatsOutFragCreates);
+          row.push(entry.ipIfStatsOutTransmits);
+          row.push(entry.ipIfStatsHCOutTransmits);
+          row.push(entry.ipIfStatsOutOctets);
+          row.push(entry.ipIfStatsHCOutOctets);
+          row.push(entry.ipIfStatsInMcastPkts);
+          row.push(entry.ipIfStatsHCInMcastPkts);
+          row.push(entry.ipIfStatsInMcastOctets);
+          row.push(entry.ipIfStatsHCInMcastOctets);
+          row.push(entry.ipIfStatsOutMcastPkts);
+          row.push(entry.ipIfStatsHCOutMcastPkts);
+          row.push(entry.ipIfStatsOutMcastOctets);
+          row.push(entry.ipIfStatsHCOutMcastOctets);
+          row.push(entry.ipIfStatsInBcastPkts);
+          row.push(entry.ipIfStatsHCInBcastPkts);
+          row.push(entry.ipIfStatsOutBcastPkts);
+          row.push(entry.ipIfStatsHCOutBcastPkts);
+          row.push(entry.ipIfStatsDiscontinuityTime);
+          row.push(entry.ipIfStatsRefreshRate);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for ipAddressPrefixTable
+ */
+function addIpAddressPrefixTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getIpAddressPrefixTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.ipAddressPrefixIfIndex);
+          row.push(entry.ipAddressPrefixType);
+          row.push(entry.ipAddressPrefixPrefix);
+          row.push(entry.ipAddressPrefixLength);
+          row.push(entry.ipAddressPrefixOrigin);
+          row.push(entry.ipAddressPrefixOnLinkFlag);
+          row.push(entry.ipAddressPrefixAutonomousFlag);
+          row.push(entry.ipAddressPrefixAdvPreferredLifetime);
+          row.push(entry.ipAddressPrefixAdvValidLifetime);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for ipAddressTable
+ */
+function addIpAddressTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getIpAddressTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.ipAddressAddrType);
+          row.push(entry.ipAddressAddr);
+          row.push(entry.ipAddressIfIndex);
+          row.push(entry.ipAddressType);
+          row.push(entry.ipAddressPrefix);
+          row.push(entry.ipAddressOrigin);
+          row.push(entry.ipAddressStatus);
+          row.push(entry.ipAddressCreated);
+          row.push(entry.ipAddressLastChanged);
+          row.push(entry.ipAddressRowStatus);
+          row.push(entry.ipAddressStorageType);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for ipNetToPhysicalTable
+ */
+function addIpNetToPhysicalTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getIpNetToPhysicalTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.ipNetToPhysicalIfIndex);
+          row.push(entry.ipNetToPhysicalNetAddressType);
+          row.push(entry.ipNetToPhysicalNetAddress);
+          row.push(entry.ipNetToPhysicalPhysAddress);
+          row.push(entry.ipNetToPhysicalLastUpdated);
+          row.push(entry.ipNetToPhysicalType);
+          row.push(entry.ipNetToPhysicalState);
+          row.push(entry.ipNetToPhysicalRowStatus);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for inetCidrRouteTable
+ */
+function addInetCidrRouteTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getInetCidrRouteTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.inetCidrRouteDestType);
+          row.push(entry.inetCidrRouteDest);
+          row.push(entry.inetCidrRoutePfxLen);
+          row.push(entry.inetCidrRoutePolicy);
+          row.push(entry.inetCidrRouteNextHopType);
+          row.push(entry.inetCidrRouteNextHop);
+          row.push(entry.inetCidrRouteIfIndex);
+          row.push(entry.inetCidrRouteType);
+          row.push(entry.inetCidrRouteProto);
+          row.push(entry.inetCidrRouteAge);
+          row.push(entry.inetCidrRouteNextHopAS);
+          row.push(entry.inetCidrRouteMetric1);
+          row.push(entry.inetCidrRouteMetric2);
+          row.push(entry.inetCidrRouteMetric3);
+          row.push(entry.inetCidrRouteMetric4);
+          row.push(entry.inetCidrRouteMetric5);
+          row.push(entry.inetCidrRouteStatus);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for tcpConnTable
+ */
+function addTcpConnTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getTcpConnTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.tcpConnState);
+          row.push(entry.tcpConnLocalAddress);
+          row.push(entry.tcpConnLocalPort);
+          row.push(entry.tcpConnRemAddress);
+          row.push(entry.tcpConnRemPort);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for tcpConnectionTable
+ */
+function addTcpConnectionTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getTcpConnectionTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.tcpConnectionLocalAddressType);
+          row.push(entry.tcpConnectionLocalAddress);
+          row.push(entry.tcpConnectionLocalPort);
+          row.push(entry.tcpConnectionRemAddressType);
+          row.push(entry.tcpConnectionRemAddress);
+          row.push(entry.tcpConnectionRemPort);
+          row.push(entry.tcpConnectionState);
+          row.push(entry.tcpConnectionProcess);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for tcpListenerTable
+ */
+function addTcpListenerTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getTcpListenerTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.tcpListenerLocalAddressType);
+          row.push(entry.tcpListenerLocalAddress);
+          row.push(entry.tcpListenerLocalPort);
+          row.push(entry.tcpListenerProcess);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+
+/*
+ * Add a handler for udpTable
+ */
+async function addUdpTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getUdpTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.udpLocalAddress);
+          row.push(entry.udpLocalPort);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for udpEndpointTable
+ */
+function addUdpEndpointTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getUdpEndpointTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.udpEndpointLocalAddressType);
+          row.push(entry.udpEndpointLocalAddress);
+          row.push(entry.udpEndpointLocalPort);
+          row.push(entry.udpEndpointRemoteAddressType);
+          row.push(entry.udpEndpointRemoteAddress);
+          row.push(entry.udpEndpointRemotePort);
+          row.push(entry.udpEndpointInstance);
+          row.push(entry.udpEndpointProcess);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for ipv6IfTable
+ */
+function addIpv6IfTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getIpv6IfTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.ipv6IfIndex);
+          row.push(entry.ipv6IfDescr);
+          row.push(entry.ipv6IfLowerLayer);
+          row.push(entry.ipv6IfEffectiveMtu);
+          row.push(entry.ipv6IfReasmMaxSize);
+          row.push(entry.ipv6IfIdentifier);
+          row.push(entry.ipv6IfIdentifierLength);
+          row.push(entry.ipv6IfPhysicalAddress);
+          row.push(entry.ipv6IfAdminStatus);
+          row.push(entry.ipv6IfOperStatus);
+          row.push(entry.ipv6IfLastChange);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for ipv6IfStatsTable
+ */
+function addIpv6IfStatsTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getIpv6IfStatsTable();
+
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          // Ipv6IfStatsTable augments Ipv6IfTable. We therefore need
+          // to prepend the index of the corresponding Ipv6IfTable
+          // entry
+          row.push(entry.ipv6IfIndex);
+
+          // Now add the members of this table entry
+          row.push(entry.Ip6InReceives);
+          row.push(entry.Ip6InHdrErrors);
+          row.push(entry.Ip6InTooBigErrors);
+          row.push(entry.Ip6InNoRoutes);
+          row.push(entry.Ip6InAddrErrors);
+          row.push(entry.Ip6InUnknownProtos);
+          row.push(entry.Ip6InTruncatedPkts);
+          row.push(entry.Ip6InDiscards);
+          row.push(entry.Ip6InDelivers);
+          row.push(entry.Ip6OutForwDatagrams);
+          row.push(entry.Ip6OutRequests);
+          row.push(entry.Ip6OutDiscards);
+          row.push(entry.Ip6FragOKs);
+          row.push(entry.Ip6FragFails);
+          row.push(entry.Ip6FragCreates);
+          row.push(entry.Ip6ReasmReqds);
+          row.push(entry.Ip6ReasmOKs);
+          row.push(entry.Ip6ReasmFails);
+          row.push(entry.Ip6InMcastPkts);
+          row.push(entry.Ip6OutMcastPkts);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for ipv6IfIcmpTable
+ */
+function addIpv6IfIcmpTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getIpv6IfIcmpTable();
+
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          // Ipv6IfIcmpTable augments Ipv6IfTable. We therefore need
+          // to prepend the index of the corresponding Ipv6IfTable
+          // entry
+          row.push(entry.ipv6IfIndex);
+
+          // Now add the members of this table entry
+          row.push(entry.Icmp6InMsgs);
+          row.push(entry.Icmp6InErrors);
+          row.push(entry.Icmp6InDestUnreachs);
+          row.push(0);                    // ipv6IfIcmpInAdminProhibs
+          row.push(entry.Icmp6InTimeExcds);
+          row.push(entry.Icmp6InParmProblems);
+          row.push(entry.Icmp6InPktTooBigs);
+          row.push(entry.Icmp6InEchos);
+          row.push(entry.Icmp6InEchoReplies);
+          row.push(entry.Icmp6InRouterSolicits);
+          row.push(entry.Icmp6InRouterAdvertisements);
+          row.push(entry.Icmp6InNeighborSolicits);
+          row.push(entry.Icmp6InNeighborAdvertisements);
+          row.push(entry.Icmp6InRedirects);
+          row.push(entry.Icmp6InGroupMembQueries);
+          row.push(entry.Icmp6InGroupMembResponses);
+          row.push(entry.Icmp6InGroupMembReductions);
+          row.push(entry.Icmp6OutMsgs);
+          row.push(entry.Icmp6OutErrors);
+          row.push(entry.Icmp6OutDestUnreachs);
+          row.push(0);                    // ipv6IfIcmpOutAdminProhibs
+          row.push(entry.Icmp6OutTimeExcds);
+          row.push(entry.Icmp6OutParmProblems);
+          row.push(entry.Icmp6OutPktTooBigs);
+          row.push(entry.Icmp6OutEchos);
+          row.push(entry.Icmp6OutEchoReplies);
+          row.push(entry.Icmp6OutRouterSolicits);
+          row.push(entry.Icmp6OutRouterAdvertisements);
+          row.push(entry.Icmp6OutNeighborSolicits);
+          row.push(entry.Icmp6OutNeighborAdvertisements);
+          row.push(entry.Icmp6OutRedirects);
+          row.push(entry.Icmp6OutGroupMembQueries);
+          row.push(entry.Icmp6OutGroupMembResponses);
+          row.push(entry.Icmp6OutGroupMembReductions);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for ipv6AddrPrefixTable
+ */
+function addIpv6AddrPrefixTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getIpv6AddrPrefixTable();
+
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          // Ipv6AddrPrefixTable uses the index of Ipv6IfTable. We
+          // therefore need to prepend the index of the corresponding
+          // Ipv6IfTable entry
+          row.push(entry.ipv6IfIndex);
+
+          // Now add the members of this table entry
+          row.push(entry.ipv6AddrPrefix);
+          row.push(entry.ipv6AddrPrefixLength);
+          row.push(entry.ipv6AddrPrefixOnLinkFlag);
+          row.push(entry.ipv6AddrPrefixAutonomousFlag);
+          row.push(entry.ipv6AddrPrefixAdvPreferredLifetime);
+          row.push(entry.ipv6AddrPrefixAdvValidLifetime);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for ipv6AddrTable
+ */
+function addIpv6AddrTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getIpv6AddrTable();
+
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          // Ipv6AddrTable uses the index of Ipv6IfTable. We therefore
+          // need to prepend the index of the corresponding
+          // Ipv6IfTable entry
+          row.push(entry.ipv6IfIndex);
+
+          // Now add the members of this table entry
+          row.push(entry.ipv6AddrAddress);
+          row.push(entry.ipv6AddrPfxLength);
+          row.push(entry.ipv6AddrType);
+          row.push(entry.ipv6AddrAnycastFlag);
+          row.push(entry.ipv6AddrStatus);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for ipRouteTable
+ */
+function addIpv6RouteTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getIpv6RouteTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.destNetwork);    // ipv6RouteDest
+          row.push(entry.destPrefix);     // ipv6RoutePfxLength
+          row.push(entry.routeIndex);     // ipv6RouteIndex
+          row.push(entry.interfaceIndex); // ipv6RouteIfIndex
+          row.push(entry.nextHop);        // ipv6RouteNextHop
+          row.push(1);                    // ipv6RouteType 1=other
+          row.push(1);                    // ipv6RouteProtocol 1=other
+          row.push(0xffff);               // ipvtRoutePolicy
+          row.push(0);                    // ipv6RouteAge
+          row.push(0);                    // ipv6RouteNextHopRDI
+          row.push(entry.metric);         // ipv6RouteMetric
+          row.push(entry.metric);         // ipv6RouteWeight
+          row.push("0.0");                // ipv6RouteInfo
+          row.push(1);                    // ipv6RouteValid 1=true 2=false
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for ipv6NetToMediaTable
+ */
+function addIpv6NetToMediaTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getIpv6NetToMediaTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.ipv6IfIndex);
+          row.push(entry.ipv6NetToMediaNetAddress);
+          row.push(entry.ipv6NetToMediaPhysAddress);
+          row.push(entry.ipv6NetToMediaType);
+          row.push(entry.ipv6NetToMediaState);
+          row.push(entry.ipv6NetToMediaLastUpdated);
+          row.push(entry.ipv6NetToMediaValid);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for ipv6TcpConnTable
+ */
+function addIpv6TcpConnTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getIpv6TcpConnTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.ipv6TcpConnLocalAddress);
+          row.push(entry.ipv6TcpConnLocalPort);
+          row.push(entry.ipv6TcpConnRemAddress);
+          row.push(entry.ipv6TcpConnRemPort);
+          row.push(entry.ipv6TcpConnIfIndex);
+          row.push(entry.ipv6TcpConnState);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for ipv6UdpTable
+ */
+function addIpv6UdpTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getIpv6UdpTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.ipv6UdpLocalAddress);
+          row.push(entry.ipv6UdpLocalPort);
+          row.push(entry.ipv6UdpIfIndex);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for hrStorageTable
+ */
+function addHrStorageTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getHrStorageTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.hrStorageIndex);
+          row.push(entry.hrStorageType);
+          row.push(entry.hrStorageDescr);
+          row.push(entry.hrStorageAllocationUnits);
+          row.push(entry.hrStorageSize);
+          row.push(entry.hrStorageUsed);
+          row.push(entry.hrStorageAllocationFailures);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for hrDeviceTable
+ */
+function addHrDeviceTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getHrDeviceTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.hrDeviceIndex);
+          row.push(entry.hrDeviceType);
+          row.push(entry.hrDeviceDescr);
+          row.push(entry.hrDeviceID);
+          row.push(entry.hrDeviceStatus);
+          row.push(entry.hrDeviceErrors);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for hrProcessorTable
+ */
+function addHrProcessorTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getHrProcessorTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          // HrProcessorTable uses the index of HrDeviceTable. We therefore
+          // need to prepend the index of the corresponding HrDeviceTable
+          // entry
+          row.push(entry.hrDeviceIndex);
+
+          // Now add the members of this table entry
+          row.push(entry.hrProcessorFrwID);
+          row.push(entry.hrProcessorLoad);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for hrNetworkTable
+ */
+function addHrNetworkTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getHrNetworkTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          // HrNetworkTable uses the index of HrDeviceTable. We therefore
+          // need to prepend the index of the corresponding HrDeviceTable
+          // entry
+          row.push(entry.hrDeviceIndex);
+
+          // Now add the members of this table entry
+          row.push(entry.hrNetworkIfIndex);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for hrDiskStorageTable
+ */
+function addHrDiskStorageTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getHrDiskStorageTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          // HrDiskStorageTable uses the index of HrDeviceTable. We
+          // therefore need to prepend the index of the corresponding
+          // HrDeviceTable entry
+          row.push(entry.hrDeviceIndex);
+
+          // Now add the members of this table entry
+          row.push(entry.hrDiskStorageAccess);
+          row.push(entry.hrDiskStorageMedia);
+          row.push(entry.hrDiskStorageRemoveble);
+          row.push(entry.hrDiskStorageCapacity);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for hrPartitionTable
+ */
+function addHrPartitionTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getHrPartitionTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          // HrPartitionTable is indexed in part by the index of
+          // HrDeviceTable. We therefore need to prepend the index of the
+          // corresponding HrDeviceTable entry
+          row.push(entry.hrDeviceIndex);
+
+          // Now add the members of this table entry
+          row.push(entry.hrPartitionIndex);
+          row.push(entry.hrPartitionLabel);
+          row.push(entry.hrPartitionID);
+          row.push(entry.hrPartitionSize);
+          row.push(entry.hrPartitionFSIndex);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for hrFSTable
+ */
+function addHrFSTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getHrFSTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.hrFSIndex);
+          row.push(entry.hrFSMountPoint);
+          row.push(entry.hrFSRemoteMountPoint);
+          row.push(entry.hrFSType);
+          row.push(entry.hrFSAccess);
+          row.push(entry.hrFSBootable);
+          row.push(entry.hrFSStorageIndex);
+          row.push(entry.hrFSLastFullBackupDate);
+          row.push(entry.hrFSLastPartialBackupDate);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for hrSWRunTable
+ *
+ * hrSWRunStatus is read-write, with a set to invalid(4) meant to kill the
+ * process. Sets are not supported, as with all other objects.
+ */
+function addHrSWRunTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getHrSWRunTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.hrSWRunIndex);
+          row.push(entry.hrSWRunName);
+          row.push(entry.hrSWRunID);
+          row.push(entry.hrSWRunPath);
+          row.push(entry.hrSWRunParameters);
+          row.push(entry.hrSWRunType);
+          row.push(entry.hrSWRunStatus);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for hrSWRunPerfTable
+ */
+function addHrSWRunPerfTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getHrSWRunPerfTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          // hrSWRunPerfTable augments hrSWRunTable. We therefore need to
+          // prepend the index of the corresponding hrSWRunTable entry
+          row.push(entry.hrSWRunIndex);
+
+          // Now add the members of this table entry
+          row.push(entry.hrSWRunPerfCPU);
+          row.push(entry.hrSWRunPerfMem);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for hrSWInstalledTable
+ */
+function addHrSWInstalledTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getHrSWInstalledTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.hrSWInstalledIndex);
+          row.push(entry.hrSWInstalledName);
+          row.push(entry.hrSWInstalledID);
+          row.push(entry.hrSWInstalledType);
+          row.push(entry.hrSWInstalledDate);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for dskTable
+ */
+function addDskTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getDskTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.dskIndex);
+          row.push(entry.dskPath);
+          row.push(entry.dskDevice);
+          row.push(entry.dskMinimum);
+          row.push(entry.dskMinPercent);
+          row.push(entry.dskTotal);
+          row.push(entry.dskAvail);
+          row.push(entry.dskUsed);
+          row.push(entry.dskPercent);
+          row.push(entry.dskPercentNode);
+          row.push(entry.dskTotalLow);
+          row.push(entry.dskTotalHigh);
+          row.push(entry.dskAvailLow);
+          row.push(entry.dskAvailHigh);
+          row.push(entry.dskUsedLow);
+          row.push(entry.dskUsedHigh);
+          row.push(entry.dskErrorFlag);
+          row.push(entry.dskErrorMsg);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for laTable
+ */
+function addLaTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getLaTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.laIndex);
+          row.push(entry.laNames);
+          row.push(entry.laLoad);
+          row.push(entry.laConfig);
+          row.push(entry.laLoadInt);
+          row.push(entry.laLoadFloat);
+          row.push(entry.laErrorFlag);
+          row.push(entry.laErrMessage);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for diskIOTable
+ */
+function addDiskIOTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getDiskIOTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.diskIOIndex);
+          row.push(entry.diskIODevice);
+          row.push(entry.diskIONRead);
+          row.push(entry.diskIONWritten);
+          row.push(entry.diskIOReads);
+          row.push(entry.diskIOWrites);
+          row.push(entry.diskIOLA1);
+          row.push(entry.diskIOLA5);
+          row.push(entry.diskIOLA15);
+          row.push(entry.diskIONReadX);
+          row.push(entry.diskIONWrittenX);
+          row.push(entry.diskIOBusyTime);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for entPhysicalTable
+ */
+function addEntPhysicalTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getEntPhysicalTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.entPhysicalIndex);
+          row.push(entry.entPhysicalDescr);
+          row.push(entry.entPhysicalVendorType);
+          row.push(entry.entPhysicalContainedIn);
+          row.push(entry.entPhysicalClass);
+          row.push(entry.entPhysicalParentRelPos);
+          row.push(entry.entPhysicalName);
+          row.push(entry.entPhysicalHardwareRev);
+          row.push(entry.entPhysicalFirmwareRev);
+          row.push(entry.entPhysicalSoftwareRev);
+          row.push(entry.entPhysicalSerialNum);
+          row.push(entry.entPhysicalMfgName);
+          row.push(entry.entPhysicalModelName);
+          row.push(entry.entPhysicalAlias);
+          row.push(entry.entPhysicalAssetID);
+          row.push(entry.entPhysicalIsFRU);
+          row.push(entry.entPhysicalMfgDate);
+          row.push(entry.entPhysicalUris);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for entAliasMappingTable
+ */
+function addEntAliasMappingTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getEntAliasMappingTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          // EntAliasMappingTable uses the index of EntPhysicalTable. We
+          // therefore need to prepend the index of the corresponding
+          // EntPhysicalTable entry
+          row.push(entry.entPhysicalIndex);
+
+          // Now add the members of this table entry
+          row.push(entry.entAliasLogicalIndexOrZero);
+          row.push(entry.entAliasMappingIdentifier);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for entPhysicalContainsTable
+ */
+function addEntPhysicalContainsTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getEntPhysicalContainsTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          // EntPhysicalContainsTable uses the index of EntPhysicalTable, of
+          // the containing entity. We therefore need to prepend the index
+          // of the corresponding EntPhysicalTable entry
+          row.push(entry.entPhysicalIndex);
+
+          // Now add the members of this table entry
+          row.push(entry.entPhysicalChildIndex);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for entPhySensorTable
+ */
+function addEntPhySensorTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getEntPhySensorTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          // EntPhySensorTable uses the index of EntPhysicalTable. We
+          // therefore need to prepend the index of the corresponding
+          // EntPhysicalTable entry
+          row.push(entry.entPhysicalIndex);
+
+          // Now add the members of this table entry
+          row.push(entry.entPhySensorType);
+          row.push(entry.entPhySensorScale);
+          row.push(entry.entPhySensorPrecision);
+          row.push(entry.entPhySensorValue);
+          row.push(entry.entPhySensorOperStatus);
+          row.push(entry.entPhySensorUnitsDisplay);
+          row.push(entry.entPhySensorValueTimeStamp);
+          row.push(entry.entPhySensorValueUpdateRate);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for lmTempSensorsTable
+ */
+function addLmTempSensorsTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getLmTempSensorsTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.lmTempSensorsIndex);
+          row.push(entry.lmTempSensorsDevice);
+          row.push(entry.lmTempSensorsValue);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for lmFanSensorsTable
+ */
+function addLmFanSensorsTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getLmFanSensorsTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.lmFanSensorsIndex);
+          row.push(entry.lmFanSensorsDevice);
+          row.push(entry.lmFanSensorsValue);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for lmVoltSensorsTable
+ */
+function addLmVoltSensorsTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getLmVoltSensorsTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.lmVoltSensorsIndex);
+          row.push(entry.lmVoltSensorsDevice);
+          row.push(entry.lmVoltSensorsValue);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}
+
+/*
+ * Add a handler for lmMiscSensorsTable
+ */
+function addLmMiscSensorsTableHandler(provider)
+{
+  _addTableHandler(
+    provider,
+    async () =>
+    {
+      const           entries = await linuxLib.getLmMiscSensorsTable();
+      entries.forEach(
+        (entry) =>
+        {
+          let             row = [];
+
+          row.push(entry.lmMiscSensorsIndex);
+          row.push(entry.lmMiscSensorsDevice);
+          row.push(entry.lmMiscSensorsValue);
+
+          mib.addTableRow(provider.name, row);
+        });
+    });
+}